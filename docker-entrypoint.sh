@@ -1,53 +1,115 @@
 #!/bin/sh
 
 # Docker entrypoint script for NDP EndPoint Frontend
-# Allows runtime configuration of API URL through environment variables
+# Generates the runtime configuration (config.json) from environment variables
+# The app loads this file before rendering, so the built bundle is never modified
 
 set -e
 
 echo "🚀 Starting NDP EndPoint Frontend..."
 
-# Default API URL if not provided
-DEFAULT_API_URL="http://localhost:8003"
-API_URL="${NDP_EP_API:-$DEFAULT_API_URL}"
+CONFIG_FILE="/usr/share/nginx/html/config.json"
+
+# Defaults used when a variable is not provided
+API_URL="${NDP_EP_API:-http://localhost:8003}"
+REQUEST_TIMEOUT="${NDP_EP_REQUEST_TIMEOUT:-10000}"
+DEFAULT_SERVER="${NDP_EP_DEFAULT_SERVER:-local}"
+MIN_API_VERSION="${NDP_EP_MIN_API_VERSION:-0.1.0}"
+FEATURES="${NDP_EP_FEATURES:-{\}}"
+TOKEN_ENDPOINT="${NDP_EP_TOKEN_ENDPOINT:-}"
+OIDC_CLIENT_ID="${NDP_EP_OIDC_CLIENT_ID:-}"
+OIDC_SCOPE="${NDP_EP_OIDC_SCOPE:-}"
+HEALTH_CHECK_INTERVAL="${NDP_EP_HEALTH_CHECK_INTERVAL:-30000}"
+HEALTH_CHECK_PROXY="${NDP_EP_HEALTH_CHECK_PROXY:-}"
+LINK_CHECK_INTERVAL="${NDP_EP_LINK_CHECK_INTERVAL:-3600000}"
+LINK_CHECK_PROXY="${NDP_EP_LINK_CHECK_PROXY:-/link-check}"
+METRICS_REFRESH_INTERVAL="${NDP_EP_METRICS_REFRESH_INTERVAL:-15000}"
+LAUNCHER_APPS="${NDP_EP_LAUNCHER_APPS:-}"
+
+# Escape a value for use inside a JSON string
+json_escape() {
+    printf '%s' "$1" | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g'
+}
+
+# Validate values that are written to config.json without quotes
+case "$REQUEST_TIMEOUT" in
+    ''|*[!0-9]*)
+        echo "❌ NDP_EP_REQUEST_TIMEOUT must be a number of milliseconds, got: $REQUEST_TIMEOUT"
+        exit 1
+        ;;
+esac
+
+case "$HEALTH_CHECK_INTERVAL" in
+    ''|*[!0-9]*)
+        echo "❌ NDP_EP_HEALTH_CHECK_INTERVAL must be a number of milliseconds, got: $HEALTH_CHECK_INTERVAL"
+        exit 1
+        ;;
+esac
+
+case "$LINK_CHECK_INTERVAL" in
+    ''|*[!0-9]*)
+        echo "❌ NDP_EP_LINK_CHECK_INTERVAL must be a number of milliseconds, got: $LINK_CHECK_INTERVAL"
+        exit 1
+        ;;
+esac
+
+case "$METRICS_REFRESH_INTERVAL" in
+    ''|*[!0-9]*|0)
+        echo "❌ NDP_EP_METRICS_REFRESH_INTERVAL must be a positive number of milliseconds, got: $METRICS_REFRESH_INTERVAL"
+        exit 1
+        ;;
+esac
+
+case "$FEATURES" in
+    \{*\}) ;;
+    *)
+        echo "❌ NDP_EP_FEATURES must be a JSON object, e.g. {\"serverSelector\": false}"
+        exit 1
+        ;;
+esac
 
 echo "📡 Configuring API URL: $API_URL"
+echo "⏱️  Request timeout: ${REQUEST_TIMEOUT}ms"
+echo "🗂️  Default server: $DEFAULT_SERVER"
+echo "🔢 Minimum API version: $MIN_API_VERSION"
+echo "🎛️  Features: $FEATURES"
+echo "🔑 Token endpoint: ${TOKEN_ENDPOINT:-NDP-EP API /token}"
+echo "📈 Dashboard metrics refresh: ${METRICS_REFRESH_INTERVAL}ms"
+echo "🚀 Launcher apps: ${LAUNCHER_APPS:-registered services only}"
+echo "💓 Health checks: every ${HEALTH_CHECK_INTERVAL}ms ${HEALTH_CHECK_PROXY:+via $HEALTH_CHECK_PROXY}"
+echo "🔗 Link checks: every ${LINK_CHECK_INTERVAL}ms via $LINK_CHECK_PROXY"
+
+cat > "$CONFIG_FILE" <<EOF
+{
+  "apiUrl": "$(json_escape "$API_URL")",
+  "requestTimeout": $REQUEST_TIMEOUT,
+  "defaultServer": "$(json_escape "$DEFAULT_SERVER")",
+  "minimumApiVersion": "$(json_escape "$MIN_API_VERSION")",
+  "auth": {
+    "tokenEndpoint": "$(json_escape "$TOKEN_ENDPOINT")",
+    "clientId": "$(json_escape "$OIDC_CLIENT_ID")",
+    "scope": "$(json_escape "$OIDC_SCOPE")"
+  },
+  "healthCheck": {
+    "interval": $HEALTH_CHECK_INTERVAL,
+    "proxyPath": "$(json_escape "$HEALTH_CHECK_PROXY")"
+  },
+  "linkCheck": {
+    "interval": $LINK_CHECK_INTERVAL,
+    "proxyPath": "$(json_escape "$LINK_CHECK_PROXY")"
+  },
+  "dashboard": {
+    "refreshInterval": $METRICS_REFRESH_INTERVAL
+  },
+  "launcher": {
+    "apps": "$(json_escape "$LAUNCHER_APPS")"
+  },
+  "features": $FEATURES
+}
+EOF
 
-# Find all JavaScript files in the build directory
-JS_FILES=$(find /usr/share/nginx/html/static/js -name "*.js" 2>/dev/null || echo "")
-
-if [ -n "$JS_FILES" ]; then
-    echo "🔧 Updating JavaScript files with runtime API URL..."
-    
-    # Replace the placeholder or default URL in all JavaScript files
-    # This replaces any occurrence of the build-time URL with the runtime URL
-    for file in $JS_FILES; do
-        if [ -f "$file" ]; then
-            # Replace the build-time API URL with the runtime API URL
-            # We use a unique placeholder or the default URL
-            sed -i "s|http://localhost:8003|$API_URL|g" "$file"
-            sed -i "s|__NDP_EP_API_URL__|$API_URL|g" "$file"
-            echo "  ✅ Updated: $(basename $file)"
-        fi
-    done
-    
-    echo "✅ JavaScript files updated successfully"
-else
-    echo "⚠️  No JavaScript files found, skipping URL replacement"
-fi
-
-# Also update any config files if they exist
-CONFIG_FILES="/usr/share/nginx/html/config.js /usr/share/nginx/html/env-config.js"
-for config_file in $CONFIG_FILES; do
-    if [ -f "$config_file" ]; then
-        echo "🔧 Updating config file: $(basename $config_file)"
-        sed -i "s|__NDP_EP_API_URL__|$API_URL|g" "$config_file"
-        echo "  ✅ Updated: $(basename $config_file)"
-    fi
-done
-
-echo "🌐 Frontend configured with API URL: $API_URL"
+echo "✅ Runtime configuration written to $CONFIG_FILE"
 echo "🏃 Starting nginx..."
 
 # Execute the original nginx entrypoint
-exec /docker-entrypoint.sh "$@"
\ No newline at end of file
+exec /docker-entrypoint.sh "$@"
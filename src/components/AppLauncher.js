@@ -0,0 +1,209 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { LayoutGrid, ExternalLink, RefreshCw, AlertCircle } from 'lucide-react';
+import { useServer } from '../context/ServerContext';
+import { getErrorMessage } from '../services/errors';
+import { getLauncherApps, resolveApp, launchApp } from '../services/launcher';
+
+/**
+ * Apps launcher shown in the navigation header
+ * Lists the configured NDP-EP API redirect targets and the registered services;
+ * each entry is resolved through the API when the menu opens, and entries
+ * whose redirect target is unavailable are shown disabled with the reason.
+ */
+const AppLauncher = () => {
+  const { selectedServer } = useServer();
+  const [isOpen, setIsOpen] = useState(false);
+  const [apps, setApps] = useState([]);
+  const [resolutions, setResolutions] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  /**
+   * Load the app list and resolve every entry
+   * @param {boolean} force - Resolve again instead of using cached results
+   */
+  const loadApps = useCallback(async (force = false) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setResolutions({});
+
+      const list = await getLauncherApps(selectedServer);
+      setApps(list);
+
+      list.forEach(app => {
+        resolveApp(app.name, force).then(result => {
+          setResolutions(prev => ({ ...prev, [app.name]: result }));
+        });
+      });
+    } catch (err) {
+      console.error('Error loading launcher apps:', err);
+      setError(getErrorMessage(err, 'Failed to load apps'));
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedServer]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadApps();
+    }
+  }, [isOpen, loadApps]);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleLaunch = async (app) => {
+    const result = await launchApp(app);
+    setResolutions(prev => ({ ...prev, [app.name]: result }));
+    if (result.available) {
+      setIsOpen(false);
+    }
+  };
+
+  const renderStatus = (resolution) => {
+    if (!resolution) {
+      return <span style={{ fontSize: '0.75rem', color: '#94a3b8' }}>Checking...</span>;
+    }
+    if (!resolution.available) {
+      return <span className="status-indicator status-error" style={{ fontSize: '0.7rem' }}>Unavailable</span>;
+    }
+    return <ExternalLink size={14} style={{ color: '#64748b' }} />;
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Open an app or registered service"
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          padding: '0.5rem 0.75rem',
+          border: '1px solid #d1d5db',
+          borderRadius: '8px',
+          fontSize: '0.875rem',
+          fontWeight: '500',
+          backgroundColor: isOpen ? '#f1f5f9' : 'white',
+          color: '#374151',
+          cursor: 'pointer',
+          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+        }}
+      >
+        <LayoutGrid size={16} />
+        <span>Apps</span>
+      </button>
+
+      {isOpen && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            marginTop: '0.5rem',
+            backgroundColor: 'white',
+            borderRadius: '10px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.15)',
+            border: '1px solid #e5e7eb',
+            width: '300px',
+            maxHeight: '400px',
+            overflowY: 'auto',
+            zIndex: 1000
+          }}
+        >
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: '0.75rem 1rem',
+            borderBottom: '1px solid #f1f5f9'
+          }}>
+            <span style={{ fontWeight: '600', color: '#374151', fontSize: '0.9rem' }}>Apps</span>
+            <button
+              onClick={() => loadApps(true)}
+              className="btn btn-secondary"
+              style={{ padding: '0.25rem 0.5rem' }}
+              disabled={loading}
+              title="Check the redirect targets again"
+            >
+              <RefreshCw size={12} />
+            </button>
+          </div>
+
+          {error && (
+            <div style={{ display: 'flex', gap: '0.5rem', padding: '0.75rem 1rem', color: '#dc2626', fontSize: '0.85rem' }}>
+              <AlertCircle size={16} />
+              {error}
+            </div>
+          )}
+
+          {loading && apps.length === 0 ? (
+            <div style={{ padding: '1rem', textAlign: 'center', color: '#64748b', fontSize: '0.85rem' }}>
+              Loading apps...
+            </div>
+          ) : !error && apps.length === 0 ? (
+            <div style={{ padding: '1rem', textAlign: 'center', color: '#64748b', fontSize: '0.85rem' }}>
+              No apps configured and no services registered
+            </div>
+          ) : (
+            apps.map(app => {
+              const resolution = resolutions[app.name];
+              const unavailable = resolution && !resolution.available;
+
+              return (
+                <button
+                  key={`${app.source}-${app.name}`}
+                  onClick={() => handleLaunch(app)}
+                  disabled={!resolution || unavailable}
+                  title={unavailable ? resolution.error : resolution?.url}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '0.75rem',
+                    width: '100%',
+                    padding: '0.75rem 1rem',
+                    border: 'none',
+                    borderBottom: '1px solid #f8fafc',
+                    backgroundColor: 'white',
+                    textAlign: 'left',
+                    cursor: resolution && !unavailable ? 'pointer' : 'default',
+                    opacity: unavailable ? 0.7 : 1
+                  }}
+                >
+                  <span style={{ minWidth: 0 }}>
+                    <span style={{ display: 'block', color: '#374151', fontSize: '0.9rem', fontWeight: '500' }}>
+                      {app.label}
+                    </span>
+                    <span style={{ display: 'block', color: unavailable ? '#dc2626' : '#94a3b8', fontSize: '0.75rem' }}>
+                      {unavailable
+                        ? resolution.error
+                        : app.source === 'service' ? 'Registered service' : 'NDP-EP API'}
+                      {resolution?.available && !resolution.verified && ' · target not verified'}
+                    </span>
+                  </span>
+                  {renderStatus(resolution)}
+                </button>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppLauncher;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Lock, AlertCircle, Eye, EyeOff, CheckCircle, Wifi, WifiOff } from 'lucide-react';
-import { statusAPI, authAPI } from '../services/api';
+import { Lock, AlertCircle, Eye, EyeOff, CheckCircle, Wifi, WifiOff, User } from 'lucide-react';
+import { statusAPI, authAPI, profilesAPI, getAuthToken, clearAuth } from '../services/api';
+import ConnectionProfilePicker from './ConnectionProfilePicker';
+import LoginModal from './LoginModal';
+import { getConfig, isFeatureEnabled } from '../config';
 
-// Configuration constants - easily modifiable for future versions
+// Configuration constants - the minimum API version comes from the runtime config
 const FRONTEND_VERSION = '0.1.0';
-const MINIMUM_API_VERSION = '0.1.0';
 const API_VERSION_CHECK_TIMEOUT = 5000; // 5 seconds timeout for API check
 
 /**
@@ -34,12 +36,15 @@ const compareVersions = (version1, version2) => {
  * Includes API version compatibility checking on startup
  */
 const AuthGuard = ({ children, onAuthenticated }) => {
+  const minimumApiVersion = getConfig().minimumApiVersion;
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showToken, setShowToken] = useState(false);
   const [token, setToken] = useState('');
   const [validatingToken, setValidatingToken] = useState(false);
+  const [showLoginModal, setShowLoginModal] = useState(false);
+  const [activeProfileId, setActiveProfileId] = useState(() => profilesAPI.getActive().id);
 
   // API Version Check States
   const [apiStatus, setApiStatus] = useState({
@@ -51,7 +56,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
   });
 
   /**
-   * Check API version and compatibility on component mount
+   * Check API version and compatibility on mount and whenever the connection profile changes
    */
   useEffect(() => {
     const checkApiVersion = async () => {
@@ -76,7 +81,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
         // Extract version from API response
         const apiVersion = response.data?.version || response.data?.api_version || 'unknown';
         const isCompatible = apiVersion !== 'unknown' ? 
-          compareVersions(apiVersion, MINIMUM_API_VERSION) >= 0 : false;
+          compareVersions(apiVersion, getConfig().minimumApiVersion) >= 0 : false;
         
         setApiStatus({
           checking: false,
@@ -89,7 +94,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
         console.log(`API Version: ${apiVersion}, Compatible: ${isCompatible}, Frontend: ${FRONTEND_VERSION}`);
         
         if (!isCompatible && apiVersion !== 'unknown') {
-          console.warn(`API version ${apiVersion} is below minimum required version ${MINIMUM_API_VERSION}`);
+          console.warn(`API version ${apiVersion} is below minimum required version ${getConfig().minimumApiVersion}`);
         }
         
       } catch (err) {
@@ -118,7 +123,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
     };
 
     checkApiVersion();
-  }, []);
+  }, [activeProfileId]);
 
   /**
    * ENHANCED: Check if user is already authenticated using proper token validation
@@ -128,7 +133,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
     if (apiStatus.checking) return;
     
     const checkExistingAuth = async () => {
-      const existingToken = localStorage.getItem('authToken');
+      const existingToken = getAuthToken();
       
       if (existingToken && existingToken.trim()) {
         console.log('Found existing token, validating...');
@@ -143,9 +148,16 @@ const AuthGuard = ({ children, onAuthenticated }) => {
         } catch (validationError) {
           console.error('Token validation failed:', validationError);
           
-          // Remove invalid token
-          localStorage.removeItem('authToken');
-          setError('Your session has expired. Please enter a valid token.');
+          try {
+            // An expired token can still be renewed with the stored refresh token
+            await authAPI.refreshSession();
+            setIsAuthenticated(true);
+            onAuthenticated && onAuthenticated();
+          } catch (refreshError) {
+            // Remove invalid token
+            clearAuth();
+            setError('Your session has expired. Please enter a valid token.');
+          }
         }
       }
       
@@ -203,6 +215,25 @@ const AuthGuard = ({ children, onAuthenticated }) => {
     }
   };
 
+  /**
+   * Handle successful username/password login from the login modal
+   */
+  const handleCredentialsLoginSuccess = () => {
+    setError(null);
+    setIsAuthenticated(true);
+    onAuthenticated && onAuthenticated();
+  };
+
+  /**
+   * Handle connection profile change - clears the form state for the new API
+   */
+  const handleProfileChange = (profileId) => {
+    setError(null);
+    setToken('');
+    setLoading(true);
+    setActiveProfileId(profileId);
+  };
+
   /**
    * Handle token visibility toggle
    */
@@ -330,6 +361,15 @@ const AuthGuard = ({ children, onAuthenticated }) => {
             </p>
           </div>
 
+          {/* Connection Profile Section */}
+          {isFeatureEnabled('connectionProfiles') && (
+            <ConnectionProfilePicker
+              activeProfileId={activeProfileId}
+              onChange={handleProfileChange}
+              disabled={validatingToken}
+            />
+          )}
+
           {/* API Status Section */}
           <div style={{
             backgroundColor: '#f8fafc',
@@ -434,7 +474,7 @@ const AuthGuard = ({ children, onAuthenticated }) => {
                   marginTop: '0.5rem'
                 }}>
                   <span style={{ color: '#ca8a04', fontSize: '0.75rem' }}>
-                    ⚠️ API version {apiStatus.version} is below minimum required {MINIMUM_API_VERSION}
+                    ⚠️ API version {apiStatus.version} is below minimum required {minimumApiVersion}
                   </span>
                 </div>
               )}
@@ -625,6 +665,26 @@ const AuthGuard = ({ children, onAuthenticated }) => {
             </button>
           </form>
 
+          {/* Username/Password Login */}
+          {isFeatureEnabled('credentialLogin') && (
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowLoginModal(true)}
+              disabled={!apiStatus.connected || validatingToken}
+              style={{ width: '100%', marginTop: '0.75rem', justifyContent: 'center' }}
+            >
+              <User size={18} />
+              Sign in with username and password
+            </button>
+          )}
+
+          <LoginModal
+            isOpen={showLoginModal}
+            onClose={() => setShowLoginModal(false)}
+            onSuccess={handleCredentialsLoginSuccess}
+          />
+
           {/* Help Text */}
           <div style={{
             marginTop: '1.5rem',
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Lock, Unlock, LogOut, User } from 'lucide-react';
-import { authAPI } from '../services/api';
+import { authAPI, getAuthToken } from '../services/api';
 
 /**
  * Auth Status component to show current authentication state
@@ -21,7 +21,7 @@ const AuthStatus = ({ onLoginClick }) => {
    * Check if user is authenticated
    */
   const checkAuthStatus = () => {
-    const token = localStorage.getItem('authToken');
+    const token = getAuthToken();
     const authenticated = !!token;
     
     setIsAuthenticated(authenticated);
@@ -0,0 +1,262 @@
+import React, { useState, useRef } from 'react';
+import { Play, Square, X, CheckCircle, AlertCircle } from 'lucide-react';
+import JsonEditor from './JsonEditor';
+import { notify, notifySuccess } from '../services/notifications';
+import { getErrorMessage } from '../services/errors';
+import { runWithConcurrency } from '../utils/concurrency';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA } from '../utils/fieldSchemas';
+import { BULK_ACTIONS, buildBulkUpdate, buildBulkConfirmation, summarizeBulkResults } from '../utils/bulkActions';
+
+// Requests sent at the same time during a bulk action
+const BULK_CONCURRENCY = 4;
+
+const countLabel = (count, itemName) => `${count} ${itemName}${count === 1 ? '' : 's'}`;
+
+/**
+ * Actions on the selected rows of a listing: delete, change organization, add or merge extras
+ * Asks for one confirmation listing the affected items, shows progress while the
+ * requests run and a summary of the items that failed afterwards.
+ *
+ * @param {Array} selectedItems - Selected packages
+ * @param {string} itemName - Singular item name, e.g. "Kafka topic"
+ * @param {string} server - Catalog the requests are sent to
+ * @param {Array|null} organizations - Organization names; null hides "Change organization"
+ * @param {Array} reservedExtras - Extras keys the page edits through dedicated fields
+ * @param {Function} updateRequest - (id, data, server) => Promise, a partial update
+ * @param {Function} deleteRequest - (id, server) => Promise
+ * @param {Function} onComplete - Called after a run that changed something, e.g. to reload the listing
+ * @param {Function} onClear - Clears the selection
+ */
+const BulkActionsBar = ({
+  selectedItems,
+  itemName,
+  server,
+  organizations = null,
+  reservedExtras = [],
+  updateRequest,
+  deleteRequest,
+  onComplete,
+  onClear
+}) => {
+  const [action, setAction] = useState('delete');
+  const [organization, setOrganization] = useState('');
+  const [extrasJson, setExtrasJson] = useState('{}');
+  const [overwrite, setOverwrite] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [summary, setSummary] = useState(null);
+  const stopRef = useRef(false);
+
+  const actions = Object.entries(BULK_ACTIONS).filter(([key]) => key !== 'organization' || organizations);
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
+
+  if (selectedItems.length === 0 && !summary && !running) {
+    return null;
+  }
+
+  const getMissingInput = () => {
+    if (action === 'organization' && !organization) return 'Choose an organization';
+    if (action === 'extras') {
+      if (extrasCheck.error) return `Extras: ${extrasCheck.error.message}`;
+      if (Object.keys(extrasCheck.value).length === 0) return 'Enter at least one extras key';
+    }
+    return null;
+  };
+
+  const describeAction = () => {
+    const items = countLabel(selectedItems.length, itemName);
+    if (action === 'delete') return `Delete ${items} and all their resources. This action cannot be undone`;
+    if (action === 'organization') return `Move ${items} to organization "${organization}"`;
+    return `${overwrite ? 'Merge' : 'Add'} extras ${Object.keys(extrasCheck.value).join(', ')} on ${items}`;
+  };
+
+  const runAction = (item) => {
+    if (action === 'delete') return deleteRequest(item.id, server);
+
+    const update = buildBulkUpdate(item, action, {
+      organization,
+      extras: extrasCheck.value,
+      overwrite,
+      reserved: reservedExtras
+    });
+    return update ? updateRequest(item.id, update, server) : 'unchanged';
+  };
+
+  const handleApply = async () => {
+    const missing = getMissingInput();
+    if (missing) {
+      notify('error', missing);
+      return;
+    }
+    if (!window.confirm(buildBulkConfirmation(describeAction(), selectedItems))) {
+      return;
+    }
+
+    const items = [...selectedItems];
+    stopRef.current = false;
+    setSummary(null);
+    setRunning(true);
+    setProgress({ done: 0, total: items.length });
+
+    const results = await runWithConcurrency(items, runAction, {
+      limit: BULK_CONCURRENCY,
+      shouldStop: () => stopRef.current,
+      onSettled: () => setProgress(prev => ({ ...prev, done: prev.done + 1 }))
+    });
+
+    const outcome = summarizeBulkResults(items, results);
+    setRunning(false);
+    setSummary({ ...outcome, action, failed: outcome.failed.map(failure => ({ ...failure, message: getErrorMessage(failure.reason) })) });
+
+    if (outcome.failed.length === 0 && outcome.skipped === 0) {
+      notifySuccess(`${BULK_ACTIONS[action]}: ${countLabel(outcome.succeeded, itemName)} done`);
+    } else {
+      notify('warning', `${BULK_ACTIONS[action]}: ${outcome.succeeded} done, ${outcome.failed.length} failed, ${outcome.skipped} not started`);
+    }
+    if (outcome.succeeded > 0) {
+      onComplete();
+    }
+  };
+
+  const missingInput = getMissingInput();
+
+  return (
+    <div style={{
+      border: '1px solid #bfdbfe',
+      backgroundColor: '#eff6ff',
+      borderRadius: '8px',
+      padding: '1rem',
+      marginBottom: '1rem'
+    }}>
+      {(selectedItems.length > 0 || running) && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-start', gap: '0.75rem' }}>
+          <strong style={{ color: '#1e40af', padding: '0.5rem 0' }}>
+            {selectedItems.length} selected
+          </strong>
+
+          <select
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            className="form-select"
+            style={{ width: 'auto' }}
+            disabled={running}
+          >
+            {actions.map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+
+          {action === 'organization' && (
+            <select
+              value={organization}
+              onChange={(e) => setOrganization(e.target.value)}
+              className="form-select"
+              style={{ width: 'auto', minWidth: '200px' }}
+              disabled={running}
+            >
+              <option value="">Select organization</option>
+              {organizations.map(org => (
+                <option key={org} value={org}>{org}</option>
+              ))}
+            </select>
+          )}
+
+          {action === 'extras' && (
+            <div style={{ flex: '1 1 300px', minWidth: '250px' }}>
+              <JsonEditor
+                value={extrasJson}
+                onChange={setExtrasJson}
+                schema={EXTRAS_SCHEMA}
+                placeholder='{"project": "research"}'
+                minHeight="60px"
+              />
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#374151' }}>
+                <input
+                  type="checkbox"
+                  checked={overwrite}
+                  onChange={(e) => setOverwrite(e.target.checked)}
+                  disabled={running}
+                />
+                Overwrite keys that already have a value
+              </label>
+            </div>
+          )}
+
+          {running ? (
+            <button onClick={() => { stopRef.current = true; }} className="btn btn-danger">
+              <Square size={16} />
+              Stop
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={handleApply}
+                className={action === 'delete' ? 'btn btn-danger' : 'btn btn-primary'}
+                disabled={selectedItems.length === 0 || !!missingInput}
+                title={missingInput || undefined}
+              >
+                <Play size={16} />
+                Apply
+              </button>
+              <button onClick={onClear} className="btn btn-secondary" disabled={selectedItems.length === 0}>
+                <X size={16} />
+                Clear selection
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {running && (
+        <div style={{ marginTop: '0.75rem' }}>
+          <div style={{ height: '8px', backgroundColor: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${(progress.done / progress.total) * 100}%`,
+              height: '100%',
+              backgroundColor: '#2563eb',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+          <small style={{ color: '#64748b' }}>{progress.done} of {progress.total} processed</small>
+        </div>
+      )}
+
+      {summary && !running && (
+        <div style={{ marginTop: selectedItems.length > 0 ? '0.75rem' : 0 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#374151' }}>
+              {summary.failed.length > 0
+                ? <AlertCircle size={16} style={{ color: '#dc2626' }} />
+                : <CheckCircle size={16} style={{ color: '#16a34a' }} />}
+              {BULK_ACTIONS[summary.action]}: {summary.succeeded} done
+              {summary.unchanged > 0 && `, ${summary.unchanged} already up to date`}
+              {summary.failed.length > 0 && `, ${summary.failed.length} failed`}
+              {summary.skipped > 0 && `, ${summary.skipped} not started`}
+            </span>
+            <button
+              onClick={() => setSummary(null)}
+              className="btn btn-secondary"
+              style={{ padding: '0.25rem 0.5rem' }}
+              title="Dismiss"
+            >
+              <X size={14} />
+            </button>
+          </div>
+
+          {summary.failed.length > 0 && (
+            <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#dc2626' }}>
+              {summary.failed.map(failure => (
+                <li key={failure.id}>
+                  <strong>{failure.name}</strong>: {failure.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, X, Save, Globe } from 'lucide-react';
+import { profilesAPI, DEFAULT_PROFILE_ID } from '../services/api';
+
+/**
+ * Connection profile picker shown on the login screen
+ * Lets administrators choose which NDP-EP API instance to sign in to
+ * and add or remove named profiles (base URL + token per profile)
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.activeProfileId - ID of the active profile
+ * @param {Function} props.onChange - Called with the new profile ID after switching
+ * @param {boolean} props.disabled - Disable the picker while validating
+ */
+const ConnectionProfilePicker = ({ activeProfileId, onChange, disabled }) => {
+  const [profiles, setProfiles] = useState(() => profilesAPI.list());
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newProfile, setNewProfile] = useState({ name: '', baseUrl: '' });
+  const [error, setError] = useState(null);
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  /**
+   * Switch to another profile
+   */
+  const handleSelect = (profileId) => {
+    profilesAPI.setActive(profileId);
+    onChange && onChange(profileId);
+  };
+
+  /**
+   * Save a new profile and make it active
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    try {
+      const saved = profilesAPI.save(newProfile);
+      setProfiles(profilesAPI.list());
+      setNewProfile({ name: '', baseUrl: '' });
+      setShowAddForm(false);
+      setError(null);
+      handleSelect(saved.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Delete the active profile and fall back to the default one
+   */
+  const handleDelete = () => {
+    if (!activeProfile || activeProfile.id === DEFAULT_PROFILE_ID) return;
+
+    if (!window.confirm(`Delete connection profile "${activeProfile.name}"?`)) {
+      return;
+    }
+
+    profilesAPI.remove(activeProfile.id);
+    setProfiles(profilesAPI.list());
+    handleSelect(DEFAULT_PROFILE_ID);
+  };
+
+  return (
+    <div style={{
+      backgroundColor: '#f8fafc',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '1rem',
+      marginBottom: '1.5rem'
+    }}>
+      <h4 style={{
+        color: '#374151',
+        marginBottom: '0.75rem',
+        fontSize: '0.9rem',
+        fontWeight: '600',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Globe size={16} style={{ color: '#2563eb' }} />
+        Connection Profile
+      </h4>
+
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <select
+          value={activeProfileId}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={disabled}
+          className="form-select"
+          style={{ padding: '0.5rem', fontSize: '0.875rem' }}
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+
+        <button
+          type="button"
+          onClick={() => setShowAddForm(!showAddForm)}
+          disabled={disabled}
+          className="btn btn-secondary"
+          style={{ padding: '0.5rem' }}
+          title={showAddForm ? 'Cancel' : 'Add connection profile'}
+        >
+          {showAddForm ? <X size={16} /> : <Plus size={16} />}
+        </button>
+
+        {activeProfileId !== DEFAULT_PROFILE_ID && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={disabled}
+            className="btn btn-danger"
+            style={{ padding: '0.5rem' }}
+            title="Delete this profile"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+
+      {activeProfile && (
+        <div style={{
+          fontSize: '0.75rem',
+          color: '#64748b',
+          fontFamily: 'monospace',
+          marginTop: '0.5rem',
+          wordBreak: 'break-all'
+        }}>
+          {activeProfile.baseUrl}
+        </div>
+      )}
+
+      {showAddForm && (
+        <form onSubmit={handleAdd} style={{ marginTop: '0.75rem' }}>
+          <input
+            type="text"
+            value={newProfile.name}
+            onChange={(e) => setNewProfile(prev => ({ ...prev, name: e.target.value }))}
+            className="form-input"
+            placeholder="Profile name (e.g. Staging)"
+            required
+            style={{ padding: '0.5rem', fontSize: '0.875rem', marginBottom: '0.5rem' }}
+          />
+          <input
+            type="url"
+            value={newProfile.baseUrl}
+            onChange={(e) => setNewProfile(prev => ({ ...prev, baseUrl: e.target.value }))}
+            className="form-input"
+            placeholder="https://ep-api.example.org"
+            required
+            style={{ padding: '0.5rem', fontSize: '0.875rem', marginBottom: '0.5rem' }}
+          />
+
+          {error && (
+            <div style={{ color: '#dc2626', fontSize: '0.75rem', marginBottom: '0.5rem' }}>
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+          >
+            <Save size={14} />
+            Save Profile
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionProfilePicker;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Link2, X, AlertCircle, Copy, Check, Download, ExternalLink } from 'lucide-react';
+import { getErrorMessage } from '../services/errors';
+import { getDownloadLink, downloadObject } from '../services/s3Browser';
+import { PRESIGN_EXPIRY_OPTIONS, DEFAULT_PRESIGN_EXPIRY, isObjectKey } from '../utils/presign';
+import { getS3Location } from '../utils/s3Location';
+import { toS3Uri } from '../utils/s3Browser';
+
+/**
+ * Modal creating a presigned download link for an S3 resource
+ * The link is signed by the NDP-EP API and works without a token until it
+ * expires; the object can also be downloaded through the API with the user's token.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.resource - CKAN package of the S3 resource
+ * @param {Function} props.onClose - Close the modal
+ */
+const DownloadLinkModal = ({ resource, onClose }) => {
+  const s3Location = getS3Location(resource);
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_PRESIGN_EXPIRY);
+  const [link, setLink] = useState(null); // { url, expiresAt }
+  const [creating, setCreating] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isObject = !!s3Location.bucket && isObjectKey(s3Location.key);
+
+  /**
+   * Ask the API for a link with the chosen lifetime
+   */
+  const handleCreate = async () => {
+    try {
+      setCreating(true);
+      setError(null);
+      setCopied(false);
+      setLink(await getDownloadLink(s3Location, expiresIn));
+    } catch (err) {
+      console.error('Error creating download link:', err);
+      setLink(null);
+      setError(getErrorMessage(err, 'Failed to create download link'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy to clipboard failed:', err);
+    }
+  };
+
+  /**
+   * Download the object through the API, which checks the user's token
+   */
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      setError(null);
+      await downloadObject(s3Location);
+    } catch (err) {
+      console.error('Error downloading object:', err);
+      const status = err.response?.status;
+      setError(status === 401 || status === 403
+        ? 'Your token does not allow downloading this object. Use a download link instead.'
+        : getErrorMessage(err, 'Download failed'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+      padding: '1rem'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '2rem',
+        width: '100%',
+        maxWidth: '560px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
+      }}>
+        {/* Header */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <h2 style={{ margin: 0, color: '#1e293b', fontSize: '1.25rem', fontWeight: '600', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <Link2 size={22} />
+            Download Link
+          </h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#64748b', cursor: 'pointer', padding: '0.5rem' }}
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div style={{ marginBottom: '1rem' }}>
+          <div style={{ fontWeight: '500' }}>{resource.title || resource.name}</div>
+          {s3Location.bucket && (
+            <div style={{ fontFamily: 'monospace', fontSize: '0.8rem', color: '#64748b', wordBreak: 'break-all' }}>
+              {toS3Uri(s3Location.bucket, s3Location.key)}
+              {s3Location.endpoint && ` on ${s3Location.endpoint}`}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="alert alert-error" style={{ marginBottom: '1rem' }}>
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {!isObject ? (
+          <div className="alert alert-warning">
+            <AlertCircle size={16} />
+            {s3Location.bucket
+              ? 'This resource points at a folder. Links can only be created for single objects.'
+              : 'The bucket and key of this resource are unknown. Edit it and fill in its storage location.'}
+          </div>
+        ) : (
+          <>
+            <div className="form-group">
+              <label className="form-label">Link valid for</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <select
+                  value={expiresIn}
+                  onChange={(e) => {
+                    setExpiresIn(Number(e.target.value));
+                    setLink(null);
+                  }}
+                  className="form-select"
+                >
+                  {PRESIGN_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                  ))}
+                </select>
+                <button onClick={handleCreate} className="btn btn-primary" disabled={creating} style={{ whiteSpace: 'nowrap' }}>
+                  <Link2 size={16} />
+                  {creating ? 'Creating...' : link ? 'Create new link' : 'Create link'}
+                </button>
+              </div>
+            </div>
+
+            {link && (
+              <div className="form-group">
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <input
+                    type="text"
+                    value={link.url}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="form-input"
+                    style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}
+                  />
+                  <button onClick={handleCopy} className="btn btn-secondary" title="Copy link">
+                    {copied ? <Check size={16} /> : <Copy size={16} />}
+                  </button>
+                  <a href={link.url} target="_blank" rel="noopener noreferrer" className="btn btn-secondary" title="Open link">
+                    <ExternalLink size={16} />
+                  </a>
+                </div>
+                <small style={{ color: '#64748b' }}>
+                  Anyone with this link can download the object until {link.expiresAt.toLocaleString()}.
+                </small>
+              </div>
+            )}
+
+            <div style={{ borderTop: '1px solid #e2e8f0', paddingTop: '1rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <small style={{ color: '#64748b' }}>
+                Or download it now through the API with your sign-in token.
+              </small>
+              <button onClick={handleDownload} className="btn btn-secondary" disabled={downloading} style={{ whiteSpace: 'nowrap' }}>
+                <Download size={16} />
+                {downloading ? 'Downloading...' : 'Download'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DownloadLinkModal;
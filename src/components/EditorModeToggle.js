@@ -0,0 +1,44 @@
+import React from 'react';
+
+/**
+ * Switch between a structured editor and its raw JSON
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.mode - Current mode ("form" or "json")
+ * @param {Function} props.onChange - Called with the new mode
+ * @param {string} [props.formLabel] - Label of the structured view
+ * @param {boolean} [props.locked] - Keep the current mode (e.g. while the JSON is invalid)
+ */
+const EditorModeToggle = ({ mode, onChange, formLabel = 'Form', locked = false }) => {
+  const buttonStyle = (active) => ({
+    padding: '0.25rem 0.625rem',
+    fontSize: '0.75rem',
+    border: '1px solid #d1d5db',
+    backgroundColor: active ? '#2563eb' : 'white',
+    color: active ? 'white' : '#374151',
+    cursor: locked && !active ? 'not-allowed' : 'pointer'
+  });
+
+  return (
+    <div style={{ display: 'inline-flex' }} title={locked ? 'Fix the errors before switching views' : undefined}>
+      <button
+        type="button"
+        onClick={() => onChange('form')}
+        disabled={locked && mode !== 'form'}
+        style={{ ...buttonStyle(mode === 'form'), borderRadius: '6px 0 0 6px' }}
+      >
+        {formLabel}
+      </button>
+      <button
+        type="button"
+        onClick={() => onChange('json')}
+        disabled={locked && mode !== 'json'}
+        style={{ ...buttonStyle(mode === 'json'), borderRadius: '0 6px 6px 0', borderLeft: 'none' }}
+      >
+        JSON
+      </button>
+    </div>
+  );
+};
+
+export default EditorModeToggle;
@@ -0,0 +1,109 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { exportCatalog } from '../services/catalogExport';
+import { EXPORT_FORMATS } from '../utils/catalogExport';
+
+/**
+ * Export button for a package listing
+ * Opens a menu of export formats; the packages are collected when a format is chosen.
+ *
+ * @param {Function} getPackages - Returns (a promise of) the packages to export
+ * @param {string} name - Listing name used in the file name, e.g. "kafka-topics"
+ * @param {string} server - Catalog the packages come from
+ */
+const ExportMenu = ({ getPackages, name, server, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    try {
+      setExporting(true);
+      const packages = await getPackages();
+      if (packages.length === 0) {
+        notify('info', 'Nothing to export');
+        return;
+      }
+      exportCatalog(packages, format, { name, server });
+      notifySuccess(`Exported ${packages.length} package${packages.length === 1 ? '' : 's'} as ${EXPORT_FORMATS[format].label}`);
+    } catch (err) {
+      console.error('Error exporting catalog:', err);
+      notifyError(err, 'Failed to export');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="btn btn-secondary"
+        disabled={disabled || exporting}
+        title="Download every package of this listing"
+      >
+        <Download size={16} />
+        {exporting ? 'Exporting...' : 'Export'}
+      </button>
+
+      {isOpen && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            marginTop: '0.5rem',
+            backgroundColor: 'white',
+            borderRadius: '10px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.15)',
+            border: '1px solid #e5e7eb',
+            width: '200px',
+            overflow: 'hidden',
+            zIndex: 1000
+          }}
+        >
+          {Object.entries(EXPORT_FORMATS).map(([format, { label, extension }]) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                width: '100%',
+                padding: '0.75rem 1rem',
+                border: 'none',
+                borderBottom: '1px solid #f8fafc',
+                backgroundColor: 'white',
+                textAlign: 'left',
+                cursor: 'pointer',
+                color: '#374151',
+                fontSize: '0.9rem'
+              }}
+            >
+              {label}
+              <span style={{ color: '#94a3b8', fontSize: '0.75rem' }}>.{extension}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+/**
+ * Validation message shown below a form field
+ * Renders nothing when the field has no error
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.message] - Error message for the field
+ */
+const FieldError = ({ message }) => {
+  if (!message) return null;
+
+  return (
+    <small role="alert" style={{ color: '#dc2626', display: 'block', marginTop: '0.25rem' }}>
+      {message}
+    </small>
+  );
+};
+
+export default FieldError;
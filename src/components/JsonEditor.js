@@ -0,0 +1,144 @@
+import React, { useMemo, useRef, useLayoutEffect } from 'react';
+import { AlignLeft, CheckCircle, AlertCircle } from 'lucide-react';
+import { checkJsonText, parseJsonText, tokenizeJson } from '../utils/jsonText';
+
+const TOKEN_COLORS = {
+  key: '#1d4ed8',
+  string: '#15803d',
+  number: '#b45309',
+  literal: '#7c3aed',
+  punctuation: '#64748b',
+  text: '#dc2626'
+};
+
+// Shared by the textarea and the highlighted copy behind it so the text lines up
+const textStyle = {
+  margin: 0,
+  padding: '0.75rem',
+  border: '1px solid transparent',
+  fontFamily: 'monospace',
+  fontSize: '0.875rem',
+  lineHeight: 1.5,
+  whiteSpace: 'pre-wrap',
+  overflowWrap: 'break-word',
+  wordBreak: 'normal'
+};
+
+/**
+ * Textarea for a JSON form field with syntax highlighting
+ * Parse errors are shown with their line and column and the value is checked
+ * against the field's schema; the text itself is never changed except by Format.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - JSON text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {Object} [props.schema] - JSON Schema of the value
+ * @param {string} [props.placeholder] - Example shown in the empty editor
+ * @param {string} [props.minHeight] - Minimum editor height
+ */
+const JsonEditor = ({ value, onChange, schema, placeholder, minHeight = '100px' }) => {
+  const textareaRef = useRef(null);
+  const { error } = useMemo(() => checkJsonText(value, { schema }), [value, schema]);
+  const tokens = useMemo(() => tokenizeJson(value), [value]);
+  const empty = value.trim() === '';
+
+  // Grow with the content so the highlighted copy never needs to scroll
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${textarea.scrollHeight + 2}px`;
+  }, [value]);
+
+  const handleFormat = () => {
+    const parsed = parseJsonText(value);
+    if (!parsed.error) onChange(JSON.stringify(parsed.value, null, 2));
+  };
+
+  // Put the cursor where the parse error is
+  const showError = () => {
+    const textarea = textareaRef.current;
+    textarea.focus();
+    textarea.setSelectionRange(error.position, error.position + 1);
+  };
+
+  return (
+    <div>
+      <div style={{ position: 'relative' }}>
+        <pre
+          aria-hidden="true"
+          style={{
+            ...textStyle,
+            position: 'absolute',
+            inset: 0,
+            overflow: 'hidden',
+            borderRadius: '8px',
+            backgroundColor: 'white',
+            pointerEvents: 'none'
+          }}
+        >
+          {tokens.map((token, index) => (
+            <span key={index} style={{ color: TOKEN_COLORS[token.type] }}>{token.text}</span>
+          ))}
+          {'\n'}
+        </pre>
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="form-input form-textarea"
+          placeholder={placeholder}
+          spellCheck={false}
+          style={{
+            ...textStyle,
+            position: 'relative',
+            display: 'block',
+            minHeight,
+            overflow: 'hidden',
+            resize: 'none',
+            color: 'transparent',
+            caretColor: '#1e293b',
+            backgroundColor: 'transparent',
+            borderColor: error ? '#dc2626' : '#d1d5db'
+          }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '0.5rem', marginTop: '0.25rem' }}>
+        {error ? (
+          <span style={{ display: 'flex', alignItems: 'flex-start', gap: '0.25rem', color: '#dc2626', fontSize: '0.75rem' }}>
+            <AlertCircle size={14} style={{ flexShrink: 0, marginTop: '1px' }} />
+            <span>
+              {error.message}
+              {error.position !== undefined && (
+                <button
+                  type="button"
+                  onClick={showError}
+                  style={{ marginLeft: '0.375rem', padding: 0, border: 'none', background: 'none', color: '#2563eb', fontSize: '0.75rem', cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  Show
+                </button>
+              )}
+            </span>
+          </span>
+        ) : (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#16a34a', fontSize: '0.75rem' }}>
+            {!empty && <><CheckCircle size={14} /> Valid</>}
+          </span>
+        )}
+        <button
+          type="button"
+          onClick={handleFormat}
+          className="btn btn-secondary"
+          style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem', flexShrink: 0 }}
+          disabled={empty || error?.position !== undefined}
+          title="Indent the JSON"
+        >
+          <AlignLeft size={12} />
+          Format
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default JsonEditor;
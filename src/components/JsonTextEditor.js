@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import JsonEditor from './JsonEditor';
+import { checkJsonText, parseJsonText } from '../utils/jsonText';
+
+const OBJECT_SCHEMA = { type: 'object' };
+
+/**
+ * Raw JSON view of an object setting
+ * Keeps the typed text while it is invalid and reports the problem instead
+ * of dropping the input; valid objects are passed to onChange.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current object
+ * @param {Function} props.onChange - Called with the parsed object
+ * @param {Function} [props.onError] - Called with the error message, or null when valid
+ * @param {Object} [props.schema] - JSON Schema of the object
+ * @param {string} [props.placeholder] - Example shown in the empty editor
+ */
+const JsonTextEditor = ({ value, onChange, onError, schema = OBJECT_SCHEMA, placeholder }) => {
+  const [text, setText] = useState(() => JSON.stringify(value || {}, null, 2));
+
+  // Follow changes made elsewhere (e.g. the form view) unless they came from this text
+  useEffect(() => {
+    setText(current => {
+      const { value: parsed, error } = parseJsonText(current);
+      if (!error && JSON.stringify(parsed) === JSON.stringify(value || {})) return current;
+      return JSON.stringify(value || {}, null, 2);
+    });
+  }, [value]);
+
+  const handleChange = (nextText) => {
+    setText(nextText);
+
+    const { value: parsed, error } = checkJsonText(nextText, { schema });
+    if (onError) onError(error ? error.message : null);
+    if (!error) onChange(parsed);
+  };
+
+  return <JsonEditor value={text} onChange={handleChange} schema={schema} placeholder={placeholder} />;
+};
+
+export default JsonTextEditor;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Eye, X, RefreshCw, Play, Square, AlertCircle } from 'lucide-react';
+import { kafkaAPI } from '../services/api';
+import { getErrorMessage } from '../services/errors';
+import { toKafkaMessages, tailKafkaTopic } from '../services/kafkaStream';
+
+// Message counts offered for a peek
+const PEEK_LIMITS = [10, 25, 50, 100];
+// Messages kept on screen while tailing, newest first
+const TAIL_BUFFER = 200;
+
+/**
+ * Format a Kafka timestamp (milliseconds since epoch or ISO string)
+ */
+const formatTimestamp = (timestamp) => {
+  if (timestamp === null || timestamp === undefined) return null;
+  const date = new Date(typeof timestamp === 'number' ? timestamp : String(timestamp));
+  return Number.isNaN(date.getTime()) ? String(timestamp) : date.toLocaleString();
+};
+
+/**
+ * Pretty-print a message value; JSON is indented, text is shown as is
+ */
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+/**
+ * Message preview for a Kafka topic dataset
+ * Peeks the latest messages through the NDP-EP API, or follows new messages live
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.topic - Kafka dataset from the listing
+ * @param {string} props.server - Selected catalog
+ * @param {Function} props.onClose - Close the panel
+ */
+const KafkaPeekPanel = ({ topic, server, onClose }) => {
+  const [messages, setMessages] = useState([]);
+  const [limit, setLimit] = useState(PEEK_LIMITS[0]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [tailState, setTailState] = useState('off'); // off, connecting, live
+  const stopTailRef = useRef(null);
+
+  /**
+   * Fetch the latest messages
+   */
+  const fetchMessages = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await kafkaAPI.getMessages(topic.id, { limit, server });
+      setMessages(toKafkaMessages(response.data));
+    } catch (err) {
+      console.error('Error fetching Kafka messages:', err);
+      setError(getErrorMessage(err, 'Failed to fetch messages'));
+    } finally {
+      setLoading(false);
+    }
+  }, [topic.id, limit, server]);
+
+  const stopTail = useCallback(() => {
+    if (stopTailRef.current) {
+      stopTailRef.current();
+      stopTailRef.current = null;
+    }
+    setTailState('off');
+  }, []);
+
+  /**
+   * Start following new messages; they are added on top of the list
+   */
+  const startTail = () => {
+    setError(null);
+    setTailState('connecting');
+    stopTailRef.current = tailKafkaTopic(topic.id, {
+      server,
+      onOpen: () => setTailState('live'),
+      onMessage: (message) => setMessages(prev => [message, ...prev].slice(0, TAIL_BUFFER)),
+      onClose: (err) => {
+        stopTailRef.current = null;
+        setTailState('off');
+        setError(err ? `Live tail stopped: ${err.message}` : 'Live tail ended by the server');
+      }
+    });
+  };
+
+  // Peek when the panel opens or the topic, limit or catalog changes
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  // Stop tailing when the panel closes or shows another topic
+  useEffect(() => stopTail, [topic.id, server, stopTail]);
+
+  const tailing = tailState !== 'off';
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">
+          <Eye size={20} />
+          Messages: {topic.title || topic.name}
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          {tailState === 'live' && (
+            <span className="status-indicator status-success">Live</span>
+          )}
+          <select
+            value={limit}
+            onChange={(e) => setLimit(Number(e.target.value))}
+            className="form-select"
+            style={{ width: 'auto' }}
+            disabled={tailing}
+            title="Number of messages to fetch"
+          >
+            {PEEK_LIMITS.map(value => (
+              <option key={value} value={value}>Latest {value}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchMessages}
+            className="btn btn-secondary"
+            disabled={loading || tailing}
+          >
+            <RefreshCw size={16} />
+            Peek
+          </button>
+          <button
+            onClick={tailing ? stopTail : startTail}
+            className={tailing ? 'btn btn-danger' : 'btn btn-primary'}
+          >
+            {tailing ? <Square size={16} /> : <Play size={16} />}
+            {tailing ? 'Stop' : 'Live tail'}
+          </button>
+          <button onClick={onClose} className="btn btn-secondary">
+            <X size={16} />
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '2rem' }}>
+          <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
+          <p style={{ marginTop: '1rem' }}>Fetching messages...</p>
+        </div>
+      ) : messages.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '2rem', color: '#64748b' }}>
+          {tailState === 'connecting' ? 'Connecting...' : tailing ? 'Waiting for new messages...' : 'No messages'}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxHeight: '500px', overflowY: 'auto' }}>
+          {messages.map((message, index) => (
+            <div
+              key={`${message.partition}-${message.offset}-${index}`}
+              style={{ border: '1px solid #e2e8f0', borderRadius: '6px', padding: '0.75rem' }}
+            >
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', fontSize: '0.75rem', color: '#64748b', marginBottom: '0.5rem' }}>
+                {message.partition !== null && <span>Partition {message.partition}</span>}
+                {message.offset !== null && <span>Offset {message.offset}</span>}
+                {message.key !== null && <span>Key <code>{formatValue(message.key)}</code></span>}
+                {formatTimestamp(message.timestamp) && <span>{formatTimestamp(message.timestamp)}</span>}
+              </div>
+              <pre style={{
+                margin: 0,
+                backgroundColor: '#f8fafc',
+                padding: '0.75rem',
+                borderRadius: '4px',
+                fontSize: '0.8rem',
+                overflowX: 'auto',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word'
+              }}>
+                {formatValue(message.value)}
+              </pre>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KafkaPeekPanel;
@@ -1,10 +1,12 @@
 import React from 'react';
 import Navigation from './Navigation';
+import SessionBanner from './SessionBanner';
+import NotificationCenter from './NotificationCenter';
 import Footer from './Footer';
 
 /**
  * Layout component that wraps all pages with consistent structure
- * Includes navigation header, main content area, and NDP footer
+ * Includes navigation header, session banner, main content area, notifications, and NDP footer
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render
@@ -19,6 +21,9 @@ const Layout = ({ children }) => {
       {/* Navigation header */}
       <Navigation />
       
+      {/* Session expiry warning and re-authentication */}
+      <SessionBanner />
+      
       {/* Main content area */}
       <main style={{
         flex: 1,
@@ -35,6 +40,9 @@ const Layout = ({ children }) => {
       
       {/* NDP Footer */}
       <Footer />
+      
+      {/* Toasts and recent error log */}
+      <NotificationCenter />
     </div>
   );
 };
@@ -0,0 +1,75 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { LINK_STATUS, LINK_STATUS_BADGES } from '../utils/linkCheck';
+import { formatBytes } from '../utils/s3Browser';
+
+/**
+ * Short description of a link check: HTTP status, time, redirects, type and size
+ */
+export const describeLinkCheck = (check) => {
+  const details = [];
+  if (check.httpStatus) details.push(`HTTP ${check.httpStatus}`);
+  if (check.responseTime !== null && check.responseTime !== undefined) details.push(`${check.responseTime} ms`);
+  if (check.redirects > 0) details.push(`${check.redirects} redirect${check.redirects === 1 ? '' : 's'}`);
+  if (check.contentType) details.push(check.contentType.split(';')[0]);
+  if (check.contentLength !== null && check.contentLength !== undefined) details.push(formatBytes(check.contentLength));
+  return details;
+};
+
+/**
+ * Link status cell for a URL resource
+ * Shows the status badge, what the check found and when it ran
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.hasUrl - Whether the resource has a URL to check
+ * @param {Object} [props.check] - Stored result from the link checker
+ * @param {boolean} [props.checking] - A check is running
+ * @param {Function} [props.onCheck] - Check this link now
+ */
+const LinkCheckBadge = ({ hasUrl, check, checking, onCheck }) => {
+  if (!hasUrl) {
+    return <span className="status-indicator status-info">No URL</span>;
+  }
+
+  const badge = LINK_STATUS_BADGES[check?.status] || LINK_STATUS_BADGES[LINK_STATUS.UNKNOWN];
+  const details = check ? describeLinkCheck(check) : [];
+
+  return (
+    <div style={{ minWidth: '140px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <span className={`status-indicator ${badge.color}`} title={check?.error || undefined}>
+          {checking && !check ? 'Checking...' : badge.label}
+        </span>
+        {onCheck && (
+          <button
+            onClick={onCheck}
+            className="btn btn-secondary"
+            style={{ padding: '0.125rem 0.375rem' }}
+            disabled={checking}
+            title="Check link now"
+          >
+            <RefreshCw size={12} style={checking ? { animation: 'spin 1s linear infinite' } : undefined} />
+          </button>
+        )}
+      </div>
+
+      {check && (
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+          {details.length > 0 && <div>{details.join(' · ')}</div>}
+          {check.redirects > 0 && check.finalUrl && (
+            <div
+              style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+              title={check.finalUrl}
+            >
+              → {check.finalUrl}
+            </div>
+          )}
+          {check.error && <div style={{ color: '#dc2626' }}>{check.error}</div>}
+          <div>Checked {new Date(check.checkedAt).toLocaleString()}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkCheckBadge;
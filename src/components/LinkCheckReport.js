@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Download, X, ExternalLink, CheckCircle } from 'lucide-react';
+import LinkCheckBadge from './LinkCheckBadge';
+import { downloadFile } from '../utils/download';
+import {
+  LINK_STATUS_BADGES,
+  BROKEN_LINK_STATUSES,
+  filterLinkReport,
+  buildLinkReportCsv
+} from '../utils/linkCheck';
+
+/**
+ * Broken links report of a catalog
+ * Lists the stored link checks, filtered by status (broken and unreachable by
+ * default) and text, and exports the filtered list as CSV.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.entries - Stored link checks of the catalog
+ * @param {string} props.server - Catalog the report belongs to
+ * @param {number|null} props.lastRun - When the whole catalog was last checked
+ * @param {Function} props.onClose - Hide the report
+ */
+const LinkCheckReport = ({ entries, server, lastRun, onClose }) => {
+  const [statuses, setStatuses] = useState(BROKEN_LINK_STATUSES);
+  const [query, setQuery] = useState('');
+
+  const filtered = filterLinkReport(entries, { statuses, query });
+
+  const toggleStatus = (status) => {
+    setStatuses(current => (current.includes(status)
+      ? current.filter(item => item !== status)
+      : [...current, status]));
+  };
+
+  const handleExport = () => {
+    downloadFile(buildLinkReportCsv(filtered), `link-report-${server}-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">
+          Broken Links Report ({filtered.length} of {entries.length})
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={handleExport} className="btn btn-secondary" disabled={filtered.length === 0}>
+            <Download size={16} />
+            Export CSV
+          </button>
+          <button onClick={onClose} className="btn btn-secondary" title="Close report">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+          {Object.entries(LINK_STATUS_BADGES).map(([status, badge]) => (
+            <label key={status} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={statuses.includes(status)}
+                onChange={() => toggleStatus(status)}
+              />
+              <span className={`status-indicator ${badge.color}`}>{badge.label}</span>
+            </label>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="form-input"
+          placeholder="Filter by name, title or URL"
+          style={{ flex: 1, minWidth: '200px' }}
+        />
+      </div>
+
+      <small style={{ color: '#64748b', display: 'block', marginBottom: '0.5rem' }}>
+        {lastRun
+          ? `Whole catalog last checked ${new Date(lastRun).toLocaleString()}.`
+          : 'The whole catalog has not been checked yet. Use Check Links to check every URL resource.'}
+      </small>
+
+      {filtered.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '2rem', color: '#64748b' }}>
+          <CheckCircle size={48} style={{ marginBottom: '1rem', opacity: 0.5 }} />
+          <p>No links match these filters</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Resource</th>
+                <th>URL</th>
+                <th>Link</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(entry => (
+                <tr key={entry.id}>
+                  <td>
+                    <div style={{ fontWeight: '500' }}>{entry.title || entry.name}</div>
+                    {entry.title !== entry.name && (
+                      <div style={{ fontSize: '0.875rem', color: '#64748b' }}>{entry.name}</div>
+                    )}
+                  </td>
+                  <td>
+                    <a
+                      href={entry.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{
+                        color: '#2563eb',
+                        textDecoration: 'none',
+                        fontSize: '0.875rem',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '0.25rem',
+                        maxWidth: '300px',
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap'
+                      }}
+                      title={entry.url}
+                    >
+                      <ExternalLink size={12} />
+                      {entry.url}
+                    </a>
+                  </td>
+                  <td>
+                    <LinkCheckBadge hasUrl check={entry} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkCheckReport;
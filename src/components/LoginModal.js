@@ -5,8 +5,9 @@ import { authAPI } from '../services/api';
 /**
  * Login Modal component for authentication
  * Handles both username/password login and manual token entry
+ * An optional notice explains why the user is asked to sign in
  */
-const LoginModal = ({ isOpen, onClose, onSuccess }) => {
+const LoginModal = ({ isOpen, onClose, onSuccess, notice }) => {
   const [loginMode, setLoginMode] = useState('credentials'); // 'credentials' or 'token'
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -51,16 +52,16 @@ const LoginModal = ({ isOpen, onClose, onSuccess }) => {
       
     } catch (err) {
       console.error('Login error:', err);
-      setError('Login failed: ' + (err.response?.data?.detail || err.message));
+      setError('Login failed: ' + err.message);
     } finally {
       setLoading(false);
     }
   };
 
   /**
-   * Handle manual token entry
+   * Handle manual token entry - validated the same way as credential login
    */
-  const handleTokenLogin = (e) => {
+  const handleTokenLogin = async (e) => {
     e.preventDefault();
     
     if (!manualToken.trim()) {
@@ -69,11 +70,10 @@ const LoginModal = ({ isOpen, onClose, onSuccess }) => {
     }
 
     try {
-      // Save token to localStorage and update API client
-      localStorage.setItem('authToken', manualToken.trim());
-      
-      // The API client will pick up the token from localStorage
-      // via the request interceptor
+      setLoading(true);
+
+      // Validate and save token on the active connection profile
+      await authAPI.setAndValidateToken(manualToken.trim());
       
       onSuccess && onSuccess();
       onClose();
@@ -84,7 +84,9 @@ const LoginModal = ({ isOpen, onClose, onSuccess }) => {
       
     } catch (err) {
       console.error('Token error:', err);
-      setError('Invalid token format');
+      setError(err.message);
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -155,6 +157,14 @@ const LoginModal = ({ isOpen, onClose, onSuccess }) => {
           </button>
         </div>
 
+        {/* Notice */}
+        {notice && (
+          <div className="alert alert-warning" style={{ marginBottom: '1rem' }}>
+            <AlertCircle size={16} />
+            {notice}
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="alert alert-error" style={{ marginBottom: '1rem' }}>
@@ -312,9 +322,17 @@ const LoginModal = ({ isOpen, onClose, onSuccess }) => {
             <button
               type="submit"
               className="btn btn-primary"
+              disabled={loading}
               style={{ width: '100%', marginTop: '1rem' }}
             >
-              Save Token
+              {loading ? (
+                <>
+                  <div className="loading-spinner" />
+                  Validating...
+                </>
+              ) : (
+                'Save Token'
+              )}
             </button>
           </form>
         )}
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import EditorModeToggle from './EditorModeToggle';
+import JsonTextEditor from './JsonTextEditor';
+import FieldError from './FieldError';
+import { mappingToRows, rowsToMapping } from '../utils/processingConfig';
+import { MAPPING_SCHEMA } from '../utils/fieldSchemas';
+
+const EMPTY_ROW = { field: '', target: '' };
+
+/**
+ * Table editor for a { source_field: target_field } mapping
+ * Rows with a missing or repeated source field are reported through onError
+ * and not passed to onChange.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current mapping
+ * @param {Function} props.onChange - Called with the new mapping object
+ * @param {Function} props.onError - Called with the error message, or null when valid
+ */
+const MappingEditor = ({ value, onChange, onError }) => {
+  const [mode, setMode] = useState('form');
+  const [rows, setRows] = useState(() => mappingToRows(value));
+  const [error, setError] = useState(null);
+
+  // Rebuild the rows when the mapping is replaced from outside (edit form opened, JSON view)
+  useEffect(() => {
+    setRows(current => {
+      const { mapping, error: rowsError } = rowsToMapping(current);
+      if (!rowsError && JSON.stringify(mapping) === JSON.stringify(value || {})) return current;
+      return mappingToRows(value);
+    });
+  }, [value]);
+
+  // Always show at least one row to type into
+  const displayRows = rows.length > 0 ? rows : [EMPTY_ROW];
+
+  const reportError = (message) => {
+    setError(message);
+    onError(message);
+  };
+
+  const updateRows = (nextRows) => {
+    setRows(nextRows);
+    const { mapping, error: rowsError } = rowsToMapping(nextRows);
+    reportError(rowsError);
+    if (!rowsError) onChange(mapping);
+  };
+
+  const updateRow = (index, key, text) => {
+    updateRows(displayRows.map((row, rowIndex) => (rowIndex === index ? { ...row, [key]: text } : row)));
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <small style={{ color: '#64748b' }}>Map source fields to target fields</small>
+        <EditorModeToggle mode={mode} onChange={setMode} formLabel="Table" locked={!!error} />
+      </div>
+
+      {mode === 'json' ? (
+        <JsonTextEditor
+          value={value}
+          onChange={onChange}
+          onError={reportError}
+          schema={MAPPING_SCHEMA}
+          placeholder='{"source_field": "target_field"}'
+        />
+      ) : (
+        <>
+          <table className="table" style={{ marginBottom: '0.5rem' }}>
+            <thead>
+              <tr>
+                <th>Source field</th>
+                <th>Target field</th>
+                <th style={{ width: '1%' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {displayRows.map((row, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      value={row.field}
+                      onChange={(e) => updateRow(index, 'field', e.target.value)}
+                      className="form-input"
+                      placeholder="temp_c"
+                      style={{ padding: '0.375rem 0.5rem', fontSize: '0.875rem' }}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={row.target}
+                      onChange={(e) => updateRow(index, 'target', e.target.value)}
+                      className="form-input"
+                      placeholder="temperature"
+                      disabled={row.raw !== undefined}
+                      title={row.raw !== undefined ? 'Not a plain field name - edit it in the JSON view' : undefined}
+                      style={{ padding: '0.375rem 0.5rem', fontSize: '0.875rem', fontFamily: row.raw !== undefined ? 'monospace' : undefined }}
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      onClick={() => updateRows(rows.filter((_, rowIndex) => rowIndex !== index))}
+                      className="btn btn-secondary"
+                      style={{ padding: '0.375rem 0.5rem' }}
+                      disabled={rows.length === 0}
+                      title="Remove row"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={() => setRows([...displayRows, EMPTY_ROW])}
+            className="btn btn-secondary"
+            style={{ padding: '0.375rem 0.75rem', fontSize: '0.875rem' }}
+          >
+            <Plus size={14} />
+            Add row
+          </button>
+          <FieldError message={error} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MappingEditor;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { METRIC_THRESHOLDS, getMetricColor } from '../utils/metrics';
+
+const WIDTH = 300;
+const HEIGHT = 80;
+const THRESHOLD_LINES = [
+  { value: METRIC_THRESHOLDS.warning, color: '#ca8a04' },
+  { value: METRIC_THRESHOLDS.critical, color: '#dc2626' }
+];
+
+// Usage values are percentages, so the y axis is always 0-100
+const toY = (value) => HEIGHT - (Math.min(Math.max(value, 0), 100) / 100) * HEIGHT;
+
+/**
+ * Line chart of one usage metric over time
+ * Draws dashed threshold lines at the warning and critical bands; gaps in the
+ * data (failed or missing samples) split the line.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.samples - Metric history ({ time, cpu, memory, disk })
+ * @param {string} props.metric - Key of the value to draw, e.g. "cpu"
+ * @param {string} props.label - Accessible chart label
+ */
+const MetricChart = ({ samples, metric, label }) => {
+  const values = samples.map(sample => sample[metric]);
+  const known = values.filter(value => value !== null);
+  const latest = known[known.length - 1];
+
+  if (known.length < 2) {
+    return (
+      <div style={{ height: `${HEIGHT}px`, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#94a3b8', fontSize: '0.75rem' }}>
+        Collecting data...
+      </div>
+    );
+  }
+
+  const step = WIDTH / Math.max(samples.length - 1, 1);
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${(index * step).toFixed(1)},${toY(value).toFixed(1)}`);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+
+  const first = new Date(samples[0].time).toLocaleTimeString();
+  const last = new Date(samples[samples.length - 1].time).toLocaleTimeString();
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        style={{ width: '100%', height: `${HEIGHT}px`, backgroundColor: '#f8fafc', borderRadius: '4px' }}
+        role="img"
+        aria-label={`${label}, ${samples.length} samples`}
+      >
+        {THRESHOLD_LINES.map(line => (
+          <line
+            key={line.value}
+            x1="0"
+            x2={WIDTH}
+            y1={toY(line.value)}
+            y2={toY(line.value)}
+            stroke={line.color}
+            strokeWidth="1"
+            strokeDasharray="4 3"
+            opacity="0.6"
+            vectorEffect="non-scaling-stroke"
+          >
+            <title>{line.value}%</title>
+          </line>
+        ))}
+        {segments.map((points, index) => (
+          points.length === 1 ? (
+            <circle key={index} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="1.5" fill={getMetricColor(latest)} />
+          ) : (
+            <polyline
+              key={index}
+              points={points.join(' ')}
+              fill="none"
+              stroke={getMetricColor(latest)}
+              strokeWidth="2"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          )
+        ))}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', color: '#94a3b8', marginTop: '0.25rem' }}>
+        <span>{first}</span>
+        <span>min {Math.min(...known)}% · max {Math.max(...known)}%</span>
+        <span>{last}</span>
+      </div>
+    </div>
+  );
+};
+
+export default MetricChart;
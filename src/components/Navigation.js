@@ -11,8 +11,15 @@ import {
   FileText,
   LogOut,
   FolderOpen,
-  ChevronDown
+  ChevronDown,
+  BookOpen,
+  Upload
 } from 'lucide-react';
+import ServerSelector from './ServerSelector';
+import ProfileSwitcher from './ProfileSwitcher';
+import AppLauncher from './AppLauncher';
+import { authAPI } from '../services/api';
+import { isFeatureEnabled } from '../config';
 
 /**
  * Enhanced navigation component similar to nationaldataplatform.org
@@ -78,7 +85,7 @@ const Navigation = () => {
 
   const handleLogout = () => {
     if (window.confirm('Are you sure you want to logout?')) {
-      localStorage.removeItem('authToken');
+      authAPI.logout();
       window.location.reload();
     }
   };
@@ -342,7 +349,8 @@ const Navigation = () => {
                         textDecoration: 'none',
                         fontSize: '0.9rem',
                         fontWeight: '500', // Always same weight
-                        backgroundColor: 'white'
+                        backgroundColor: 'white',
+                        borderBottom: '1px solid #f3f4f6'
                       }}
                       onMouseOver={(e) => {
                         e.target.style.backgroundColor = '#f9fafb';
@@ -358,6 +366,34 @@ const Navigation = () => {
                       <Database size={18} />
                       <span>S3 Resources</span>
                     </Link>
+
+                    <Link
+                      to="/import"
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '0.75rem',
+                        padding: '1rem 1.25rem',
+                        color: '#374151', // Always same color
+                        textDecoration: 'none',
+                        fontSize: '0.9rem',
+                        fontWeight: '500', // Always same weight
+                        backgroundColor: 'white'
+                      }}
+                      onMouseOver={(e) => {
+                        e.target.style.backgroundColor = '#f9fafb';
+                        e.target.style.color = '#2563eb';
+                        e.target.style.fontWeight = '600';
+                      }}
+                      onMouseOut={(e) => {
+                        e.target.style.backgroundColor = 'white';
+                        e.target.style.color = '#374151';
+                        e.target.style.fontWeight = '500';
+                      }}
+                    >
+                      <Upload size={18} />
+                      <span>Bulk Import</span>
+                    </Link>
                   </div>
                 )}
               </div>
@@ -393,6 +429,37 @@ const Navigation = () => {
                 <span>Services</span>
               </Link>
 
+              {/* Jupyter */}
+              <Link
+                to="/jupyter"
+                onMouseEnter={handleOtherNavEnter}
+                style={{
+                  color: '#6b7280', // Always same color
+                  textDecoration: 'none',
+                  padding: '0.75rem 1rem',
+                  borderRadius: '8px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  fontSize: '0.95rem',
+                  fontWeight: '500', // Always same weight
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+                  backgroundColor: 'transparent',
+                  transition: 'all 0.2s ease'
+                }}
+                onMouseOver={(e) => {
+                  e.target.style.color = '#374151';
+                  e.target.style.fontWeight = '600';
+                }}
+                onMouseOut={(e) => {
+                  e.target.style.color = '#6b7280';
+                  e.target.style.fontWeight = '500';
+                }}
+              >
+                <BookOpen size={18} />
+                <span>Jupyter</span>
+              </Link>
+
               {/* Search */}
               <Link
                 to="/search"
@@ -426,13 +493,22 @@ const Navigation = () => {
             </div>
           </nav>
 
-          {/* Right: NSF Logo + Logout Button */}
+          {/* Right: Profile + Server Selectors + NSF Logo + Logout Button */}
           <div style={{ 
             display: 'flex', 
             alignItems: 'center', 
             gap: '1.5rem',
             flex: '0 0 auto'
           }}>
+            {/* Apps and registered services */}
+            {isFeatureEnabled('appLauncher') && <AppLauncher />}
+
+            {/* NDP-EP API instance in use */}
+            {isFeatureEnabled('connectionProfiles') && <ProfileSwitcher />}
+
+            {/* Catalog used by the management pages */}
+            {isFeatureEnabled('serverSelector') && <ServerSelector />}
+
             {/* NSF Logo */}
             <img 
               src="https://nationaldataplatform.org/nsf-logo.png"
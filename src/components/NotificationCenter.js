@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, AlertCircle, AlertTriangle, Info, X, Bug, Copy, Trash2 } from 'lucide-react';
+import {
+  subscribe,
+  getToasts,
+  dismissToast,
+  getErrorLog,
+  clearErrorLog,
+  formatErrorReport
+} from '../services/notifications';
+
+// Toast colors follow the alert styles in global.css
+const TOAST_STYLES = {
+  success: { className: 'alert-success', Icon: CheckCircle },
+  info: { className: 'alert-info', Icon: Info },
+  warning: { className: 'alert-warning', Icon: AlertTriangle },
+  error: { className: 'alert-error', Icon: AlertCircle }
+};
+
+/**
+ * Notification center rendered once in Layout
+ * Shows toasts in the bottom-right corner and a panel with recent API
+ * failures that can be copied into a bug report
+ */
+const NotificationCenter = () => {
+  const [toasts, setToasts] = useState(getToasts);
+  const [errorLog, setErrorLog] = useState(getErrorLog);
+  const [showLog, setShowLog] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => subscribe(() => {
+    setToasts(getToasts());
+    setErrorLog(getErrorLog());
+  }), []);
+
+  /**
+   * Copy one entry (or the whole log) to the clipboard
+   */
+  const handleCopy = async (entries, key) => {
+    try {
+      await navigator.clipboard.writeText(formatErrorReport(entries));
+      setCopied(key);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (err) {
+      console.error('Copy to clipboard failed:', err);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: '1rem',
+      bottom: '1rem',
+      zIndex: 1100,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      gap: '0.5rem',
+      maxWidth: 'calc(100vw - 2rem)'
+    }}>
+      {/* Toasts */}
+      {toasts.map(toast => {
+        const { className, Icon } = TOAST_STYLES[toast.type] || TOAST_STYLES.info;
+        return (
+          <div
+            key={toast.id}
+            className={`alert ${className}`}
+            role={toast.type === 'error' ? 'alert' : 'status'}
+            style={{
+              margin: 0,
+              width: '380px',
+              maxWidth: '100%',
+              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+              alignItems: 'flex-start'
+            }}
+          >
+            <Icon size={18} style={{ flexShrink: 0, marginTop: '0.1rem' }} />
+            <span style={{ flex: 1, wordBreak: 'break-word' }}>{toast.message}</span>
+            <button
+              onClick={() => dismissToast(toast.id)}
+              title="Dismiss"
+              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0 }}
+            >
+              <X size={16} />
+            </button>
+          </div>
+        );
+      })}
+
+      {/* Error Log Panel */}
+      {showLog && (
+        <div className="card" style={{
+          margin: 0,
+          width: '480px',
+          maxWidth: '100%',
+          maxHeight: '60vh',
+          overflow: 'auto',
+          boxShadow: '0 10px 25px rgba(0, 0, 0, 0.15)'
+        }}>
+          <div className="card-header">
+            <h3 className="card-title">
+              <Bug size={18} />
+              Recent Errors
+            </h3>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleCopy(errorLog, 'all')}
+                disabled={errorLog.length === 0}
+              >
+                <Copy size={14} />
+                {copied === 'all' ? 'Copied!' : 'Copy all'}
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={clearErrorLog}
+                disabled={errorLog.length === 0}
+              >
+                <Trash2 size={14} />
+                Clear
+              </button>
+              <button className="btn btn-secondary" onClick={() => setShowLog(false)} title="Close">
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+
+          {errorLog.length === 0 ? (
+            <p style={{ color: '#64748b', margin: 0 }}>No errors recorded.</p>
+          ) : (
+            errorLog.map((entry, index) => (
+              <div
+                key={`${entry.timestamp}-${index}`}
+                style={{
+                  borderTop: index === 0 ? 'none' : '1px solid #e2e8f0',
+                  padding: '0.75rem 0',
+                  fontSize: '0.875rem'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                  <code style={{ wordBreak: 'break-all' }}>
+                    {entry.method} {entry.url}
+                  </code>
+                  <span className="status-indicator status-error" style={{ flexShrink: 0 }}>
+                    {entry.status || 'Network'}
+                  </span>
+                </div>
+                <div style={{ color: '#374151', margin: '0.25rem 0' }}>{entry.message}</div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <small style={{ color: '#64748b' }}>
+                    {new Date(entry.timestamp).toLocaleString()} · {entry.page}
+                  </small>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleCopy([entry], index)}
+                    style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                  >
+                    <Copy size={12} />
+                    {copied === index ? 'Copied!' : 'Copy'}
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {/* Error Log Toggle */}
+      {errorLog.length > 0 && !showLog && (
+        <button
+          className="btn btn-secondary"
+          onClick={() => setShowLog(true)}
+          title="Show recent API errors"
+          style={{ boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)' }}
+        >
+          <Bug size={16} />
+          Errors ({errorLog.length})
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { PAGE_SIZE_OPTIONS } from '../utils/pagination';
+
+// Number of page buttons shown on each side of the current page
+const PAGE_WINDOW = 2;
+
+/**
+ * Build the list of page numbers to show, with null marking a gap
+ */
+const getPageNumbers = (page, pageCount) => {
+  const pages = [];
+  for (let number = 1; number <= pageCount; number++) {
+    if (number === 1 || number === pageCount || Math.abs(number - page) <= PAGE_WINDOW) {
+      pages.push(number);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+};
+
+/**
+ * Page navigation for resource listings
+ * Shows the total count, page buttons and a page-size selector
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.pageSize - Items per page
+ * @param {number} props.total - Total number of matching items
+ * @param {Function} props.onPageChange - Called with the new page
+ * @param {Function} props.onPageSizeChange - Called with the new page size
+ * @param {string} [props.itemLabel] - Plural label for the items, e.g. "topics"
+ */
+const Pagination = ({ page, pageSize, total, onPageChange, onPageSizeChange, itemLabel = 'items' }) => {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  const buttonStyle = { padding: '0.375rem 0.75rem', minWidth: '2.25rem', justifyContent: 'center' };
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '1rem',
+      paddingTop: '1rem',
+      borderTop: '1px solid #e2e8f0',
+      marginTop: '1rem',
+      fontSize: '0.875rem',
+      color: '#64748b'
+    }}>
+      <span>
+        Showing {first}–{last} of {total} {itemLabel}
+      </span>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+        <button
+          className="btn btn-secondary"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          title="Previous page"
+          style={buttonStyle}
+        >
+          <ChevronLeft size={14} />
+        </button>
+
+        {getPageNumbers(page, pageCount).map((number, index) => (
+          number === null ? (
+            <span key={`gap-${index}`} style={{ padding: '0 0.25rem' }}>…</span>
+          ) : (
+            <button
+              key={number}
+              className={`btn ${number === page ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => onPageChange(number)}
+              aria-current={number === page ? 'page' : undefined}
+              style={buttonStyle}
+            >
+              {number}
+            </button>
+          )
+        ))}
+
+        <button
+          className="btn btn-secondary"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          title="Next page"
+          style={buttonStyle}
+        >
+          <ChevronRight size={14} />
+        </button>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        Per page
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          className="form-select"
+          style={{ width: 'auto', padding: '0.375rem 0.5rem' }}
+        >
+          {PAGE_SIZE_OPTIONS.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default Pagination;
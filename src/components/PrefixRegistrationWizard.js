@@ -0,0 +1,536 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FolderPlus, FolderOpen, X, AlertCircle, CheckCircle, ArrowLeft, ArrowRight, Play, Square } from 'lucide-react';
+import { s3API, datasetAPI } from '../services/api';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess } from '../services/notifications';
+import { listObjectsUnder } from '../services/s3Browser';
+import { runWithConcurrency } from '../utils/concurrency';
+import { formatBytes, parseS3Uri } from '../utils/s3Browser';
+import {
+  REGISTRATION_MODES,
+  TEMPLATE_PLACEHOLDERS,
+  buildPathFilter,
+  buildObjectDatasets,
+  buildPrefixDataset,
+  toPackageName
+} from '../utils/s3Prefix';
+import S3Browser from './S3Browser';
+
+const STEPS = ['Source', 'Filter and names', 'Register'];
+
+// Create requests sent at the same time in "one dataset per object" mode
+const CONCURRENCY = 4;
+
+const RESULT_BADGES = {
+  pending: { label: 'Queued', color: 'status-info' },
+  running: { label: 'Creating...', color: 'status-info' },
+  created: { label: 'Created', color: 'status-success' },
+  failed: { label: 'Failed', color: 'status-error' },
+  skipped: { label: 'Skipped', color: 'status-warning' }
+};
+
+const toResult = (result) => {
+  if (result.status === 'fulfilled') return { status: 'created' };
+  if (result.status === 'skipped') return { status: 'skipped', message: 'Stopped before this object was sent' };
+  return { status: 'failed', message: getErrorMessage(result.reason, 'Create request failed') };
+};
+
+/**
+ * Wizard registering every object under an S3 prefix
+ * Lists the objects through the NDP-EP API, filters them by glob or regular
+ * expression, names them from templates and creates either one S3 resource per
+ * object or one dataset with a resource per object.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.organizations - Organization names of the catalog
+ * @param {string} props.server - Catalog to create the datasets in
+ * @param {Function} props.onClose - Close the wizard
+ * @param {Function} props.onComplete - Called after a registration created something
+ */
+const PrefixRegistrationWizard = ({ organizations, server, onClose, onComplete }) => {
+  const [step, setStep] = useState(0);
+
+  // Source
+  const [uri, setUri] = useState('');
+  const [recursive, setRecursive] = useState(true);
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [listing, setListing] = useState(null); // { bucket, prefix, objects }
+  const [listingState, setListingState] = useState({ loading: false, count: 0, error: null });
+
+  // Filter and names
+  const [syntax, setSyntax] = useState('glob');
+  const [pattern, setPattern] = useState('');
+  const [mode, setMode] = useState('datasets');
+  const [nameTemplate, setNameTemplate] = useState('{folder}-{name}');
+  const [titleTemplate, setTitleTemplate] = useState('{file}');
+  const [ownerOrg, setOwnerOrg] = useState('');
+  const [notes, setNotes] = useState('');
+  const [datasetName, setDatasetName] = useState('');
+  const [datasetTitle, setDatasetTitle] = useState('');
+
+  // Register
+  const [results, setResults] = useState({}); // { [key]: { status, message } }
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const stopRef = useRef(false);
+
+  // Don't start new requests after the wizard closes
+  useEffect(() => () => {
+    stopRef.current = true;
+  }, []);
+
+  const filterCheck = useMemo(() => {
+    try {
+      return { matches: buildPathFilter(pattern, syntax) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [pattern, syntax]);
+
+  const matched = useMemo(() => {
+    if (!listing || !filterCheck.matches) return [];
+    return listing.objects.filter(object => filterCheck.matches(object.key.slice(listing.prefix.length)));
+  }, [listing, filterCheck]);
+
+  const rows = useMemo(() => (
+    listing && mode === 'datasets'
+      ? buildObjectDatasets(matched, { ...listing, nameTemplate, titleTemplate, owner_org: ownerOrg, notes: notes.trim() })
+      : []
+  ), [listing, mode, matched, nameTemplate, titleTemplate, ownerOrg, notes]);
+
+  const dataset = useMemo(() => (
+    listing && mode === 'resources'
+      ? buildPrefixDataset(matched, { ...listing, name: datasetName, title: datasetTitle, titleTemplate, owner_org: ownerOrg, notes: notes.trim() })
+      : null
+  ), [listing, mode, matched, datasetName, datasetTitle, titleTemplate, ownerOrg, notes]);
+
+  const invalidCount = mode === 'datasets'
+    ? rows.filter(row => row.errors.length > 0).length
+    : (dataset?.errors.length ? 1 : 0);
+  const pendingRows = rows.filter(row => row.errors.length === 0 && results[row.key]?.status !== 'created');
+  const canRegister = mode === 'datasets'
+    ? pendingRows.length > 0
+    : !!dataset && dataset.errors.length === 0 && results[dataset.data.name]?.status !== 'created';
+
+  /**
+   * List the objects below the entered prefix and move on to the filter step
+   */
+  const handleList = async () => {
+    const location = parseS3Uri(uri);
+    if (!location) {
+      setListingState({ loading: false, count: 0, error: 'Enter an s3://bucket/prefix/ URL' });
+      return;
+    }
+
+    // A prefix without a trailing "/" is treated as a folder
+    const prefix = location.key && !location.key.endsWith('/') ? `${location.key}/` : location.key;
+    setListingState({ loading: true, count: 0, error: null });
+    try {
+      const { objects, truncated } = await listObjectsUnder(location.bucket, prefix, {
+        recursive,
+        onProgress: (count) => setListingState(prev => ({ ...prev, count }))
+      });
+      setListing({ bucket: location.bucket, prefix, objects, truncated });
+      setResults({});
+      setDatasetName(prev => prev || toPackageName(`${location.bucket}-${prefix}`));
+      setDatasetTitle(prev => prev || `${location.bucket}/${prefix}`);
+      setListingState({ loading: false, count: objects.length, error: null });
+      setStep(1);
+    } catch (err) {
+      console.error('Error listing S3 prefix:', err);
+      setListingState({ loading: false, count: 0, error: getErrorMessage(err, `Failed to list ${uri}`) });
+    }
+  };
+
+  const setResult = (key, result) => setResults(prev => ({ ...prev, [key]: result }));
+
+  /**
+   * Create one S3 resource per object that is not created yet
+   */
+  const registerObjects = async () => {
+    const targets = pendingRows;
+    if (!window.confirm(`Create ${targets.length} S3 resources on the ${server} catalog?`)) return;
+
+    stopRef.current = false;
+    setRunning(true);
+    setProgress({ done: 0, total: targets.length });
+    setResults(prev => ({ ...prev, ...Object.fromEntries(targets.map(row => [row.key, { status: 'pending' }])) }));
+
+    const outcome = await runWithConcurrency(targets, (row) => {
+      setResult(row.key, { status: 'running' });
+      return s3API.create(row.data, server);
+    }, {
+      limit: CONCURRENCY,
+      shouldStop: () => stopRef.current,
+      onSettled: (index, result) => {
+        setResult(targets[index].key, toResult(result));
+        setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+      }
+    });
+    setRunning(false);
+
+    const created = outcome.filter(result => result.status === 'fulfilled').length;
+    const failed = outcome.filter(result => result.status === 'rejected').length;
+    const skipped = outcome.filter(result => result.status === 'skipped').length;
+    if (failed > 0 || skipped > 0) {
+      notify('error', `${created} created, ${failed} failed, ${skipped} not started. See the list for details.`);
+    } else {
+      notifySuccess(`${created} S3 resources created`);
+    }
+    if (created > 0) onComplete();
+  };
+
+  /**
+   * Create one dataset with a resource per object
+   */
+  const registerDataset = async () => {
+    const { data } = dataset;
+    if (!window.confirm(`Create dataset "${data.name}" with ${data.resources.length} resources on the ${server} catalog?`)) return;
+
+    setRunning(true);
+    setProgress({ done: 0, total: 1 });
+    setResult(data.name, { status: 'running' });
+    try {
+      await datasetAPI.create(data, server);
+      setResult(data.name, { status: 'created' });
+      notifySuccess(`Dataset "${data.name}" created with ${data.resources.length} resources`);
+      onComplete();
+    } catch (err) {
+      console.error('Error creating dataset:', err);
+      setResult(data.name, { status: 'failed', message: getErrorMessage(err, 'Create request failed') });
+      notify('error', getErrorMessage(err, 'Failed to create dataset'));
+    } finally {
+      setProgress({ done: 1, total: 1 });
+      setRunning(false);
+    }
+  };
+
+  const renderStatus = (key, errors) => {
+    if (errors.length > 0) {
+      return (
+        <div>
+          <span className="status-indicator status-error">Invalid</span>
+          <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1rem', fontSize: '0.75rem', color: '#dc2626' }}>
+            {errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        </div>
+      );
+    }
+
+    const result = results[key];
+    const badge = RESULT_BADGES[result?.status] || { label: 'Ready', color: 'status-success' };
+    return (
+      <div>
+        <span className={`status-indicator ${badge.color}`}>{badge.label}</span>
+        {result?.message && (
+          <div style={{ fontSize: '0.75rem', color: result.status === 'failed' ? '#dc2626' : '#64748b', marginTop: '0.25rem' }}>
+            {result.message}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSource = () => (
+    <>
+      <div className="form-group">
+        <label className="form-label">S3 prefix *</label>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <input
+            type="text"
+            value={uri}
+            onChange={(e) => setUri(e.target.value)}
+            className="form-input"
+            placeholder="s3://my-bucket/experiments/run-42/"
+          />
+          <button type="button" onClick={() => setShowBrowser(!showBrowser)} className="btn btn-secondary">
+            <FolderOpen size={16} />
+            Browse
+          </button>
+        </div>
+        {showBrowser && (
+          <S3Browser
+            initialUri={uri}
+            onSelect={(selected) => {
+              setUri(selected);
+              setShowBrowser(false);
+            }}
+            onClose={() => setShowBrowser(false)}
+          />
+        )}
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', marginBottom: '1rem' }}>
+        <input type="checkbox" checked={recursive} onChange={(e) => setRecursive(e.target.checked)} />
+        Include objects in subfolders
+      </label>
+
+      {listingState.error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          {listingState.error}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem' }}>
+        {listingState.loading && (
+          <small style={{ color: '#64748b' }}>{listingState.count} objects found so far...</small>
+        )}
+        <button type="button" onClick={handleList} className="btn btn-primary" disabled={!uri.trim() || listingState.loading}>
+          List objects
+          <ArrowRight size={16} />
+        </button>
+      </div>
+    </>
+  );
+
+  const renderConfigure = () => (
+    <>
+      <div className="grid grid-2">
+        <div className="form-group">
+          <label className="form-label">Filter</label>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select value={syntax} onChange={(e) => setSyntax(e.target.value)} className="form-select" style={{ width: 'auto' }}>
+              <option value="glob">Glob</option>
+              <option value="regex">Regex</option>
+            </select>
+            <input
+              type="text"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              className="form-input"
+              placeholder={syntax === 'glob' ? '*.csv or 2024/**/*.json' : '^sensors/.*\\.csv$'}
+            />
+          </div>
+          {listing.truncated && (
+            <div className="alert alert-warning" style={{ marginBottom: '0.5rem' }}>
+              <AlertCircle size={16} />
+              The API cut short the listing of at least one folder, so some objects under this prefix are missing.
+            </div>
+          )}
+          {filterCheck.error ? (
+            <small style={{ color: '#dc2626' }}>{filterCheck.error}</small>
+          ) : (
+            <small style={{ color: '#64748b' }}>
+              {matched.length} of {listing.objects.length} objects under {`s3://${listing.bucket}/${listing.prefix}`} match.
+              {syntax === 'glob' && ' Globs without "/" match the file name in any folder.'}
+            </small>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Create</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className="form-select">
+            {Object.entries(REGISTRATION_MODES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-2">
+        {mode === 'datasets' ? (
+          <div className="form-group">
+            <label className="form-label">Name template *</label>
+            <input type="text" value={nameTemplate} onChange={(e) => setNameTemplate(e.target.value)} className="form-input" />
+            <small style={{ color: '#64748b' }}>Converted to lowercase letters, numbers, - and _</small>
+          </div>
+        ) : (
+          <div className="form-group">
+            <label className="form-label">Dataset name *</label>
+            <input type="text" value={datasetName} onChange={(e) => setDatasetName(e.target.value)} className="form-input" />
+          </div>
+        )}
+
+        {mode === 'datasets' ? (
+          <div className="form-group">
+            <label className="form-label">Title template *</label>
+            <input type="text" value={titleTemplate} onChange={(e) => setTitleTemplate(e.target.value)} className="form-input" />
+          </div>
+        ) : (
+          <div className="form-group">
+            <label className="form-label">Dataset title *</label>
+            <input type="text" value={datasetTitle} onChange={(e) => setDatasetTitle(e.target.value)} className="form-input" />
+          </div>
+        )}
+      </div>
+
+      {mode === 'resources' && (
+        <div className="form-group">
+          <label className="form-label">Resource name template</label>
+          <input type="text" value={titleTemplate} onChange={(e) => setTitleTemplate(e.target.value)} className="form-input" />
+        </div>
+      )}
+
+      <p style={{ fontSize: '0.75rem', color: '#64748b', margin: '-0.5rem 0 1rem' }}>
+        Placeholders: {Object.entries(TEMPLATE_PLACEHOLDERS).map(([key, label], index) => (
+          <span key={key}>
+            {index > 0 && ', '}
+            <code>{`{${key}}`}</code> {label.toLowerCase()}
+          </span>
+        ))}
+      </p>
+
+      <div className="grid grid-2">
+        <div className="form-group">
+          <label className="form-label">Organization *</label>
+          <select value={ownerOrg} onChange={(e) => setOwnerOrg(e.target.value)} className="form-select">
+            <option value="">Select an organization</option>
+            {organizations.map(org => (
+              <option key={org} value={org}>{org}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Description</label>
+          <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className="form-input" />
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <button type="button" onClick={() => setStep(0)} className="btn btn-secondary">
+          <ArrowLeft size={16} />
+          Back
+        </button>
+        <button type="button" onClick={() => setStep(2)} className="btn btn-primary" disabled={!!filterCheck.error || matched.length === 0}>
+          Review
+          <ArrowRight size={16} />
+        </button>
+      </div>
+    </>
+  );
+
+  const renderRegister = () => (
+    <>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginBottom: '1rem', fontSize: '0.875rem' }}>
+        <span style={{ color: '#374151' }}>
+          {mode === 'datasets'
+            ? `${rows.length} S3 resources`
+            : `Dataset "${dataset.data.name}" with ${dataset.data.resources.length} resources`} on the {server} catalog
+        </span>
+        {invalidCount > 0 && (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#dc2626' }}>
+            <AlertCircle size={16} />
+            {mode === 'datasets' ? `${invalidCount} invalid, not created` : 'Fix the errors before registering'}
+          </span>
+        )}
+      </div>
+
+      {running && (
+        <div style={{ marginBottom: '1rem' }}>
+          <div style={{ height: '8px', backgroundColor: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${(progress.done / progress.total) * 100}%`,
+              height: '100%',
+              backgroundColor: '#2563eb',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+          <small style={{ color: '#64748b' }}>{progress.done} of {progress.total} sent</small>
+        </div>
+      )}
+
+      {mode === 'resources' && (
+        <div style={{ marginBottom: '1rem' }}>
+          {renderStatus(dataset.data.name, dataset.errors)}
+        </div>
+      )}
+
+      <div className="table-container" style={{ maxHeight: '450px', overflowY: 'auto' }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Object</th>
+              <th>Size</th>
+              {mode === 'datasets' ? <th>Name</th> : <th>Resource name</th>}
+              {mode === 'datasets' && <th>Title</th>}
+              {mode === 'datasets' && <th>Status</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {mode === 'datasets' ? rows.map((row, index) => (
+              <tr key={row.key}>
+                <td style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>{row.key}</td>
+                <td style={{ fontSize: '0.875rem', whiteSpace: 'nowrap' }}>{formatBytes(matched[index].size)}</td>
+                <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>{row.name || '—'}</td>
+                <td style={{ fontSize: '0.875rem' }}>{row.title || '—'}</td>
+                <td>{renderStatus(row.key, row.errors)}</td>
+              </tr>
+            )) : dataset.data.resources.map((resource, index) => (
+              <tr key={resource.url}>
+                <td style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>{matched[index].key}</td>
+                <td style={{ fontSize: '0.875rem', whiteSpace: 'nowrap' }}>{formatBytes(matched[index].size)}</td>
+                <td style={{ fontSize: '0.875rem' }}>{resource.name}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+        <button type="button" onClick={() => setStep(1)} className="btn btn-secondary" disabled={running}>
+          <ArrowLeft size={16} />
+          Back
+        </button>
+        {running ? (
+          <button type="button" onClick={() => { stopRef.current = true; }} className="btn btn-danger" disabled={mode === 'resources'}>
+            <Square size={16} />
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={mode === 'datasets' ? registerObjects : registerDataset}
+            className="btn btn-primary"
+            disabled={!canRegister}
+          >
+            <Play size={16} />
+            {mode === 'datasets'
+              ? `Create ${pendingRows.length} ${pendingRows.length === 1 ? 'resource' : 'resources'}`
+              : 'Create dataset'}
+          </button>
+        )}
+      </div>
+    </>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">
+          <FolderPlus size={20} />
+          Register S3 Prefix
+        </h3>
+        <button onClick={onClose} className="btn btn-secondary" disabled={running}>
+          <X size={16} />
+          Close
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '1.5rem', marginBottom: '1.25rem', fontSize: '0.875rem' }}>
+        {STEPS.map((label, index) => (
+          <span
+            key={label}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.375rem',
+              color: index === step ? '#1e293b' : '#94a3b8',
+              fontWeight: index === step ? 600 : 'normal'
+            }}
+          >
+            {index < step ? <CheckCircle size={16} style={{ color: '#16a34a' }} /> : `${index + 1}.`}
+            {label}
+          </span>
+        ))}
+      </div>
+
+      {step === 0 && renderSource()}
+      {step === 1 && listing && renderConfigure()}
+      {step === 2 && listing && renderRegister()}
+    </div>
+  );
+};
+
+export default PrefixRegistrationWizard;
@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import EditorModeToggle from './EditorModeToggle';
+import JsonTextEditor from './JsonTextEditor';
+import FieldError from './FieldError';
+import {
+  DELIMITERS,
+  PROCESSING_FIELDS,
+  getProcessingSchema,
+  getProcessingInputValue,
+  setProcessingField,
+  validateProcessing
+} from '../utils/processingConfig';
+
+const inputStyle = { padding: '0.5rem', fontSize: '0.875rem' };
+
+/**
+ * Form for the processing settings of a file type
+ * Shows the fields the NDP-EP API reads for that type (CSV delimiter and lines,
+ * NetCDF variables, JSON data path, stream settings); other keys are kept and
+ * can be edited in the JSON view.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.fileType - CSV, TXT, JSON, NetCDF or stream; empty for auto-detect
+ * @param {Object} props.value - Current processing settings
+ * @param {Function} props.onChange - Called with the new settings object
+ * @param {Function} props.onError - Called with the error message, or null when valid
+ */
+const ProcessingEditor = ({ fileType, value, onChange, onError }) => {
+  const fields = PROCESSING_FIELDS[fileType];
+  const schema = useMemo(() => getProcessingSchema(fileType), [fileType]);
+  const [mode, setMode] = useState(fields ? 'form' : 'json');
+  const [jsonError, setJsonError] = useState(null);
+  const [customDelimiter, setCustomDelimiter] = useState(false);
+
+  const processing = value || {};
+  const validationError = jsonError || validateProcessing(processing, fileType);
+  const otherKeys = Object.keys(processing).filter(key => !fields?.some(field => field.name === key));
+
+  const handleJsonError = (message) => {
+    setJsonError(message);
+    onError(message);
+  };
+
+  const handleChange = (next) => {
+    onChange(next);
+    onError(validateProcessing(next, fileType));
+  };
+
+  const renderInput = (field) => {
+    const inputValue = getProcessingInputValue(processing, field);
+
+    if (field.type === 'delimiter') {
+      const known = DELIMITERS.some(delimiter => delimiter.value === inputValue);
+      const custom = customDelimiter || (!known && inputValue !== '');
+      return (
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <select
+            value={custom ? 'other' : inputValue}
+            onChange={(e) => {
+              const other = e.target.value === 'other';
+              setCustomDelimiter(other);
+              handleChange(setProcessingField(processing, field, other ? '' : e.target.value));
+            }}
+            className="form-select"
+            style={inputStyle}
+          >
+            <option value="">Default</option>
+            {DELIMITERS.map(delimiter => (
+              <option key={delimiter.label} value={delimiter.value}>{delimiter.label}</option>
+            ))}
+            <option value="other">Other...</option>
+          </select>
+          {custom && (
+            <input
+              type="text"
+              value={inputValue}
+              onChange={(e) => handleChange(setProcessingField(processing, field, e.target.value))}
+              className="form-input"
+              style={{ ...inputStyle, width: '5rem', fontFamily: 'monospace' }}
+              maxLength={3}
+              placeholder="e.g. ~"
+            />
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        inputMode={field.type === 'integer' ? 'numeric' : undefined}
+        value={inputValue}
+        onChange={(e) => handleChange(setProcessingField(processing, field, e.target.value))}
+        className="form-input"
+        placeholder={field.placeholder}
+        style={inputStyle}
+      />
+    );
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <small style={{ color: '#64748b' }}>
+          {fields ? `Settings for ${fileType} sources` : 'Select a file type to use the form'}
+        </small>
+        {fields && <EditorModeToggle mode={mode} onChange={setMode} locked={!!jsonError} />}
+      </div>
+
+      {mode === 'json' || !fields ? (
+        <JsonTextEditor
+          value={processing}
+          onChange={handleChange}
+          onError={handleJsonError}
+          schema={schema}
+          placeholder='{"delimiter": ",", "header_line": 1, "start_line": 2}'
+        />
+      ) : (
+        <>
+          <div className="grid grid-2" style={{ gap: '0.75rem' }}>
+            {fields.map(field => (
+              <div key={field.name}>
+                <label className="form-label" style={{ fontSize: '0.875rem', marginBottom: '0.25rem' }}>
+                  {field.label}
+                </label>
+                {renderInput(field)}
+                {field.help && <small style={{ color: '#94a3b8' }}>{field.help}</small>}
+              </div>
+            ))}
+          </div>
+          {otherKeys.length > 0 && (
+            <small style={{ color: '#64748b', display: 'block', marginTop: '0.5rem' }}>
+              Also set in JSON: {otherKeys.join(', ')}
+            </small>
+          )}
+        </>
+      )}
+      {!jsonError && <FieldError message={validationError} />}
+    </div>
+  );
+};
+
+export default ProcessingEditor;
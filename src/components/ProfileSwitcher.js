@@ -0,0 +1,58 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { profilesAPI } from '../services/api';
+
+/**
+ * Connection profile switcher shown in the navigation header
+ * Switching reloads the app so AuthGuard re-checks the selected API
+ * with the token stored for that profile
+ */
+const ProfileSwitcher = () => {
+  const profiles = profilesAPI.list();
+  const activeProfile = profilesAPI.getActive();
+
+  const handleSwitch = (profileId) => {
+    if (profileId === activeProfile.id) return;
+
+    profilesAPI.setActive(profileId);
+    window.location.reload();
+  };
+
+  return (
+    <label
+      title={`Connected to ${activeProfile.baseUrl}`}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        color: '#6b7280',
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+      }}
+    >
+      <Globe size={16} />
+      <select
+        value={activeProfile.id}
+        onChange={(e) => handleSwitch(e.target.value)}
+        style={{
+          padding: '0.5rem 0.75rem',
+          border: '1px solid #d1d5db',
+          borderRadius: '8px',
+          fontSize: '0.875rem',
+          backgroundColor: 'white',
+          color: '#374151',
+          cursor: 'pointer'
+        }}
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>
+            {profile.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ProfileSwitcher;
@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowUpCircle, X, RefreshCw, AlertCircle, Building } from 'lucide-react';
+import { SERVERS, getServerLabel } from '../context/ServerContext';
+import { getErrorMessage } from '../services/errors';
+import { notifySuccess, notifyError } from '../services/notifications';
+import { checkPromotion, createTargetOrganization, promotePackage } from '../services/promote';
+import { RESOURCE_TYPE_BADGES } from '../utils/classifyResource';
+import { getDefaultTarget, validateSuppliedExtras } from '../utils/promote';
+import FieldError from './FieldError';
+
+const cellStyle = { whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.8rem', fontFamily: 'monospace' };
+
+/**
+ * Copy of a package to another catalog (local → pre_ckan → global)
+ * Checks the target for the owner organization and for a package with the same
+ * name, shows how an existing copy differs, asks for the metadata the target
+ * requires that the package lacks, then creates or replaces it through the
+ * create/update endpoint of the package's type.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pkg - Package from the listing
+ * @param {string} props.server - Catalog the package is listed on
+ * @param {Function} props.onClose - Close the panel
+ */
+const PromotePanel = ({ pkg, server, onClose }) => {
+  const [target, setTarget] = useState(() => getDefaultTarget(server));
+  const [check, setCheck] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+  // Values entered for extras the target requires, e.g. Pre-CKAN contacts
+  const [supplied, setSupplied] = useState({});
+
+  const targetLabel = getServerLabel(target);
+
+  /**
+   * Read what the target catalog already has
+   */
+  const runCheck = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setCheck(await checkPromotion(pkg, { source: server, target }));
+    } catch (err) {
+      console.error('Error checking promotion target:', err);
+      setCheck(null);
+      setError(getErrorMessage(err, `Failed to check ${getServerLabel(target)}`));
+    } finally {
+      setLoading(false);
+    }
+  }, [pkg, server, target]);
+
+  useEffect(() => {
+    runCheck();
+  }, [runCheck]);
+
+  const handleCreateOrganization = async () => {
+    try {
+      setWorking(true);
+      await createTargetOrganization(pkg, check.organization, target);
+      notifySuccess(`Organization "${check.organization}" created on ${targetLabel}`);
+      runCheck();
+    } catch (err) {
+      console.error('Error creating organization on target:', err);
+      notifyError(err, `Failed to create organization on ${targetLabel}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePromote = async () => {
+    const displayName = pkg.title || pkg.name;
+    if (check.existing && !window.confirm(
+      `Replace "${displayName}" on ${targetLabel} with the copy from ${getServerLabel(server)}? ${check.diff.length} field(s) will change.`
+    )) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      await promotePackage(check, target, supplied);
+      notifySuccess(`"${displayName}" ${check.existing ? 'updated' : 'created'} on ${targetLabel}`);
+      runCheck();
+    } catch (err) {
+      console.error('Error promoting package:', err);
+      notifyError(err, `Failed to promote to ${targetLabel}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const upToDate = check?.existing && check.diff.length === 0;
+  const missingExtras = check?.missing.extras || [];
+  const problems = check?.missing.problems || [];
+  const suppliedErrors = validateSuppliedExtras(missingExtras, supplied);
+  const incomplete = problems.length > 0 || Object.keys(suppliedErrors).length > 0;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">
+          <ArrowUpCircle size={20} />
+          Promote: {pkg.title || pkg.name}
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <span style={{ fontSize: '0.875rem', color: '#64748b' }}>
+            {getServerLabel(server)} to
+          </span>
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="form-select"
+            style={{ width: 'auto' }}
+            disabled={working}
+          >
+            {SERVERS.filter(option => option.value !== server).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={runCheck} className="btn btn-secondary" disabled={loading || working}>
+            <RefreshCw size={16} />
+            Check again
+          </button>
+          <button onClick={onClose} className="btn btn-secondary">
+            <X size={16} />
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '2rem' }}>
+          <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
+          <p style={{ marginTop: '1rem' }}>Checking {targetLabel}...</p>
+        </div>
+      ) : check && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', fontSize: '0.875rem' }}>
+            <span className={`status-indicator ${RESOURCE_TYPE_BADGES[check.request.type].color}`}>
+              {RESOURCE_TYPE_BADGES[check.request.type].label}
+            </span>
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#374151' }}>
+              <Building size={14} />
+              {check.organization || 'No organization'}
+            </span>
+            {check.organizationExists ? (
+              <span className="status-indicator status-success">Exists on {targetLabel}</span>
+            ) : (
+              <>
+                <span className="status-indicator status-error">Missing on {targetLabel}</span>
+                <button
+                  onClick={handleCreateOrganization}
+                  className="btn btn-secondary"
+                  style={{ padding: '0.375rem 0.75rem' }}
+                  disabled={working}
+                >
+                  Create organization on {targetLabel}
+                </button>
+              </>
+            )}
+          </div>
+
+          {!check.existing ? (
+            <p style={{ margin: 0, color: '#374151' }}>
+              {targetLabel} has no package named <code>{pkg.name}</code>; promoting creates it.
+            </p>
+          ) : upToDate ? (
+            <p style={{ margin: 0, color: '#16a34a' }}>
+              <code>{pkg.name}</code> on {targetLabel} already matches this package.
+            </p>
+          ) : (
+            <div>
+              <p style={{ margin: '0 0 0.5rem', color: '#374151' }}>
+                <code>{pkg.name}</code> already exists on {targetLabel}. Promoting replaces it; these fields differ:
+              </p>
+              <div className="table-container" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>On {targetLabel} now</th>
+                      <th>From {getServerLabel(server)}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {check.diff.map(row => (
+                      <tr key={row.field}>
+                        <td><code>{row.field}</code></td>
+                        <td style={{ ...cellStyle, color: '#dc2626' }}>{row.target || '—'}</td>
+                        <td style={{ ...cellStyle, color: '#16a34a' }}>{row.source || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {problems.map(problem => (
+            <div key={problem} className="alert alert-error" style={{ margin: 0 }}>
+              <AlertCircle size={16} />
+              {problem}
+            </div>
+          ))}
+
+          {missingExtras.length > 0 && (
+            <div>
+              <p style={{ margin: '0 0 0.5rem', color: '#374151' }}>
+                {targetLabel} requires these fields, which the package does not have. They are added to the copy's extras.
+              </p>
+              <div className="grid grid-2">
+                {missingExtras.map(field => (
+                  <div key={field.key} className="form-group">
+                    <label className="form-label">{field.label} *</label>
+                    <input
+                      type={field.type || 'text'}
+                      value={supplied[field.key] || ''}
+                      onChange={(e) => setSupplied(current => ({ ...current, [field.key]: e.target.value }))}
+                      className="form-input"
+                      disabled={working}
+                    />
+                    <FieldError message={supplied[field.key] ? suppliedErrors[field.key] : null} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <small style={{ color: '#64748b' }}>
+            The copy records its origin in the extras <code>promoted_from</code>, <code>promoted_from_id</code> and <code>promoted_at</code>.
+            Tags are not copied.
+          </small>
+
+          <div>
+            <button
+              onClick={handlePromote}
+              className="btn btn-primary"
+              disabled={working || !check.organizationExists || upToDate || incomplete}
+              title={!check.organizationExists
+                ? `Create the organization on ${targetLabel} first`
+                : incomplete ? `Fill in the fields ${targetLabel} requires first` : undefined}
+            >
+              <ArrowUpCircle size={16} />
+              {working ? 'Working...' : check.existing ? `Replace on ${targetLabel}` : `Promote to ${targetLabel}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromotePanel;
@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Database, Folder, File, X, RefreshCw, AlertCircle, ChevronRight, CornerLeftUp } from 'lucide-react';
+import { getErrorMessage } from '../services/errors';
+import { listBuckets, listPrefix, loadMissingDetails } from '../services/s3Browser';
+import { formatBytes, getBreadcrumbs, getParentPrefix, parseS3Uri, toS3Uri } from '../utils/s3Browser';
+
+const linkButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: 0,
+  color: '#2563eb',
+  cursor: 'pointer',
+  fontSize: '0.875rem'
+};
+
+const selectButtonStyle = { padding: '0.25rem 0.625rem', fontSize: '0.75rem' };
+
+// Objects shown at first and added by "Show more"; metadata is only read for shown objects
+const OBJECTS_SHOWN = 50;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+/**
+ * Bucket, folder and object browser for picking an S3 path
+ * Lists storage through the NDP-EP API; objects show their size, last-modified
+ * time and content type. S3 listings have no content type, so it is read from
+ * the metadata of the objects on screen, and the reads stop when the user
+ * moves to another folder.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.initialUri - s3:// URI to open at, e.g. the current form value
+ * @param {Function} props.onSelect - Called with the s3:// URI of the chosen object or prefix
+ * @param {Function} props.onClose - Close the browser
+ */
+const S3Browser = ({ initialUri, onSelect, onClose }) => {
+  const [location, setLocation] = useState(() => {
+    const parsed = parseS3Uri(initialUri);
+    if (!parsed) return { bucket: null, prefix: '' };
+    return { bucket: parsed.bucket, prefix: parsed.key.endsWith('/') ? parsed.key : getParentPrefix(parsed.key) };
+  });
+  const [buckets, setBuckets] = useState([]);
+  const [listing, setListing] = useState({ folders: [], objects: [], truncated: false });
+  // Metadata by key; null when it could not be read
+  const [details, setDetails] = useState({});
+  const [shownCount, setShownCount] = useState(OBJECTS_SHOWN);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+  // Keys whose metadata was requested for the current listing
+  const requestedRef = useRef(new Set());
+
+  const { bucket, prefix } = location;
+
+  /**
+   * Load the buckets, or the folders and objects of the current prefix
+   */
+  const load = useCallback(async () => {
+    const request = ++requestRef.current;
+    try {
+      setLoading(true);
+      setError(null);
+      setDetails({});
+      setShownCount(OBJECTS_SHOWN);
+      requestedRef.current = new Set();
+
+      if (!bucket) {
+        const list = await listBuckets();
+        if (request === requestRef.current) setBuckets(list);
+        return;
+      }
+
+      const result = await listPrefix(bucket, prefix);
+      if (request !== requestRef.current) return;
+      setListing(result);
+    } catch (err) {
+      console.error('Error browsing S3:', err);
+      if (request === requestRef.current) {
+        setError(getErrorMessage(err, bucket ? `Failed to list ${toS3Uri(bucket, prefix)}` : 'Failed to list buckets'));
+        setListing({ folders: [], objects: [], truncated: false });
+      }
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [bucket, prefix]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const open = (nextBucket, nextPrefix = '') => {
+    setFilter('');
+    setLocation({ bucket: nextBucket, prefix: nextPrefix });
+  };
+
+  const matchesFilter = (name) => !filter || name.toLowerCase().includes(filter.toLowerCase());
+  const folders = listing.folders.filter(folder => matchesFilter(folder.name));
+  const objects = useMemo(() => listing.objects.filter(object => (
+    !filter || object.name.toLowerCase().includes(filter.toLowerCase())
+  )), [listing.objects, filter]);
+  const shownObjects = useMemo(() => objects.slice(0, shownCount), [objects, shownCount]);
+  const visibleBuckets = buckets.filter(item => matchesFilter(item.name));
+
+  /**
+   * Read the metadata of shown objects that have not been requested yet
+   */
+  useEffect(() => {
+    if (!bucket || loading) return;
+    const pending = shownObjects.filter(object => !object.contentType && !requestedRef.current.has(object.key));
+    if (pending.length === 0) return;
+
+    const request = requestRef.current;
+    pending.forEach(object => requestedRef.current.add(object.key));
+    loadMissingDetails(bucket, pending, (key, objectDetails) => {
+      if (request === requestRef.current) {
+        setDetails(prev => ({ ...prev, [key]: objectDetails }));
+      }
+    }, { shouldStop: () => request !== requestRef.current });
+  }, [bucket, loading, shownObjects]);
+
+  return (
+    <div style={{ border: '1px solid #d1d5db', borderRadius: '8px', padding: '1rem', marginTop: '0.75rem', backgroundColor: '#f8fafc' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '0.75rem' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.25rem', fontSize: '0.875rem' }}>
+          <button type="button" onClick={() => open(null)} style={linkButtonStyle}>Buckets</button>
+          {bucket && (
+            <>
+              <ChevronRight size={14} style={{ color: '#94a3b8' }} />
+              <button type="button" onClick={() => open(bucket)} style={linkButtonStyle}>{bucket}</button>
+            </>
+          )}
+          {bucket && getBreadcrumbs(prefix).map(crumb => (
+            <React.Fragment key={crumb.prefix}>
+              <ChevronRight size={14} style={{ color: '#94a3b8' }} />
+              <button type="button" onClick={() => open(bucket, crumb.prefix)} style={linkButtonStyle}>{crumb.name}</button>
+            </React.Fragment>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {bucket && (
+            <button
+              type="button"
+              onClick={() => onSelect(toS3Uri(bucket, prefix))}
+              className="btn btn-secondary"
+              style={selectButtonStyle}
+              title="Use this folder as the S3 path"
+            >
+              Select this folder
+            </button>
+          )}
+          <button type="button" onClick={load} className="btn btn-secondary" style={selectButtonStyle} disabled={loading}>
+            <RefreshCw size={12} />
+          </button>
+          <button type="button" onClick={onClose} className="btn btn-secondary" style={selectButtonStyle}>
+            <X size={12} />
+          </button>
+        </div>
+      </div>
+
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        className="form-input"
+        placeholder={bucket ? 'Filter this folder...' : 'Filter buckets...'}
+        style={{ marginBottom: '0.75rem' }}
+      />
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          {error}
+        </div>
+      )}
+
+      {bucket && !loading && listing.truncated && (
+        <div className="alert alert-warning">
+          <AlertCircle size={20} />
+          The API cut this listing short; some folders and objects are not shown.
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '1.5rem' }}>
+          <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
+        </div>
+      ) : !bucket ? (
+        visibleBuckets.length === 0 ? (
+          <p style={{ textAlign: 'center', color: '#64748b', margin: '1rem 0' }}>No buckets found</p>
+        ) : (
+          <div className="table-container" style={{ maxHeight: '350px', overflowY: 'auto' }}>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Bucket</th>
+                  <th>Created</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleBuckets.map(item => (
+                  <tr key={item.name}>
+                    <td>
+                      <button type="button" onClick={() => open(item.name)} style={{ ...linkButtonStyle, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <Database size={14} />
+                        {item.name}
+                      </button>
+                    </td>
+                    <td style={{ color: '#64748b', fontSize: '0.875rem' }}>{formatDate(item.createdAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      ) : (
+        <div className="table-container" style={{ maxHeight: '350px', overflowY: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Size</th>
+                <th>Last modified</th>
+                <th>Content type</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {prefix && (
+                <tr>
+                  <td colSpan={5}>
+                    <button type="button" onClick={() => open(bucket, getParentPrefix(prefix))} style={{ ...linkButtonStyle, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <CornerLeftUp size={14} />
+                      Up
+                    </button>
+                  </td>
+                </tr>
+              )}
+              {folders.map(folder => (
+                <tr key={folder.prefix}>
+                  <td colSpan={4}>
+                    <button type="button" onClick={() => open(bucket, folder.prefix)} style={{ ...linkButtonStyle, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <Folder size={14} />
+                      {folder.name}/
+                    </button>
+                  </td>
+                  <td style={{ textAlign: 'right' }}>
+                    <button type="button" onClick={() => onSelect(toS3Uri(bucket, folder.prefix))} className="btn btn-secondary" style={selectButtonStyle}>
+                      Select
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {shownObjects.map(object => {
+                const info = { ...object, ...details[object.key] };
+                return (
+                  <tr key={object.key}>
+                    <td>
+                      <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem' }}>
+                        <File size={14} style={{ color: '#64748b' }} />
+                        {object.name}
+                      </span>
+                    </td>
+                    <td style={{ fontSize: '0.875rem', whiteSpace: 'nowrap' }}>{formatBytes(info.size)}</td>
+                    <td style={{ fontSize: '0.875rem', color: '#64748b' }}>{formatDate(info.lastModified)}</td>
+                    <td style={{ fontSize: '0.875rem', color: '#64748b' }}>{info.contentType || (object.key in details ? '—' : '…')}</td>
+                    <td style={{ textAlign: 'right' }}>
+                      <button type="button" onClick={() => onSelect(toS3Uri(bucket, object.key))} className="btn btn-primary" style={selectButtonStyle}>
+                        Select
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {objects.length > shownObjects.length && (
+                <tr>
+                  <td colSpan={5} style={{ textAlign: 'center' }}>
+                    <button type="button" onClick={() => setShownCount(count => count + OBJECTS_SHOWN)} style={linkButtonStyle}>
+                      Show {Math.min(OBJECTS_SHOWN, objects.length - shownObjects.length)} more of {objects.length - shownObjects.length} objects
+                    </button>
+                  </td>
+                </tr>
+              )}
+              {folders.length === 0 && objects.length === 0 && (
+                <tr>
+                  <td colSpan={5} style={{ textAlign: 'center', color: '#64748b' }}>
+                    {filter ? 'Nothing matches the filter' : 'This folder is empty'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default S3Browser;
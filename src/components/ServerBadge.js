@@ -0,0 +1,27 @@
+import React from 'react';
+import { getServerLabel, useServer } from '../context/ServerContext';
+
+/**
+ * Badge showing which catalog the current page is editing
+ */
+const ServerBadge = () => {
+  const { selectedServer } = useServer();
+
+  return (
+    <span
+      title="Change the catalog with the server selector in the header"
+      style={{
+        fontSize: '0.875rem',
+        color: '#64748b',
+        padding: '0.375rem 0.75rem',
+        backgroundColor: '#f1f5f9',
+        borderRadius: '6px',
+        border: '1px solid #e2e8f0'
+      }}
+    >
+      📍 Editing: {getServerLabel(selectedServer)}
+    </span>
+  );
+};
+
+export default ServerBadge;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Server } from 'lucide-react';
+import { SERVERS, useServer } from '../context/ServerContext';
+
+/**
+ * Catalog switcher shown in the navigation header
+ * Changes the server used by every management page
+ */
+const ServerSelector = () => {
+  const { selectedServer, setSelectedServer } = useServer();
+
+  return (
+    <label
+      title="Catalog used by the management pages"
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        color: '#6b7280',
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+      }}
+    >
+      <Server size={16} />
+      <select
+        value={selectedServer}
+        onChange={(e) => setSelectedServer(e.target.value)}
+        style={{
+          padding: '0.5rem 0.75rem',
+          border: '1px solid #d1d5db',
+          borderRadius: '8px',
+          fontSize: '0.875rem',
+          backgroundColor: 'white',
+          color: '#374151',
+          cursor: 'pointer'
+        }}
+      >
+        {SERVERS.map(server => (
+          <option key={server.value} value={server.value}>
+            {server.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ServerSelector;
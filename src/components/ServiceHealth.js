@@ -0,0 +1,88 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { HEALTH_STATUS, HISTORY_LIMIT, getUptime } from '../services/healthMonitor';
+
+const STATUS_BADGES = {
+  [HEALTH_STATUS.UP]: { label: 'Up', color: 'status-success', bar: '#10b981' },
+  [HEALTH_STATUS.DEGRADED]: { label: 'Degraded', color: 'status-warning', bar: '#f59e0b' },
+  [HEALTH_STATUS.DOWN]: { label: 'Down', color: 'status-error', bar: '#ef4444' },
+  [HEALTH_STATUS.UNKNOWN]: { label: 'Unknown', color: 'status-info', bar: '#cbd5e1' }
+};
+
+/**
+ * Health status cell for a service
+ * Shows the status badge, latency, last check time and the recent history
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.hasHealthCheck - Whether the service has a health_check_url
+ * @param {Object} [props.health] - Cached result from the health monitor
+ * @param {boolean} [props.checking] - A check is running
+ * @param {Function} [props.onCheck] - Check this service now
+ */
+const ServiceHealth = ({ hasHealthCheck, health, checking, onCheck }) => {
+  if (!hasHealthCheck) {
+    return <span className="status-indicator status-info">No Health Check</span>;
+  }
+
+  const badge = STATUS_BADGES[health?.status] || STATUS_BADGES[HEALTH_STATUS.UNKNOWN];
+  const history = health?.history || [];
+  const uptime = getUptime(history);
+
+  const details = [];
+  if (health?.latency !== null && health?.latency !== undefined) details.push(`${health.latency} ms`);
+  if (health?.httpStatus) details.push(`HTTP ${health.httpStatus}`);
+
+  return (
+    <div style={{ minWidth: '140px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <span className={`status-indicator ${badge.color}`} title={health?.error || undefined}>
+          {health ? badge.label : 'Checking...'}
+        </span>
+        {onCheck && (
+          <button
+            onClick={onCheck}
+            className="btn btn-secondary"
+            style={{ padding: '0.125rem 0.375rem' }}
+            disabled={checking}
+            title="Check now"
+          >
+            <RefreshCw size={12} style={checking ? { animation: 'spin 1s linear infinite' } : undefined} />
+          </button>
+        )}
+      </div>
+
+      {health && (
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+          {details.length > 0 && <div>{details.join(' · ')}</div>}
+          {health.error && <div style={{ color: '#dc2626' }}>{health.error}</div>}
+          <div>Checked {new Date(health.checkedAt).toLocaleTimeString()}</div>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div
+          style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', marginTop: '0.25rem' }}
+          title={`Last ${history.length} of up to ${HISTORY_LIMIT} checks`}
+        >
+          <div style={{ display: 'flex', gap: '1px' }}>
+            {history.map((entry, index) => (
+              <span
+                key={`${entry.checkedAt}-${index}`}
+                style={{
+                  width: '4px',
+                  height: '12px',
+                  borderRadius: '1px',
+                  backgroundColor: (STATUS_BADGES[entry.status] || STATUS_BADGES[HEALTH_STATUS.UNKNOWN]).bar
+                }}
+                title={`${new Date(entry.checkedAt).toLocaleTimeString()}: ${entry.status}`}
+              />
+            ))}
+          </div>
+          <span style={{ fontSize: '0.75rem', color: '#64748b' }}>{uptime}% up</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServiceHealth;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, AlertTriangle, RefreshCw, LogIn } from 'lucide-react';
+import { authAPI, sessionAPI } from '../services/api';
+import LoginModal from './LoginModal';
+
+// Warn the user this long before the token expires
+const WARNING_WINDOW_MS = 5 * 60 * 1000;
+// Refresh silently this long before expiry when a refresh token is available
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+/**
+ * Format a duration in milliseconds as m:ss
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * Session banner shown below the navigation header
+ * Counts down to token expiry, renews the token silently when possible and
+ * asks the user to sign in again when requests are waiting for a new token
+ */
+const SessionBanner = () => {
+  const [session, setSession] = useState(sessionAPI.getState);
+  const [now, setNow] = useState(() => Date.now());
+  const [refreshFailed, setRefreshFailed] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+
+  useEffect(() => sessionAPI.subscribe(() => setSession(sessionAPI.getState())), []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // A new token gets a new chance to be refreshed
+  useEffect(() => {
+    setRefreshFailed(false);
+  }, [session.expiresAt]);
+
+  const remaining = session.expiresAt ? session.expiresAt - now : null;
+  const shouldRefresh = remaining !== null && remaining <= REFRESH_AHEAD_MS &&
+    session.canRefresh && !refreshFailed;
+
+  /**
+   * Renew the token with the refresh token, falling back to a new login
+   */
+  const handleRefresh = async () => {
+    try {
+      await authAPI.refreshSession();
+    } catch (err) {
+      console.error('Session refresh failed:', err);
+      setRefreshFailed(true);
+    }
+  };
+
+  useEffect(() => {
+    if (shouldRefresh) {
+      handleRefresh();
+    }
+  }, [shouldRefresh]);
+
+  /**
+   * Resume waiting requests once the user has signed in again
+   */
+  const handleLoginSuccess = () => {
+    setShowLogin(false);
+    sessionAPI.resume();
+  };
+
+  /**
+   * Close the login modal - waiting requests fail if the user gives up
+   */
+  const handleLoginClose = () => {
+    setShowLogin(false);
+    if (session.reauthRequired) {
+      sessionAPI.cancel();
+    }
+  };
+
+  const expired = remaining !== null && remaining <= 0;
+  const expiringSoon = remaining !== null && remaining <= WARNING_WINDOW_MS;
+  const canExtend = session.canRefresh && !refreshFailed && !expired;
+
+  let message = null;
+  if (session.reauthRequired) {
+    message = session.pendingCount > 0
+      ? `Your session has expired. Sign in again to continue - ${session.pendingCount} pending request(s) will be retried.`
+      : 'Your session has expired. Sign in again to continue.';
+  } else if (expired) {
+    message = 'Your session has expired. Sign in again to continue.';
+  } else if (expiringSoon) {
+    message = `Your session expires in ${formatCountdown(remaining)}.`;
+  }
+
+  return (
+    <>
+      {message && (
+        <div
+          className={`alert ${session.reauthRequired || expired ? 'alert-error' : 'alert-warning'}`}
+          style={{
+            margin: 0,
+            borderRadius: 0,
+            justifyContent: 'center',
+            flexWrap: 'wrap'
+          }}
+        >
+          {session.reauthRequired || expired ? <AlertTriangle size={16} /> : <Clock size={16} />}
+          <span>{message}</span>
+          {canExtend && !session.reauthRequired ? (
+            <button className="btn btn-secondary" onClick={handleRefresh} style={{ marginLeft: '0.5rem' }}>
+              <RefreshCw size={14} />
+              Extend session
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={() => setShowLogin(true)} style={{ marginLeft: '0.5rem' }}>
+              <LogIn size={14} />
+              Sign in again
+            </button>
+          )}
+        </div>
+      )}
+
+      <LoginModal
+        isOpen={showLogin || session.reauthRequired}
+        onClose={handleLoginClose}
+        onSuccess={handleLoginSuccess}
+        notice={session.reauthRequired
+          ? 'Your session has expired. Sign in again - your unsaved changes are kept.'
+          : null}
+      />
+    </>
+  );
+};
+
+export default SessionBanner;
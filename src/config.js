@@ -0,0 +1,200 @@
+/**
+ * Runtime configuration for the NDP-EP frontend
+ *
+ * Values are read from /config.json before the app renders. In Docker the file is
+ * generated by docker-entrypoint.sh from environment variables, so the same image
+ * can be pointed at any API without rebuilding. Missing values fall back to the
+ * build-time defaults below.
+ */
+
+// Build-time defaults (REACT_APP_API_BASE_URL is still honoured for local development)
+const DEFAULT_CONFIG = {
+  // NDP-EP API base URL
+  apiUrl: process.env.REACT_APP_API_BASE_URL || 'http://localhost:8003',
+  // Request timeout in milliseconds
+  requestTimeout: 10000,
+  // Catalog selected for users who have not picked one yet
+  defaultServer: 'local',
+  // Oldest API version this frontend works with
+  minimumApiVersion: '0.1.0',
+  // Username/password login - an empty tokenEndpoint uses the NDP-EP API /token endpoint,
+  // otherwise an OIDC (e.g. Keycloak) token endpoint with the password grant
+  auth: {
+    tokenEndpoint: '',
+    clientId: '',
+    scope: ''
+  },
+  // Service health checks - interval in milliseconds (0 disables polling), responses slower
+  // than degradedLatency count as degraded; a proxyPath (e.g. /health-proxy) checks health
+  // URLs through the NDP-EP API instead of from the browser, which answers { status_code, body }
+  // or { error }
+  healthCheck: {
+    interval: 30000,
+    degradedLatency: 2000,
+    proxyPath: ''
+  },
+  // Link checks of URL resources - proxyPath is the NDP-EP API path that fetches a URL passed as
+  // ?url= and reports its status; after a first run on demand, the catalog is checked again every
+  // interval milliseconds, but only while a browser has the URL Resources page open (0 turns
+  // scheduled checks off)
+  linkCheck: {
+    proxyPath: '/link-check',
+    interval: 3600000
+  },
+  // Dashboard metrics - refresh interval in milliseconds and number of samples kept for the charts
+  dashboard: {
+    refreshInterval: 15000,
+    historySize: 60
+  },
+  // Apps launcher - NDP-EP API redirect targets ({ name, label }) listed before the registered services;
+  // config.json may also use a "name=Label,name" string
+  launcher: {
+    apps: []
+  },
+  // Feature toggles - set a feature to false to hide it
+  features: {
+    connectionProfiles: true,
+    serverSelector: true,
+    credentialLogin: true,
+    appLauncher: true,
+    s3Browser: true
+  }
+};
+
+let runtimeConfig = DEFAULT_CONFIG;
+
+/**
+ * Parse launcher apps given as [{ name, label }] or as a "name=Label,name" string
+ */
+const parseLauncherApps = (apps) => {
+  let entries = [];
+  if (typeof apps === 'string') {
+    entries = apps.split(',').map(entry => {
+      const [name, label] = entry.split('=');
+      return { name, label };
+    });
+  } else if (Array.isArray(apps)) {
+    entries = apps.map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+    .map(entry => ({
+      name: entry.name.trim(),
+      label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : entry.name.trim()
+    }));
+};
+
+/**
+ * Merge a loaded config object over the defaults, ignoring invalid values
+ */
+const mergeConfig = (loaded) => {
+  const merged = {
+    ...DEFAULT_CONFIG,
+    auth: { ...DEFAULT_CONFIG.auth },
+    healthCheck: { ...DEFAULT_CONFIG.healthCheck },
+    linkCheck: { ...DEFAULT_CONFIG.linkCheck },
+    dashboard: { ...DEFAULT_CONFIG.dashboard },
+    launcher: { ...DEFAULT_CONFIG.launcher },
+    features: { ...DEFAULT_CONFIG.features }
+  };
+
+  if (typeof loaded.apiUrl === 'string' && loaded.apiUrl.trim()) {
+    merged.apiUrl = loaded.apiUrl.trim().replace(/\/+$/, '');
+  }
+
+  const timeout = Number(loaded.requestTimeout);
+  if (Number.isFinite(timeout) && timeout > 0) {
+    merged.requestTimeout = timeout;
+  }
+
+  if (typeof loaded.defaultServer === 'string' && loaded.defaultServer.trim()) {
+    merged.defaultServer = loaded.defaultServer.trim();
+  }
+
+  if (typeof loaded.minimumApiVersion === 'string' && /^\d+(\.\d+)*$/.test(loaded.minimumApiVersion)) {
+    merged.minimumApiVersion = loaded.minimumApiVersion;
+  }
+
+  if (loaded.auth && typeof loaded.auth === 'object') {
+    Object.keys(merged.auth).forEach(key => {
+      if (typeof loaded.auth[key] === 'string') {
+        merged.auth[key] = loaded.auth[key].trim();
+      }
+    });
+  }
+
+  if (loaded.healthCheck && typeof loaded.healthCheck === 'object') {
+    ['interval', 'degradedLatency'].forEach(key => {
+      const value = Number(loaded.healthCheck[key]);
+      if (loaded.healthCheck[key] !== '' && Number.isFinite(value) && value >= 0) {
+        merged.healthCheck[key] = value;
+      }
+    });
+    if (typeof loaded.healthCheck.proxyPath === 'string') {
+      merged.healthCheck.proxyPath = loaded.healthCheck.proxyPath.trim();
+    }
+  }
+
+  if (loaded.linkCheck && typeof loaded.linkCheck === 'object') {
+    const interval = Number(loaded.linkCheck.interval);
+    if (loaded.linkCheck.interval !== '' && Number.isFinite(interval) && interval >= 0) {
+      merged.linkCheck.interval = interval;
+    }
+    if (typeof loaded.linkCheck.proxyPath === 'string' && loaded.linkCheck.proxyPath.trim()) {
+      merged.linkCheck.proxyPath = loaded.linkCheck.proxyPath.trim();
+    }
+  }
+
+  if (loaded.dashboard && typeof loaded.dashboard === 'object') {
+    ['refreshInterval', 'historySize'].forEach(key => {
+      const value = Number(loaded.dashboard[key]);
+      if (loaded.dashboard[key] !== '' && Number.isFinite(value) && value > 0) {
+        merged.dashboard[key] = value;
+      }
+    });
+  }
+
+  if (loaded.launcher && typeof loaded.launcher === 'object') {
+    merged.launcher.apps = parseLauncherApps(loaded.launcher.apps);
+  }
+
+  if (loaded.features && typeof loaded.features === 'object') {
+    Object.entries(loaded.features).forEach(([name, enabled]) => {
+      merged.features[name] = enabled !== false && enabled !== 'false';
+    });
+  }
+
+  return merged;
+};
+
+/**
+ * Load /config.json - must be awaited before rendering the app
+ * A missing or invalid file keeps the defaults so local development works unchanged
+ */
+export const loadConfig = async () => {
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/config.json`, { cache: 'no-store' });
+
+    if (response.ok) {
+      runtimeConfig = mergeConfig(await response.json());
+    } else {
+      console.warn(`Runtime config not found (HTTP ${response.status}), using defaults`);
+    }
+  } catch (err) {
+    console.warn('Failed to load runtime config, using defaults:', err);
+  }
+
+  return runtimeConfig;
+};
+
+/**
+ * Get the loaded runtime configuration
+ */
+export const getConfig = () => runtimeConfig;
+
+/**
+ * Check whether a feature toggle is enabled (unknown features are enabled)
+ * @param {string} feature - Feature name as used in config.features
+ */
+export const isFeatureEnabled = (feature) => runtimeConfig.features[feature] !== false;
@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { getConfig, isFeatureEnabled } from '../config';
+
+// localStorage key used to remember the selected catalog across reloads
+const SERVER_STORAGE_KEY = 'selectedServer';
+
+// Catalogs exposed by the NDP-EP API
+export const SERVERS = [
+  { value: 'local', label: 'Local CKAN' },
+  { value: 'pre_ckan', label: 'Pre-CKAN' },
+  { value: 'global', label: 'Global' }
+];
+
+// Fallback when the configured default server is not a known catalog
+const FALLBACK_SERVER = 'local';
+
+/**
+ * Get the default server from the runtime configuration
+ */
+const getDefaultServer = () => {
+  const configured = getConfig().defaultServer;
+  return SERVERS.some(option => option.value === configured) ? configured : FALLBACK_SERVER;
+};
+
+/**
+ * Get the display label for a server value
+ */
+export const getServerLabel = (server) => {
+  const match = SERVERS.find(option => option.value === server);
+  return match ? match.label : server;
+};
+
+/**
+ * Read the stored server, falling back to the default for unknown values
+ * When the server selector is disabled the configured default is always used
+ */
+const getStoredServer = () => {
+  if (!isFeatureEnabled('serverSelector')) {
+    return getDefaultServer();
+  }
+  const stored = localStorage.getItem(SERVER_STORAGE_KEY);
+  return SERVERS.some(option => option.value === stored) ? stored : getDefaultServer();
+};
+
+const ServerContext = createContext({
+  selectedServer: FALLBACK_SERVER,
+  setSelectedServer: () => {}
+});
+
+/**
+ * Provides the catalog (server) that management pages read from and write to
+ * The selection is persisted in localStorage so it survives page reloads
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to render
+ */
+export const ServerProvider = ({ children }) => {
+  const [selectedServer, setSelectedServer] = useState(getStoredServer);
+
+  useEffect(() => {
+    localStorage.setItem(SERVER_STORAGE_KEY, selectedServer);
+  }, [selectedServer]);
+
+  return (
+    <ServerContext.Provider value={{ selectedServer, setSelectedServer }}>
+      {children}
+    </ServerContext.Provider>
+  );
+};
+
+/**
+ * Hook to access the globally selected server
+ */
+export const useServer = () => useContext(ServerContext);
+
+export default ServerContext;
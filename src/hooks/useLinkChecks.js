@@ -0,0 +1,49 @@
+import { useEffect, useReducer } from 'react';
+import {
+  subscribe,
+  watchCatalog,
+  getLinkCheck,
+  getLinkReport,
+  getLastRun,
+  getRunProgress,
+  getCheckInterval,
+  isChecking,
+  checkResource,
+  checkCatalog,
+  stopCatalogCheck
+} from '../services/linkChecker';
+
+/**
+ * Link checks of the URL resources in a catalog
+ * Results come from the shared link checker store; once checked, the catalog is
+ * checked again on schedule while the page is open.
+ *
+ * @param {string} server - Selected catalog
+ */
+const useLinkChecks = (server) => {
+  const [, refresh] = useReducer(count => count + 1, 0);
+
+  useEffect(() => subscribe(refresh), []);
+
+  useEffect(() => {
+    watchCatalog(server);
+  }, [server]);
+
+  const progress = getRunProgress();
+
+  return {
+    getCheck: (id) => getLinkCheck(server, id),
+    isChecking: (id) => isChecking(server, id),
+    checkResource: (pkg) => checkResource(pkg, server),
+    checkCatalog: () => checkCatalog(server),
+    stop: stopCatalogCheck,
+    report: getLinkReport(server),
+    lastRun: getLastRun(server),
+    interval: getCheckInterval(),
+    progress: progress?.server === server ? progress : null,
+    // Another catalog's run blocks starting one here
+    busy: !!progress
+  };
+};
+
+export default useLinkChecks;
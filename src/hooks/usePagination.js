@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_PAGE_SIZE } from '../utils/pagination';
+
+/**
+ * Page state for paged resource listings
+ * Moves back to the last available page when the total shrinks (e.g. after a delete)
+ *
+ * @param {*} resetKey - Changing this value returns to the first page (e.g. the selected server)
+ */
+const usePagination = (resetKey) => {
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSizeState] = useState(DEFAULT_PAGE_SIZE);
+  const [total, setTotal] = useState(0);
+  const [currentKey, setCurrentKey] = useState(resetKey);
+
+  // Reset while rendering, not in an effect, so the listing never fetches
+  // the new server with the previous server's offset
+  if (currentKey !== resetKey) {
+    setCurrentKey(resetKey);
+    setPage(1);
+  }
+
+  useEffect(() => {
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    if (page > lastPage) {
+      setPage(lastPage);
+    }
+  }, [page, pageSize, total]);
+
+  /**
+   * Change the page size and start again from the first page
+   */
+  const setPageSize = useCallback((size) => {
+    setPageSizeState(size);
+    setPage(1);
+  }, []);
+
+  return {
+    page,
+    pageSize,
+    offset: (page - 1) * pageSize,
+    total,
+    setPage,
+    setPageSize,
+    setTotal
+  };
+};
+
+export default usePagination;
@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+
+/**
+ * Row selection for a listing
+ * The selection is kept by id and cleared whenever the listed items change
+ * (new page, other server, refresh after a bulk action).
+ *
+ * @param {Array} items - Items currently listed, each with an id
+ */
+const useSelection = (items) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [items]);
+
+  const isSelected = useCallback((id) => selectedIds.includes(id), [selectedIds]);
+
+  const toggle = useCallback((id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  }, []);
+
+  const allSelected = items.length > 0 && items.every(item => selectedIds.includes(item.id));
+
+  /**
+   * Select every listed item, or clear the selection when all are selected
+   */
+  const toggleAll = useCallback(() => {
+    setSelectedIds(allSelected ? [] : items.map(item => item.id));
+  }, [allSelected, items]);
+
+  const clear = useCallback(() => setSelectedIds([]), []);
+
+  const selectedItems = useMemo(() => items.filter(item => selectedIds.includes(item.id)), [items, selectedIds]);
+
+  return { selectedItems, isSelected, toggle, allSelected, toggleAll, clear };
+};
+
+export default useSelection;
@@ -0,0 +1,43 @@
+import { useEffect, useReducer } from 'react';
+import {
+  subscribe,
+  watchServices,
+  getServiceHealth,
+  isChecking,
+  checkNow,
+  getPollInterval,
+  setPollInterval
+} from '../services/healthMonitor';
+import { getExtras } from '../utils/classifyResource';
+
+/**
+ * Live health of the listed services
+ * Watches every service that has a health_check_url; results come from the
+ * shared health monitor cache, so remounting does not restart the checks.
+ *
+ * @param {Array<Object>} services - Service packages shown on the page
+ * @param {string} server - Selected catalog, passed to the health check proxy
+ */
+const useServiceHealth = (services, server) => {
+  const [, refresh] = useReducer(count => count + 1, 0);
+
+  useEffect(() => subscribe(refresh), []);
+
+  useEffect(() => {
+    watchServices(services.map(service => ({
+      id: service.id,
+      url: getExtras(service).health_check_url,
+      server
+    })));
+  }, [services, server]);
+
+  return {
+    getHealth: (id) => getServiceHealth(id),
+    isChecking: (id) => isChecking(id),
+    checkNow,
+    pollInterval: getPollInterval(),
+    setPollInterval
+  };
+};
+
+export default useServiceHealth;
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  Upload,
+  AlertCircle,
+  CheckCircle,
+  Download,
+  FileText,
+  Play,
+  Square
+} from 'lucide-react';
+import { datasetAPI, kafkaAPI, urlAPI, s3API, organizationsAPI } from '../services/api';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess } from '../services/notifications';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import {
+  IMPORT_TYPES,
+  parseManifest,
+  guessColumnMapping,
+  buildImportRows,
+  buildImportReport,
+  buildManifestTemplate
+} from '../utils/bulkImport';
+import { runWithConcurrency } from '../utils/concurrency';
+import { downloadFile } from '../utils/download';
+
+// Create request of each resource type
+const CREATE_REQUESTS = {
+  dataset: datasetAPI.create,
+  kafka: kafkaAPI.create,
+  url: urlAPI.create,
+  s3: s3API.create
+};
+
+// Requests sent at the same time
+const CONCURRENCY_OPTIONS = [1, 2, 4, 8];
+
+const RESULT_BADGES = {
+  pending: { label: 'Queued', color: 'status-info' },
+  running: { label: 'Creating...', color: 'status-info' },
+  created: { label: 'Created', color: 'status-success' },
+  failed: { label: 'Failed', color: 'status-error' },
+  skipped: { label: 'Skipped', color: 'status-warning' }
+};
+
+/**
+ * Turn a runWithConcurrency result into a row result
+ */
+const toRowResult = (result) => {
+  if (result.status === 'fulfilled') return { status: 'created' };
+  if (result.status === 'skipped') return { status: 'skipped', message: 'Stopped before this row was sent' };
+  return { status: 'failed', message: getErrorMessage(result.reason, 'Create request failed') };
+};
+
+/**
+ * Bulk Import page for creating datasets and resources from a CSV or JSON manifest
+ * Columns are mapped to the fields of the chosen type, rows are checked before
+ * anything is sent, and valid rows are created a few at a time.
+ */
+const BulkImport = () => {
+  const { selectedServer } = useServer();
+  const [type, setType] = useState('dataset');
+  const [manifest, setManifest] = useState(null);
+  const [manifestError, setManifestError] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [defaultOrg, setDefaultOrg] = useState('');
+  const [organizations, setOrganizations] = useState([]);
+  const [concurrency, setConcurrency] = useState(2);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const stopRef = useRef(false);
+
+  /**
+   * Fetch organizations so rows can be checked against them
+   */
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const response = await organizationsAPI.list({ server: selectedServer });
+      setOrganizations(response.data || []);
+    } catch (err) {
+      console.error('Error fetching organizations:', err);
+      setOrganizations([]);
+    }
+  }, [selectedServer]);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  // Don't start new requests after leaving the page
+  useEffect(() => () => {
+    stopRef.current = true;
+  }, []);
+
+  const rows = useMemo(
+    () => (manifest ? buildImportRows(manifest.records, type, columnMapping, { organizations, defaultOrg }) : []),
+    [manifest, type, columnMapping, organizations, defaultOrg]
+  );
+
+  const invalidCount = rows.filter(row => row.errors.length > 0).length;
+  const importable = rows.filter(row => row.errors.length === 0 && results[row.index]?.status !== 'created');
+  const createdCount = Object.values(results).filter(result => result.status === 'created').length;
+  const typeLabel = IMPORT_TYPES[type].label.toLowerCase();
+
+  /**
+   * Read the chosen manifest file
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setResults({});
+    try {
+      const parsed = parseManifest(await file.text(), file.name);
+      setManifest({ ...parsed, fileName: file.name });
+      setColumnMapping(guessColumnMapping(parsed.columns, type));
+      setManifestError(null);
+    } catch (err) {
+      setManifest(null);
+      setManifestError(err.message);
+    }
+  };
+
+  const handleTypeChange = (e) => {
+    const nextType = e.target.value;
+    setType(nextType);
+    setResults({});
+    if (manifest) setColumnMapping(guessColumnMapping(manifest.columns, nextType));
+  };
+
+  const setResult = (index, result) => setResults(prev => ({ ...prev, [index]: result }));
+
+  /**
+   * Create the valid rows that were not created yet
+   */
+  const handleImport = async () => {
+    const targets = importable;
+    if (targets.length === 0) return;
+    if (!window.confirm(`Create ${targets.length} ${typeLabel} on the ${selectedServer} catalog?`)) return;
+
+    stopRef.current = false;
+    setRunning(true);
+    setProgress({ done: 0, total: targets.length });
+    setResults(prev => ({
+      ...prev,
+      ...Object.fromEntries(targets.map(row => [row.index, { status: 'pending' }]))
+    }));
+
+    const create = CREATE_REQUESTS[type];
+    const outcome = await runWithConcurrency(targets, (row) => {
+      setResult(row.index, { status: 'running' });
+      return create(row.data, selectedServer);
+    }, {
+      limit: concurrency,
+      shouldStop: () => stopRef.current,
+      onSettled: (index, result) => {
+        setResult(targets[index].index, toRowResult(result));
+        setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+      }
+    });
+    setRunning(false);
+
+    const created = outcome.filter(result => result.status === 'fulfilled').length;
+    const failed = outcome.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+      notify('error', `${created} created, ${failed} failed. See the preview for the errors.`);
+    } else if (created > 0) {
+      notifySuccess(`${created} ${typeLabel} created`);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    const baseName = manifest.fileName.replace(/\.[^.]+$/, '');
+    downloadFile(buildImportReport(rows, results), `${baseName}-import-report.csv`, 'text/csv');
+  };
+
+  const renderStatus = (row) => {
+    if (row.errors.length > 0) {
+      return (
+        <div>
+          <span className="status-indicator status-error">Invalid</span>
+          <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1rem', fontSize: '0.75rem', color: '#dc2626' }}>
+            {row.errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        </div>
+      );
+    }
+
+    const result = results[row.index];
+    const badge = RESULT_BADGES[result?.status] || { label: 'Ready', color: 'status-success' };
+    return (
+      <div>
+        <span className={`status-indicator ${badge.color}`}>{badge.label}</span>
+        {result?.message && (
+          <div style={{ fontSize: '0.75rem', color: result.status === 'failed' ? '#dc2626' : '#64748b', marginTop: '0.25rem' }}>
+            {result.message}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const { fields } = IMPORT_TYPES[type];
+  const orgField = fields.find(field => field.name === 'owner_org');
+
+  return (
+    <div className="bulk-import-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <h1 className="page-title">
+          <Upload size={32} style={{ marginRight: '0.5rem' }} />
+          Bulk Import
+        </h1>
+        <p className="page-subtitle">
+          Create datasets and resources from a CSV or JSON manifest
+        </p>
+      </div>
+
+      {/* Manifest */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">1. Manifest</h3>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <ServerBadge />
+            <button
+              onClick={() => downloadFile(buildManifestTemplate(type), `${type}-manifest.csv`, 'text/csv')}
+              className="btn btn-secondary"
+            >
+              <Download size={16} />
+              Template
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-2">
+          <div className="form-group">
+            <label className="form-label">Create</label>
+            <select value={type} onChange={handleTypeChange} className="form-select" disabled={running}>
+              {Object.entries(IMPORT_TYPES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Manifest file (CSV or JSON)</label>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              className="form-input"
+              disabled={running}
+            />
+          </div>
+        </div>
+
+        {manifestError && (
+          <div className="alert alert-error">
+            <AlertCircle size={20} />
+            {manifestError}
+          </div>
+        )}
+
+        {manifest && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#64748b', fontSize: '0.875rem' }}>
+            <FileText size={16} />
+            {manifest.fileName}: {manifest.records.length} rows, columns {manifest.columns.join(', ')}
+          </div>
+        )}
+      </div>
+
+      {manifest && (
+        <>
+          {/* Column Mapping */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">2. Column Mapping</h3>
+            </div>
+
+            <div className="grid grid-3">
+              {fields.map(field => (
+                <div key={field.name} className="form-group">
+                  <label className="form-label">
+                    {field.label}{field.required ? ' *' : ''}
+                    <span style={{ color: '#94a3b8', fontWeight: 'normal', fontFamily: 'monospace', fontSize: '0.75rem', marginLeft: '0.375rem' }}>
+                      {field.name}
+                    </span>
+                  </label>
+                  <select
+                    value={columnMapping[field.name] || ''}
+                    onChange={(e) => setColumnMapping(prev => ({ ...prev, [field.name]: e.target.value || undefined }))}
+                    className="form-select"
+                    disabled={running}
+                  >
+                    <option value="">Not imported</option>
+                    {manifest.columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+
+              {orgField && (
+                <div className="form-group">
+                  <label className="form-label">Organization for rows without one</label>
+                  <select
+                    value={defaultOrg}
+                    onChange={(e) => setDefaultOrg(e.target.value)}
+                    className="form-select"
+                    disabled={running}
+                  >
+                    <option value="">None</option>
+                    {organizations.map(org => (
+                      <option key={org} value={org}>{org}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            {organizations.length === 0 && (
+              <small style={{ color: '#64748b' }}>
+                Organizations could not be loaded, so they are not checked before the import.
+              </small>
+            )}
+          </div>
+
+          {/* Preview and Import */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">3. Preview</h3>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <select
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(Number(e.target.value))}
+                  className="form-select"
+                  style={{ width: 'auto' }}
+                  disabled={running}
+                  title="Requests sent at the same time"
+                >
+                  {CONCURRENCY_OPTIONS.map(value => (
+                    <option key={value} value={value}>{value} at a time</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleDownloadReport}
+                  className="btn btn-secondary"
+                  disabled={running}
+                >
+                  <Download size={16} />
+                  Report
+                </button>
+                {running ? (
+                  <button onClick={() => { stopRef.current = true; }} className="btn btn-danger">
+                    <Square size={16} />
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleImport}
+                    className="btn btn-primary"
+                    disabled={importable.length === 0}
+                  >
+                    <Play size={16} />
+                    Import {importable.length} {importable.length === 1 ? 'row' : 'rows'}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginBottom: '1rem', fontSize: '0.875rem' }}>
+              <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#16a34a' }}>
+                <CheckCircle size={16} />
+                {rows.length - invalidCount} valid
+              </span>
+              {invalidCount > 0 && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#dc2626' }}>
+                  <AlertCircle size={16} />
+                  {invalidCount} invalid, not imported
+                </span>
+              )}
+              {createdCount > 0 && <span style={{ color: '#64748b' }}>{createdCount} created</span>}
+            </div>
+
+            {running && (
+              <div style={{ marginBottom: '1rem' }}>
+                <div style={{ height: '8px', backgroundColor: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+                  <div style={{
+                    width: `${(progress.done / progress.total) * 100}%`,
+                    height: '100%',
+                    backgroundColor: '#2563eb',
+                    transition: 'width 0.3s ease'
+                  }} />
+                </div>
+                <small style={{ color: '#64748b' }}>{progress.done} of {progress.total} sent</small>
+              </div>
+            )}
+
+            <div style={{ maxHeight: '600px', overflowY: 'auto' }}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Name</th>
+                    <th>Organization</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.index}>
+                      <td>{row.index}</td>
+                      <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>{row.name || '—'}</td>
+                      <td>{row.data.owner_org || '—'}</td>
+                      <td>{renderStatus(row)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BulkImport;
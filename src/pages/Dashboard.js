@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Activity, 
   Database, 
@@ -13,9 +13,28 @@ import {
   Wifi,
   ExternalLink,
   Users,
-  Shield
+  Shield,
+  Pause,
+  Play,
+  BookOpen
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { statusAPI, userAPI, getApiBaseUrl } from '../services/api';
+import { getErrorMessage } from '../services/errors';
+import { loadJupyterDetails, JUPYTER_STATUS } from '../services/jupyter';
+import { getConfig } from '../config';
+import MetricChart from '../components/MetricChart';
+import { parsePercentage, getMetricColor, appendMetricsSample } from '../utils/metrics';
+
+// Metric refresh intervals offered in the header, in milliseconds
+const REFRESH_INTERVALS = [5000, 15000, 30000, 60000, 300000];
+
+/**
+ * Format a refresh interval for the interval selector
+ */
+const formatInterval = (interval) => (
+  interval >= 60000 ? `${interval / 60000} min` : `${interval / 1000}s`
+);
 
 /**
  * Redesigned Dashboard component with user info and improved metrics display
@@ -25,10 +44,45 @@ const Dashboard = () => {
   const [systemStatus, setSystemStatus] = useState(null);
   const [metrics, setMetrics] = useState(null);
   const [kafkaDetails, setKafkaDetails] = useState(null);
+  // undefined while loading, null when the API has no Jupyter details
+  const [jupyterDetails, setJupyterDetails] = useState(undefined);
   const [userInfo, setUserInfo] = useState(null);
   const [apiVersion, setApiVersion] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Rolling metrics history for the charts, kept in memory only
+  const [metricsHistory, setMetricsHistory] = useState([]);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [metricsError, setMetricsError] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [refreshInterval, setRefreshInterval] = useState(() => getConfig().dashboard.refreshInterval);
+
+  /**
+   * Store a metrics response (or a failed refresh, as a gap in the charts)
+   */
+  const recordMetrics = useCallback((data) => {
+    const now = Date.now();
+    setMetricsHistory(prev => appendMetricsSample(prev, data, now, getConfig().dashboard.historySize));
+    if (data) {
+      setMetrics(data);
+      setLastUpdated(now);
+    }
+  }, []);
+
+  /**
+   * Refresh system metrics only; the rest of the dashboard rarely changes
+   */
+  const fetchMetrics = useCallback(async () => {
+    try {
+      const response = await statusAPI.getMetrics();
+      recordMetrics(response.data);
+      setMetricsError(null);
+    } catch (err) {
+      console.error('Error refreshing metrics:', err);
+      recordMetrics(null);
+      setMetricsError(getErrorMessage(err, 'Failed to refresh metrics'));
+    }
+  }, [recordMetrics]);
 
   /**
    * Fetch dashboard data on component mount
@@ -39,12 +93,13 @@ const Dashboard = () => {
         setLoading(true);
         
         // Fetch all dashboard data in parallel
-        const [statusResponse, metricsResponse, kafkaResponse, userResponse] = 
+        const [statusResponse, metricsResponse, kafkaResponse, userResponse, jupyterResponse] = 
           await Promise.allSettled([
             statusAPI.getStatus(),
             statusAPI.getMetrics(),
             statusAPI.getKafkaDetails(),
-            userAPI.getUserInfo()
+            userAPI.getUserInfo(),
+            loadJupyterDetails()
           ]);
 
         // Handle status response and extract API version
@@ -59,7 +114,7 @@ const Dashboard = () => {
 
         // Handle metrics response
         if (metricsResponse.status === 'fulfilled') {
-          setMetrics(metricsResponse.value.data);
+          recordMetrics(metricsResponse.value.data);
         }
 
         // Handle Kafka details response
@@ -67,6 +122,9 @@ const Dashboard = () => {
           setKafkaDetails(kafkaResponse.value.data);
         }
 
+        // Handle Jupyter details (already normalized by the Jupyter service)
+        setJupyterDetails(jupyterResponse.status === 'fulfilled' ? jupyterResponse.value : null);
+
         // Handle user info response
         if (userResponse.status === 'fulfilled') {
           setUserInfo(userResponse.value.data);
@@ -84,34 +142,46 @@ const Dashboard = () => {
     };
 
     fetchDashboardData();
-  }, []);
+  }, [recordMetrics]);
+
+  /**
+   * Poll metrics while the dashboard is open and not paused
+   */
+  useEffect(() => {
+    if (paused) return undefined;
+
+    const timer = setInterval(fetchMetrics, refreshInterval);
+    return () => clearInterval(timer);
+  }, [paused, refreshInterval, fetchMetrics]);
+
+  /**
+   * Resume polling, refreshing right away instead of waiting a full interval
+   */
+  const handleTogglePause = () => {
+    if (paused) {
+      fetchMetrics();
+    }
+    setPaused(!paused);
+  };
 
   /**
    * Format percentage values for display
    */
   const formatPercentage = (value) => {
-    if (!value) return 'N/A';
-    // Remove % symbol if present and ensure it's a number
-    const numValue = parseFloat(value.toString().replace('%', ''));
-    return isNaN(numValue) ? 'N/A' : `${numValue}%`;
+    const numValue = parsePercentage(value);
+    return numValue === null ? 'N/A' : `${numValue}%`;
   };
 
   /**
    * Get status color based on percentage value
    */
   const getStatusColor = (value, type = 'general') => {
-    if (!value || value === 'N/A') return '#94a3b8';
-    
-    const numValue = parseFloat(value.toString().replace('%', ''));
-    if (isNaN(numValue)) return '#94a3b8';
-    
     if (type === 'memory' || type === 'cpu' || type === 'disk') {
-      if (numValue < 50) return '#059669'; // Green
-      if (numValue < 80) return '#ca8a04'; // Yellow
-      return '#dc2626'; // Red
+      // Green below 50%, yellow below 80%, red above
+      return getMetricColor(value);
     }
     
-    return '#2563eb'; // Default blue
+    return parsePercentage(value) === null ? '#94a3b8' : '#2563eb'; // Default blue
   };
 
   /**
@@ -193,10 +263,40 @@ const Dashboard = () => {
           <div>
             <h1 className="page-title">Dashboard</h1>
             <p className="page-subtitle">
-              System overview and status - Last updated: {new Date().toLocaleTimeString()}
+              System overview and status - Last updated: {lastUpdated ? new Date(lastUpdated).toLocaleTimeString() : 'never'}
+              {metricsError && (
+                <span style={{ color: '#dc2626', marginLeft: '0.5rem' }}>({metricsError})</span>
+              )}
             </p>
           </div>
           <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+            {/* Metrics refresh controls */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <select
+                value={refreshInterval}
+                onChange={(e) => setRefreshInterval(Number(e.target.value))}
+                className="form-select"
+                style={{ width: 'auto', padding: '0.375rem 0.5rem', fontSize: '0.875rem' }}
+                title="Metrics refresh interval"
+              >
+                {!REFRESH_INTERVALS.includes(refreshInterval) && (
+                  <option value={refreshInterval}>Every {formatInterval(refreshInterval)}</option>
+                )}
+                {REFRESH_INTERVALS.map(interval => (
+                  <option key={interval} value={interval}>Every {formatInterval(interval)}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleTogglePause}
+                className="btn btn-secondary"
+                style={{ padding: '0.375rem 0.75rem', fontSize: '0.875rem' }}
+                title={paused ? 'Resume automatic refresh' : 'Pause automatic refresh'}
+              >
+                {paused ? <Play size={14} /> : <Pause size={14} />}
+                {paused ? 'Resume' : 'Pause'}
+              </button>
+            </div>
+
             {/* API Documentation Link */}
             <a 
               href={getApiDocsUrl()}
@@ -376,6 +476,9 @@ const Dashboard = () => {
             <p style={{ marginTop: '0.5rem', color: '#64748b', fontSize: '0.875rem' }}>
               Current processor load
             </p>
+            <div style={{ marginTop: '0.75rem' }}>
+              <MetricChart samples={metricsHistory} metric="cpu" label="Current processor load over time" />
+            </div>
           </div>
 
           {/* Memory Usage Card */}
@@ -395,6 +498,9 @@ const Dashboard = () => {
             <p style={{ marginTop: '0.5rem', color: '#64748b', fontSize: '0.875rem' }}>
               RAM utilization
             </p>
+            <div style={{ marginTop: '0.75rem' }}>
+              <MetricChart samples={metricsHistory} metric="memory" label="RAM utilization over time" />
+            </div>
           </div>
 
           {/* Disk Usage Card */}
@@ -414,6 +520,9 @@ const Dashboard = () => {
             <p style={{ marginTop: '0.5rem', color: '#64748b', fontSize: '0.875rem' }}>
               Storage space used
             </p>
+            <div style={{ marginTop: '0.75rem' }}>
+              <MetricChart samples={metricsHistory} metric="disk" label="Storage space used over time" />
+            </div>
           </div>
         </div>
       )}
@@ -484,6 +593,48 @@ const Dashboard = () => {
             </div>
           </div>
         </div>
+
+        {/* Notebook Status Card */}
+        <div className="card">
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              <BookOpen size={24} style={{ color: '#ea580c' }} />
+              <div>
+                <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: '600', color: '#1e293b' }}>
+                  Notebook Status
+                </h3>
+                <p style={{ margin: 0, fontSize: '0.875rem', color: '#64748b' }}>
+                  <Link to="/jupyter" style={{ color: '#64748b' }}>JupyterHub</Link>
+                </p>
+              </div>
+            </div>
+            <div style={{ textAlign: 'right' }}>
+              {jupyterDetails === undefined ? (
+                <div className="status-indicator status-warning">
+                  <Server size={16} />
+                  Checking...
+                </div>
+              ) : jupyterDetails?.status === JUPYTER_STATUS.ONLINE ? (
+                <div>
+                  <div className="status-indicator status-success" style={{ marginBottom: '0.25rem' }}>
+                    <CheckCircle size={16} />
+                    Available
+                  </div>
+                  {jupyterDetails.url && (
+                    <div style={{ fontSize: '0.75rem', color: '#64748b' }}>
+                      {jupyterDetails.url.replace(/^https?:\/\//, '')}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="status-indicator status-error">
+                  <AlertCircle size={16} />
+                  {jupyterDetails ? 'Unavailable' : 'Not configured'}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
       </div>
 
 
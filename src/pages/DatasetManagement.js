@@ -7,35 +7,29 @@ import {
   Save,
   X,
   FileText,
-  Trash2
+  Trash2,
+  BookOpen,
+  ArrowUpCircle
 } from 'lucide-react';
-import { organizationsAPI, searchAPI } from '../services/api';
-
-// Create a simple dataset API client since it's not in the existing api.js
-const datasetAPI = {
-  create: (data, server = 'local') => {
-    const apiClient = require('../services/api').default;
-    return apiClient.post('/dataset', data, { params: { server } });
-  },
-  
-  update: (datasetId, data, server = 'local') => {
-    const apiClient = require('../services/api').default;
-    return apiClient.put(`/dataset/${datasetId}`, data, { params: { server } });
-  },
-  
-  partialUpdate: (datasetId, data, server = 'local') => {
-    const apiClient = require('../services/api').default;
-    return apiClient.patch(`/dataset/${datasetId}`, data, { params: { server } });
-  },
-  
-  delete: (datasetId, server = 'local') => {
-    const apiClient = require('../services/api').default;
-    // Use the same endpoint as resources since datasets are resources in CKAN
-    return apiClient.delete('/resource', { 
-      params: { resource_id: datasetId, server } 
-    });
-  }
-};
+import { datasetAPI, organizationsAPI, searchAPI } from '../services/api';
+import { fetchAllPackages } from '../services/catalogExport';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { openInJupyter } from '../services/jupyter';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import ExportMenu from '../components/ExportMenu';
+import BulkActionsBar from '../components/BulkActionsBar';
+import PromotePanel from '../components/PromotePanel';
+import Pagination from '../components/Pagination';
+import usePagination from '../hooks/usePagination';
+import useSelection from '../hooks/useSelection';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, RESOURCE_TYPE_BADGES, classifyResource, isResourceType } from '../utils/classifyResource';
+import FieldError from '../components/FieldError';
+import JsonEditor from '../components/JsonEditor';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA, RESOURCES_SCHEMA } from '../utils/fieldSchemas';
 
 /**
  * Dataset Management component for creating and managing general datasets
@@ -46,10 +40,13 @@ const DatasetManagement = () => {
   const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingDataset, setEditingDataset] = useState(null);
-  const [selectedServer] = useState('local'); // Fixed to local for consistency
+  const [promoting, setPromoting] = useState(null); // { pkg, server }
+  const { selectedServer } = useServer();
+  const { page, pageSize, offset, total, setPage, setPageSize, setTotal } = usePagination(selectedServer);
+  const selection = useSelection(datasets);
 
   // Form state for creating/editing dataset
   const [formData, setFormData] = useState({
@@ -85,66 +82,39 @@ const DatasetManagement = () => {
       setLoading(true);
       setError(null);
       
-      // Use search to get all datasets
-      const response = await searchAPI.searchByTerms([''], null, selectedServer);
-      
-      // Filter out specific resource types to show only general datasets
-      const filteredDatasets = (response.data || []).filter(dataset => {
-        const extras = dataset.extras || {};
-        const resources = dataset.resources || [];
-        
-        // Exclude if it's a Kafka topic
-        if (extras.kafka_topic || extras.kafka_host) {
-          return false;
-        }
-        
-        // Exclude if it's in the services organization
-        if (dataset.owner_org === 'services') {
-          return false;
-        }
-        
-        // Exclude if it has S3 resources
-        if (resources.some(resource => 
-          resource.url && (
-            resource.url.startsWith('s3://') || 
-            resource.url.includes('s3.amazonaws.com') ||
-            resource.url.includes('.s3.')
-          )
-        )) {
-          return false;
-        }
-        
-        // Exclude if it's primarily a URL resource (single URL resource with no other content)
-        if (resources.length === 1 && 
-            resources[0].url && 
-            !resources[0].url.startsWith('s3://') &&
-            Object.keys(extras).length === 0 &&
-            (!dataset.notes || dataset.notes.trim() === '')) {
-          return false;
-        }
-        
-        // Include everything else (general datasets)
-        return true;
+      // Ask the API for one page of this resource type only
+      const response = await searchAPI.searchPaged({
+        resourceType: [RESOURCE_TYPES.DATASET, RESOURCE_TYPES.UNCLASSIFIED],
+        server: selectedServer,
+        limit: pageSize,
+        offset
       });
       
-      setDatasets(filteredDatasets);
+      const { items, total: count } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.DATASET, RESOURCE_TYPES.UNCLASSIFIED), limit: pageSize, offset });
+      setDatasets(items);
+      setTotal(count);
       
     } catch (err) {
       console.error('Error fetching datasets:', err);
-      setError('Failed to load datasets: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load datasets'));
     } finally {
       setLoading(false);
     }
-  }, [selectedServer]);
+  }, [selectedServer, pageSize, offset, setTotal]);
 
   /**
-   * Fetch organizations and datasets on component mount
+   * Fetch organizations on mount and when the server changes
    */
   useEffect(() => {
     fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  /**
+   * Fetch datasets whenever the server or the page changes
+   */
+  useEffect(() => {
     fetchDatasets();
-  }, [fetchOrganizations, fetchDatasets]);
+  }, [fetchDatasets]);
 
   /**
    * Handle form input changes
@@ -157,16 +127,10 @@ const DatasetManagement = () => {
     }));
   };
 
-  /**
-   * Parse JSON string safely
-   */
-  const parseJsonSafely = (jsonString, fallback = {}) => {
-    try {
-      return jsonString.trim() === '' ? fallback : JSON.parse(jsonString);
-    } catch {
-      return fallback;
-    }
-  };
+  // Checked on every render so submit stays blocked while a JSON field is invalid
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
+  const resourcesCheck = checkJsonText(resourcesJson, { schema: RESOURCES_SCHEMA, fallback: [] });
+  const jsonFieldsInvalid = !!(extrasCheck.error || resourcesCheck.error);
 
   /**
    * Reset form to initial state
@@ -184,15 +148,22 @@ const DatasetManagement = () => {
     setResourcesJson('[]');
     setEditingDataset(null);
     setShowCreateForm(false);
+    setFieldErrors({});
   };
 
   /**
    * Prepare form data for submission
+   * Returns null when a JSON field is invalid
    */
   const prepareFormData = () => {
-    // Parse JSON fields
-    const extras = parseJsonSafely(extrasJson, {});
-    const resources = parseJsonSafely(resourcesJson, []);
+    if (extrasCheck.error || resourcesCheck.error) {
+      notify('error', extrasCheck.error
+        ? `Extras: ${extrasCheck.error.message}`
+        : `Resources: ${resourcesCheck.error.message}`);
+      return null;
+    }
+    const extras = extrasCheck.value;
+    const resources = resourcesCheck.value;
 
     // Prepare final data
     const requestData = {
@@ -218,21 +189,20 @@ const DatasetManagement = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await datasetAPI.create(requestData, selectedServer);
       
-      setSuccess('Dataset created successfully!');
+      notifySuccess('Dataset created successfully!');
       resetForm();
       fetchDatasets();
       
     } catch (err) {
       console.error('Error creating dataset:', err);
-      setError('Failed to create dataset: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to create dataset').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -245,21 +215,20 @@ const DatasetManagement = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await datasetAPI.partialUpdate(editingDataset.id, requestData, selectedServer);
       
-      setSuccess('Dataset updated successfully!');
+      notifySuccess('Dataset updated successfully!');
       resetForm();
       fetchDatasets();
       
     } catch (err) {
       console.error('Error updating dataset:', err);
-      setError('Failed to update dataset: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to update dataset').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -285,157 +254,6 @@ const DatasetManagement = () => {
     setShowCreateForm(true);
   };
 
-  /**
-   * Handle sending dataset to pre-ckan server
-   */
-  const handleSendToPreCkan = async (dataset) => {
-    const displayName = dataset.title || dataset.name || 'Unnamed Dataset';
-    
-    if (!window.confirm(
-      `Send dataset "${displayName}" to Pre-CKAN server? This will create a copy of the dataset on the pre-ckan server with required Pre-CKAN metadata.`
-    )) {
-      return;
-    }
-
-    try {
-      setError(null);
-      setSuccess(null);
-      
-      // Debug: Log the dataset being sent
-      console.log('Attempting to send dataset to pre-ckan:', dataset);
-      
-      // Prepare the dataset data for pre-ckan with all required fields
-      const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-      const existingExtras = dataset.extras || {};
-      
-      // Ensure all required Pre-CKAN fields are present
-      const datasetForPreCkan = {
-        name: dataset.name,
-        title: dataset.title,
-        owner_org: dataset.owner_org,
-        // Required: notes
-        notes: dataset.notes || 'Dataset transferred from local CKAN server',
-        // Optional fields
-        version: dataset.version,
-        // Required and optional extras for Pre-CKAN
-        extras: {
-          // Keep existing extras
-          ...existingExtras,
-          // Required Pre-CKAN extras
-          uploadType: existingExtras.uploadType || 'manual',
-          dataType: existingExtras.dataType || 'dataset',
-          purpose: existingExtras.purpose || 'Data sharing and analysis',
-          publisherName: existingExtras.publisherName || 'Local CKAN Administrator',
-          publisherEmail: existingExtras.publisherEmail || 'admin@example.com',
-          creatorName: existingExtras.creatorName || 'Local CKAN System',
-          creatorEmail: existingExtras.creatorEmail || 'system@example.com',
-          pocName: existingExtras.pocName || 'Local CKAN Administrator',
-          pocEmail: existingExtras.pocEmail || 'admin@example.com',
-          otherLicense: existingExtras.otherLicense || 'Standard license terms apply',
-          issueDate: existingExtras.issueDate || currentDate,
-          lastUpdateDate: existingExtras.lastUpdateDate || currentDate
-        },
-        // Required: resources with required fields
-        resources: (dataset.resources && dataset.resources.length > 0) 
-          ? dataset.resources.map(resource => {
-              console.log('Processing resource:', resource); // Debug log
-              return {
-                url: resource.url || 'http://example.com/placeholder',
-                // Required resource fields for Pre-CKAN
-                name: resource.name || 'Transferred Resource',
-                description: resource.description || 'Resource transferred from local CKAN server',
-                mimetype: resource.mimetype || resource.format 
-                  ? `application/${(resource.format || 'octet-stream').toLowerCase()}`
-                  : 'application/octet-stream',
-                status: resource.status || 'active',
-                // Optional resource fields
-                format: resource.format || 'Unknown'
-              };
-            })
-          : [
-              // Default placeholder resource if none exist
-              {
-                url: 'http://example.com/placeholder',
-                name: 'Placeholder Resource',
-                description: 'This dataset was transferred without resources from local CKAN',
-                mimetype: 'text/plain',
-                status: 'active',
-                format: 'TXT'
-              }
-            ]
-      };
-      
-      // If no resources exist, add a placeholder
-      if (!datasetForPreCkan.resources || datasetForPreCkan.resources.length === 0) {
-        datasetForPreCkan.resources = [{
-          url: 'http://example.com/placeholder',
-          name: 'Placeholder Resource',
-          description: 'This dataset was transferred without resources from local CKAN',
-          mimetype: 'text/plain',
-          status: 'active',
-          format: 'TXT'
-        }];
-      }
-      
-      // Debug: Log each resource to verify required fields
-      console.log('Final resources being sent to Pre-CKAN:');
-      datasetForPreCkan.resources.forEach((resource, index) => {
-        console.log(`Resource ${index + 1}:`, {
-          name: resource.name,
-          description: resource.description,
-          mimetype: resource.mimetype,
-          status: resource.status,
-          url: resource.url,
-          format: resource.format
-        });
-      });
-      
-      console.log('Sending dataset to pre-ckan with Pre-CKAN required fields:');
-      console.log('Dataset basics:', {
-        name: datasetForPreCkan.name,
-        title: datasetForPreCkan.title,
-        notes: datasetForPreCkan.notes,
-        license_id: datasetForPreCkan.license_id
-      });
-      console.log('Dataset extras:', datasetForPreCkan.extras);
-      console.log('Dataset resources count:', datasetForPreCkan.resources.length);
-      
-      // Send to pre-ckan server
-      await datasetAPI.create(datasetForPreCkan, 'pre_ckan');
-      
-      setSuccess(`Dataset "${displayName}" sent to Pre-CKAN server successfully! Note: Some fields were auto-filled to meet Pre-CKAN requirements.`);
-      
-    } catch (err) {
-      console.error('Error sending dataset to pre-ckan:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to send dataset to Pre-CKAN: ';
-      
-      if (err.response?.status === 409) {
-        errorMessage += `Dataset "${displayName}" already exists on Pre-CKAN server.`;
-      } else if (err.response?.status === 400) {
-        const detail = err.response?.data?.detail || 'Unknown validation error';
-        errorMessage += 'Invalid dataset data. ' + detail;
-        
-        // If it's still missing fields, show which ones
-        if (detail.includes('Missing required fields')) {
-          errorMessage += '\n\nTip: Some Pre-CKAN fields may need to be manually configured. Please check the Pre-CKAN documentation for specific requirements.';
-        }
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to create datasets on Pre-CKAN server.';
-      } else if (err.response?.status === 404) {
-        errorMessage += 'Pre-CKAN server is not available or configured.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
-    }
-  };
-
   /**
    * Handle dataset deletion
    */
@@ -449,59 +267,22 @@ const DatasetManagement = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       // Debug: Log the dataset being deleted
       console.log('Attempting to delete dataset with ID:', dataset.id);
-      console.log('Using endpoint: DELETE /resource?resource_id=' + dataset.id + '&server=local');
+      console.log('Using endpoint: DELETE /resource?resource_id=' + dataset.id + '&server=' + selectedServer);
       
       // Use the resource deletion endpoint since datasets are resources in CKAN
-      await datasetAPI.delete(dataset.id, 'local'); // Always use local for deletion
+      await datasetAPI.delete(dataset.id, selectedServer);
       
-      setSuccess(`Dataset "${displayName}" deleted successfully!`);
+      notifySuccess(`Dataset "${displayName}" deleted successfully!`);
       
       // Refresh the datasets list
       fetchDatasets();
       
     } catch (err) {
       console.error('Error deleting dataset:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to delete dataset: ';
-      
-      if (err.response?.status === 404) {
-        errorMessage += `Dataset "${displayName}" not found. It may have been already deleted.`;
-      } else if (err.response?.status === 405) {
-        errorMessage += 'Dataset deletion method not allowed.';
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to delete this dataset.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
-    }
-  };
-
-  /**
-   * Get dataset type badge
-   */
-  const getDatasetTypeBadge = (dataset) => {
-    const extras = dataset.extras || {};
-    
-    // Check for specific resource types
-    if (dataset.resources && dataset.resources.length > 0) {
-      const resource = dataset.resources[0];
-      if (extras.kafka_topic) return { type: 'Kafka', color: 'status-info' };
-      if (resource.url && resource.url.startsWith('s3://')) return { type: 'S3', color: 'status-warning' };
-      if (resource.url) return { type: 'URL', color: 'status-success' };
+      notifyError(err, 'Failed to delete dataset');
     }
-    
-    return { type: 'General', color: 'status-info' };
   };
 
   return (
@@ -525,27 +306,17 @@ const DatasetManagement = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Controls</h3>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <span style={{ 
-              fontSize: '0.875rem', 
-              color: '#64748b',
-              padding: '0.375rem 0.75rem',
-              backgroundColor: '#f1f5f9',
-              borderRadius: '6px',
-              border: '1px solid #e2e8f0'
-            }}>
-              📍 Local Server Only
-            </span>
+            <ServerBadge />
+            <ExportMenu
+              name="datasets"
+              server={selectedServer}
+              getPackages={() => fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.DATASET, RESOURCE_TYPES.UNCLASSIFIED], server: selectedServer })}
+            />
             <button
               onClick={() => setShowCreateForm(!showCreateForm)}
               className="btn btn-primary"
@@ -598,6 +369,7 @@ const DatasetManagement = () => {
                   required
                   disabled={editingDataset} // Cannot change name when editing
                 />
+                <FieldError message={fieldErrors.name} />
                 <small style={{ color: '#64748b' }}>
                   Unique identifier (lowercase, no spaces)
                 </small>
@@ -614,6 +386,7 @@ const DatasetManagement = () => {
                   placeholder="My Dataset Title"
                   required
                 />
+                <FieldError message={fieldErrors.title} />
               </div>
             </div>
 
@@ -631,6 +404,7 @@ const DatasetManagement = () => {
                   <option key={org} value={org}>{org}</option>
                 ))}
               </select>
+              <FieldError message={fieldErrors.owner_org} />
             </div>
 
             <div className="form-group">
@@ -642,18 +416,19 @@ const DatasetManagement = () => {
                 className="form-input form-textarea"
                 placeholder="Description of the dataset..."
               />
+              <FieldError message={fieldErrors.notes} />
             </div>
 
             {/* Advanced Configuration */}
             <div className="grid grid-2">
               <div className="form-group">
                 <label className="form-label">Extras (JSON)</label>
-                <textarea
+                <JsonEditor
                   value={extrasJson}
-                  onChange={(e) => setExtrasJson(e.target.value)}
-                  className="form-input form-textarea"
+                  onChange={setExtrasJson}
+                  schema={EXTRAS_SCHEMA}
                   placeholder='{"version": "1.0", "project": "research"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem', minHeight: '120px' }}
+                  minHeight="120px"
                 />
                 <small style={{ color: '#64748b' }}>
                   Additional metadata as JSON
@@ -662,12 +437,12 @@ const DatasetManagement = () => {
 
               <div className="form-group">
                 <label className="form-label">Resources (JSON)</label>
-                <textarea
+                <JsonEditor
                   value={resourcesJson}
-                  onChange={(e) => setResourcesJson(e.target.value)}
-                  className="form-input form-textarea"
+                  onChange={setResourcesJson}
+                  schema={RESOURCES_SCHEMA}
                   placeholder='[{"url": "http://example.com/data.csv", "name": "main_data", "format": "CSV"}]'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem', minHeight: '120px' }}
+                  minHeight="120px"
                 />
                 <small style={{ color: '#64748b' }}>
                   List of resources as JSON array
@@ -679,7 +454,7 @@ const DatasetManagement = () => {
             <button 
               type="submit" 
               className="btn btn-primary"
-              disabled={loading}
+              disabled={loading || jsonFieldsInvalid}
             >
               {loading ? (
                 <>
@@ -697,14 +472,35 @@ const DatasetManagement = () => {
         </div>
       )}
 
+      {/* Promotion to another catalog */}
+      {promoting && (
+        <PromotePanel
+          key={`${promoting.pkg.id}-${promoting.server}`}
+          pkg={promoting.pkg}
+          server={promoting.server}
+          onClose={() => setPromoting(null)}
+        />
+      )}
+
       {/* Datasets List */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">
-            Datasets ({datasets.length})
+            Datasets ({total})
           </h3>
         </div>
 
+        <BulkActionsBar
+          selectedItems={selection.selectedItems}
+          itemName="dataset"
+          server={selectedServer}
+          organizations={organizations}
+          updateRequest={datasetAPI.partialUpdate}
+          deleteRequest={datasetAPI.delete}
+          onComplete={fetchDatasets}
+          onClear={selection.clear}
+        />
+
         {loading && !showCreateForm ? (
           <div style={{ textAlign: 'center', padding: '2rem' }}>
             <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
@@ -721,6 +517,14 @@ const DatasetManagement = () => {
             <table className="table">
               <thead>
                 <tr>
+                  <th style={{ width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.allSelected}
+                      onChange={selection.toggleAll}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
                   <th>Dataset</th>
                   <th>Type</th>
                   <th>Organization</th>
@@ -730,10 +534,18 @@ const DatasetManagement = () => {
               </thead>
               <tbody>
                 {datasets.map((dataset, index) => {
-                  const typeBadge = getDatasetTypeBadge(dataset);
+                  const typeBadge = RESOURCE_TYPE_BADGES[classifyResource(dataset)];
                   
                   return (
                     <tr key={`${dataset.id}-${index}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(dataset.id)}
+                          onChange={() => selection.toggle(dataset.id)}
+                          aria-label={`Select ${dataset.title || dataset.name}`}
+                        />
+                      </td>
                       <td>
                         <div>
                           <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
@@ -768,8 +580,13 @@ const DatasetManagement = () => {
                         </div>
                       </td>
                       <td>
-                        <span className="status-indicator status-info">
-                          General
+                        <span
+                          className={`status-indicator ${typeBadge.color}`}
+                          title={typeBadge.label === 'Unclassified'
+                            ? 'This dataset does not match any resource type (e.g. a resource without a URL)'
+                            : undefined}
+                        >
+                          {typeBadge.label}
                         </span>
                       </td>
                       <td>
@@ -795,6 +612,26 @@ const DatasetManagement = () => {
                             <span style={{ fontSize: '0.75rem' }}>Edit</span>
                           </button>
                           
+                          <button
+                            onClick={() => openInJupyter(dataset, selectedServer)}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Open a notebook that loads this dataset in JupyterLab"
+                          >
+                            <BookOpen size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Open in Jupyter</span>
+                          </button>
+                          
+                          <button
+                            onClick={() => setPromoting({ pkg: dataset, server: selectedServer })}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Copy this dataset to another catalog"
+                          >
+                            <ArrowUpCircle size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Promote</span>
+                          </button>
+                          
                           <button
                             onClick={() => handleDeleteDataset(dataset)}
                             className="btn btn-danger"
@@ -813,6 +650,17 @@ const DatasetManagement = () => {
             </table>
           </div>
         )}
+
+        {total > 0 && (
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={total}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            itemLabel="datasets"
+          />
+        )}
       </div>
     </div>
   );
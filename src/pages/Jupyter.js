@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  BookOpen,
+  AlertCircle,
+  CheckCircle,
+  RefreshCw,
+  ExternalLink,
+  Info
+} from 'lucide-react';
+import { getErrorMessage } from '../services/errors';
+import { loadJupyterDetails, getJupyterLabUrl, JUPYTER_STATUS } from '../services/jupyter';
+
+const STATUS_BADGES = {
+  [JUPYTER_STATUS.ONLINE]: { label: 'Available', color: 'status-success', icon: CheckCircle },
+  [JUPYTER_STATUS.OFFLINE]: { label: 'Unavailable', color: 'status-error', icon: AlertCircle },
+  [JUPYTER_STATUS.UNKNOWN]: { label: 'Unknown', color: 'status-warning', icon: Info }
+};
+
+/**
+ * Jupyter page showing the JupyterHub linked to this NDP-EP endpoint
+ * Notebooks for individual resources are opened from the resource pages
+ */
+const Jupyter = () => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the JupyterHub details
+   * @param {boolean} force - Skip the cached result
+   */
+  const fetchDetails = useCallback(async (force = false) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setDetails(await loadJupyterDetails(force));
+    } catch (err) {
+      console.error('Error fetching Jupyter details:', err);
+      setError(getErrorMessage(err, 'Failed to load Jupyter details'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDetails();
+  }, [fetchDetails]);
+
+  const badge = STATUS_BADGES[details?.status] || STATUS_BADGES[JUPYTER_STATUS.UNKNOWN];
+  const BadgeIcon = badge.icon;
+  const labUrl = getJupyterLabUrl(details?.url);
+
+  return (
+    <div className="jupyter-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <h1 className="page-title">
+          <BookOpen size={32} style={{ marginRight: '0.5rem' }} />
+          Jupyter
+        </h1>
+        <p className="page-subtitle">
+          JupyterHub linked to this endpoint
+        </p>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          {error}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">JupyterHub Status</h3>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              onClick={() => fetchDetails(true)}
+              className="btn btn-secondary"
+              disabled={loading}
+            >
+              <RefreshCw size={16} />
+              Refresh
+            </button>
+            {labUrl && (
+              <a
+                href={labUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="btn btn-primary"
+              >
+                <ExternalLink size={16} />
+                Open JupyterLab
+              </a>
+            )}
+          </div>
+        </div>
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '2rem' }}>
+            <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
+            <p style={{ marginTop: '1rem' }}>Loading Jupyter details...</p>
+          </div>
+        ) : details && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span style={{ fontWeight: '500' }}>Status:</span>
+              <span className={`status-indicator ${badge.color}`}>
+                <BadgeIcon size={14} />
+                {badge.label}
+              </span>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span style={{ fontWeight: '500' }}>URL:</span>
+              {details.url ? (
+                <a href={details.url} target="_blank" rel="noopener noreferrer" style={{ fontFamily: 'monospace', color: '#2563eb' }}>
+                  {details.url}
+                </a>
+              ) : (
+                <span style={{ color: '#64748b' }}>No JupyterHub URL reported by the API</span>
+              )}
+            </div>
+            {details.version && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <span style={{ fontWeight: '500' }}>Version:</span>
+                <span style={{ fontFamily: 'monospace', color: '#64748b' }}>{details.version}</span>
+              </div>
+            )}
+            <details>
+              <summary style={{ cursor: 'pointer', color: '#64748b', fontSize: '0.875rem' }}>
+                Raw response from /status/jupyter
+              </summary>
+              <pre style={{
+                backgroundColor: '#f8fafc',
+                padding: '0.75rem',
+                borderRadius: '4px',
+                fontSize: '0.75rem',
+                overflow: 'auto',
+                marginTop: '0.5rem'
+              }}>
+                {JSON.stringify(details.details, null, 2)}
+              </pre>
+            </details>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Notebooks for Catalog Resources</h3>
+        </div>
+        <p style={{ color: '#64748b', margin: 0 }}>
+          Use <strong>Open in Jupyter</strong> on the Datasets, S3 Resources or URL Resources pages to open a
+          notebook that loads that resource (with pandas, fsspec or requests) in JupyterLab. When JupyterHub does
+          not accept the notebook from this site, it is downloaded instead; drag it into the JupyterLab file browser.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Jupyter;
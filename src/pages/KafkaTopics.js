@@ -8,9 +8,32 @@ import {
   X,
   Trash2,
   RefreshCw,
-  Database
+  Database,
+  Eye,
+  ArrowUpCircle
 } from 'lucide-react';
 import { kafkaAPI, organizationsAPI, searchAPI, resourcesAPI } from '../services/api';
+import { fetchAllPackages } from '../services/catalogExport';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import ExportMenu from '../components/ExportMenu';
+import BulkActionsBar from '../components/BulkActionsBar';
+import PromotePanel from '../components/PromotePanel';
+import Pagination from '../components/Pagination';
+import usePagination from '../hooks/usePagination';
+import useSelection from '../hooks/useSelection';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, isResourceType } from '../utils/classifyResource';
+import FieldError from '../components/FieldError';
+import JsonEditor from '../components/JsonEditor';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA } from '../utils/fieldSchemas';
+import KafkaPeekPanel from '../components/KafkaPeekPanel';
+import MappingEditor from '../components/MappingEditor';
+import ProcessingEditor from '../components/ProcessingEditor';
+import { toSettingsObject } from '../utils/processingConfig';
 
 /**
  * Kafka Topics page component for managing Kafka data sources
@@ -21,10 +44,14 @@ const KafkaTopics = () => {
   const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingTopic, setEditingTopic] = useState(null);
-  const [selectedServer] = useState('local'); // Fixed to local for consistency
+  const [promoting, setPromoting] = useState(null); // { pkg, server }
+  const [peekTopic, setPeekTopic] = useState(null);
+  const { selectedServer } = useServer();
+  const { page, pageSize, offset, total, setPage, setPageSize, setTotal } = usePagination(selectedServer);
+  const selection = useSelection(kafkaTopics);
 
   // Form state for creating/editing Kafka topic
   const [formData, setFormData] = useState({
@@ -42,8 +69,8 @@ const KafkaTopics = () => {
 
   // JSON editor states for complex fields
   const [extrasJson, setExtrasJson] = useState('{}');
-  const [mappingJson, setMappingJson] = useState('{}');
-  const [processingJson, setProcessingJson] = useState('{}');
+  // Problems reported by the mapping and processing editors
+  const [editorErrors, setEditorErrors] = useState({});
 
   /**
    * Fetch organizations for dropdown
@@ -65,46 +92,46 @@ const KafkaTopics = () => {
       setLoading(true);
       setError(null);
       
-      // Use search to get all datasets, then filter for Kafka topics
-      const response = await searchAPI.searchByTerms([''], null, selectedServer);
-      
-      // Filter to show only Kafka topics
-      const filteredTopics = (response.data || []).filter(dataset => {
-        const extras = dataset.extras || {};
-        
-        // Include if it has Kafka-specific metadata
-        // Check for both old format (kafka_*) and new format (host, port, topic)
-        return (
-          extras.kafka_topic || extras.kafka_host || extras.kafka_port || // Old format
-          extras.topic || extras.host || extras.port || // New format
-          // Also check if any resource has format "kafka"
-          (dataset.resources && dataset.resources.some(resource => 
-            resource.format === 'kafka'
-          ))
-        );
+      // Ask the API for one page of this resource type only
+      const response = await searchAPI.searchPaged({
+        resourceType: RESOURCE_TYPES.KAFKA,
+        server: selectedServer,
+        limit: pageSize,
+        offset
       });
       
-      console.log('All datasets:', response.data); // Debug
-      console.log('Filtered Kafka topics:', filteredTopics); // Debug
-      
-      setKafkaTopics(filteredTopics);
+      const { items, total: count } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.KAFKA), limit: pageSize, offset });
+      setKafkaTopics(items);
+      setTotal(count);
       
     } catch (err) {
       console.error('Error fetching Kafka topics:', err);
-      setError('Failed to load Kafka topics: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load Kafka topics'));
     } finally {
       setLoading(false);
     }
-  }, [selectedServer]);
+  }, [selectedServer, pageSize, offset, setTotal]);
 
   /**
-   * Fetch organizations and Kafka topics on component mount
+   * Fetch organizations on mount and when the server changes
    */
   useEffect(() => {
     fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  /**
+   * Close the message preview when switching catalogs
+   */
+  useEffect(() => {
+    setPeekTopic(null);
+  }, [selectedServer]);
+
+  /**
+   * Fetch Kafka topics whenever the server or the page changes
+   */
+  useEffect(() => {
     fetchKafkaTopics();
-  }, [fetchOrganizations, fetchKafkaTopics]);
+  }, [fetchKafkaTopics]);
 
   /**
    * Handle form input changes
@@ -117,16 +144,8 @@ const KafkaTopics = () => {
     }));
   };
 
-  /**
-   * Parse JSON string safely
-   */
-  const parseJsonSafely = (jsonString, fallback = {}) => {
-    try {
-      return jsonString.trim() === '' ? fallback : JSON.parse(jsonString);
-    } catch {
-      return fallback;
-    }
-  };
+  // Checked on every render so submit stays blocked while the JSON is invalid
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
 
   /**
    * Reset form to initial state
@@ -145,20 +164,29 @@ const KafkaTopics = () => {
       processing: {}
     });
     setExtrasJson('{}');
-    setMappingJson('{}');
-    setProcessingJson('{}');
+    setEditorErrors({});
     setEditingTopic(null);
     setShowCreateForm(false);
+    setFieldErrors({});
   };
 
   /**
    * Prepare form data for submission
+   * Returns null when the extras JSON is invalid or the mapping or processing editor reports a problem
    */
   const prepareFormData = () => {
-    // Parse JSON fields
-    const extras = parseJsonSafely(extrasJson, {});
-    const mapping = parseJsonSafely(mappingJson, {});
-    const processing = parseJsonSafely(processingJson, {});
+    const editorError = editorErrors.mapping || editorErrors.processing;
+    if (editorError) {
+      notify('error', `Please fix the ${editorErrors.mapping ? 'mapping' : 'processing'} settings: ${editorError}`);
+      return null;
+    }
+    if (extrasCheck.error) {
+      notify('error', `Extras: ${extrasCheck.error.message}`);
+      return null;
+    }
+
+    const extras = extrasCheck.value;
+    const { mapping, processing } = formData;
 
     // Prepare data
     const requestData = {
@@ -185,21 +213,20 @@ const KafkaTopics = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await kafkaAPI.create(requestData, selectedServer);
       
-      setSuccess('Kafka topic dataset created successfully!');
+      notifySuccess('Kafka topic dataset created successfully!');
       resetForm();
       fetchKafkaTopics();
       
     } catch (err) {
       console.error('Error creating Kafka topic:', err);
-      setError('Failed to create Kafka topic: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to create Kafka topic').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -212,21 +239,20 @@ const KafkaTopics = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await kafkaAPI.update(editingTopic.id, requestData, selectedServer);
       
-      setSuccess('Kafka topic updated successfully!');
+      notifySuccess('Kafka topic updated successfully!');
       resetForm();
       fetchKafkaTopics();
       
     } catch (err) {
       console.error('Error updating Kafka topic:', err);
-      setError('Failed to update Kafka topic: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to update Kafka topic').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -262,8 +288,8 @@ const KafkaTopics = () => {
     });
     
     // Also extract mapping and processing from extras if they exist
-    const mapping = cleanExtras.mapping || {};
-    const processing = cleanExtras.processing || {};
+    const mapping = toSettingsObject(cleanExtras.mapping);
+    const processing = toSettingsObject(cleanExtras.processing);
     
     // Remove mapping and processing from cleanExtras since they have their own fields
     delete cleanExtras.mapping;
@@ -284,8 +310,7 @@ const KafkaTopics = () => {
     
     // Set JSON fields with clean data
     setExtrasJson(JSON.stringify(cleanExtras, null, 2));
-    setMappingJson(JSON.stringify(mapping, null, 2));
-    setProcessingJson(JSON.stringify(processing, null, 2));
+    setEditorErrors({});
     setShowCreateForm(true);
   };
 
@@ -302,41 +327,21 @@ const KafkaTopics = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       // Debug: Log the topic being deleted
       console.log('Attempting to delete Kafka topic with ID:', topic.id);
-      console.log('Using endpoint: DELETE /resource?resource_id=' + topic.id + '&server=local');
+      console.log('Using endpoint: DELETE /resource?resource_id=' + topic.id + '&server=' + selectedServer);
       
       // Use the resource deletion endpoint since datasets are resources in CKAN
-      await resourcesAPI.deleteById(topic.id, 'local');
+      await resourcesAPI.deleteById(topic.id, selectedServer);
       
-      setSuccess(`Kafka topic "${displayName}" deleted successfully!`);
+      notifySuccess(`Kafka topic "${displayName}" deleted successfully!`);
       
       // Refresh the topics list
       fetchKafkaTopics();
       
     } catch (err) {
       console.error('Error deleting Kafka topic:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to delete Kafka topic: ';
-      
-      if (err.response?.status === 404) {
-        errorMessage += `Topic "${displayName}" not found. It may have been already deleted.`;
-      } else if (err.response?.status === 405) {
-        errorMessage += 'Topic deletion method not allowed.';
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to delete this topic.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
+      notifyError(err, 'Failed to delete Kafka topic');
     }
   };
 
@@ -377,27 +382,17 @@ const KafkaTopics = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Controls</h3>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <span style={{ 
-              fontSize: '0.875rem', 
-              color: '#64748b',
-              padding: '0.375rem 0.75rem',
-              backgroundColor: '#f1f5f9',
-              borderRadius: '6px',
-              border: '1px solid #e2e8f0'
-            }}>
-              📍 Local Server Only
-            </span>
+            <ServerBadge />
+            <ExportMenu
+              name="kafka-topics"
+              server={selectedServer}
+              getPackages={() => fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.KAFKA], server: selectedServer })}
+            />
             <button
               onClick={fetchKafkaTopics}
               className="btn btn-secondary"
@@ -458,6 +453,7 @@ const KafkaTopics = () => {
                   required
                   disabled={editingTopic} // Cannot change name when editing
                 />
+                <FieldError message={fieldErrors.dataset_name} />
                 <small style={{ color: '#64748b' }}>
                   Unique identifier for the dataset
                 </small>
@@ -474,6 +470,7 @@ const KafkaTopics = () => {
                   placeholder="Kafka Topic Example"
                   required
                 />
+                <FieldError message={fieldErrors.dataset_title} />
               </div>
             </div>
 
@@ -491,6 +488,7 @@ const KafkaTopics = () => {
                   <option key={org} value={org}>{org}</option>
                 ))}
               </select>
+              <FieldError message={fieldErrors.owner_org} />
             </div>
 
             {/* Kafka Configuration */}
@@ -506,6 +504,7 @@ const KafkaTopics = () => {
                   placeholder="example_topic"
                   required
                 />
+                <FieldError message={fieldErrors.kafka_topic} />
               </div>
 
               <div className="form-group">
@@ -519,6 +518,7 @@ const KafkaTopics = () => {
                   placeholder="localhost"
                   required
                 />
+                <FieldError message={fieldErrors.kafka_host} />
               </div>
 
               <div className="form-group">
@@ -532,6 +532,7 @@ const KafkaTopics = () => {
                   placeholder="9092"
                   required
                 />
+                <FieldError message={fieldErrors.kafka_port} />
               </div>
             </div>
 
@@ -544,58 +545,51 @@ const KafkaTopics = () => {
                 className="form-input form-textarea"
                 placeholder="Description of the Kafka topic dataset..."
               />
+              <FieldError message={fieldErrors.dataset_description} />
             </div>
 
             {/* Advanced Configuration */}
-            <div className="grid grid-3">
+            <div className="grid grid-2">
               <div className="form-group">
-                <label className="form-label">Extras (JSON)</label>
-                <textarea
-                  value={extrasJson}
-                  onChange={(e) => setExtrasJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"key1": "value1", "key2": "value2"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
+                <label className="form-label">Mapping</label>
+                <MappingEditor
+                  key={editingTopic?.id || 'new'}
+                  value={formData.mapping}
+                  onChange={(mapping) => setFormData(prev => ({ ...prev, mapping }))}
+                  onError={(message) => setEditorErrors(prev => ({ ...prev, mapping: message }))}
                 />
-                <small style={{ color: '#64748b' }}>
-                  Additional metadata as JSON (excluding Kafka fields)
-                </small>
               </div>
 
               <div className="form-group">
-                <label className="form-label">Mapping (JSON)</label>
-                <textarea
-                  value={mappingJson}
-                  onChange={(e) => setMappingJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"field1": "mapping1", "field2": "mapping2"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
+                <label className="form-label">Processing</label>
+                <ProcessingEditor
+                  key={editingTopic?.id || 'new'}
+                  fileType="stream"
+                  value={formData.processing}
+                  onChange={(processing) => setFormData(prev => ({ ...prev, processing }))}
+                  onError={(message) => setEditorErrors(prev => ({ ...prev, processing: message }))}
                 />
-                <small style={{ color: '#64748b' }}>
-                  Field mapping configuration
-                </small>
               </div>
+            </div>
 
-              <div className="form-group">
-                <label className="form-label">Processing (JSON)</label>
-                <textarea
-                  value={processingJson}
-                  onChange={(e) => setProcessingJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"data_key": "data", "info_key": "info"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
-                />
-                <small style={{ color: '#64748b' }}>
-                  Processing configuration
-                </small>
-              </div>
+            <div className="form-group">
+              <label className="form-label">Extras (JSON)</label>
+              <JsonEditor
+                value={extrasJson}
+                onChange={setExtrasJson}
+                schema={EXTRAS_SCHEMA}
+                placeholder='{"key1": "value1", "key2": "value2"}'
+              />
+              <small style={{ color: '#64748b' }}>
+                Additional metadata as JSON (excluding Kafka fields)
+              </small>
             </div>
 
             {/* Submit Button */}
             <button 
               type="submit" 
               className="btn btn-primary"
-              disabled={loading}
+              disabled={loading || !!extrasCheck.error || !!editorErrors.mapping || !!editorErrors.processing}
             >
               {loading ? (
                 <>
@@ -613,14 +607,45 @@ const KafkaTopics = () => {
         </div>
       )}
 
+      {/* Message Preview */}
+      {peekTopic && (
+        <KafkaPeekPanel
+          topic={peekTopic}
+          server={selectedServer}
+          onClose={() => setPeekTopic(null)}
+        />
+      )}
+
+      {/* Promotion to another catalog */}
+      {promoting && (
+        <PromotePanel
+          key={`${promoting.pkg.id}-${promoting.server}`}
+          pkg={promoting.pkg}
+          server={promoting.server}
+          onClose={() => setPromoting(null)}
+        />
+      )}
+
       {/* Kafka Topics List */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">
-            Kafka Topics ({kafkaTopics.length})
+            Kafka Topics ({total})
           </h3>
         </div>
 
+        <BulkActionsBar
+          selectedItems={selection.selectedItems}
+          itemName="Kafka topic"
+          server={selectedServer}
+          organizations={organizations}
+          reservedExtras={['kafka_topic', 'topic', 'kafka_host', 'host', 'kafka_port', 'port', 'mapping', 'processing']}
+          updateRequest={kafkaAPI.partialUpdate}
+          deleteRequest={resourcesAPI.deleteById}
+          onComplete={fetchKafkaTopics}
+          onClear={selection.clear}
+        />
+
         {loading && !showCreateForm ? (
           <div style={{ textAlign: 'center', padding: '2rem' }}>
             <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
@@ -637,6 +662,14 @@ const KafkaTopics = () => {
             <table className="table">
               <thead>
                 <tr>
+                  <th style={{ width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.allSelected}
+                      onChange={selection.toggleAll}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
                   <th>Topic</th>
                   <th>Kafka Details</th>
                   <th>Organization</th>
@@ -652,6 +685,14 @@ const KafkaTopics = () => {
                   
                   return (
                     <tr key={`${topic.id}-${index}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(topic.id)}
+                          onChange={() => selection.toggle(topic.id)}
+                          aria-label={`Select ${topic.title || topic.name}`}
+                        />
+                      </td>
                       <td>
                         <div>
                           <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
@@ -726,6 +767,26 @@ const KafkaTopics = () => {
                             <span style={{ fontSize: '0.75rem' }}>Edit</span>
                           </button>
                           
+                          <button
+                            onClick={() => setPeekTopic(topic)}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Show the latest messages of this topic"
+                          >
+                            <Eye size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Peek</span>
+                          </button>
+                          
+                          <button
+                            onClick={() => setPromoting({ pkg: topic, server: selectedServer })}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Copy this Kafka topic to another catalog"
+                          >
+                            <ArrowUpCircle size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Promote</span>
+                          </button>
+                          
                           <button
                             onClick={() => handleDeleteTopic(topic)}
                             className="btn btn-danger"
@@ -744,6 +805,17 @@ const KafkaTopics = () => {
             </table>
           </div>
         )}
+
+        {total > 0 && (
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={total}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            itemLabel="topics"
+          />
+        )}
       </div>
     </div>
   );
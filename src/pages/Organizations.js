@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Building2, Plus, Trash2, Search, AlertCircle } from 'lucide-react';
 import { organizationsAPI } from '../services/api';
+import FieldError from '../components/FieldError';
+import { getErrorMessage } from '../services/errors';
+import { notifySuccess, notifyError } from '../services/notifications';
 
 /**
  * Organizations page component for managing organizations
@@ -10,7 +13,7 @@ const Organizations = () => {
   const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedServer, setSelectedServer] = useState('global');
@@ -45,8 +48,7 @@ const Organizations = () => {
       setOrganizations(response.data || []);
     } catch (err) {
       console.error('Error fetching organizations:', err);
-      setError('Failed to load organizations: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load organizations'));
     } finally {
       setLoading(false);
     }
@@ -70,12 +72,11 @@ const Organizations = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       
       await organizationsAPI.create(formData, 'local');
       
-      setSuccess('Organization created successfully!');
+      notifySuccess('Organization created successfully!');
       setFormData({ name: '', title: '', description: '' });
       setShowCreateForm(false);
       
@@ -85,8 +86,7 @@ const Organizations = () => {
       }
     } catch (err) {
       console.error('Error creating organization:', err);
-      setError('Failed to create organization: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to create organization').fieldErrors);
     }
   };
 
@@ -99,19 +99,15 @@ const Organizations = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       await organizationsAPI.delete(orgName, 'local');
       
-      setSuccess(`Organization "${orgName}" deleted successfully!`);
+      notifySuccess(`Organization "${orgName}" deleted successfully!`);
       
       // Refresh the list
       fetchOrganizations();
     } catch (err) {
       console.error('Error deleting organization:', err);
-      setError('Failed to delete organization: ' + 
-        (err.response?.data?.detail || err.message));
+      notifyError(err, 'Failed to delete organization');
     }
   };
 
@@ -144,12 +140,6 @@ const Organizations = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
@@ -214,6 +204,7 @@ const Organizations = () => {
                 placeholder="organization_name"
                 required
               />
+              <FieldError message={fieldErrors.name} />
               <small style={{ color: '#64748b' }}>
                 Unique identifier (lowercase, no spaces)
               </small>
@@ -230,6 +221,7 @@ const Organizations = () => {
                 placeholder="Organization Title"
                 required
               />
+              <FieldError message={fieldErrors.title} />
             </div>
 
             <div className="form-group">
@@ -241,6 +233,7 @@ const Organizations = () => {
                 className="form-input form-textarea"
                 placeholder="Organization description..."
               />
+              <FieldError message={fieldErrors.description} />
             </div>
 
             <div style={{ display: 'flex', gap: '1rem' }}>
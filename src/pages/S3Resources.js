@@ -10,9 +10,47 @@ import {
   RefreshCw,
   ExternalLink,
   FileText,
-  Cloud
+  Cloud,
+  BookOpen,
+  ArrowUpCircle,
+  FolderOpen,
+  FolderPlus,
+  CheckCircle,
+  Link2
 } from 'lucide-react';
 import { s3API, organizationsAPI, searchAPI, resourcesAPI } from '../services/api';
+import { fetchAllPackages } from '../services/catalogExport';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { openInJupyter } from '../services/jupyter';
+import { checkS3Path } from '../services/s3Browser';
+import { isFeatureEnabled } from '../config';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import ExportMenu from '../components/ExportMenu';
+import BulkActionsBar from '../components/BulkActionsBar';
+import PromotePanel from '../components/PromotePanel';
+import Pagination from '../components/Pagination';
+import usePagination from '../hooks/usePagination';
+import useSelection from '../hooks/useSelection';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, S3_EXTRAS, isResourceType } from '../utils/classifyResource';
+import {
+  EMPTY_S3_LOCATION,
+  getS3Location,
+  parseS3Url,
+  splitS3Extras,
+  toS3LocationExtras,
+  toS3LocationUrl,
+  validateS3Location
+} from '../utils/s3Location';
+import FieldError from '../components/FieldError';
+import JsonEditor from '../components/JsonEditor';
+import S3Browser from '../components/S3Browser';
+import PrefixRegistrationWizard from '../components/PrefixRegistrationWizard';
+import DownloadLinkModal from '../components/DownloadLinkModal';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA } from '../utils/fieldSchemas';
 
 /**
  * S3 Resources page component for managing S3 bucket resources
@@ -23,10 +61,15 @@ const S3Resources = () => {
   const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingResource, setEditingResource] = useState(null);
-  const [selectedServer] = useState('local'); // Fixed to local for consistency
+  const [promoting, setPromoting] = useState(null); // { pkg, server }
+  const [showPrefixWizard, setShowPrefixWizard] = useState(false);
+  const [linkResource, setLinkResource] = useState(null);
+  const { selectedServer } = useServer();
+  const { page, pageSize, offset, total, setPage, setPageSize, setTotal } = usePagination(selectedServer);
+  const selection = useSelection(s3Resources);
 
   // Form state for creating/editing S3 resource
   const [formData, setFormData] = useState({
@@ -38,8 +81,13 @@ const S3Resources = () => {
     extras: {}
   });
 
-  // JSON editor state for extras
+  // JSON editor state for extras other than the storage location
   const [extrasJson, setExtrasJson] = useState('{}');
+  // Storage location, saved in the S3_EXTRAS extras
+  const [storageLocation, setStorageLocation] = useState(EMPTY_S3_LOCATION);
+  // S3 browser and the result of checking the S3 URL: { uri, status: checking|found|missing|error, message }
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [pathCheck, setPathCheck] = useState(null);
 
   /**
    * Fetch organizations for dropdown
@@ -61,51 +109,39 @@ const S3Resources = () => {
       setLoading(true);
       setError(null);
       
-      // Use search to get all datasets, then filter for S3 resources
-      const response = await searchAPI.searchByTerms([''], null, selectedServer);
-      
-      // Filter to show only S3 resources
-      const filteredResources = (response.data || []).filter(dataset => {
-        const resources = dataset.resources || [];
-        
-        // Include if it has S3 resources
-        return resources.some(resource => 
-          resource.url && (
-            resource.url.startsWith('s3://') ||
-            resource.url.includes('s3.amazonaws.com') ||
-            resource.url.includes('.s3.')
-          )
-        ) && 
-        // Exclude Kafka topics (no Kafka extras)
-        !(dataset.extras && (
-          dataset.extras.kafka_topic || dataset.extras.kafka_host || 
-          dataset.extras.topic || dataset.extras.host
-        )) &&
-        // Exclude services organization
-        dataset.owner_org !== 'services';
+      // Ask the API for one page of this resource type only
+      const response = await searchAPI.searchPaged({
+        resourceType: RESOURCE_TYPES.S3,
+        server: selectedServer,
+        limit: pageSize,
+        offset
       });
       
-      console.log('All datasets:', response.data); // Debug
-      console.log('Filtered S3 resources:', filteredResources); // Debug
-      
-      setS3Resources(filteredResources);
+      const { items, total: count } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.S3), limit: pageSize, offset });
+      setS3Resources(items);
+      setTotal(count);
       
     } catch (err) {
       console.error('Error fetching S3 resources:', err);
-      setError('Failed to load S3 resources: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load S3 resources'));
     } finally {
       setLoading(false);
     }
-  }, [selectedServer]);
+  }, [selectedServer, pageSize, offset, setTotal]);
 
   /**
-   * Fetch organizations and S3 resources on component mount
+   * Fetch organizations on mount and when the server changes
    */
   useEffect(() => {
     fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  /**
+   * Fetch S3 resources whenever the server or the page changes
+   */
+  useEffect(() => {
     fetchS3Resources();
-  }, [fetchOrganizations, fetchS3Resources]);
+  }, [fetchS3Resources]);
 
   /**
    * Handle form input changes
@@ -116,19 +152,31 @@ const S3Resources = () => {
       ...prev,
       [name]: value
     }));
+    if (name === 'resource_s3') fillLocationFromUrl(value);
   };
 
   /**
-   * Parse JSON string safely
+   * Handle storage location input changes
    */
-  const parseJsonSafely = (jsonString, fallback = {}) => {
-    try {
-      return jsonString.trim() === '' ? fallback : JSON.parse(jsonString);
-    } catch {
-      return fallback;
-    }
+  const handleLocationChange = (e) => {
+    const { name, value } = e.target;
+    setStorageLocation(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Take bucket, key and region from an S3 URL the location fields can be read from
+   */
+  const fillLocationFromUrl = (url) => {
+    setStorageLocation(prev => {
+      const parsed = parseS3Url(url, prev.endpoint);
+      return parsed ? { ...prev, bucket: parsed.bucket, key: parsed.key, region: parsed.region || prev.region } : prev;
+    });
   };
 
+  // Checked on every render so submit stays blocked while the JSON is invalid
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
+  const locationErrors = validateS3Location(storageLocation);
+
   /**
    * Reset form to initial state
    */
@@ -142,20 +190,70 @@ const S3Resources = () => {
       extras: {}
     });
     setExtrasJson('{}');
+    setStorageLocation(EMPTY_S3_LOCATION);
     setEditingResource(null);
     setShowCreateForm(false);
+    setShowBrowser(false);
+    setPathCheck(null);
+    setFieldErrors({});
   };
 
+  /**
+   * Use an object or prefix picked in the S3 browser
+   */
+  const handleSelectS3Path = (uri) => {
+    setFormData(prev => ({ ...prev, resource_s3: uri }));
+    fillLocationFromUrl(uri);
+    setPathCheck({ uri, status: 'found' });
+    setShowBrowser(false);
+  };
+
+  /**
+   * Check that the S3 URL points at an existing object or folder
+   */
+  const handleCheckS3Path = async () => {
+    const uri = formData.resource_s3.trim();
+    setPathCheck({ uri, status: 'checking' });
+    try {
+      const result = await checkS3Path(uri);
+      if (result.exists === null) {
+        setPathCheck({ uri, status: 'error', message: 'Only s3:// URLs can be checked' });
+      } else if (result.exists) {
+        setPathCheck({ uri, status: 'found', message: result.kind === 'prefix' ? 'Folder found' : null });
+      } else {
+        setPathCheck({ uri, status: 'missing', message: result.kind === 'prefix' ? 'No objects below this folder' : 'Object not found' });
+      }
+    } catch (err) {
+      console.error('Error checking S3 path:', err);
+      setPathCheck({ uri, status: 'error', message: getErrorMessage(err, 'Failed to check the S3 URL') });
+    }
+  };
+
+  // A check only applies to the URL it was run for
+  const currentPathCheck = pathCheck && pathCheck.uri === formData.resource_s3.trim() ? pathCheck : null;
+
   /**
    * Prepare form data for submission
+   * Returns null when the extras JSON or the storage location is invalid
    */
   const prepareFormData = () => {
-    // Parse JSON fields
-    const extras = parseJsonSafely(extrasJson, {});
+    if (extrasCheck.error) {
+      notify('error', `Extras: ${extrasCheck.error.message}`);
+      return null;
+    }
+    const [locationError] = Object.values(locationErrors);
+    if (locationError) {
+      notify('error', `Storage location: ${locationError}`);
+      return null;
+    }
+
+    // The location fields win over the same keys typed into the extras JSON
+    const extras = { ...extrasCheck.value, ...toS3LocationExtras(storageLocation) };
 
     // Prepare data
     const requestData = {
       ...formData,
+      resource_s3: formData.resource_s3.trim() || toS3LocationUrl(storageLocation),
       extras: Object.keys(extras).length > 0 ? extras : undefined
     };
 
@@ -176,21 +274,20 @@ const S3Resources = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await s3API.create(requestData, selectedServer);
       
-      setSuccess('S3 resource created successfully!');
+      notifySuccess('S3 resource created successfully!');
       resetForm();
       fetchS3Resources();
       
     } catch (err) {
       console.error('Error creating S3 resource:', err);
-      setError('Failed to create S3 resource: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to create S3 resource').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -203,21 +300,20 @@ const S3Resources = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
+      if (!requestData) return;
       await s3API.update(editingResource.id, requestData, selectedServer);
       
-      setSuccess('S3 resource updated successfully!');
+      notifySuccess('S3 resource updated successfully!');
       resetForm();
       fetchS3Resources();
       
     } catch (err) {
       console.error('Error updating S3 resource:', err);
-      setError('Failed to update S3 resource: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to update S3 resource').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -228,20 +324,21 @@ const S3Resources = () => {
    */
   const startEditing = (resource) => {
     setEditingResource(resource);
-    const extras = resource.extras || {};
-    const firstResource = resource.resources && resource.resources[0];
+    const { rest } = splitS3Extras(resource.extras || {});
+    const { url, source, ...storedLocation } = getS3Location(resource);
     
     setFormData({
       resource_name: resource.name || '',
       resource_title: resource.title || '',
       owner_org: resource.owner_org || '',
-      resource_s3: firstResource?.url || '',
+      resource_s3: url,
       notes: resource.notes || '',
-      extras: extras
+      extras: rest
     });
     
-    // Set JSON fields
-    setExtrasJson(JSON.stringify(extras, null, 2));
+    // Set JSON fields; older resources get their location from the URL
+    setExtrasJson(JSON.stringify(rest, null, 2));
+    setStorageLocation(storedLocation);
     setShowCreateForm(true);
   };
 
@@ -258,41 +355,21 @@ const S3Resources = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       // Debug: Log the resource being deleted
       console.log('Attempting to delete S3 resource with ID:', resource.id);
-      console.log('Using endpoint: DELETE /resource?resource_id=' + resource.id + '&server=local');
+      console.log('Using endpoint: DELETE /resource?resource_id=' + resource.id + '&server=' + selectedServer);
       
       // Use the resource deletion endpoint since datasets are resources in CKAN
-      await resourcesAPI.deleteById(resource.id, 'local');
+      await resourcesAPI.deleteById(resource.id, selectedServer);
       
-      setSuccess(`S3 resource "${displayName}" deleted successfully!`);
+      notifySuccess(`S3 resource "${displayName}" deleted successfully!`);
       
       // Refresh the resources list
       fetchS3Resources();
       
     } catch (err) {
       console.error('Error deleting S3 resource:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to delete S3 resource: ';
-      
-      if (err.response?.status === 404) {
-        errorMessage += `Resource "${displayName}" not found. It may have been already deleted.`;
-      } else if (err.response?.status === 405) {
-        errorMessage += 'Resource deletion method not allowed.';
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to delete this resource.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
+      notifyError(err, 'Failed to delete S3 resource');
     }
   };
 
@@ -316,49 +393,6 @@ const S3Resources = () => {
     return firstResource?.url || 'No URL';
   };
 
-  /**
-   * Extract bucket name from S3 URL
-   */
-  const getBucketName = (url) => {
-    if (!url || url === 'No URL') return 'Unknown';
-    
-    try {
-      if (url.startsWith('s3://')) {
-        return url.split('/')[2];
-      } else if (url.includes('s3')) {
-        const match = url.match(/https:\/\/([^.]+)\.s3/);
-        if (match) return match[1];
-        
-        const bucketMatch = url.match(/amazonaws\.com\/([^\/]+)/);
-        if (bucketMatch) return bucketMatch[1];
-      }
-    } catch (e) {
-      console.error('Error parsing bucket name:', e);
-    }
-    
-    return 'Unknown';
-  };
-
-  /**
-   * Get S3 region from URL or extras
-   */
-  const getS3Region = (resource) => {
-    const extras = resource.extras || {};
-    if (extras.region) return extras.region;
-    
-    const firstResource = resource.resources && resource.resources[0];
-    if (!firstResource?.url) return 'Unknown';
-    
-    try {
-      const regionMatch = firstResource.url.match(/s3[.-]([a-z0-9-]+)\.amazonaws\.com/);
-      if (regionMatch) return regionMatch[1];
-    } catch (e) {
-      console.error('Error parsing region:', e);
-    }
-    
-    return 'us-east-1'; // Default region
-  };
-
   return (
     <div className="s3-resources-page">
       {/* Page Header */}
@@ -380,27 +414,17 @@ const S3Resources = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Controls</h3>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <span style={{ 
-              fontSize: '0.875rem', 
-              color: '#64748b',
-              padding: '0.375rem 0.75rem',
-              backgroundColor: '#f1f5f9',
-              borderRadius: '6px',
-              border: '1px solid #e2e8f0'
-            }}>
-              📍 Local Server Only
-            </span>
+            <ServerBadge />
+            <ExportMenu
+              name="s3-resources"
+              server={selectedServer}
+              getPackages={() => fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.S3], server: selectedServer })}
+            />
             <button
               onClick={fetchS3Resources}
               className="btn btn-secondary"
@@ -409,6 +433,15 @@ const S3Resources = () => {
               <RefreshCw size={16} />
               Refresh
             </button>
+            {isFeatureEnabled('s3Browser') && (
+              <button
+                onClick={() => setShowPrefixWizard(!showPrefixWizard)}
+                className="btn btn-secondary"
+              >
+                <FolderPlus size={16} />
+                Register Prefix
+              </button>
+            )}
             <button
               onClick={() => setShowCreateForm(!showCreateForm)}
               className="btn btn-primary"
@@ -461,6 +494,7 @@ const S3Resources = () => {
                   required
                   disabled={editingResource} // Cannot change name when editing
                 />
+                <FieldError message={fieldErrors.resource_name} />
                 <small style={{ color: '#64748b' }}>
                   Unique identifier for the S3 resource
                 </small>
@@ -477,6 +511,7 @@ const S3Resources = () => {
                   placeholder="My S3 Dataset"
                   required
                 />
+                <FieldError message={fieldErrors.resource_title} />
               </div>
             </div>
 
@@ -494,24 +529,70 @@ const S3Resources = () => {
                   <option key={org} value={org}>{org}</option>
                 ))}
               </select>
+              <FieldError message={fieldErrors.owner_org} />
             </div>
 
             {/* S3 URL */}
             <div className="form-group">
-              <label className="form-label">S3 URL *</label>
-              <input
-                type="text"
-                name="resource_s3"
-                value={formData.resource_s3}
-                onChange={handleInputChange}
-                className="form-input"
-                placeholder="s3://my-bucket/path/to/file.csv"
-                required
-              />
+              <label className="form-label">S3 URL{storageLocation.bucket.trim() ? '' : ' *'}</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="text"
+                  name="resource_s3"
+                  value={formData.resource_s3}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  placeholder="s3://my-bucket/path/to/file.csv"
+                  required={!storageLocation.bucket.trim()}
+                />
+                {isFeatureEnabled('s3Browser') && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => setShowBrowser(!showBrowser)}
+                      className="btn btn-secondary"
+                      title="Pick an object or folder from S3 storage"
+                    >
+                      <FolderOpen size={16} />
+                      Browse
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleCheckS3Path}
+                      className="btn btn-secondary"
+                      disabled={!formData.resource_s3.trim() || currentPathCheck?.status === 'checking'}
+                      title="Check that the object exists"
+                    >
+                      <CheckCircle size={16} />
+                      Check
+                    </button>
+                  </>
+                )}
+              </div>
+              <FieldError message={fieldErrors.resource_s3} />
+              {currentPathCheck && (
+                <div style={{ marginTop: '0.25rem' }}>
+                  <span className={`status-indicator ${
+                    currentPathCheck.status === 'found' ? 'status-success'
+                      : currentPathCheck.status === 'checking' ? 'status-info'
+                        : currentPathCheck.status === 'missing' ? 'status-warning' : 'status-error'
+                  }`}>
+                    {currentPathCheck.status === 'checking' ? 'Checking...'
+                      : currentPathCheck.message || (currentPathCheck.status === 'found' ? 'Object found' : 'Not found')}
+                  </span>
+                </div>
+              )}
+              {showBrowser && (
+                <S3Browser
+                  initialUri={formData.resource_s3}
+                  onSelect={handleSelectS3Path}
+                  onClose={() => setShowBrowser(false)}
+                />
+              )}
               <small style={{ color: '#64748b' }}>
-                S3 URL in format: s3://bucket-name/path/to/file or HTTPS URL
+                S3 URL in format: s3://bucket-name/path/to/file or HTTPS URL. Built from the storage location when left empty.
               </small>
-              {formData.resource_s3 && !isValidS3Url(formData.resource_s3) && (
+              {formData.resource_s3 && !storageLocation.endpoint.trim() && !isValidS3Url(formData.resource_s3) && (
                 <div style={{ color: '#ef4444', fontSize: '0.875rem', marginTop: '0.25rem' }}>
                   ⚠️ URL format may not be valid. Expected formats:
                   <br />• s3://bucket-name/path/to/file
@@ -520,6 +601,80 @@ const S3Resources = () => {
               )}
             </div>
 
+            {/* Storage Location */}
+            <div className="form-group">
+              <label className="form-label">Storage location</label>
+              <small style={{ color: '#64748b', display: 'block', marginBottom: '0.5rem' }}>
+                Saved in the {Object.values(S3_EXTRAS).join(', ')} extras. Leave the endpoint empty for AWS S3.
+              </small>
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Endpoint URL</label>
+                  <input
+                    type="text"
+                    name="endpoint"
+                    value={storageLocation.endpoint}
+                    onChange={handleLocationChange}
+                    className="form-input"
+                    placeholder="https://minio.example.org"
+                  />
+                  <FieldError message={locationErrors[S3_EXTRAS.endpoint] || fieldErrors[S3_EXTRAS.endpoint]} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Region</label>
+                  <input
+                    type="text"
+                    name="region"
+                    value={storageLocation.region}
+                    onChange={handleLocationChange}
+                    className="form-input"
+                    placeholder="us-east-1"
+                  />
+                  <FieldError message={locationErrors[S3_EXTRAS.region] || fieldErrors[S3_EXTRAS.region]} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Bucket</label>
+                  <input
+                    type="text"
+                    name="bucket"
+                    value={storageLocation.bucket}
+                    onChange={handleLocationChange}
+                    className="form-input"
+                    placeholder="my-bucket"
+                  />
+                  <FieldError message={locationErrors[S3_EXTRAS.bucket] || fieldErrors[S3_EXTRAS.bucket]} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Key or prefix</label>
+                  <input
+                    type="text"
+                    name="key"
+                    value={storageLocation.key}
+                    onChange={handleLocationChange}
+                    className="form-input"
+                    placeholder="path/to/file.csv"
+                  />
+                  <FieldError message={fieldErrors[S3_EXTRAS.key]} />
+                </div>
+              </div>
+              <div className="form-group" style={{ marginBottom: 0 }}>
+                <label className="form-label">Credential reference</label>
+                <input
+                  type="text"
+                  name="credentialRef"
+                  value={storageLocation.credentialRef}
+                  onChange={handleLocationChange}
+                  className="form-input"
+                  placeholder="osn-readonly"
+                  autoComplete="off"
+                />
+                <FieldError message={locationErrors[S3_EXTRAS.credentialRef] || fieldErrors[S3_EXTRAS.credentialRef]} />
+                <small style={{ color: '#64748b' }}>
+                  Name of a credential stored on the NDP-EP API server. Never enter the access key or secret itself.
+                </small>
+              </div>
+            </div>
+
             <div className="form-group">
               <label className="form-label">Notes</label>
               <textarea
@@ -529,20 +684,20 @@ const S3Resources = () => {
                 className="form-input form-textarea"
                 placeholder="Additional notes about the S3 resource..."
               />
+              <FieldError message={fieldErrors.notes} />
             </div>
 
             {/* Extras Configuration */}
             <div className="form-group">
               <label className="form-label">Extras (JSON)</label>
-              <textarea
+              <JsonEditor
                 value={extrasJson}
-                onChange={(e) => setExtrasJson(e.target.value)}
-                className="form-input form-textarea"
-                placeholder='{"region": "us-east-1", "access_key": "AKIA...", "secret_key": "..."}'
-                style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
+                onChange={setExtrasJson}
+                schema={EXTRAS_SCHEMA}
+                placeholder='{"project": "climate", "license": "CC-BY-4.0"}'
               />
               <small style={{ color: '#64748b' }}>
-                Additional metadata including AWS credentials and configuration
+                Additional metadata. Extras are public, so keep credentials out of them and use a credential reference.
               </small>
             </div>
 
@@ -550,7 +705,7 @@ const S3Resources = () => {
             <button 
               type="submit" 
               className="btn btn-primary"
-              disabled={loading}
+              disabled={loading || !!extrasCheck.error || Object.keys(locationErrors).length > 0}
             >
               {loading ? (
                 <>
@@ -568,14 +723,51 @@ const S3Resources = () => {
         </div>
       )}
 
+      {/* Registration of every object under a prefix */}
+      {showPrefixWizard && (
+        <PrefixRegistrationWizard
+          key={selectedServer}
+          organizations={organizations}
+          server={selectedServer}
+          onClose={() => setShowPrefixWizard(false)}
+          onComplete={fetchS3Resources}
+        />
+      )}
+
+      {/* Presigned download link */}
+      {linkResource && (
+        <DownloadLinkModal resource={linkResource} onClose={() => setLinkResource(null)} />
+      )}
+
+      {/* Promotion to another catalog */}
+      {promoting && (
+        <PromotePanel
+          key={`${promoting.pkg.id}-${promoting.server}`}
+          pkg={promoting.pkg}
+          server={promoting.server}
+          onClose={() => setPromoting(null)}
+        />
+      )}
+
       {/* S3 Resources List */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">
-            S3 Resources ({s3Resources.length})
+            S3 Resources ({total})
           </h3>
         </div>
 
+        <BulkActionsBar
+          selectedItems={selection.selectedItems}
+          itemName="S3 resource"
+          server={selectedServer}
+          organizations={organizations}
+          updateRequest={s3API.partialUpdate}
+          deleteRequest={resourcesAPI.deleteById}
+          onComplete={fetchS3Resources}
+          onClear={selection.clear}
+        />
+
         {loading && !showCreateForm ? (
           <div style={{ textAlign: 'center', padding: '2rem' }}>
             <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
@@ -592,6 +784,14 @@ const S3Resources = () => {
             <table className="table">
               <thead>
                 <tr>
+                  <th style={{ width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.allSelected}
+                      onChange={selection.toggleAll}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
                   <th>Resource</th>
                   <th>S3 Details</th>
                   <th>Organization</th>
@@ -603,11 +803,18 @@ const S3Resources = () => {
               <tbody>
                 {s3Resources.map((resource, index) => {
                   const s3Url = getMainS3Url(resource);
-                  const bucketName = getBucketName(s3Url);
-                  const region = getS3Region(resource);
+                  const s3Location = getS3Location(resource);
                   
                   return (
                     <tr key={`${resource.id}-${index}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(resource.id)}
+                          onChange={() => selection.toggle(resource.id)}
+                          aria-label={`Select ${resource.title || resource.name}`}
+                        />
+                      </td>
                       <td>
                         <div>
                           <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
@@ -645,11 +852,29 @@ const S3Resources = () => {
                         <div>
                           <div style={{ fontSize: '0.875rem', fontWeight: '500' }}>
                             <Cloud size={14} style={{ display: 'inline', marginRight: '0.25rem' }} />
-                            {bucketName}
+                            {s3Location.bucket || 'Unknown'}
+                          </div>
+                          {s3Location.key && (
+                            <div style={{ fontSize: '0.75rem', color: '#64748b', fontFamily: 'monospace', maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={s3Location.key}>
+                              {s3Location.key}
+                            </div>
+                          )}
+                          <div style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                            Endpoint: {s3Location.endpoint || 'AWS S3'}
                           </div>
                           <div style={{ fontSize: '0.875rem', color: '#64748b' }}>
-                            Region: {region}
+                            Region: {s3Location.region || 'Not set'}
                           </div>
+                          {s3Location.credentialRef && (
+                            <div style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                              Credential: {s3Location.credentialRef}
+                            </div>
+                          )}
+                          {s3Location.source === 'url' && (
+                            <div style={{ fontSize: '0.75rem', color: '#94a3b8' }} title="Edit and save the resource to store its location">
+                              Read from the URL
+                            </div>
+                          )}
                         </div>
                       </td>
                       <td>
@@ -704,6 +929,38 @@ const S3Resources = () => {
                             <span style={{ fontSize: '0.75rem' }}>Edit</span>
                           </button>
                           
+                          <button
+                            onClick={() => openInJupyter(resource, selectedServer)}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Open a notebook that loads this S3 resource in JupyterLab"
+                          >
+                            <BookOpen size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Open in Jupyter</span>
+                          </button>
+                          
+                          <button
+                            onClick={() => setPromoting({ pkg: resource, server: selectedServer })}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Copy this S3 resource to another catalog"
+                          >
+                            <ArrowUpCircle size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Promote</span>
+                          </button>
+                          
+                          {isFeatureEnabled('s3Browser') && (
+                            <button
+                              onClick={() => setLinkResource(resource)}
+                              className="btn btn-secondary"
+                              style={{ padding: '0.375rem 0.75rem' }}
+                              title="Get a time-limited download link"
+                            >
+                              <Link2 size={14} />
+                              <span style={{ fontSize: '0.75rem' }}>Get Link</span>
+                            </button>
+                          )}
+                          
                           <button
                             onClick={() => handleDeleteResource(resource)}
                             className="btn btn-danger"
@@ -722,6 +979,17 @@ const S3Resources = () => {
             </table>
           </div>
         )}
+
+        {total > 0 && (
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={total}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            itemLabel="resources"
+          />
+        )}
       </div>
     </div>
   );
@@ -1,11 +1,16 @@
 import React, { useState } from 'react';
 import { Search as SearchIcon, AlertCircle, Settings } from 'lucide-react';
 import { searchAPI } from '../services/api';
+import { getErrorMessage } from '../services/errors';
+import { RESOURCE_TYPES, isResourceType } from '../utils/classifyResource';
+import ExportMenu from '../components/ExportMenu';
 
 const Search = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [results, setResults] = useState([]);
+  // Catalog the results came from; the selector may have changed since
+  const [resultsServer, setResultsServer] = useState(null);
   const [searchMode, setSearchMode] = useState('datasets'); // 'datasets' or 'services'
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedServer, setSelectedServer] = useState('global');
@@ -32,31 +37,11 @@ const Search = () => {
       console.log('Dataset search response:', response.data); // Debug log
       
       setResults(response.data || []);
+      setResultsServer(selectedServer);
       
     } catch (err) {
       console.error('Error executing dataset search:', err);
-      console.error('Error details:', {
-        status: err.response?.status,
-        statusText: err.response?.statusText,
-        data: err.response?.data,
-        config: err.config
-      }); // Debug log
-      
-      let errorMessage = 'Dataset search failed';
-      
-      if (err.response?.status === 422) {
-        errorMessage += ': Validation error - check your search parameters';
-      } else if (err.response?.status === 401) {
-        errorMessage += ': Authentication required - please login first';
-      } else if (err.response?.data?.detail) {
-        errorMessage += ': ' + err.response.data.detail;
-      } else if (err.message) {
-        errorMessage += ': ' + err.message;
-      } else {
-        errorMessage += ': Unknown error occurred';
-      }
-      
-      setError(errorMessage);
+      setError(getErrorMessage(err, 'Dataset search failed'));
     } finally {
       setLoading(false);
     }
@@ -85,25 +70,14 @@ const Search = () => {
       const response = await searchAPI.searchAdvanced(searchData);
       
       // Filter results to only show services organization
-      const filteredResults = (response.data || []).filter(item => 
-        item.owner_org === 'services'
-      );
+      const filteredResults = (response.data || []).filter(isResourceType(RESOURCE_TYPES.SERVICE));
       
       setResults(filteredResults);
+      setResultsServer(selectedServer);
       
     } catch (err) {
       console.error('Error executing service search:', err);
-      let errorMessage = 'Service search failed';
-      
-      if (err.response?.data?.detail) {
-        errorMessage += ': ' + err.response.data.detail;
-      } else if (err.message) {
-        errorMessage += ': ' + err.message;
-      } else {
-        errorMessage += ': Unknown error occurred';
-      }
-      
-      setError(errorMessage);
+      setError(getErrorMessage(err, 'Service search failed'));
     } finally {
       setLoading(false);
     }
@@ -245,6 +219,11 @@ const Search = () => {
               {searchMode === 'datasets' ? <SearchIcon size={20} /> : <Settings size={20} />}
               Search Results ({results.length}) - {searchMode === 'datasets' ? 'Datasets' : 'Services'}
             </h3>
+            <ExportMenu
+              name={searchMode === 'datasets' ? 'search-datasets' : 'search-services'}
+              server={resultsServer}
+              getPackages={() => results}
+            />
           </div>
 
           <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
@@ -5,13 +5,35 @@ import {
   AlertCircle, 
   Save,
   X,
+  Edit3,
   Trash2,
   RefreshCw,
   ExternalLink,
   FileText,
-  Server
+  Server,
+  ArrowUpCircle
 } from 'lucide-react';
 import { servicesAPI, searchAPI, resourcesAPI } from '../services/api';
+import { fetchAllPackages } from '../services/catalogExport';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import ExportMenu from '../components/ExportMenu';
+import BulkActionsBar from '../components/BulkActionsBar';
+import PromotePanel from '../components/PromotePanel';
+import Pagination from '../components/Pagination';
+import usePagination from '../hooks/usePagination';
+import useSelection from '../hooks/useSelection';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, isResourceType, getExtras } from '../utils/classifyResource';
+import { getChangedFields } from '../utils/changedFields';
+import FieldError from '../components/FieldError';
+import JsonEditor from '../components/JsonEditor';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA } from '../utils/fieldSchemas';
+import ServiceHealth from '../components/ServiceHealth';
+import useServiceHealth from '../hooks/useServiceHealth';
 
 /**
  * Services page component for managing registered services
@@ -22,10 +44,17 @@ const Services = () => {
   const [services, setServices] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [editingService, setEditingService] = useState(null);
+  const [promoting, setPromoting] = useState(null); // { pkg, server }
+  // Submitted values the edit form started from, used to send only changed fields
+  const [originalData, setOriginalData] = useState(null);
 
-  const [selectedServer] = useState('local'); // Fixed to local for consistency
+  const { selectedServer } = useServer();
+  const { page, pageSize, offset, total, setPage, setPageSize, setTotal } = usePagination(selectedServer);
+  const selection = useSelection(services);
+  const health = useServiceHealth(services, selectedServer);
 
   // Form state for creating/editing service
   const [formData, setFormData] = useState({
@@ -64,27 +93,25 @@ const Services = () => {
       setLoading(true);
       setError(null);
       
-      // Use search to get all datasets, then filter for services
-      const response = await searchAPI.searchByTerms([''], null, selectedServer);
-      
-      // Filter to show only services (owner_org === 'services')
-      const filteredServices = (response.data || []).filter(dataset => {
-        return dataset.owner_org === 'services';
+      // Ask the API for one page of this resource type only
+      const response = await searchAPI.searchPaged({
+        resourceType: RESOURCE_TYPES.SERVICE,
+        server: selectedServer,
+        limit: pageSize,
+        offset
       });
       
-      console.log('All datasets:', response.data); // Debug
-      console.log('Filtered services:', filteredServices); // Debug
-      
-      setServices(filteredServices);
+      const { items, total: count } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.SERVICE), limit: pageSize, offset });
+      setServices(items);
+      setTotal(count);
       
     } catch (err) {
       console.error('Error fetching services:', err);
-      setError('Failed to load services: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load services'));
     } finally {
       setLoading(false);
     }
-  }, [selectedServer]);
+  }, [selectedServer, pageSize, offset, setTotal]);
 
   /**
    * Fetch services on component mount
@@ -104,16 +131,8 @@ const Services = () => {
     }));
   };
 
-  /**
-   * Parse JSON string safely
-   */
-  const parseJsonSafely = (jsonString, fallback = {}) => {
-    try {
-      return jsonString.trim() === '' ? fallback : JSON.parse(jsonString);
-    } catch {
-      return fallback;
-    }
-  };
+  // Checked on every render so submit stays blocked while the JSON is invalid
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
 
   /**
    * Reset form to initial state
@@ -132,18 +151,18 @@ const Services = () => {
     });
     setExtrasJson('{}');
     setShowCreateForm(false);
+    setEditingService(null);
+    setOriginalData(null);
+    setFieldErrors({});
   };
 
   /**
    * Prepare form data for submission
    */
-  const prepareFormData = () => {
-    // Parse JSON fields
-    const extras = parseJsonSafely(extrasJson, {});
-
+  const prepareFormData = (data = formData, extras = extrasCheck.value) => {
     // Prepare data
     const requestData = {
-      ...formData,
+      ...data,
       extras: Object.keys(extras).length > 0 ? extras : undefined
     };
 
@@ -163,28 +182,98 @@ const Services = () => {
   const handleCreate = async (e) => {
     e.preventDefault();
     
+    if (extrasCheck.error) {
+      notify('error', `Additional metadata: ${extrasCheck.error.message}`);
+      return;
+    }
+
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
       await servicesAPI.create(requestData, selectedServer);
       
-      setSuccess('Service registered successfully!');
+      notifySuccess('Service registered successfully!');
       resetForm();
       fetchServices();
       
     } catch (err) {
       console.error('Error creating service:', err);
-      setError('Failed to register service: ' + 
-        (err.response?.data?.detail || err.message));
+      setFieldErrors(notifyError(err, 'Failed to register service').fieldErrors);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Handle form submission for updating service
+   * Sends only the fields that changed as a partial (PATCH) update
+   */
+  const handleUpdate = async (e) => {
+    e.preventDefault();
 
+    if (extrasCheck.error) {
+      notify('error', `Additional metadata: ${extrasCheck.error.message}`);
+      return;
+    }
+
+    const changes = getChangedFields(originalData, prepareFormData());
+    if (Object.keys(changes).length === 0) {
+      notify('info', 'No changes to save');
+      return;
+    }
+
+    try {
+      setFieldErrors({});
+      setLoading(true);
+
+      await servicesAPI.partialUpdate(editingService.id, changes, selectedServer);
+      
+      notifySuccess('Service updated successfully!');
+      resetForm();
+      fetchServices();
+      
+    } catch (err) {
+      console.error('Error updating service:', err);
+      setFieldErrors(notifyError(err, 'Failed to update service').fieldErrors);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Start editing a service
+   * Service-specific fields live in extras, the service URL also in the first resource
+   */
+  const startEditing = (service) => {
+    const extras = getExtras(service);
+    const firstResource = service.resources && service.resources[0];
+
+    // Keep only free-form metadata in the extras editor
+    const cleanExtras = { ...extras };
+    ['service_url', 'service_type', 'health_check_url', 'documentation_url'].forEach(field => {
+      delete cleanExtras[field];
+    });
+
+    const editData = {
+      service_name: service.name || '',
+      service_title: service.title || '',
+      owner_org: 'services',
+      service_url: extras.service_url || firstResource?.url || '',
+      service_type: extras.service_type || '',
+      notes: service.notes || '',
+      extras: cleanExtras,
+      health_check_url: extras.health_check_url || '',
+      documentation_url: extras.documentation_url || ''
+    };
+    setEditingService(service);
+    setFormData(editData);
+    setExtrasJson(JSON.stringify(cleanExtras, null, 2));
+    setOriginalData(prepareFormData(editData, cleanExtras));
+    setFieldErrors({});
+    setShowCreateForm(true);
+  };
 
   /**
    * Handle service deletion
@@ -199,41 +288,21 @@ const Services = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       // Debug: Log the service being deleted
       console.log('Attempting to delete service with ID:', service.id);
-      console.log('Using endpoint: DELETE /resource?resource_id=' + service.id + '&server=local');
+      console.log('Using endpoint: DELETE /resource?resource_id=' + service.id + '&server=' + selectedServer);
       
       // Use the resource deletion endpoint since datasets are resources in CKAN
-      await resourcesAPI.deleteById(service.id, 'local');
+      await resourcesAPI.deleteById(service.id, selectedServer);
       
-      setSuccess(`Service "${displayName}" deleted successfully!`);
+      notifySuccess(`Service "${displayName}" deleted successfully!`);
       
       // Refresh the services list
       fetchServices();
       
     } catch (err) {
       console.error('Error deleting service:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to delete service: ';
-      
-      if (err.response?.status === 404) {
-        errorMessage += `Service "${displayName}" not found. It may have been already deleted.`;
-      } else if (err.response?.status === 405) {
-        errorMessage += 'Service deletion method not allowed.';
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to delete this service.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
+      notifyError(err, 'Failed to delete service');
     }
   };
 
@@ -241,7 +310,7 @@ const Services = () => {
    * Get service type badge color
    */
   const getServiceTypeBadge = (service) => {
-    const extras = service.extras || {};
+    const extras = getExtras(service);
     const serviceType = extras.service_type || 'Unknown';
     
     const typeColors = {
@@ -270,16 +339,14 @@ const Services = () => {
     return firstResource?.url || 'No URL';
   };
 
-  /**
-   * Get health check status (placeholder for future implementation)
-   */
-  const getHealthStatus = (service) => {
-    const extras = service.extras || {};
-    if (extras.health_check_url) {
-      return { status: 'Unknown', color: 'status-warning' };
-    }
-    return { status: 'No Health Check', color: 'status-info' };
-  };
+  // Health check poll intervals offered in the controls, in milliseconds
+  const healthIntervals = [
+    { value: 15000, label: 'every 15s' },
+    { value: 30000, label: 'every 30s' },
+    { value: 60000, label: 'every minute' },
+    { value: 300000, label: 'every 5 minutes' },
+    { value: 0, label: 'paused' }
+  ];
 
   return (
     <div className="services-page">
@@ -302,29 +369,36 @@ const Services = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Controls</h3>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <span style={{ 
-              fontSize: '0.875rem', 
-              color: '#64748b',
-              padding: '0.375rem 0.75rem',
-              backgroundColor: '#f1f5f9',
-              borderRadius: '6px',
-              border: '1px solid #e2e8f0'
-            }}>
-              📍 Local Server Only
-            </span>
+            <ServerBadge />
+            <ExportMenu
+              name="services"
+              server={selectedServer}
+              getPackages={() => fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.SERVICE], server: selectedServer })}
+            />
+            <select
+              value={health.pollInterval}
+              onChange={(e) => health.setPollInterval(Number(e.target.value))}
+              className="form-select"
+              style={{ width: 'auto' }}
+              title="How often health check URLs are polled"
+            >
+              {!healthIntervals.some(option => option.value === health.pollInterval) && (
+                <option value={health.pollInterval}>Health checks every {health.pollInterval / 1000}s</option>
+              )}
+              {healthIntervals.map(option => (
+                <option key={option.value} value={option.value}>Health checks {option.label}</option>
+              ))}
+            </select>
             <button
-              onClick={fetchServices}
+              onClick={() => {
+                fetchServices();
+                health.checkNow();
+              }}
               className="btn btn-secondary"
               disabled={loading}
             >
@@ -332,7 +406,7 @@ const Services = () => {
               Refresh
             </button>
             <button
-              onClick={() => setShowCreateForm(!showCreateForm)}
+              onClick={() => (showCreateForm ? resetForm() : setShowCreateForm(true))}
               className="btn btn-primary"
             >
               <Plus size={16} />
@@ -347,8 +421,17 @@ const Services = () => {
         <div className="card">
           <div className="card-header">
             <h3 className="card-title">
-              <Plus size={20} />
-              Register New Service
+              {editingService ? (
+                <>
+                  <Edit3 size={20} />
+                  Edit Service: {editingService.title || editingService.name}
+                </>
+              ) : (
+                <>
+                  <Plus size={20} />
+                  Register New Service
+                </>
+              )}
             </h3>
             <button
               onClick={resetForm}
@@ -359,7 +442,7 @@ const Services = () => {
             </button>
           </div>
 
-          <form onSubmit={handleCreate}>
+          <form onSubmit={editingService ? handleUpdate : handleCreate}>
             {/* Basic Information */}
             <div className="grid grid-2">
               <div className="form-group">
@@ -372,7 +455,9 @@ const Services = () => {
                   className="form-input"
                   placeholder="user_auth_api"
                   required
+                  disabled={!!editingService} // Cannot change name when editing
                 />
+                <FieldError message={fieldErrors.service_name} />
                 <small style={{ color: '#64748b' }}>
                   Unique identifier for the service
                 </small>
@@ -389,6 +474,7 @@ const Services = () => {
                   placeholder="User Authentication API"
                   required
                 />
+                <FieldError message={fieldErrors.service_title} />
               </div>
             </div>
 
@@ -405,6 +491,7 @@ const Services = () => {
                   placeholder="https://api.example.com/auth"
                   required
                 />
+                <FieldError message={fieldErrors.service_url} />
                 <small style={{ color: '#64748b' }}>
                   Main endpoint URL for the service
                 </small>
@@ -423,6 +510,7 @@ const Services = () => {
                     <option key={type} value={type}>{type}</option>
                   ))}
                 </select>
+                <FieldError message={fieldErrors.service_type} />
               </div>
             </div>
 
@@ -438,6 +526,7 @@ const Services = () => {
                   className="form-input"
                   placeholder="https://api.example.com/auth/health"
                 />
+                <FieldError message={fieldErrors.health_check_url} />
                 <small style={{ color: '#64748b' }}>
                   URL for service health monitoring
                 </small>
@@ -453,6 +542,7 @@ const Services = () => {
                   className="form-input"
                   placeholder="https://docs.example.com/auth-api"
                 />
+                <FieldError message={fieldErrors.documentation_url} />
                 <small style={{ color: '#64748b' }}>
                   URL to service documentation
                 </small>
@@ -468,17 +558,17 @@ const Services = () => {
                 className="form-input form-textarea"
                 placeholder="Description of the service..."
               />
+              <FieldError message={fieldErrors.notes} />
             </div>
 
             {/* Extras Configuration */}
             <div className="form-group">
               <label className="form-label">Additional Metadata (JSON)</label>
-              <textarea
+              <JsonEditor
                 value={extrasJson}
-                onChange={(e) => setExtrasJson(e.target.value)}
-                className="form-input form-textarea"
+                onChange={setExtrasJson}
+                schema={EXTRAS_SCHEMA}
                 placeholder='{"version": "2.1.0", "environment": "production"}'
-                style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
               />
               <small style={{ color: '#64748b' }}>
                 Additional metadata as JSON (version, environment, etc.)
@@ -489,17 +579,17 @@ const Services = () => {
             <button 
               type="submit" 
               className="btn btn-primary"
-              disabled={loading}
+              disabled={loading || !!extrasCheck.error}
             >
               {loading ? (
                 <>
                   <div className="loading-spinner" />
-                  Registering...
+                  {editingService ? 'Updating...' : 'Registering...'}
                 </>
               ) : (
                 <>
                   <Save size={16} />
-                  Register Service
+                  {editingService ? 'Update Service' : 'Register Service'}
                 </>
               )}
             </button>
@@ -507,14 +597,34 @@ const Services = () => {
         </div>
       )}
 
+      {/* Promotion to another catalog */}
+      {promoting && (
+        <PromotePanel
+          key={`${promoting.pkg.id}-${promoting.server}`}
+          pkg={promoting.pkg}
+          server={promoting.server}
+          onClose={() => setPromoting(null)}
+        />
+      )}
+
       {/* Services List */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">
-            Registered Services ({services.length})
+            Registered Services ({total})
           </h3>
         </div>
 
+        <BulkActionsBar
+          selectedItems={selection.selectedItems}
+          itemName="service"
+          server={selectedServer}
+          updateRequest={servicesAPI.partialUpdate}
+          deleteRequest={resourcesAPI.deleteById}
+          onComplete={fetchServices}
+          onClear={selection.clear}
+        />
+
         {loading && !showCreateForm ? (
           <div style={{ textAlign: 'center', padding: '2rem' }}>
             <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
@@ -531,6 +641,14 @@ const Services = () => {
             <table className="table">
               <thead>
                 <tr>
+                  <th style={{ width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.allSelected}
+                      onChange={selection.toggleAll}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
                   <th>Service</th>
                   <th>Type</th>
                   <th>URL</th>
@@ -543,10 +661,17 @@ const Services = () => {
                 {services.map((service, index) => {
                   const serviceTypeBadge = getServiceTypeBadge(service);
                   const serviceUrl = getMainServiceUrl(service);
-                  const healthStatus = getHealthStatus(service);
                   
                   return (
                     <tr key={`${service.id}-${index}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(service.id)}
+                          onChange={() => selection.toggle(service.id)}
+                          aria-label={`Select ${service.title || service.name}`}
+                        />
+                      </td>
                       <td>
                         <div>
                           <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
@@ -615,9 +740,12 @@ const Services = () => {
                         )}
                       </td>
                       <td>
-                        <span className={`status-indicator ${healthStatus.color}`}>
-                          {healthStatus.status}
-                        </span>
+                        <ServiceHealth
+                          hasHealthCheck={!!getExtras(service).health_check_url}
+                          health={health.getHealth(service.id)}
+                          checking={health.isChecking(service.id)}
+                          onCheck={() => health.checkNow(service.id)}
+                        />
                       </td>
                       <td>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
@@ -627,6 +755,24 @@ const Services = () => {
                       </td>
                       <td>
                         <div style={{ display: 'flex', gap: '0.5rem' }}>
+                          <button
+                            onClick={() => startEditing(service)}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Edit service"
+                          >
+                            <Edit3 size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Edit</span>
+                          </button>
+                          <button
+                            onClick={() => setPromoting({ pkg: service, server: selectedServer })}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Copy this service to another catalog"
+                          >
+                            <ArrowUpCircle size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Promote</span>
+                          </button>
                           <button
                             onClick={() => handleDeleteService(service)}
                             className="btn btn-danger"
@@ -645,9 +791,18 @@ const Services = () => {
             </table>
           </div>
         )}
-      </div>
-
 
+        {total > 0 && (
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={total}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            itemLabel="services"
+          />
+        )}
+      </div>
     </div>
   );
 };
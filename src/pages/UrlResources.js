@@ -9,9 +9,38 @@ import {
   Trash2,
   RefreshCw,
   ExternalLink,
-  FileText
+  FileText,
+  BookOpen,
+  ArrowUpCircle,
+  Activity,
+  AlertTriangle,
+  Square
 } from 'lucide-react';
 import { urlAPI, organizationsAPI, searchAPI, resourcesAPI } from '../services/api';
+import { fetchAllPackages } from '../services/catalogExport';
+import { getErrorMessage } from '../services/errors';
+import { notify, notifySuccess, notifyError } from '../services/notifications';
+import { openInJupyter } from '../services/jupyter';
+import { useServer } from '../context/ServerContext';
+import ServerBadge from '../components/ServerBadge';
+import ExportMenu from '../components/ExportMenu';
+import BulkActionsBar from '../components/BulkActionsBar';
+import PromotePanel from '../components/PromotePanel';
+import LinkCheckBadge from '../components/LinkCheckBadge';
+import LinkCheckReport from '../components/LinkCheckReport';
+import Pagination from '../components/Pagination';
+import usePagination from '../hooks/usePagination';
+import useSelection from '../hooks/useSelection';
+import useLinkChecks from '../hooks/useLinkChecks';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, isResourceType } from '../utils/classifyResource';
+import FieldError from '../components/FieldError';
+import JsonEditor from '../components/JsonEditor';
+import { checkJsonText } from '../utils/jsonText';
+import { EXTRAS_SCHEMA } from '../utils/fieldSchemas';
+import MappingEditor from '../components/MappingEditor';
+import ProcessingEditor from '../components/ProcessingEditor';
+import { toSettingsObject } from '../utils/processingConfig';
 
 /**
  * URL Resources page component for managing URL-based resources
@@ -23,10 +52,15 @@ const UrlResources = () => {
   const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingResource, setEditingResource] = useState(null);
-  const [selectedServer] = useState('local'); // Fixed to local for consistency
+  const [promoting, setPromoting] = useState(null); // { pkg, server }
+  const [showLinkReport, setShowLinkReport] = useState(false);
+  const { selectedServer } = useServer();
+  const { page, pageSize, offset, total, setPage, setPageSize, setTotal } = usePagination(selectedServer);
+  const selection = useSelection(urlResources);
+  const linkChecks = useLinkChecks(selectedServer);
 
   // Form state for creating/editing URL resource
   const [formData, setFormData] = useState({
@@ -43,8 +77,8 @@ const UrlResources = () => {
 
   // JSON editor states for complex fields
   const [extrasJson, setExtrasJson] = useState('{}');
-  const [mappingJson, setMappingJson] = useState('{}');
-  const [processingJson, setProcessingJson] = useState('{}');
+  // Problems reported by the mapping and processing editors
+  const [editorErrors, setEditorErrors] = useState({});
 
   // Available file types
   const fileTypes = [
@@ -75,51 +109,39 @@ const UrlResources = () => {
       setLoading(true);
       setError(null);
       
-      // Use search to get all datasets, then filter for URL resources
-      const response = await searchAPI.searchByTerms([''], null, selectedServer);
-      
-      // Filter to show only URL resources
-      const filteredResources = (response.data || []).filter(dataset => {
-        const resources = dataset.resources || [];
-        
-        // Include if it has URL resources but exclude S3 URLs and Kafka topics
-        return resources.some(resource => 
-          resource.url && 
-          !resource.url.startsWith('s3://') &&
-          !resource.url.includes('s3.amazonaws.com') &&
-          !resource.url.includes('.s3.') &&
-          resource.format !== 'kafka'
-        ) && 
-        // Exclude Kafka topics (no Kafka extras)
-        !(dataset.extras && (
-          dataset.extras.kafka_topic || dataset.extras.kafka_host || 
-          dataset.extras.topic || dataset.extras.host
-        )) &&
-        // Exclude services organization
-        dataset.owner_org !== 'services';
+      // Ask the API for one page of this resource type only
+      const response = await searchAPI.searchPaged({
+        resourceType: RESOURCE_TYPES.URL,
+        server: selectedServer,
+        limit: pageSize,
+        offset
       });
       
-      console.log('All datasets:', response.data); // Debug
-      console.log('Filtered URL resources:', filteredResources); // Debug
-      
-      setUrlResources(filteredResources);
+      const { items, total: count } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.URL), limit: pageSize, offset });
+      setUrlResources(items);
+      setTotal(count);
       
     } catch (err) {
       console.error('Error fetching URL resources:', err);
-      setError('Failed to load URL resources: ' + 
-        (err.response?.data?.detail || err.message));
+      setError(getErrorMessage(err, 'Failed to load URL resources'));
     } finally {
       setLoading(false);
     }
-  }, [selectedServer]);
+  }, [selectedServer, pageSize, offset, setTotal]);
 
   /**
-   * Fetch organizations and URL resources on component mount
+   * Fetch organizations on mount and when the server changes
    */
   useEffect(() => {
     fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  /**
+   * Fetch URL resources whenever the server or the page changes
+   */
+  useEffect(() => {
     fetchUrlResources();
-  }, [fetchOrganizations, fetchUrlResources]);
+  }, [fetchUrlResources]);
 
   /**
    * Handle form input changes
@@ -132,28 +154,8 @@ const UrlResources = () => {
     }));
   };
 
-  /**
-   * Parse JSON string safely with better error handling
-   * FIXED: Improved JSON parsing with detailed error logging
-   */
-  const parseJsonSafely = (jsonString, fallback = {}, fieldName = 'JSON') => {
-    try {
-      if (!jsonString || jsonString.trim() === '') {
-        return fallback;
-      }
-      
-      const parsed = JSON.parse(jsonString);
-      console.log(`Successfully parsed ${fieldName}:`, parsed); // Debug log
-      return parsed;
-    } catch (parseError) {
-      console.error(`Error parsing ${fieldName}:`, parseError);
-      console.error(`Invalid ${fieldName} string:`, jsonString);
-      
-      // Return fallback but also set a user-friendly error
-      setError(`Invalid ${fieldName} format. Please check your JSON syntax.`);
-      return fallback;
-    }
-  };
+  // Checked on every render so submit stays blocked while the JSON is invalid
+  const extrasCheck = checkJsonText(extrasJson, { schema: EXTRAS_SCHEMA });
 
   /**
    * Reset form to initial state
@@ -171,10 +173,10 @@ const UrlResources = () => {
       processing: {}
     });
     setExtrasJson('{}');
-    setMappingJson('{}');
-    setProcessingJson('{}');
+    setEditorErrors({});
     setEditingResource(null);
     setShowCreateForm(false);
+    setFieldErrors({});
   };
 
   /**
@@ -184,18 +186,23 @@ const UrlResources = () => {
   const prepareFormData = () => {
     console.log('Preparing form data for submission...'); // Debug log
     console.log('Current form data:', formData); // Debug log
-    console.log('JSON fields:', { extrasJson, mappingJson, processingJson }); // Debug log
+    console.log('Extras JSON:', extrasJson); // Debug log
 
-    // Parse JSON fields with better error handling
-    const extras = parseJsonSafely(extrasJson, {}, 'Extras');
-    const mapping = parseJsonSafely(mappingJson, {}, 'Mapping');
-    const processing = parseJsonSafely(processingJson, {}, 'Processing');
+    // Don't send settings the editors could not accept
+    const editorError = editorErrors.mapping || editorErrors.processing;
+    if (editorError) {
+      notify('error', `Please fix the ${editorErrors.mapping ? 'mapping' : 'processing'} settings: ${editorError}`);
+      return null;
+    }
 
-    // If there was a JSON parsing error, return early
-    if (error && error.includes('Invalid') && error.includes('format')) {
+    if (extrasCheck.error) {
+      notify('error', `Extras: ${extrasCheck.error.message}`);
       return null;
     }
 
+    const extras = extrasCheck.value;
+    const { mapping, processing } = formData;
+
     // Prepare the request data according to the API specification
     const requestData = {
       // Always include required fields even if empty (let API validate)
@@ -236,8 +243,7 @@ const UrlResources = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       const requestData = prepareFormData();
@@ -251,30 +257,13 @@ const UrlResources = () => {
       console.log('Creating URL resource with data:', requestData); // Debug log
       await urlAPI.create(requestData, selectedServer);
       
-      setSuccess('URL resource created successfully!');
+      notifySuccess('URL resource created successfully!');
       resetForm();
       fetchUrlResources();
       
     } catch (err) {
       console.error('Error creating URL resource:', err);
-      console.error('Full error object:', err.response); // Additional debug
-      
-      let errorMessage = 'Failed to create URL resource: ';
-      
-      // Better error message handling
-      if (err.response?.data?.detail) {
-        if (typeof err.response.data.detail === 'object') {
-          errorMessage += JSON.stringify(err.response.data.detail);
-        } else {
-          errorMessage += err.response.data.detail;
-        }
-      } else if (err.message) {
-        errorMessage += err.message;
-      } else {
-        errorMessage += 'Unknown error occurred';
-      }
-      
-      setError(errorMessage);
+      setFieldErrors(notifyError(err, 'Failed to create URL resource').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -288,8 +277,7 @@ const UrlResources = () => {
     e.preventDefault();
     
     try {
-      setError(null);
-      setSuccess(null);
+      setFieldErrors({});
       setLoading(true);
 
       // FIXED: Ensure we're using the correct resource ID from the editing resource
@@ -342,51 +330,13 @@ const UrlResources = () => {
 
       await urlAPI.update(editingResource.id, updateData, selectedServer);
       
-      setSuccess('URL resource updated successfully!');
+      notifySuccess('URL resource updated successfully!');
       resetForm();
       fetchUrlResources();
       
     } catch (err) {
       console.error('Error updating URL resource:', err);
-      console.error('Full error object:', err.response); // Additional debug
-      console.error('Error config:', err.config); // Request configuration debug
-      
-      let errorMessage = 'Failed to update URL resource: ';
-      
-      // Better error message handling for updates
-      if (err.response?.status === 404) {
-        errorMessage += 'Resource not found. It may have been deleted.';
-      } else if (err.response?.status === 400) {
-        errorMessage += 'Invalid data provided. Please check your inputs.';
-      } else if (err.response?.status === 422) {
-        const detail = err.response?.data?.detail;
-        if (detail) {
-          if (typeof detail === 'object') {
-            // Handle validation error details
-            if (detail.error && detail.detail) {
-              errorMessage += `${detail.error}: ${detail.detail}`;
-            } else if (Array.isArray(detail)) {
-              // Handle array of validation errors
-              const validationErrors = detail.map(error => 
-                `Field '${error.loc?.join('.')}': ${error.msg || error.type}`
-              ).join(', ');
-              errorMessage += `Validation errors: ${validationErrors}`;
-            } else {
-              errorMessage += JSON.stringify(detail, null, 2);
-            }
-          } else {
-            errorMessage += detail;
-          }
-        } else {
-          errorMessage += 'Validation error. Please check required fields (resource_name, resource_title, owner_org, resource_url).';
-        }
-      } else if (err.message) {
-        errorMessage += err.message;
-      } else {
-        errorMessage += 'Unknown error occurred';
-      }
-      
-      setError(errorMessage);
+      setFieldErrors(notifyError(err, 'Failed to update URL resource').fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -404,8 +354,8 @@ const UrlResources = () => {
     const firstResource = resource.resources && resource.resources[0];
     
     // Extract mapping and processing from extras if they exist
-    const mapping = extras.mapping || {};
-    const processing = extras.processing || {};
+    const mapping = toSettingsObject(extras.mapping);
+    const processing = toSettingsObject(extras.processing);
     
     // Create clean extras without mapping and processing (since they have separate fields)
     const cleanExtras = { ...extras };
@@ -427,18 +377,15 @@ const UrlResources = () => {
     console.log('Setting edit form data:', editFormData); // Debug log
     
     setFormData(editFormData);
+    setEditorErrors({});
     
     // Set JSON fields with proper formatting
     try {
       setExtrasJson(JSON.stringify(cleanExtras, null, 2));
-      setMappingJson(JSON.stringify(mapping, null, 2));
-      setProcessingJson(JSON.stringify(processing, null, 2));
     } catch (jsonError) {
       console.error('Error stringifying JSON for edit form:', jsonError);
       // Fallback to empty objects
       setExtrasJson('{}');
-      setMappingJson('{}');
-      setProcessingJson('{}');
     }
     
     setShowCreateForm(true);
@@ -457,41 +404,21 @@ const UrlResources = () => {
     }
 
     try {
-      setError(null);
-      setSuccess(null);
-      
       // Debug: Log the resource being deleted
       console.log('Attempting to delete URL resource with ID:', resource.id);
-      console.log('Using endpoint: DELETE /resource?resource_id=' + resource.id + '&server=local');
+      console.log('Using endpoint: DELETE /resource?resource_id=' + resource.id + '&server=' + selectedServer);
       
       // Use the resource deletion endpoint since datasets are resources in CKAN
-      await resourcesAPI.deleteById(resource.id, 'local');
+      await resourcesAPI.deleteById(resource.id, selectedServer);
       
-      setSuccess(`URL resource "${displayName}" deleted successfully!`);
+      notifySuccess(`URL resource "${displayName}" deleted successfully!`);
       
       // Refresh the resources list
       fetchUrlResources();
       
     } catch (err) {
       console.error('Error deleting URL resource:', err);
-      console.error('Full error object:', err);
-      console.error('Error response:', err.response);
-      
-      let errorMessage = 'Failed to delete URL resource: ';
-      
-      if (err.response?.status === 404) {
-        errorMessage += `Resource "${displayName}" not found. It may have been already deleted.`;
-      } else if (err.response?.status === 405) {
-        errorMessage += 'Resource deletion method not allowed.';
-      } else if (err.response?.status === 401) {
-        errorMessage += 'Authentication required. Please login again.';
-      } else if (err.response?.status === 403) {
-        errorMessage += 'You do not have permission to delete this resource.';
-      } else {
-        errorMessage += (err.response?.data?.detail || err.message);
-      }
-      
-      setError(errorMessage);
+      notifyError(err, 'Failed to delete URL resource');
     }
   };
 
@@ -532,27 +459,17 @@ const UrlResources = () => {
         </div>
       )}
 
-      {success && (
-        <div className="alert alert-success">
-          {success}
-        </div>
-      )}
-
       {/* Controls */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Controls</h3>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <span style={{ 
-              fontSize: '0.875rem', 
-              color: '#64748b',
-              padding: '0.375rem 0.75rem',
-              backgroundColor: '#f1f5f9',
-              borderRadius: '6px',
-              border: '1px solid #e2e8f0'
-            }}>
-              📍 Local Server Only
-            </span>
+            <ServerBadge />
+            <ExportMenu
+              name="url-resources"
+              server={selectedServer}
+              getPackages={() => fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.URL], server: selectedServer })}
+            />
             <button
               onClick={fetchUrlResources}
               className="btn btn-secondary"
@@ -561,6 +478,22 @@ const UrlResources = () => {
               <RefreshCw size={16} />
               Refresh
             </button>
+            <button
+              onClick={linkChecks.checkCatalog}
+              className="btn btn-secondary"
+              disabled={linkChecks.busy}
+              title="Check the URL of every URL resource in this catalog"
+            >
+              <Activity size={16} />
+              {linkChecks.progress ? 'Checking...' : 'Check Links'}
+            </button>
+            <button
+              onClick={() => setShowLinkReport(!showLinkReport)}
+              className="btn btn-secondary"
+            >
+              <AlertTriangle size={16} />
+              {showLinkReport ? 'Hide Broken Links' : 'Broken Links'}
+            </button>
             <button
               onClick={() => setShowCreateForm(!showCreateForm)}
               className="btn btn-primary"
@@ -570,8 +503,42 @@ const UrlResources = () => {
             </button>
           </div>
         </div>
+
+        {linkChecks.progress && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+            <div style={{ flex: 1 }}>
+              <div style={{ height: '8px', backgroundColor: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+                <div style={{
+                  width: `${linkChecks.progress.total ? (linkChecks.progress.done / linkChecks.progress.total) * 100 : 0}%`,
+                  height: '100%',
+                  backgroundColor: '#2563eb',
+                  transition: 'width 0.3s ease'
+                }} />
+              </div>
+              <small style={{ color: '#64748b' }}>
+                {linkChecks.progress.total
+                  ? `${linkChecks.progress.done} of ${linkChecks.progress.total} links checked`
+                  : 'Collecting URL resources...'}
+              </small>
+            </div>
+            <button onClick={linkChecks.stop} className="btn btn-danger" disabled={linkChecks.progress.stopping}>
+              <Square size={16} />
+              Stop
+            </button>
+          </div>
+        )}
       </div>
 
+      {showLinkReport && (
+        <LinkCheckReport
+          key={selectedServer}
+          entries={linkChecks.report}
+          server={selectedServer}
+          lastRun={linkChecks.lastRun}
+          onClose={() => setShowLinkReport(false)}
+        />
+      )}
+
       {/* Create/Edit URL Resource Form */}
       {showCreateForm && (
         <div className="card">
@@ -613,6 +580,7 @@ const UrlResources = () => {
                   required
                   disabled={editingResource} // Cannot change name when editing
                 />
+                <FieldError message={fieldErrors.resource_name} />
                 <small style={{ color: '#64748b' }}>
                   Unique identifier for the resource
                 </small>
@@ -629,6 +597,7 @@ const UrlResources = () => {
                   placeholder="Example Resource Title"
                   required
                 />
+                <FieldError message={fieldErrors.resource_title} />
               </div>
             </div>
 
@@ -646,6 +615,7 @@ const UrlResources = () => {
                   <option key={org} value={org}>{org}</option>
                 ))}
               </select>
+              <FieldError message={fieldErrors.owner_org} />
             </div>
 
             {/* URL and File Type */}
@@ -661,6 +631,7 @@ const UrlResources = () => {
                   placeholder="https://example.com/data.csv"
                   required
                 />
+                <FieldError message={fieldErrors.resource_url} />
                 <small style={{ color: '#64748b' }}>
                   Direct URL to the resource file
                 </small>
@@ -679,6 +650,7 @@ const UrlResources = () => {
                     <option key={type} value={type}>{type}</option>
                   ))}
                 </select>
+                <FieldError message={fieldErrors.file_type} />
               </div>
             </div>
 
@@ -691,58 +663,51 @@ const UrlResources = () => {
                 className="form-input form-textarea"
                 placeholder="Additional notes about the resource..."
               />
+              <FieldError message={fieldErrors.notes} />
             </div>
 
             {/* Advanced Configuration */}
-            <div className="grid grid-3">
+            <div className="grid grid-2">
               <div className="form-group">
-                <label className="form-label">Extras (JSON)</label>
-                <textarea
-                  value={extrasJson}
-                  onChange={(e) => setExtrasJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"key1": "value1", "key2": "value2"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
+                <label className="form-label">Mapping</label>
+                <MappingEditor
+                  key={editingResource?.id || 'new'}
+                  value={formData.mapping}
+                  onChange={(mapping) => setFormData(prev => ({ ...prev, mapping }))}
+                  onError={(message) => setEditorErrors(prev => ({ ...prev, mapping: message }))}
                 />
-                <small style={{ color: '#64748b' }}>
-                  Additional metadata as JSON
-                </small>
               </div>
 
               <div className="form-group">
-                <label className="form-label">Mapping (JSON)</label>
-                <textarea
-                  value={mappingJson}
-                  onChange={(e) => setMappingJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"field1": "mapping1", "field2": "mapping2"}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
+                <label className="form-label">Processing</label>
+                <ProcessingEditor
+                  key={editingResource?.id || 'new'}
+                  fileType={formData.file_type}
+                  value={formData.processing}
+                  onChange={(processing) => setFormData(prev => ({ ...prev, processing }))}
+                  onError={(message) => setEditorErrors(prev => ({ ...prev, processing: message }))}
                 />
-                <small style={{ color: '#64748b' }}>
-                  Field mapping configuration
-                </small>
               </div>
+            </div>
 
-              <div className="form-group">
-                <label className="form-label">Processing (JSON)</label>
-                <textarea
-                  value={processingJson}
-                  onChange={(e) => setProcessingJson(e.target.value)}
-                  className="form-input form-textarea"
-                  placeholder='{"delimiter": ",", "header_line": 1}'
-                  style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}
-                />
-                <small style={{ color: '#64748b' }}>
-                  Processing configuration for CSV files
-                </small>
-              </div>
+            <div className="form-group">
+              <label className="form-label">Extras (JSON)</label>
+              <JsonEditor
+                value={extrasJson}
+                onChange={setExtrasJson}
+                schema={EXTRAS_SCHEMA}
+                placeholder='{"key1": "value1", "key2": "value2"}'
+              />
+              <small style={{ color: '#64748b' }}>
+                Additional metadata as JSON
+              </small>
             </div>
 
             {/* Submit Button */}
             <button 
               type="submit" 
               className="btn btn-primary"
-              disabled={loading}
+              disabled={loading || !!extrasCheck.error || !!editorErrors.mapping || !!editorErrors.processing}
             >
               {loading ? (
                 <>
@@ -760,14 +725,36 @@ const UrlResources = () => {
         </div>
       )}
 
+      {/* Promotion to another catalog */}
+      {promoting && (
+        <PromotePanel
+          key={`${promoting.pkg.id}-${promoting.server}`}
+          pkg={promoting.pkg}
+          server={promoting.server}
+          onClose={() => setPromoting(null)}
+        />
+      )}
+
       {/* URL Resources List */}
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">
-            URL Resources ({urlResources.length})
+            URL Resources ({total})
           </h3>
         </div>
 
+        <BulkActionsBar
+          selectedItems={selection.selectedItems}
+          itemName="URL resource"
+          server={selectedServer}
+          organizations={organizations}
+          reservedExtras={['mapping', 'processing']}
+          updateRequest={urlAPI.partialUpdate}
+          deleteRequest={resourcesAPI.deleteById}
+          onComplete={fetchUrlResources}
+          onClear={selection.clear}
+        />
+
         {loading && !showCreateForm ? (
           <div style={{ textAlign: 'center', padding: '2rem' }}>
             <div className="loading-spinner" style={{ margin: '0 auto' }}></div>
@@ -784,8 +771,17 @@ const UrlResources = () => {
             <table className="table">
               <thead>
                 <tr>
+                  <th style={{ width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={selection.allSelected}
+                      onChange={selection.toggleAll}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
                   <th>Resource</th>
                   <th>URL</th>
+                  <th>Link</th>
                   <th>File Type</th>
                   <th>Organization</th>
                   <th>Resources</th>
@@ -796,9 +792,19 @@ const UrlResources = () => {
                 {urlResources.map((resource, index) => {
                   const mainUrl = getMainUrl(resource);
                   const fileType = getFileType(resource);
+                  // A check of a URL the resource no longer has does not apply
+                  const linkCheck = linkChecks.getCheck(resource.id);
                   
                   return (
                     <tr key={`${resource.id}-${index}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selection.isSelected(resource.id)}
+                          onChange={() => selection.toggle(resource.id)}
+                          aria-label={`Select ${resource.title || resource.name}`}
+                        />
+                      </td>
                       <td>
                         <div>
                           <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
@@ -861,6 +867,14 @@ const UrlResources = () => {
                           </span>
                         )}
                       </td>
+                      <td>
+                        <LinkCheckBadge
+                          hasUrl={mainUrl !== 'No URL'}
+                          check={linkCheck?.url === mainUrl ? linkCheck : undefined}
+                          checking={linkChecks.isChecking(resource.id)}
+                          onCheck={() => linkChecks.checkResource(resource)}
+                        />
+                      </td>
                       <td>
                         <span className="status-indicator status-info">
                           {fileType}
@@ -889,6 +903,26 @@ const UrlResources = () => {
                             <span style={{ fontSize: '0.75rem' }}>Edit</span>
                           </button>
                           
+                          <button
+                            onClick={() => openInJupyter(resource, selectedServer)}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Open a notebook that loads this URL resource in JupyterLab"
+                          >
+                            <BookOpen size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Open in Jupyter</span>
+                          </button>
+                          
+                          <button
+                            onClick={() => setPromoting({ pkg: resource, server: selectedServer })}
+                            className="btn btn-secondary"
+                            style={{ padding: '0.375rem 0.75rem' }}
+                            title="Copy this URL resource to another catalog"
+                          >
+                            <ArrowUpCircle size={14} />
+                            <span style={{ fontSize: '0.75rem' }}>Promote</span>
+                          </button>
+                          
                           <button
                             onClick={() => handleDeleteResource(resource)}
                             className="btn btn-danger"
@@ -907,6 +941,17 @@ const UrlResources = () => {
             </table>
           </div>
         )}
+
+        {total > 0 && (
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={total}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            itemLabel="resources"
+          />
+        )}
       </div>
     </div>
   );
@@ -1,12 +1,148 @@
 import axios from 'axios';
+import { getConfig } from '../config';
+import { logApiError } from './notifications';
 
-// Base URL of your API - configurable via environment variable
-const BASE_URL = process.env.REACT_APP_API_BASE_URL || '__NDP_EP_API_URL__' || 'http://localhost:8003';
+// localStorage keys for connection profiles
+const PROFILES_STORAGE_KEY = 'connectionProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'activeProfileId';
+const LEGACY_TOKEN_STORAGE_KEY = 'authToken';
+
+// Built-in profile pointing at the API URL from the runtime configuration
+export const DEFAULT_PROFILE_ID = 'default';
+
+const writeProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+};
+
+/**
+ * Read stored connection profiles, always including the default profile
+ * The default profile always follows the configured API URL
+ * A token saved by older versions under 'authToken' is moved to the default profile
+ */
+const readProfiles = () => {
+  let profiles = [];
+  try {
+    profiles = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+  } catch {
+    profiles = [];
+  }
+
+  if (!profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+    profiles.unshift({
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      baseUrl: getConfig().apiUrl,
+      token: localStorage.getItem(LEGACY_TOKEN_STORAGE_KEY) || ''
+    });
+    localStorage.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+    writeProfiles(profiles);
+  }
+
+  return profiles.map(profile =>
+    profile.id === DEFAULT_PROFILE_ID ? { ...profile, baseUrl: getConfig().apiUrl } : profile
+  );
+};
+
+/**
+ * Get the active connection profile (falls back to the default profile)
+ */
+const getActiveProfile = () => {
+  const profiles = readProfiles();
+  const activeId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+  return profiles.find(profile => profile.id === activeId) ||
+    profiles.find(profile => profile.id === DEFAULT_PROFILE_ID);
+};
+
+// Session state shared with the UI (see SessionBanner)
+// Requests that need a new login wait in pendingRequests until the user signs in again
+let reauthRequired = false;
+let pendingRequests = [];
+let refreshPromise = null;
+const sessionListeners = new Set();
+
+const notifySession = () => {
+  sessionListeners.forEach(listener => listener());
+};
+
+/**
+ * Store a token (and optional refresh token) on the active profile
+ */
+const setActiveProfileToken = (token, refreshToken = '') => {
+  const activeId = getActiveProfile().id;
+  writeProfiles(readProfiles().map(profile =>
+    profile.id === activeId ? { ...profile, token, refreshToken } : profile
+  ));
+  notifySession();
+};
+
+/**
+ * Wait until the user has signed in again
+ * Resolves on sessionAPI.resume(), rejects on sessionAPI.cancel()
+ */
+const waitForReauthentication = () => new Promise((resolve, reject) => {
+  pendingRequests.push({ resolve, reject });
+  reauthRequired = true;
+  notifySession();
+});
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * Returns null for opaque (non-JWT) tokens
+ */
+const decodeJwtPayload = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Request tokens from the configured OIDC token endpoint or the NDP-EP API /token endpoint
+ * @param {Object} grant - OAuth2 grant parameters (grant_type and its fields)
+ * @param {string} rejectedMessage - Message used when the endpoint rejects the grant
+ * @returns {Promise<Object>} Token response with access_token and optional refresh_token
+ */
+const requestToken = async (grant, rejectedMessage) => {
+  const { tokenEndpoint, clientId, scope } = getConfig().auth;
+  const form = new URLSearchParams(grant);
+  if (clientId) form.append('client_id', clientId);
+  if (scope) form.append('scope', scope);
+
+  let response;
+  try {
+    response = await axios.post(tokenEndpoint || `${getApiBaseUrl()}/token`, form, {
+      timeout: getConfig().requestTimeout,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+  } catch (error) {
+    const data = error.response?.data;
+    const detail = data?.error_description || (typeof data?.detail === 'string' ? data.detail : null);
+
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      throw new Error(detail || rejectedMessage);
+    } else if (error.response?.status === 404) {
+      throw new Error('Token endpoint not found: credential login is not available on this server');
+    } else if (!error.response) {
+      throw new Error('Cannot connect to token endpoint');
+    } else {
+      throw new Error(detail || error.message);
+    }
+  }
+
+  if (!response.data?.access_token) {
+    throw new Error('Token endpoint did not return an access token');
+  }
+  return response.data;
+};
 
 // Create axios instance with default configuration
+// Base URL and timeout are applied per request from the profile and runtime config
 const apiClient = axios.create({
-  baseURL: BASE_URL,
-  timeout: 10000,
+  // Set per request from the runtime config, unless the request sets its own
+  timeout: null,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -23,6 +159,10 @@ const PUBLIC_ENDPOINTS = [
 // Request interceptor to add auth token (with exceptions for public endpoints)
 apiClient.interceptors.request.use(
   (config) => {
+    // Always target the API of the active connection profile
+    config.baseURL = getApiBaseUrl();
+    config.timeout ??= getConfig().requestTimeout;
+    
     // Check if this is a public endpoint that doesn't need authentication
     const isPublicEndpoint = PUBLIC_ENDPOINTS.some(endpoint => 
       config.url.startsWith(endpoint)
@@ -30,15 +170,17 @@ apiClient.interceptors.request.use(
     
     if (!isPublicEndpoint) {
       // Private endpoint - require authentication
-      const authToken = localStorage.getItem('authToken');
+      const authToken = getAuthToken();
       
       if (authToken) {
         config.headers.Authorization = `Bearer ${authToken}`;
       } else {
-        // If no token is available for private endpoints, we should redirect to login
-        console.error('No authentication token found for private endpoint:', config.url);
-        window.location.reload(); // Force re-authentication
-        return Promise.reject(new Error('Authentication required'));
+        // No token - hold the request until the user signs in again
+        console.warn('No authentication token found for private endpoint, waiting for login:', config.url);
+        return waitForReauthentication().then(() => {
+          config.headers.Authorization = `Bearer ${getAuthToken()}`;
+          return config;
+        });
       }
     } else {
       // Public endpoint - no authentication required
@@ -55,30 +197,30 @@ apiClient.interceptors.request.use(
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Only handle auth errors for private endpoints
     const isPublicEndpoint = PUBLIC_ENDPOINTS.some(endpoint => 
       error.config?.url?.startsWith(endpoint)
     );
     
-    if (!isPublicEndpoint && error.response?.status === 401) {
-      // Token expired, invalid, or missing for private endpoint
-      console.error('Authentication failed:', error.response.data);
+    if (!isPublicEndpoint && error.response?.status === 401 && !error.config._authRetry) {
+      // Token expired or invalid - renew it and replay the request once
+      console.warn('Authentication failed, renewing session:', error.response.data);
       
-      // Remove invalid token
-      localStorage.removeItem('authToken');
-      
-      // Show user-friendly message
-      alert('Your session has expired. Please log in again.');
+      try {
+        await authAPI.refreshSession();
+      } catch (refreshError) {
+        // No usable refresh token - wait for the user to sign in again
+        clearAuth();
+        await waitForReauthentication();
+      }
       
-      // Force page reload to trigger AuthGuard
-      window.location.reload();
-    } else if (!isPublicEndpoint && error.response?.status === 403) {
-      // User doesn't have permission for private endpoint
-      console.error('Access forbidden:', error.response.data);
-      alert('You do not have permission to perform this action.');
+      return apiClient({ ...error.config, _authRetry: true });
     }
     
+    // Keep request details for the error log - pages decide what to show the user
+    logApiError(error);
+    
     return Promise.reject(error);
   }
 );
@@ -104,6 +246,29 @@ export const kafkaAPI = {
   
   update: (datasetId, data, server = 'local') => 
     apiClient.put(`/kafka/${datasetId}`, data, { params: { server } }),
+  
+  partialUpdate: (datasetId, data, server = 'local') => 
+    apiClient.patch(`/kafka/${datasetId}`, data, { params: { server } }),
+  
+  // Latest messages of the topic described by a Kafka dataset
+  getMessages: (datasetId, { limit = 10, server = 'local' } = {}) => 
+    apiClient.get(`/kafka/${datasetId}/messages`, { params: { limit, server } }),
+};
+
+// Datasets API
+export const datasetAPI = {
+  create: (data, server = 'local') => 
+    apiClient.post('/dataset', data, { params: { server } }),
+  
+  update: (datasetId, data, server = 'local') => 
+    apiClient.put(`/dataset/${datasetId}`, data, { params: { server } }),
+  
+  partialUpdate: (datasetId, data, server = 'local') => 
+    apiClient.patch(`/dataset/${datasetId}`, data, { params: { server } }),
+  
+  // Datasets are deleted through the resource endpoint, like the other CKAN packages
+  delete: (datasetId, server = 'local') => 
+    apiClient.delete('/resource', { params: { resource_id: datasetId, server } }),
 };
 
 // URL Resources API
@@ -113,6 +278,9 @@ export const urlAPI = {
   
   update: (resourceId, data, server = 'local') => 
     apiClient.put(`/url/${resourceId}`, data, { params: { server } }),
+  
+  partialUpdate: (resourceId, data, server = 'local') => 
+    apiClient.patch(`/url/${resourceId}`, data, { params: { server } }),
 };
 
 // S3 Resources API
@@ -122,12 +290,77 @@ export const s3API = {
   
   update: (resourceId, data, server = 'local') => 
     apiClient.put(`/s3/${resourceId}`, data, { params: { server } }),
+  
+  partialUpdate: (resourceId, data, server = 'local') => 
+    apiClient.patch(`/s3/${resourceId}`, data, { params: { server } }),
+};
+
+// S3 storage behind the NDP-EP API (buckets and objects, not catalog entries)
+// Path of an object below /s3/objects; the slashes of the key are kept
+const toObjectPath = (bucket, key) =>
+  `/s3/objects/${encodeURIComponent(bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+export const s3StorageAPI = {
+  listBuckets: () => 
+    apiClient.get('/s3/buckets'),
+  
+  // With a "/" delimiter the API groups keys below the prefix into folders;
+  // continuationToken asks for the page after a truncated one
+  listObjects: (bucket, { prefix = '', delimiter = '/', continuationToken } = {}) => 
+    apiClient.get(`/s3/objects/${encodeURIComponent(bucket)}`, {
+      params: { prefix, delimiter, continuation_token: continuationToken || undefined }
+    }),
+  
+  getObjectMetadata: (bucket, key) => 
+    apiClient.get(`${toObjectPath(bucket, key)}/metadata`),
+  
+  // Time-limited URL that downloads the object without a token; endpoint and
+  // region select an S3-compatible store other than the API's default one
+  getPresignedUrl: (bucket, key, { expiresIn, endpoint, region, credentialRef } = {}) => 
+    apiClient.get(`${toObjectPath(bucket, key)}/presign`, {
+      params: {
+        expires_in: expiresIn,
+        endpoint: endpoint || undefined,
+        region: region || undefined,
+        credential_ref: credentialRef || undefined
+      }
+    }),
+  
+  // Object content, streamed through the API with the user's token; large objects
+  // take longer than the request timeout, so the download has none
+  downloadObject: (bucket, key, { endpoint, region, credentialRef } = {}) => 
+    apiClient.get(toObjectPath(bucket, key), {
+      params: {
+        endpoint: endpoint || undefined,
+        region: region || undefined,
+        credential_ref: credentialRef || undefined
+      },
+      responseType: 'blob',
+      timeout: 0
+    }),
+};
+
+// Link checks of external URLs, fetched by the NDP-EP API to avoid CORS
+export const linkCheckAPI = {
+  // The API reports the status, redirects, content type, length and time of the URL
+  check: (proxyPath, url) => 
+    apiClient.get(proxyPath, { params: { url } }),
 };
 
 // Services API
 export const servicesAPI = {
   create: (data, server = 'local') => 
     apiClient.post('/services', data, { params: { server } }),
+  
+  update: (serviceId, data, server = 'local') => 
+    apiClient.put(`/services/${serviceId}`, data, { params: { server } }),
+  
+  partialUpdate: (serviceId, data, server = 'local') => 
+    apiClient.patch(`/services/${serviceId}`, data, { params: { server } }),
+  
+  // Fetch a health URL through the NDP-EP API, which reports the service's status in the body
+  checkHealth: (proxyPath, url, server = 'local') => 
+    apiClient.get(proxyPath, { params: { url, server } }),
 };
 
 // Search API
@@ -164,6 +397,18 @@ export const searchAPI = {
     return apiClient.get(url);
   },
   
+  /**
+   * List datasets of one resource type page by page
+   * The API filters and pages the results; older APIs that ignore these
+   * parameters return the full list (see utils/pagination toPage)
+   * @param {Object} options - { resourceType, terms, server, limit, offset }
+   */
+  searchPaged: ({ resourceType, terms = [''], server = 'global', limit, offset = 0 }) =>
+    apiClient.get('/search', {
+      params: { terms, server, resource_type: resourceType, limit, offset },
+      paramsSerializer: { indexes: null }
+    }),
+  
   searchAdvanced: (searchData) => {
     console.log('searchAdvanced called with:', searchData); // Debug log
     return apiClient.post('/search', searchData);
@@ -209,8 +454,8 @@ export const authAPI = {
   validateToken: async (token) => {
     // Temporarily set the token for this request
     const tempClient = axios.create({
-      baseURL: BASE_URL,
-      timeout: 10000,
+      baseURL: getApiBaseUrl(),
+      timeout: getConfig().requestTimeout,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
@@ -225,9 +470,10 @@ export const authAPI = {
   /**
    * Set authentication token and validate it
    * @param {string} token - The Bearer token to set and validate
+   * @param {string} [refreshToken] - Refresh token issued with the token, if any
    * @returns {Promise<Object>} User information if token is valid
    */
-  setAndValidateToken: async (token) => {
+  setAndValidateToken: async (token, refreshToken = '') => {
     if (!token || typeof token !== 'string' || token.trim() === '') {
       throw new Error('Invalid token: Token cannot be empty');
     }
@@ -236,13 +482,13 @@ export const authAPI = {
       // Validate the token by getting user info
       const userInfo = await authAPI.validateToken(token.trim());
       
-      // If validation succeeds, store the token
-      localStorage.setItem('authToken', token.trim());
+      // If validation succeeds, store the token on the active profile
+      setActiveProfileToken(token.trim(), refreshToken || '');
       
       return userInfo;
     } catch (error) {
       // Remove any existing invalid token
-      localStorage.removeItem('authToken');
+      clearAuth();
       
       // Re-throw with user-friendly message
       if (error.response?.status === 401) {
@@ -257,11 +503,61 @@ export const authAPI = {
     }
   },
   
+  /**
+   * Exchange username and password for a token, then store and validate it
+   * Uses the configured OIDC token endpoint (password grant) when set,
+   * otherwise the OAuth2 password form of the NDP-EP API /token endpoint
+   * @param {string} username - Account username
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} User information for the new token
+   */
+  login: async (username, password) => {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    const tokens = await requestToken(
+      { grant_type: 'password', username, password },
+      'Invalid username or password'
+    );
+
+    return authAPI.setAndValidateToken(tokens.access_token, tokens.refresh_token);
+  },
+
+  /**
+   * Renew the access token of the active profile with its refresh token
+   * Concurrent calls share one request to the token endpoint
+   * @returns {Promise<string>} The new access token
+   */
+  refreshSession: () => {
+    const refreshToken = getActiveProfile().refreshToken;
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token available'));
+    }
+
+    if (!refreshPromise) {
+      refreshPromise = requestToken(
+        { grant_type: 'refresh_token', refresh_token: refreshToken },
+        'Session can no longer be refreshed'
+      )
+        .then(tokens => {
+          // Keep the old refresh token when the provider does not rotate it
+          setActiveProfileToken(tokens.access_token, tokens.refresh_token || refreshToken);
+          return tokens.access_token;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+  },
+
   /**
    * Clear authentication data
    */
   logout: () => {
-    localStorage.removeItem('authToken');
+    clearAuth();
   }
 };
 
@@ -271,25 +567,153 @@ export const redirectAPI = {
     apiClient.get(`/redirect/${serviceName}`),
 };
 
+// Connection profiles API - manage several NDP-EP API instances
+export const profilesAPI = {
+  /**
+   * List all connection profiles
+   * @returns {Array<Object>} Profiles as { id, name, baseUrl, token }
+   */
+  list: () => readProfiles(),
+  
+  /**
+   * Get the profile used for API calls
+   */
+  getActive: () => getActiveProfile(),
+  
+  /**
+   * Switch the profile used for API calls
+   * @param {string} profileId - ID of an existing profile
+   */
+  setActive: (profileId) => {
+    if (!readProfiles().some(profile => profile.id === profileId)) {
+      throw new Error(`Unknown connection profile: ${profileId}`);
+    }
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profileId);
+  },
+  
+  /**
+   * Create or update a profile
+   * @param {Object} profile - Profile with name, baseUrl and optional id
+   * @returns {Object} The saved profile
+   */
+  save: ({ id, name, baseUrl }) => {
+    if (id === DEFAULT_PROFILE_ID) {
+      throw new Error('The default profile cannot be edited');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Profile name cannot be empty');
+    }
+    if (!baseUrl || !/^https?:\/\/.+/.test(baseUrl.trim())) {
+      throw new Error('Profile URL must start with http:// or https://');
+    }
+    
+    const profiles = readProfiles();
+    const existing = profiles.find(profile => profile.id === id);
+    const normalizedUrl = baseUrl.trim().replace(/\/+$/, '');
+    const saved = {
+      id: existing ? existing.id : `profile_${Date.now()}`,
+      name: name.trim(),
+      baseUrl: normalizedUrl,
+      // Changing the URL invalidates the stored token
+      token: existing && existing.baseUrl === normalizedUrl ? existing.token : ''
+    };
+    
+    writeProfiles(existing
+      ? profiles.map(profile => profile.id === saved.id ? saved : profile)
+      : [...profiles, saved]);
+    
+    return saved;
+  },
+  
+  /**
+   * Delete a profile (the default profile cannot be deleted)
+   * @param {string} profileId - ID of the profile to delete
+   */
+  remove: (profileId) => {
+    if (profileId === DEFAULT_PROFILE_ID) {
+      throw new Error('The default profile cannot be deleted');
+    }
+    writeProfiles(readProfiles().filter(profile => profile.id !== profileId));
+    if (localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) === profileId) {
+      localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+    }
+  },
+};
+
+// Session API - token expiry and requests waiting for a new login
+export const sessionAPI = {
+  /**
+   * Subscribe to session changes (new token, login required, resumed)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+  },
+
+  /**
+   * Get a snapshot of the session state
+   */
+  getState: () => ({
+    expiresAt: getTokenExpiry(),
+    canRefresh: Boolean(getActiveProfile().refreshToken),
+    reauthRequired,
+    pendingCount: pendingRequests.length
+  }),
+
+  /**
+   * Replay requests that were waiting for a new login
+   */
+  resume: () => {
+    const waiting = pendingRequests;
+    pendingRequests = [];
+    reauthRequired = false;
+    waiting.forEach(request => request.resolve());
+    notifySession();
+  },
+
+  /**
+   * Give up on requests that were waiting for a new login
+   */
+  cancel: () => {
+    const waiting = pendingRequests;
+    pendingRequests = [];
+    reauthRequired = false;
+    waiting.forEach(request => request.reject(new Error('Authentication required')));
+    notifySession();
+  },
+};
+
+// Utility function to get the expiry time (ms) of a JWT, or null when it has no exp claim
+export const getTokenExpiry = (token = getAuthToken()) => {
+  const payload = token ? decodeJwtPayload(token) : null;
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+};
+
 // Utility function to check if token exists
 export const isAuthenticated = () => {
-  const token = localStorage.getItem('authToken');
+  const token = getAuthToken();
   return token && token.trim().length > 0;
 };
 
-// Utility function to get current token
+// Utility function to get current token (stored per connection profile)
 export const getAuthToken = () => {
-  return localStorage.getItem('authToken');
+  return getActiveProfile().token || null;
+};
+
+// Utility function to store a token on the active profile
+export const setAuthToken = (token) => {
+  setActiveProfileToken(token);
 };
 
-// Utility function to clear authentication
+// Utility function to clear authentication for the active profile
 export const clearAuth = () => {
-  localStorage.removeItem('authToken');
+  setActiveProfileToken('');
 };
 
-// Utility function to get API base URL for documentation links
+// Utility function to get API base URL of the active profile
 export const getApiBaseUrl = () => {
-  return BASE_URL;
+  return getActiveProfile().baseUrl;
 };
 
 export default apiClient;
\ No newline at end of file
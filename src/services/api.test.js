@@ -0,0 +1,254 @@
+import axios from 'axios';
+import apiClient, { authAPI, sessionAPI, userAPI, s3StorageAPI, getAuthToken, setAuthToken, getTokenExpiry } from './api';
+import { loadConfig } from '../config';
+
+const API_URL = 'http://localhost:8003';
+const OIDC_TOKEN_URL = 'https://sso.example.org/realms/ndp/protocol/openid-connect/token';
+
+/**
+ * Route requests made by axios to fake handlers keyed by "METHOD url"
+ * Handlers return [status, data]; error statuses reject like the real adapters
+ */
+const mockEndpoints = (handlers, requests) => {
+  axios.defaults.adapter = apiClient.defaults.adapter = async (config) => {
+    const url = config.baseURL && !config.url.startsWith('http') ? config.baseURL + config.url : config.url;
+    const key = `${config.method.toUpperCase()} ${url}`;
+    requests.push({ key, config });
+
+    const handler = handlers[key];
+    const [status, data] = handler ? handler(config) : [404, { detail: 'Not Found' }];
+    const response = { status, data, headers: {}, config, statusText: String(status) };
+
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+};
+
+/**
+ * Build an unsigned JWT carrying the given payload
+ */
+const makeJwt = (payload) => ['eyJhbGciOiJub25lIn0', btoa(JSON.stringify(payload)), ''].join('.');
+
+/**
+ * Load a runtime config as if it came from /config.json
+ */
+const applyRuntimeConfig = async (config) => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => config });
+  await loadConfig();
+};
+
+const originalAdapter = axios.defaults.adapter;
+const originalClientAdapter = apiClient.defaults.adapter;
+const originalFetch = global.fetch;
+let requests;
+
+beforeEach(async () => {
+  localStorage.clear();
+  requests = [];
+  await applyRuntimeConfig({});
+});
+
+afterEach(() => {
+  axios.defaults.adapter = originalAdapter;
+  apiClient.defaults.adapter = originalClientAdapter;
+  global.fetch = originalFetch;
+});
+
+describe('authAPI.login', () => {
+  test('exchanges credentials at the API /token endpoint and stores the validated token', async () => {
+    mockEndpoints({
+      [`POST ${API_URL}/token`]: () => [200, { access_token: 'api-token', token_type: 'bearer' }],
+      [`GET ${API_URL}/user/info`]: () => [200, { username: 'alice' }],
+    }, requests);
+
+    const userInfo = await authAPI.login('alice', 'secret');
+
+    expect(userInfo).toEqual({ username: 'alice' });
+    expect(getAuthToken()).toBe('api-token');
+
+    const tokenRequest = requests[0].config;
+    const form = new URLSearchParams(tokenRequest.data.toString());
+    expect(form.get('grant_type')).toBe('password');
+    expect(form.get('username')).toBe('alice');
+    expect(form.get('password')).toBe('secret');
+    expect(form.has('client_id')).toBe(false);
+    expect(requests[1].config.headers.Authorization).toBe('Bearer api-token');
+  });
+
+  test('uses the configured OIDC token endpoint and client id', async () => {
+    await applyRuntimeConfig({ auth: { tokenEndpoint: OIDC_TOKEN_URL, clientId: 'ndp-ep', scope: 'openid' } });
+    mockEndpoints({
+      [`POST ${OIDC_TOKEN_URL}`]: () => [200, { access_token: 'oidc-token', refresh_token: 'refresh' }],
+      [`GET ${API_URL}/user/info`]: () => [200, { username: 'bob' }],
+    }, requests);
+
+    await authAPI.login('bob', 'secret');
+
+    const form = new URLSearchParams(requests[0].config.data.toString());
+    expect(requests[0].key).toBe(`POST ${OIDC_TOKEN_URL}`);
+    expect(form.get('client_id')).toBe('ndp-ep');
+    expect(form.get('scope')).toBe('openid');
+    expect(getAuthToken()).toBe('oidc-token');
+  });
+
+  test('reports rejected credentials without storing a token', async () => {
+    await applyRuntimeConfig({ auth: { tokenEndpoint: OIDC_TOKEN_URL } });
+    mockEndpoints({
+      [`POST ${OIDC_TOKEN_URL}`]: () => [401, { error: 'invalid_grant', error_description: 'Invalid user credentials' }],
+    }, requests);
+
+    await expect(authAPI.login('bob', 'wrong')).rejects.toThrow('Invalid user credentials');
+    expect(getAuthToken()).toBeNull();
+    expect(requests).toHaveLength(1);
+  });
+
+  test('does not keep a token that fails validation', async () => {
+    mockEndpoints({
+      [`POST ${API_URL}/token`]: () => [200, { access_token: 'revoked' }],
+      [`GET ${API_URL}/user/info`]: () => [401, { detail: 'Invalid token' }],
+    }, requests);
+
+    await expect(authAPI.login('alice', 'secret')).rejects.toThrow('Invalid token: Authentication failed');
+    expect(getAuthToken()).toBeNull();
+  });
+
+  test('rejects a token response without an access token', async () => {
+    mockEndpoints({
+      [`POST ${API_URL}/token`]: () => [200, {}],
+    }, requests);
+
+    await expect(authAPI.login('alice', 'secret')).rejects.toThrow('did not return an access token');
+  });
+
+  test('requires both username and password', async () => {
+    mockEndpoints({}, requests);
+
+    await expect(authAPI.login('alice', '')).rejects.toThrow('Username and password are required');
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('getTokenExpiry', () => {
+  test('reads the exp claim of a JWT in milliseconds', () => {
+    expect(getTokenExpiry(makeJwt({ sub: 'alice', exp: 1700000000 }))).toBe(1700000000000);
+  });
+
+  test('returns null for opaque tokens and tokens without exp', () => {
+    expect(getTokenExpiry('testing_password')).toBeNull();
+    expect(getTokenExpiry(makeJwt({ sub: 'alice' }))).toBeNull();
+    expect(getTokenExpiry(null)).toBeNull();
+  });
+});
+
+describe('expired sessions', () => {
+  const userInfoFor = (validToken) => (config) => (
+    config.headers.Authorization === `Bearer ${validToken}`
+      ? [200, { username: 'alice' }]
+      : [401, { detail: 'Token expired' }]
+  );
+
+  test('refreshes silently and replays a request that failed with 401', async () => {
+    await applyRuntimeConfig({ auth: { tokenEndpoint: OIDC_TOKEN_URL, clientId: 'ndp-ep' } });
+    let validToken = 'first';
+    mockEndpoints({
+      [`POST ${OIDC_TOKEN_URL}`]: (config) => {
+        const form = new URLSearchParams(config.data.toString());
+        return form.get('grant_type') === 'password'
+          ? [200, { access_token: 'first', refresh_token: 'refresh-1' }]
+          : [200, { access_token: 'second' }];
+      },
+      [`GET ${API_URL}/user/info`]: (config) => userInfoFor(validToken)(config),
+    }, requests);
+
+    await authAPI.login('alice', 'secret');
+    validToken = 'second';
+
+    const response = await userAPI.getUserInfo();
+
+    expect(response.data).toEqual({ username: 'alice' });
+    expect(getAuthToken()).toBe('second');
+    expect(sessionAPI.getState().canRefresh).toBe(true);
+    const refreshRequest = requests.find(request =>
+      new URLSearchParams(request.config.data?.toString()).get('grant_type') === 'refresh_token'
+    );
+    expect(new URLSearchParams(refreshRequest.config.data.toString()).get('refresh_token')).toBe('refresh-1');
+  });
+
+  test('queues a 401 request until the user signs in again', async () => {
+    setAuthToken('expired');
+    mockEndpoints({
+      [`GET ${API_URL}/user/info`]: userInfoFor('renewed'),
+    }, requests);
+
+    const pending = userAPI.getUserInfo();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(sessionAPI.getState()).toMatchObject({ reauthRequired: true, pendingCount: 1 });
+    expect(getAuthToken()).toBeNull();
+
+    setAuthToken('renewed');
+    sessionAPI.resume();
+
+    await expect(pending).resolves.toMatchObject({ data: { username: 'alice' } });
+    expect(sessionAPI.getState().reauthRequired).toBe(false);
+  });
+
+  test('fails queued requests when re-authentication is cancelled', async () => {
+    setAuthToken('expired');
+    mockEndpoints({
+      [`GET ${API_URL}/user/info`]: userInfoFor('renewed'),
+    }, requests);
+
+    const pending = userAPI.getUserInfo();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sessionAPI.cancel();
+
+    await expect(pending).rejects.toThrow('Authentication required');
+    expect(sessionAPI.getState()).toMatchObject({ reauthRequired: false, pendingCount: 0 });
+  });
+});
+
+describe('s3StorageAPI', () => {
+  test('sends the storage location with presign and download requests', async () => {
+    setAuthToken('api-token');
+    const location = { endpoint: 'https://minio.example.org', region: 'us-east-1', credentialRef: 'minio-readers' };
+    mockEndpoints({
+      [`GET ${API_URL}/s3/objects/ndp/runs/a%20b.csv/presign`]: () => [200, { url: 'https://minio.example.org/signed' }],
+      [`GET ${API_URL}/s3/objects/ndp/runs/a%20b.csv`]: () => [200, 'a,b']
+    }, requests);
+
+    await s3StorageAPI.getPresignedUrl('ndp', 'runs/a b.csv', { ...location, expiresIn: 900 });
+    await s3StorageAPI.downloadObject('ndp', 'runs/a b.csv', location);
+
+    expect(requests[0].config.params).toEqual({
+      expires_in: 900,
+      endpoint: 'https://minio.example.org',
+      region: 'us-east-1',
+      credential_ref: 'minio-readers'
+    });
+    expect(requests[1].config.params).toEqual({
+      endpoint: 'https://minio.example.org',
+      region: 'us-east-1',
+      credential_ref: 'minio-readers'
+    });
+  });
+
+  test('keeps the request timeout off for downloads only', async () => {
+    setAuthToken('api-token');
+    mockEndpoints({
+      [`GET ${API_URL}/s3/objects/ndp/big.bin/presign`]: () => [200, { url: 'https://s3.example.org/signed' }],
+      [`GET ${API_URL}/s3/objects/ndp/big.bin`]: () => [200, 'data']
+    }, requests);
+
+    await s3StorageAPI.getPresignedUrl('ndp', 'big.bin', { expiresIn: 900 });
+    await s3StorageAPI.downloadObject('ndp', 'big.bin');
+
+    expect(requests[0].config.timeout).toBe(10000);
+    expect(requests[1].config.timeout).toBe(0);
+  });
+});
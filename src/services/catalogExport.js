@@ -0,0 +1,54 @@
+import { searchAPI } from './api';
+import { toPage } from '../utils/pagination';
+import { isResourceType } from '../utils/classifyResource';
+import { EXPORT_FORMATS, serializeCatalog } from '../utils/catalogExport';
+import { downloadFile } from '../utils/download';
+
+/**
+ * Catalog export
+ *
+ * Collects every package of a listing (not just the page on screen) and
+ * downloads it in one of the EXPORT_FORMATS.
+ */
+
+// Packages requested per search call while collecting an export
+const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * Fetch every package of the given resource types on a catalog
+ * @param {Object} options - { resourceTypes, server }
+ * @returns {Promise<Array>} Packages
+ */
+export const fetchAllPackages = async ({ resourceTypes, server }) => {
+  const matches = isResourceType(...resourceTypes);
+  const packages = [];
+
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const response = await searchAPI.searchPaged({
+      resourceType: resourceTypes.length === 1 ? resourceTypes[0] : resourceTypes,
+      server,
+      limit: EXPORT_PAGE_SIZE,
+      offset
+    });
+
+    // Older APIs return the whole catalog at once
+    if (Array.isArray(response.data)) return response.data.filter(matches);
+
+    const { items, total } = toPage(response.data, { matches, limit: EXPORT_PAGE_SIZE, offset });
+    packages.push(...items);
+    if (items.length === 0 || packages.length >= total) return packages;
+  }
+};
+
+/**
+ * Download packages as a catalog export
+ * @param {Array} packages - CKAN packages
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - { name: listing name used in the file name, server }
+ */
+export const exportCatalog = (packages, format, { name, server }) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const exportedAt = new Date().toISOString();
+  const content = serializeCatalog(packages, format, { title: `NDP-EP ${name} (${server})`, exportedAt });
+  downloadFile(content, `${name}-${server}-${exportedAt.slice(0, 10)}.${extension}`, mimeType);
+};
@@ -0,0 +1,98 @@
+/**
+ * Shared error model for API failures
+ *
+ * Turns axios errors (and plain errors) into one shape that pages, the
+ * notification center and the error log all understand. FastAPI 422
+ * validation errors are mapped to the form fields they belong to.
+ */
+
+// Messages used when the API does not return a usable detail
+const STATUS_MESSAGES = {
+  400: 'The request was invalid.',
+  401: 'Authentication required. Please sign in again.',
+  403: 'You do not have permission to perform this action.',
+  404: 'The requested item was not found. It may have been deleted already.',
+  405: 'This action is not allowed by the API.',
+  409: 'The item already exists or conflicts with an existing one.',
+  422: 'Some fields are invalid.',
+};
+
+// FastAPI location prefixes that are not part of the field name
+const LOCATION_PREFIXES = ['body', 'query', 'path', 'header'];
+
+/**
+ * Map FastAPI validation items ({loc, msg, type}) to {field: message}
+ * Nested locations are joined with dots, e.g. "extras.port"
+ */
+const mapValidationErrors = (items) => {
+  const fieldErrors = {};
+  items.forEach(item => {
+    const loc = Array.isArray(item?.loc) ? item.loc : [];
+    const field = loc.filter((part, index) => !(index === 0 && LOCATION_PREFIXES.includes(part))).join('.');
+    const key = field || '_form';
+    fieldErrors[key] = fieldErrors[key] ? `${fieldErrors[key]}; ${item.msg}` : item.msg;
+  });
+  return fieldErrors;
+};
+
+/**
+ * Turn an API "detail" value of any shape into a readable message
+ */
+const formatDetail = (detail) => {
+  if (typeof detail === 'string') return detail;
+  if (detail && typeof detail === 'object') {
+    return detail.message || detail.error || JSON.stringify(detail);
+  }
+  return null;
+};
+
+/**
+ * Normalize any error thrown by an API call
+ * @param {Error} err - Axios error or plain error
+ * @returns {Object} { message, status, fieldErrors, method, url, params, requestBody, responseBody, timestamp }
+ */
+export const normalizeApiError = (err) => {
+  const response = err?.response;
+  const config = err?.config || {};
+  const detail = response?.data?.detail;
+  let fieldErrors = {};
+  let message;
+
+  if (response?.status === 422 && Array.isArray(detail)) {
+    fieldErrors = mapValidationErrors(detail);
+    message = 'Validation failed: ' + Object.entries(fieldErrors)
+      .map(([field, fieldMessage]) => (field === '_form' ? fieldMessage : `${field}: ${fieldMessage}`))
+      .join(', ');
+  } else if (response) {
+    message = formatDetail(detail) || STATUS_MESSAGES[response.status] ||
+      (response.status >= 500 ? `API server error (HTTP ${response.status}).` : err.message);
+  } else if (err?.request || err?.code === 'ECONNABORTED' || err?.message === 'Network Error') {
+    message = err.code === 'ECONNABORTED'
+      ? 'The API did not respond in time.'
+      : 'Cannot connect to the API server.';
+  } else {
+    message = err?.message || 'Unknown error';
+  }
+
+  return {
+    message,
+    status: response?.status || null,
+    fieldErrors,
+    method: config.method ? config.method.toUpperCase() : null,
+    url: config.url ? `${config.baseURL || ''}${config.url}` : null,
+    params: config.params || null,
+    requestBody: config.data || null,
+    responseBody: response?.data ?? null,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Get a user-facing message for an error
+ * @param {Error} err - Axios error or plain error
+ * @param {string} [prefix] - Context such as "Failed to create dataset"
+ */
+export const getErrorMessage = (err, prefix) => {
+  const { message } = normalizeApiError(err);
+  return prefix ? `${prefix}: ${message}` : message;
+};
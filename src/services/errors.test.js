@@ -0,0 +1,84 @@
+import { normalizeApiError, getErrorMessage } from './errors';
+
+/**
+ * Build an axios-like error for a response with the given status and body
+ */
+const responseError = (status, data, config = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = { method: 'post', baseURL: 'http://localhost:8003', url: '/kafka', ...config };
+  error.response = { status, data };
+  return error;
+};
+
+describe('normalizeApiError', () => {
+  test('maps FastAPI 422 validation errors to form fields', () => {
+    const apiError = normalizeApiError(responseError(422, {
+      detail: [
+        { loc: ['body', 'dataset_name'], msg: 'field required', type: 'value_error.missing' },
+        { loc: ['body', 'kafka_port'], msg: 'value is not a valid integer', type: 'type_error.integer' },
+        { loc: ['body', 'extras', 'host'], msg: 'str type expected', type: 'type_error.str' },
+      ]
+    }));
+
+    expect(apiError.status).toBe(422);
+    expect(apiError.fieldErrors).toEqual({
+      dataset_name: 'field required',
+      kafka_port: 'value is not a valid integer',
+      'extras.host': 'str type expected',
+    });
+    expect(apiError.message).toBe(
+      'Validation failed: dataset_name: field required, kafka_port: value is not a valid integer, extras.host: str type expected'
+    );
+  });
+
+  test('joins several errors for the same field and keeps body-level errors', () => {
+    const { fieldErrors } = normalizeApiError(responseError(422, {
+      detail: [
+        { loc: ['body', 'name'], msg: 'too short' },
+        { loc: ['body', 'name'], msg: 'invalid characters' },
+        { loc: ['body'], msg: 'body is empty' },
+      ]
+    }));
+
+    expect(fieldErrors).toEqual({ name: 'too short; invalid characters', _form: 'body is empty' });
+  });
+
+  test('uses string and object details from the API', () => {
+    expect(normalizeApiError(responseError(400, { detail: 'Dataset already exists' })).message)
+      .toBe('Dataset already exists');
+    expect(normalizeApiError(responseError(400, { detail: { error: 'CKAN error', detail: 'x' } })).message)
+      .toBe('CKAN error');
+  });
+
+  test('falls back to a message per status code', () => {
+    expect(normalizeApiError(responseError(404, {})).message).toMatch(/not found/);
+    expect(normalizeApiError(responseError(403, null)).message).toMatch(/permission/);
+    expect(normalizeApiError(responseError(502, '<html>')).message).toBe('API server error (HTTP 502).');
+  });
+
+  test('keeps request details for the error log', () => {
+    const apiError = normalizeApiError(responseError(500, { detail: 'boom' }, { params: { server: 'local' } }));
+
+    expect(apiError).toMatchObject({
+      method: 'POST',
+      url: 'http://localhost:8003/kafka',
+      params: { server: 'local' },
+      responseBody: { detail: 'boom' },
+    });
+    expect(apiError.timestamp).toEqual(expect.any(String));
+  });
+
+  test('describes network failures and plain errors', () => {
+    const networkError = new Error('Network Error');
+    networkError.request = {};
+    expect(normalizeApiError(networkError).message).toBe('Cannot connect to the API server.');
+    expect(normalizeApiError(new Error('Something broke')).message).toBe('Something broke');
+  });
+});
+
+describe('getErrorMessage', () => {
+  test('prefixes the message with the failed action', () => {
+    expect(getErrorMessage(responseError(400, { detail: 'Bad name' }), 'Failed to create dataset'))
+      .toBe('Failed to create dataset: Bad name');
+  });
+});
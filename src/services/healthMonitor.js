@@ -0,0 +1,306 @@
+import { getConfig } from '../config';
+import { servicesAPI } from './api';
+import { getErrorMessage } from './errors';
+
+/**
+ * Health monitor for registered services
+ *
+ * Results live at module level, so they survive navigation: coming back to the
+ * Services page shows the cached status and only checks services whose last
+ * result is older than the poll interval. Polling runs while at least one
+ * component is subscribed.
+ */
+
+export const HEALTH_STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+  UNKNOWN: 'unknown'
+};
+
+// Number of results kept per service for the uptime history
+export const HISTORY_LIMIT = 20;
+
+// Values of a JSON "status" field reported by common health endpoints
+const DOWN_BODY_STATUSES = ['down', 'fail', 'failed', 'error', 'unhealthy', 'out_of_service'];
+const DEGRADED_BODY_STATUSES = ['degraded', 'warn', 'warning'];
+
+const results = new Map();
+const targets = new Map();
+// Checks in progress by service ID, so overlapping requests share one check
+const checking = new Map();
+const listeners = new Set();
+let pollInterval = null;
+let timer = null;
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Get the poll interval in milliseconds (0 means polling is off)
+ */
+export const getPollInterval = () => (pollInterval ?? getConfig().healthCheck.interval);
+
+/**
+ * Decide the health status from a health check response
+ * @param {Object} response - { httpStatus, latency, body }, httpStatus is null when the
+ *   service was reachable but CORS hid the response
+ * @returns {string} One of HEALTH_STATUS
+ */
+export const toHealthStatus = ({ httpStatus, latency, body }) => {
+  if (httpStatus !== null && (httpStatus < 200 || httpStatus >= 400)) {
+    return httpStatus === 429 ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.DOWN;
+  }
+
+  const bodyStatus = String(body?.status ?? '').toLowerCase();
+  if (DOWN_BODY_STATUSES.includes(bodyStatus)) return HEALTH_STATUS.DOWN;
+  if (DEGRADED_BODY_STATUSES.includes(bodyStatus)) return HEALTH_STATUS.DEGRADED;
+
+  return latency > getConfig().healthCheck.degradedLatency ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.UP;
+};
+
+/**
+ * Fetch a health URL from the browser
+ * Falls back to an opaque no-cors request when CORS blocks the response, which
+ * still tells whether the service is reachable
+ */
+const fetchDirect = async (url, signal) => {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-store', signal });
+  } catch (err) {
+    if (signal.aborted) throw err;
+    await fetch(url, { cache: 'no-store', mode: 'no-cors', signal });
+    return { httpStatus: null, body: null };
+  }
+
+  let body = null;
+  if ((response.headers.get('content-type') || '').includes('json')) {
+    body = await response.json().catch(() => null);
+  }
+  return { httpStatus: response.status, body };
+};
+
+/**
+ * Read what the health proxy found for a service
+ * The proxy answers with { status_code, body } for the service, or { error }
+ * when it could not reach it.
+ * @param {Object} data - Response body of the health proxy
+ * @returns {Object} { httpStatus, body, error }, httpStatus is null when the proxy reported none
+ */
+export const fromProxyReport = (data) => {
+  const httpStatus = Number(data?.status_code ?? data?.statusCode);
+  return {
+    httpStatus: Number.isInteger(httpStatus) && httpStatus > 0 ? httpStatus : null,
+    body: data?.body ?? null,
+    error: data?.error || null
+  };
+};
+
+/**
+ * Check one health URL through the health proxy
+ * Failures of the proxy request itself (an expired token, a missing proxy
+ * route, an API error) say nothing about the service, so they are unknown.
+ */
+const checkThroughProxy = async (url, server, proxyPath) => {
+  const started = Date.now();
+  const unknown = (error) => ({ status: HEALTH_STATUS.UNKNOWN, httpStatus: null, latency: null, checkedAt: Date.now(), error });
+
+  let report;
+  try {
+    report = fromProxyReport((await servicesAPI.checkHealth(proxyPath, url, server)).data);
+  } catch (err) {
+    return unknown(getErrorMessage(err, 'Health proxy failed'));
+  }
+
+  if (report.httpStatus === null) {
+    return report.error
+      ? { status: HEALTH_STATUS.DOWN, httpStatus: null, latency: null, checkedAt: Date.now(), error: report.error }
+      : unknown('The health proxy did not report a status');
+  }
+
+  const latency = Date.now() - started;
+  return {
+    status: toHealthStatus({ ...report, latency }),
+    httpStatus: report.httpStatus,
+    latency,
+    checkedAt: Date.now(),
+    error: null
+  };
+};
+
+/**
+ * Check one health URL
+ * @param {string} url - Health check URL
+ * @param {string} [server] - Catalog used by the proxy
+ * @returns {Promise<Object>} { status, httpStatus, latency, checkedAt, error }
+ */
+export const checkHealth = async (url, server) => {
+  const { healthCheck, requestTimeout } = getConfig();
+  if (healthCheck.proxyPath) {
+    return checkThroughProxy(url, server, healthCheck.proxyPath);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), requestTimeout);
+  const started = Date.now();
+
+  try {
+    const response = await fetchDirect(url, controller.signal);
+    const latency = Date.now() - started;
+    return {
+      status: toHealthStatus({ ...response, latency }),
+      httpStatus: response.httpStatus,
+      latency,
+      checkedAt: Date.now(),
+      error: null
+    };
+  } catch (err) {
+    return {
+      status: HEALTH_STATUS.DOWN,
+      httpStatus: null,
+      latency: null,
+      checkedAt: Date.now(),
+      error: controller.signal.aborted ? `No response within ${requestTimeout / 1000}s` : (err.message || 'Unreachable')
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Check one watched service and store the result
+ */
+const runCheck = (id) => {
+  const target = targets.get(id);
+  if (!target) return Promise.resolve();
+  if (checking.has(id)) return checking.get(id);
+
+  const check = checkHealth(target.url, target.server).then(result => {
+    checking.delete(id);
+
+    // The URL may have changed while the check was running
+    if (targets.get(id)?.url === target.url) {
+      const previous = results.get(id);
+      const history = [...(previous?.history || []), { status: result.status, latency: result.latency, checkedAt: result.checkedAt }];
+      results.set(id, { ...result, url: target.url, history: history.slice(-HISTORY_LIMIT) });
+    }
+    notifyListeners();
+  });
+
+  checking.set(id, check);
+  notifyListeners();
+  return check;
+};
+
+/**
+ * Check watched services
+ * @param {boolean} [force] - Also check services with a fresh result
+ */
+const runChecks = (force = false) => {
+  const interval = getPollInterval();
+  const now = Date.now();
+
+  return Promise.all([...targets.keys()].filter(id => {
+    const result = results.get(id);
+    return force || !result || !interval || now - result.checkedAt >= interval;
+  }).map(runCheck));
+};
+
+const startPolling = () => {
+  clearInterval(timer);
+  timer = null;
+  runChecks();
+
+  const interval = getPollInterval();
+  if (interval > 0) {
+    timer = setInterval(() => runChecks(true), interval);
+  }
+};
+
+const stopPolling = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Set the services to check, replacing the previous list
+ * Cached results are kept; a service whose health URL changed starts a new history.
+ * @param {Array<Object>} services - [{ id, url, server }]
+ */
+export const watchServices = (services) => {
+  targets.clear();
+  services.forEach(({ id, url, server }) => {
+    if (!id || !url) return;
+    if (results.get(id)?.url !== url) {
+      results.delete(id);
+    }
+    targets.set(id, { url, server });
+  });
+
+  notifyListeners();
+  if (listeners.size > 0) {
+    runChecks();
+  }
+};
+
+/**
+ * Check services now instead of waiting for the next poll
+ * @param {string} [id] - Service to check, all watched services when omitted
+ */
+export const checkNow = (id) => (id ? runCheck(id) : runChecks(true));
+
+/**
+ * Change the poll interval for this session
+ * @param {number} interval - Milliseconds, 0 turns polling off
+ */
+export const setPollInterval = (interval) => {
+  pollInterval = interval;
+  notifyListeners();
+  if (listeners.size > 0) {
+    startPolling();
+  }
+};
+
+/**
+ * Get the cached health of a service
+ * @param {string} id - Service ID
+ * @returns {Object|undefined} Last result with its history
+ */
+export const getServiceHealth = (id) => results.get(id);
+
+/**
+ * Check whether a service is being checked right now
+ */
+export const isChecking = (id) => checking.has(id);
+
+/**
+ * Share of checks in the history where the service answered (up or degraded)
+ * Unknown results (the health proxy failed) are left out.
+ * @returns {number|null} Percentage, null without known results
+ */
+export const getUptime = (history = []) => {
+  const known = history.filter(entry => entry.status !== HEALTH_STATUS.UNKNOWN);
+  if (known.length === 0) return null;
+  const answered = known.filter(entry => entry.status !== HEALTH_STATUS.DOWN).length;
+  return Math.round((answered / known.length) * 100);
+};
+
+/**
+ * Subscribe to health updates; polling runs while there are subscribers
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    startPolling();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      stopPolling();
+    }
+  };
+};
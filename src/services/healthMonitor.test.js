@@ -0,0 +1,186 @@
+import { loadConfig } from '../config';
+import { servicesAPI } from './api';
+import {
+  HEALTH_STATUS,
+  HISTORY_LIMIT,
+  toHealthStatus,
+  checkHealth,
+  getUptime,
+  watchServices,
+  subscribe,
+  checkNow,
+  getServiceHealth
+} from './healthMonitor';
+
+const HEALTH_URL = 'https://service.example.org/health';
+
+/**
+ * Build a fetch response with an optional JSON body
+ */
+const makeResponse = (status, body) => ({
+  status,
+  headers: { get: () => (body ? 'application/json' : 'text/plain') },
+  json: async () => body
+});
+
+describe('toHealthStatus', () => {
+  test('marks fast successful responses as up', () => {
+    expect(toHealthStatus({ httpStatus: 200, latency: 120, body: null })).toBe(HEALTH_STATUS.UP);
+  });
+
+  test('marks slow responses and throttling as degraded', () => {
+    expect(toHealthStatus({ httpStatus: 200, latency: 5000, body: null })).toBe(HEALTH_STATUS.DEGRADED);
+    expect(toHealthStatus({ httpStatus: 429, latency: 50, body: null })).toBe(HEALTH_STATUS.DEGRADED);
+  });
+
+  test('marks error responses as down', () => {
+    expect(toHealthStatus({ httpStatus: 503, latency: 50, body: null })).toBe(HEALTH_STATUS.DOWN);
+    expect(toHealthStatus({ httpStatus: 404, latency: 50, body: null })).toBe(HEALTH_STATUS.DOWN);
+  });
+
+  test('uses the status reported in a JSON body', () => {
+    expect(toHealthStatus({ httpStatus: 200, latency: 50, body: { status: 'DOWN' } })).toBe(HEALTH_STATUS.DOWN);
+    expect(toHealthStatus({ httpStatus: 200, latency: 50, body: { status: 'degraded' } })).toBe(HEALTH_STATUS.DEGRADED);
+  });
+
+  test('treats a reachable service with a hidden response as up', () => {
+    expect(toHealthStatus({ httpStatus: null, latency: 50, body: null })).toBe(HEALTH_STATUS.UP);
+  });
+});
+
+describe('checkHealth', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('reports the HTTP status and latency of the health URL', async () => {
+    global.fetch = jest.fn(async () => makeResponse(200, { status: 'ok' }));
+
+    const result = await checkHealth(HEALTH_URL);
+
+    expect(global.fetch).toHaveBeenCalledWith(HEALTH_URL, expect.objectContaining({ cache: 'no-store' }));
+    expect(result).toMatchObject({ status: HEALTH_STATUS.UP, httpStatus: 200, error: null });
+    expect(result.latency).toBeGreaterThanOrEqual(0);
+  });
+
+  test('falls back to a no-cors request when CORS blocks the response', async () => {
+    global.fetch = jest.fn(async (url, options) => {
+      if (options.mode === 'no-cors') return { status: 0, type: 'opaque' };
+      throw new TypeError('Failed to fetch');
+    });
+
+    const result = await checkHealth(HEALTH_URL);
+
+    expect(result).toMatchObject({ status: HEALTH_STATUS.UP, httpStatus: null });
+  });
+
+  test('reports unreachable services as down', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    const result = await checkHealth(HEALTH_URL);
+
+    expect(result).toMatchObject({ status: HEALTH_STATUS.DOWN, error: 'Failed to fetch' });
+  });
+});
+
+describe('checkHealth through the health proxy', () => {
+  const useConfig = async (config) => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => config }));
+    await loadConfig();
+    delete global.fetch;
+  };
+
+  beforeAll(() => useConfig({ healthCheck: { proxyPath: '/health-proxy' } }));
+
+  afterAll(() => useConfig({}));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses the status the proxy reports for the service', async () => {
+    jest.spyOn(servicesAPI, 'checkHealth').mockResolvedValue({ data: { status_code: 503, body: null } });
+
+    const result = await checkHealth(HEALTH_URL, 'local');
+
+    expect(servicesAPI.checkHealth).toHaveBeenCalledWith('/health-proxy', HEALTH_URL, 'local');
+    expect(result).toMatchObject({ status: HEALTH_STATUS.DOWN, httpStatus: 503, error: null });
+  });
+
+  test('marks the service down when the proxy could not reach it', async () => {
+    jest.spyOn(servicesAPI, 'checkHealth').mockResolvedValue({ data: { error: 'Connection refused' } });
+
+    expect(await checkHealth(HEALTH_URL)).toMatchObject({ status: HEALTH_STATUS.DOWN, error: 'Connection refused' });
+  });
+
+  test('does not blame the service when the proxy request fails', async () => {
+    const error = new Error('Request failed with status code 404');
+    error.response = { status: 404, data: { detail: 'Not Found' } };
+    jest.spyOn(servicesAPI, 'checkHealth').mockRejectedValue(error);
+
+    const result = await checkHealth(HEALTH_URL);
+
+    expect(result).toMatchObject({ status: HEALTH_STATUS.UNKNOWN, httpStatus: null });
+    expect(result.error).toMatch(/^Health proxy failed: /);
+  });
+});
+
+describe('getUptime', () => {
+  test('counts up and degraded checks as available', () => {
+    const history = [HEALTH_STATUS.UP, HEALTH_STATUS.DEGRADED, HEALTH_STATUS.DOWN, HEALTH_STATUS.UP]
+      .map((status, index) => ({ status, checkedAt: index }));
+
+    expect(getUptime(history)).toBe(75);
+    expect(getUptime([])).toBeNull();
+  });
+
+  test('leaves out unknown results', () => {
+    const history = [HEALTH_STATUS.UP, HEALTH_STATUS.UNKNOWN, HEALTH_STATUS.DOWN]
+      .map((status, index) => ({ status, checkedAt: index }));
+
+    expect(getUptime(history)).toBe(50);
+    expect(getUptime([{ status: HEALTH_STATUS.UNKNOWN, checkedAt: 0 }])).toBeNull();
+  });
+});
+
+describe('health monitor cache', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('keeps results across subscriptions and only checks stale services', async () => {
+    global.fetch = jest.fn(async () => makeResponse(200));
+    watchServices([{ id: 'svc-1', url: HEALTH_URL }, { id: 'svc-2', url: '' }]);
+
+    const unsubscribe = subscribe(() => {});
+    await checkNow();
+    unsubscribe();
+    const callsAfterFirstVisit = global.fetch.mock.calls.length;
+
+    expect(getServiceHealth('svc-1')).toMatchObject({ status: HEALTH_STATUS.UP, url: HEALTH_URL });
+    expect(getServiceHealth('svc-2')).toBeUndefined();
+
+    // Coming back to the page does not re-check a fresh result
+    const unsubscribeAgain = subscribe(() => {});
+    watchServices([{ id: 'svc-1', url: HEALTH_URL }]);
+    unsubscribeAgain();
+
+    expect(global.fetch.mock.calls.length).toBe(callsAfterFirstVisit);
+  });
+
+  test('caps the history and restarts it when the health URL changes', async () => {
+    global.fetch = jest.fn(async () => makeResponse(503));
+    watchServices([{ id: 'svc-3', url: HEALTH_URL }]);
+
+    for (let check = 0; check < HISTORY_LIMIT + 5; check++) {
+      await checkNow('svc-3');
+    }
+    expect(getServiceHealth('svc-3').history).toHaveLength(HISTORY_LIMIT);
+    expect(getServiceHealth('svc-3').status).toBe(HEALTH_STATUS.DOWN);
+
+    watchServices([{ id: 'svc-3', url: 'https://moved.example.org/health' }]);
+    expect(getServiceHealth('svc-3')).toBeUndefined();
+  });
+});
@@ -0,0 +1,199 @@
+import { statusAPI } from './api';
+import { notify } from './notifications';
+import { buildResourceNotebook, getNotebookFilename } from '../utils/notebook';
+import { downloadFile } from '../utils/download';
+
+/**
+ * JupyterHub integration
+ *
+ * The NDP-EP API reports the JupyterHub linked to this endpoint at /status/jupyter.
+ * The details are fetched once per session and shared by the Dashboard card,
+ * the Jupyter page and the "Open in Jupyter" actions.
+ */
+
+export const JUPYTER_STATUS = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+  UNKNOWN: 'unknown'
+};
+
+const ONLINE_VALUES = ['ok', 'online', 'running', 'connected', 'healthy', 'up', 'available'];
+
+let detailsPromise = null;
+
+/**
+ * Normalize the /status/jupyter response
+ * @param {Object} data - Response body
+ * @returns {Object} { url, status, version, details }
+ */
+export const normalizeJupyterDetails = (data) => {
+  const details = data && typeof data === 'object' ? data : {};
+  const url = details.jupyter_url || details.jupyterhub_url || details.hub_url || details.url || '';
+
+  let status = JUPYTER_STATUS.UNKNOWN;
+  const flag = details.connected ?? details.available ?? details.running;
+  if (typeof flag === 'boolean') {
+    status = flag ? JUPYTER_STATUS.ONLINE : JUPYTER_STATUS.OFFLINE;
+  } else if (typeof details.status === 'string') {
+    status = ONLINE_VALUES.includes(details.status.toLowerCase()) ? JUPYTER_STATUS.ONLINE : JUPYTER_STATUS.OFFLINE;
+  } else if (url) {
+    status = JUPYTER_STATUS.ONLINE;
+  }
+
+  return {
+    url: typeof url === 'string' ? url.replace(/\/+$/, '') : '',
+    status,
+    version: details.version || null,
+    details
+  };
+};
+
+/**
+ * Get the JupyterHub details, fetched once and cached
+ * @param {boolean} [force] - Fetch again instead of using the cached result
+ * @returns {Promise<Object>} Normalized details; rejects when the request fails
+ */
+export const loadJupyterDetails = (force = false) => {
+  if (!detailsPromise || force) {
+    detailsPromise = statusAPI.getJupyterDetails()
+      .then(response => normalizeJupyterDetails(response.data))
+      .catch(err => {
+        detailsPromise = null;
+        throw err;
+      });
+  }
+  return detailsPromise;
+};
+
+/**
+ * URL that opens JupyterLab on the user's own server
+ * A hub root URL goes through /hub/user-redirect, any other URL is used as is
+ */
+export const getJupyterLabUrl = (url) => {
+  if (!url) return '';
+  try {
+    const { pathname } = new URL(url);
+    if (/^\/?(hub\/?)?$/.test(pathname)) {
+      return `${url.replace(/\/hub$/, '')}/hub/user-redirect/lab`;
+    }
+  } catch {
+    return url;
+  }
+  return url;
+};
+
+/**
+ * Base URL of the user's own Jupyter server, ending in /
+ * A URL below /user/<name>/ is used as is. For a hub root URL the hub API is
+ * asked, with the hub session cookie, where the user's default server runs.
+ * @returns {Promise<string|null>} null for other URLs or when the user has no running server
+ * @throws {Error} When the hub API rejects the request or cannot be reached
+ */
+export const resolveUserServerUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const userPath = /^(.*?\/user\/[^/]+\/)/.exec(`${parsed.pathname}/`);
+  if (userPath) return `${parsed.origin}${userPath[1]}`;
+  if (!/^\/?(hub\/?)?$/.test(parsed.pathname)) return null;
+
+  const response = await fetch(`${parsed.origin}/hub/api/user`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`JupyterHub API returned HTTP ${response.status}`);
+  }
+  const user = await response.json();
+  const server = user.server || user.servers?.['']?.url;
+  return server ? new URL(server, parsed.origin).href : null;
+};
+
+/**
+ * Contents API and notebook URLs on a user's Jupyter server
+ * @param {string} serverUrl - From resolveUserServerUrl, ending in /
+ * @param {string} filename - Notebook file name
+ * @returns {Object} { contentsUrl, notebookUrl }
+ */
+export const getNotebookUrls = (serverUrl, filename) => {
+  const path = encodeURIComponent(filename);
+  return {
+    contentsUrl: `${serverUrl}api/contents/${path}`,
+    notebookUrl: `${serverUrl}lab/tree/${path}`
+  };
+};
+
+/**
+ * Save a notebook on the user's Jupyter server through the contents API
+ * Uses the JupyterHub session cookie, so the server must allow requests from this origin.
+ * @throws {Error} When the server rejects or cannot be reached
+ */
+const uploadNotebook = async (contentsUrl, notebook) => {
+  const response = await fetch(contentsUrl, {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'notebook', format: 'json', content: notebook })
+  });
+  if (!response.ok) {
+    throw new Error(`Jupyter contents API returned HTTP ${response.status}`);
+  }
+};
+
+/**
+ * Generate a notebook that loads a dataset and open it in JupyterLab
+ * The notebook is saved on the user's server through the Jupyter contents API
+ * and opened in a new tab. When it cannot be saved there (no running server,
+ * or the hub or server does not accept requests from this origin) the notebook
+ * is downloaded instead and JupyterLab is opened to upload it by hand.
+ *
+ * @param {Object} dataset - CKAN package from a resource listing
+ * @param {string} [server] - Catalog the dataset was listed from
+ */
+export const openInJupyter = async (dataset, server) => {
+  // Open the tab right away; browsers block pop-ups opened after an await
+  const jupyterWindow = window.open('', '_blank');
+  const filename = getNotebookFilename(dataset);
+  const notebook = buildResourceNotebook(dataset, { server });
+  const download = () => downloadFile(JSON.stringify(notebook, null, 1), filename, 'application/x-ipynb+json');
+
+  let hubUrl = '';
+  try {
+    hubUrl = (await loadJupyterDetails()).url;
+  } catch (err) {
+    console.error('Error loading Jupyter details:', err);
+  }
+  const labUrl = getJupyterLabUrl(hubUrl);
+
+  if (!labUrl) {
+    if (jupyterWindow) jupyterWindow.close();
+    download();
+    notify('warning', `Notebook ${filename} downloaded, but no JupyterHub is configured for this endpoint`);
+    return;
+  }
+
+  if (!jupyterWindow) {
+    download();
+    notify('warning', `Notebook ${filename} downloaded, but the browser blocked the JupyterLab tab - allow pop-ups for this site to open notebooks directly`);
+    return;
+  }
+
+  jupyterWindow.opener = null;
+  try {
+    const serverUrl = await resolveUserServerUrl(hubUrl);
+    if (serverUrl) {
+      const urls = getNotebookUrls(serverUrl, filename);
+      await uploadNotebook(urls.contentsUrl, notebook);
+      jupyterWindow.location.href = urls.notebookUrl;
+      notify('success', `Notebook ${filename} opened in JupyterLab`);
+      return;
+    }
+  } catch (err) {
+    console.error('Error uploading notebook to Jupyter:', err);
+  }
+
+  download();
+  jupyterWindow.location.href = labUrl;
+  notify('info', `The notebook could not be saved on your Jupyter server, so ${filename} was downloaded - drag it into JupyterLab to open it`);
+};
@@ -0,0 +1,136 @@
+import { statusAPI } from './api';
+import { notify } from './notifications';
+import { getJupyterLabUrl, loadJupyterDetails, openInJupyter } from './jupyter';
+
+jest.mock('./api', () => ({
+  statusAPI: { getJupyterDetails: jest.fn() }
+}));
+
+jest.mock('./notifications', () => ({
+  notify: jest.fn()
+}));
+
+const dataset = { id: 'abc', name: 'air_quality', resources: [{ url: 'https://data.example.org/air.csv' }] };
+
+const originalFetch = global.fetch;
+let tab;
+
+/**
+ * Answer fetch requests from handlers keyed by "METHOD url"
+ */
+const mockFetch = (handlers) => {
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const handler = handlers[`${options.method || 'GET'} ${url}`];
+    const [status, data] = handler ? handler(options) : [404, {}];
+    return { ok: status < 400, status, json: async () => data };
+  });
+};
+
+const useHub = async (details) => {
+  statusAPI.getJupyterDetails.mockResolvedValue({ data: details });
+  await loadJupyterDetails(true);
+};
+
+beforeEach(() => {
+  tab = { location: { href: '' }, close: jest.fn(), opener: window };
+  jest.spyOn(window, 'open').mockReturnValue(tab);
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  URL.createObjectURL = jest.fn(() => 'blob:notebook');
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  global.fetch = originalFetch;
+});
+
+test('opens JupyterLab through the hub user redirect', () => {
+  expect(getJupyterLabUrl('https://jupyter.example.org')).toBe('https://jupyter.example.org/hub/user-redirect/lab');
+  expect(getJupyterLabUrl('https://jupyter.example.org/hub')).toBe('https://jupyter.example.org/hub/user-redirect/lab');
+  expect(getJupyterLabUrl('https://jupyter.example.org/user/alice/lab')).toBe('https://jupyter.example.org/user/alice/lab');
+});
+
+describe('openInJupyter', () => {
+  test('saves the notebook on the server the hub API reports and opens it', async () => {
+    await useHub({ jupyter_url: 'https://jupyter.example.org' });
+    mockFetch({
+      'GET https://jupyter.example.org/hub/api/user': () => [200, { name: 'alice', server: '/user/alice/' }],
+      'PUT https://jupyter.example.org/user/alice/api/contents/air_quality.ipynb': () => [201, {}]
+    });
+
+    await openInJupyter(dataset, 'local');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://jupyter.example.org/hub/api/user', { credentials: 'include' });
+    const [, upload] = global.fetch.mock.calls[1];
+    expect(upload).toMatchObject({ method: 'PUT', credentials: 'include' });
+    expect(JSON.parse(upload.body)).toMatchObject({ type: 'notebook', format: 'json', content: { nbformat: 4 } });
+    expect(tab.location.href).toBe('https://jupyter.example.org/user/alice/lab/tree/air_quality.ipynb');
+    expect(tab.opener).toBeNull();
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenCalledWith('success', 'Notebook air_quality.ipynb opened in JupyterLab');
+  });
+
+  test('uses a JupyterLab URL on the user server without asking the hub', async () => {
+    await useHub({ jupyter_url: 'https://jupyter.example.org/user/bob/lab' });
+    mockFetch({
+      'PUT https://jupyter.example.org/user/bob/api/contents/air_quality.ipynb': () => [201, {}]
+    });
+
+    await openInJupyter(dataset);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(tab.location.href).toBe('https://jupyter.example.org/user/bob/lab/tree/air_quality.ipynb');
+  });
+
+  test('downloads the notebook and opens JupyterLab when the server refuses it', async () => {
+    await useHub({ jupyter_url: 'https://jupyter.example.org' });
+    mockFetch({
+      'GET https://jupyter.example.org/hub/api/user': () => [200, { name: 'alice', server: '/user/alice/' }],
+      'PUT https://jupyter.example.org/user/alice/api/contents/air_quality.ipynb': () => [403, {}]
+    });
+
+    await openInJupyter(dataset);
+
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(tab.location.href).toBe('https://jupyter.example.org/hub/user-redirect/lab');
+    expect(notify).toHaveBeenCalledWith('info', expect.stringContaining('air_quality.ipynb was downloaded'));
+  });
+
+  test('downloads the notebook when the user has no running server', async () => {
+    await useHub({ jupyter_url: 'https://jupyter.example.org' });
+    mockFetch({
+      'GET https://jupyter.example.org/hub/api/user': () => [200, { name: 'alice', server: null, servers: {} }]
+    });
+
+    await openInJupyter(dataset);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(tab.location.href).toBe('https://jupyter.example.org/hub/user-redirect/lab');
+  });
+
+  test('says when the browser blocked the JupyterLab tab', async () => {
+    await useHub({ jupyter_url: 'https://jupyter.example.org' });
+    mockFetch({});
+    window.open.mockReturnValue(null);
+
+    await openInJupyter(dataset);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith('warning', expect.stringContaining('blocked the JupyterLab tab'));
+  });
+
+  test('says when no JupyterHub is configured', async () => {
+    await useHub({});
+    mockFetch({});
+
+    await openInJupyter(dataset);
+
+    expect(tab.close).toHaveBeenCalled();
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith('warning', expect.stringContaining('no JupyterHub is configured'));
+  });
+});
@@ -0,0 +1,85 @@
+import { getApiBaseUrl, getAuthToken } from './api';
+import { readEventStream } from '../utils/sse';
+
+/**
+ * Kafka message preview
+ *
+ * Messages come from the NDP-EP API, either as a batch (kafkaAPI.getMessages)
+ * or as a server-sent event stream for live tailing.
+ */
+
+/**
+ * Try to parse a string as JSON, keeping the string when it is not
+ */
+const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Normalize a message from the API into { key, value, partition, offset, timestamp }
+ * Payloads that are not message objects are treated as the message value.
+ */
+export const normalizeKafkaMessage = (message) => {
+  const parsed = parseValue(message);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !('value' in parsed)) {
+    return { key: null, value: parsed, partition: null, offset: null, timestamp: null };
+  }
+
+  return {
+    key: parsed.key ?? null,
+    value: parseValue(parsed.value),
+    partition: parsed.partition ?? null,
+    offset: parsed.offset ?? null,
+    timestamp: parsed.timestamp ?? null
+  };
+};
+
+/**
+ * Get the message list from a getMessages response ([...] or { messages: [...] })
+ */
+export const toKafkaMessages = (data) => {
+  const messages = Array.isArray(data) ? data : data?.messages;
+  return Array.isArray(messages) ? messages.map(normalizeKafkaMessage) : [];
+};
+
+/**
+ * Follow new messages of a Kafka dataset's topic
+ * @param {string} datasetId - Kafka dataset ID
+ * @param {Object} handlers - { server, onMessage, onOpen, onClose(error) }
+ * @returns {Function} Stop tailing
+ */
+export const tailKafkaTopic = (datasetId, { server = 'local', onMessage, onOpen, onClose }) => {
+  const controller = new AbortController();
+  const url = `${getApiBaseUrl()}/kafka/${datasetId}/stream?server=${encodeURIComponent(server)}`;
+
+  const run = async () => {
+    const response = await fetch(url, {
+      headers: { Accept: 'text/event-stream', Authorization: `Bearer ${getAuthToken()}` },
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Stream request failed (HTTP ${response.status})`);
+    }
+
+    if (onOpen) onOpen();
+    await readEventStream(response.body, ({ event, data }) => {
+      if (event === 'message' && !controller.signal.aborted) onMessage(normalizeKafkaMessage(data));
+    });
+  };
+
+  run()
+    .then(() => {
+      if (!controller.signal.aborted && onClose) onClose(null);
+    })
+    .catch(err => {
+      if (!controller.signal.aborted && onClose) onClose(err);
+    });
+
+  return () => controller.abort();
+};
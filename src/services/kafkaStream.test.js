@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { Readable } from 'stream';
+import { normalizeKafkaMessage, toKafkaMessages, tailKafkaTopic } from './kafkaStream';
+
+let mockBaseUrl = '';
+
+jest.mock('./api', () => ({
+  getApiBaseUrl: () => mockBaseUrl,
+  getAuthToken: () => 'test-token'
+}));
+
+/**
+ * Minimal fetch over node's http module; the body is exposed as a web ReadableStream
+ * like in the browser
+ */
+const nodeFetch = (url, { headers, signal }) => new Promise((resolve, reject) => {
+  const request = http.get(url, { headers, signal }, response => {
+    resolve({ ok: response.statusCode < 300, status: response.statusCode, body: Readable.toWeb(response) });
+  });
+  request.on('error', reject);
+});
+
+describe('normalizeKafkaMessage', () => {
+  test('parses JSON values of message objects', () => {
+    expect(normalizeKafkaMessage({ key: 'k1', value: '{"temp": 21.5}', partition: 0, offset: 42, timestamp: 1700000000000 }))
+      .toEqual({ key: 'k1', value: { temp: 21.5 }, partition: 0, offset: 42, timestamp: 1700000000000 });
+  });
+
+  test('treats bare payloads as the message value', () => {
+    expect(normalizeKafkaMessage('{"temp": 21.5}')).toMatchObject({ value: { temp: 21.5 }, offset: null });
+    expect(normalizeKafkaMessage('not json')).toMatchObject({ value: 'not json' });
+  });
+
+  test('accepts a list or a { messages } response', () => {
+    expect(toKafkaMessages([{ value: '1' }])).toHaveLength(1);
+    expect(toKafkaMessages({ messages: [{ value: '1' }, { value: '2' }] })).toHaveLength(2);
+    expect(toKafkaMessages({ detail: 'nothing' })).toEqual([]);
+  });
+});
+
+describe('tailKafkaTopic', () => {
+  let server;
+  let requests;
+  const originalFetch = global.fetch;
+
+  beforeAll(async () => {
+    global.fetch = nodeFetch;
+    server = http.createServer((request, response) => {
+      requests.push(request);
+      if (request.headers.authorization !== 'Bearer test-token') {
+        response.writeHead(401);
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write(': connected\n\n');
+      response.write('data: {"offset": 1, "value": "{\\"temp\\": 20}"}\n\n');
+      // Split an event across writes like a real network would
+      setTimeout(() => response.write('data: {"offset": 2, '), 10);
+      setTimeout(() => response.write('"value": "{\\"temp\\": 21}"}\n\nevent: ping\ndata: {}\n\n'), 20);
+      setTimeout(() => response.end(), 30);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    mockBaseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    global.fetch = originalFetch;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('streams messages from the API until the server closes the stream', async () => {
+    const messages = [];
+    const onOpen = jest.fn();
+
+    const closedWith = await new Promise(resolve => {
+      tailKafkaTopic('dataset-1', {
+        server: 'pre_ckan',
+        onOpen,
+        onMessage: message => messages.push(message),
+        onClose: resolve
+      });
+    });
+
+    expect(closedWith).toBeNull();
+    expect(onOpen).toHaveBeenCalled();
+    expect(requests[0].url).toBe('/kafka/dataset-1/stream?server=pre_ckan');
+    expect(messages.map(message => [message.offset, message.value])).toEqual([
+      [1, { temp: 20 }],
+      [2, { temp: 21 }]
+    ]);
+  });
+
+  test('stops without calling onClose when aborted', async () => {
+    const onClose = jest.fn();
+    const received = new Promise(resolve => {
+      const stop = tailKafkaTopic('dataset-1', {
+        onMessage: () => {
+          stop();
+          resolve();
+        },
+        onClose
+      });
+    });
+
+    await received;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
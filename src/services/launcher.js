@@ -0,0 +1,123 @@
+import { redirectAPI, searchAPI, getApiBaseUrl } from './api';
+import { getErrorMessage } from './errors';
+import { notify } from './notifications';
+import { getConfig } from '../config';
+import { toPage } from '../utils/pagination';
+import { RESOURCE_TYPES, isResourceType } from '../utils/classifyResource';
+
+/**
+ * Apps launcher
+ *
+ * Lists the NDP-EP API redirect targets from the runtime config together with
+ * the registered services, and resolves each one through GET /redirect/{name}
+ * before opening it.
+ */
+
+// Resolved redirects are reused for a minute so opening the menu twice does not re-check
+const RESOLVE_CACHE_MS = 60000;
+// Registered services listed in the launcher
+const SERVICES_LIMIT = 100;
+
+const resolved = new Map();
+
+/**
+ * Get the apps to list in the launcher
+ * @param {string} server - Catalog the registered services are read from
+ * @returns {Promise<Array<Object>>} [{ name, label, source }] where source is "api" or "service"
+ */
+export const getLauncherApps = async (server) => {
+  const apps = getConfig().launcher.apps.map(app => ({ ...app, source: 'api' }));
+
+  const response = await searchAPI.searchPaged({
+    resourceType: RESOURCE_TYPES.SERVICE,
+    server,
+    limit: SERVICES_LIMIT,
+    offset: 0
+  });
+  const { items } = toPage(response.data, { matches: isResourceType(RESOURCE_TYPES.SERVICE), limit: SERVICES_LIMIT, offset: 0 });
+
+  items.forEach(service => {
+    if (service.name && !apps.some(app => app.name === service.name)) {
+      apps.push({ name: service.name, label: service.title || service.name, source: 'service' });
+    }
+  });
+
+  return apps;
+};
+
+/**
+ * Read the target URL from a redirect response
+ * The API either answers with JSON ({ url }) or redirects, in which case the
+ * browser has already followed the redirect and the final URL is on the request
+ */
+const getTargetUrl = (response, redirectUrl) => {
+  const data = response.data;
+  if (data && typeof data === 'object') {
+    const url = data.url || data.redirect_url || data.location;
+    if (url) return url;
+  }
+
+  const finalUrl = response.request?.responseURL;
+  return finalUrl && finalUrl !== redirectUrl ? finalUrl : null;
+};
+
+/**
+ * Resolve an app through the NDP-EP API redirect endpoint
+ * @param {string} name - Redirect target name
+ * @param {boolean} [force] - Ignore a cached result
+ * @returns {Promise<Object>} { available, verified, url, error }
+ */
+export const resolveApp = async (name, force = false) => {
+  const cached = resolved.get(name);
+  if (!force && cached && Date.now() - cached.resolvedAt < RESOLVE_CACHE_MS) {
+    return cached;
+  }
+
+  const redirectUrl = `${getApiBaseUrl()}/redirect/${encodeURIComponent(name)}`;
+  let result;
+  try {
+    const response = await redirectAPI.redirectToService(encodeURIComponent(name));
+    const url = getTargetUrl(response, redirectUrl);
+    result = url
+      ? { available: true, verified: true, url, error: null }
+      : { available: false, verified: true, url: null, error: 'The API returned no target URL' };
+  } catch (err) {
+    if (!err.response) {
+      // A redirect to a site without CORS headers fails after the API answered;
+      // opening the redirect URL in the browser still reaches the target, but
+      // whether the target is up cannot be checked from here
+      result = { available: true, verified: false, url: redirectUrl, error: null };
+    } else if (err.response.status === 404) {
+      result = { available: false, verified: true, url: null, error: 'No redirect target with this name' };
+    } else {
+      result = { available: false, verified: true, url: null, error: getErrorMessage(err, 'Redirect failed') };
+    }
+  }
+
+  const entry = { ...result, resolvedAt: Date.now() };
+  resolved.set(name, entry);
+  return entry;
+};
+
+/**
+ * Open an app in a new tab after resolving it
+ * @param {Object} app - Launcher app ({ name, label })
+ * @returns {Promise<Object>} Resolution result
+ */
+export const launchApp = async (app) => {
+  // Open the tab right away; browsers block pop-ups opened after an await
+  const appWindow = window.open('', '_blank');
+  const result = await resolveApp(app.name);
+
+  if (result.available && appWindow) {
+    appWindow.opener = null;
+    appWindow.location.href = result.url;
+  } else {
+    if (appWindow) appWindow.close();
+    notify('error', result.available
+      ? 'The browser blocked the new tab - allow pop-ups for this site'
+      : `${app.label} is unavailable: ${result.error}`);
+  }
+
+  return result;
+};
@@ -0,0 +1,117 @@
+import axios from 'axios';
+import apiClient, { setAuthToken } from './api';
+import { loadConfig } from '../config';
+import { getLauncherApps, resolveApp } from './launcher';
+
+const API_URL = 'http://localhost:8003';
+
+/**
+ * Answer axios requests from handlers keyed by "METHOD url"
+ * A handler returning null simulates a network error (no response)
+ */
+const mockEndpoints = (handlers) => {
+  axios.defaults.adapter = apiClient.defaults.adapter = async (config) => {
+    const key = `${config.method.toUpperCase()} ${config.baseURL}${config.url}`;
+    const handler = handlers[key];
+    const result = handler ? handler(config) : [404, { detail: 'Not Found' }];
+
+    if (result === null) {
+      const error = new Error('Network Error');
+      error.config = config;
+      throw error;
+    }
+
+    const [status, data] = result;
+    const response = { status, data, headers: {}, config, statusText: String(status), request: {} };
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+};
+
+const originalAdapter = axios.defaults.adapter;
+const originalClientAdapter = apiClient.defaults.adapter;
+const originalFetch = global.fetch;
+
+beforeEach(async () => {
+  localStorage.clear();
+  setAuthToken('test-token');
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ launcher: { apps: 'jupyter=JupyterHub, grafana' } })
+  });
+  await loadConfig();
+});
+
+afterEach(() => {
+  axios.defaults.adapter = originalAdapter;
+  apiClient.defaults.adapter = originalClientAdapter;
+  global.fetch = originalFetch;
+});
+
+describe('getLauncherApps', () => {
+  test('lists configured redirect targets before registered services', async () => {
+    mockEndpoints({
+      [`GET ${API_URL}/search`]: () => [200, [
+        { name: 'grafana', title: 'Grafana (registered)', owner_org: 'services' },
+        { name: 'auth_api', title: 'Auth API', owner_org: 'services' },
+        { name: 'air_quality', owner_org: 'research' }
+      ]]
+    });
+
+    const apps = await getLauncherApps('local');
+
+    expect(apps).toEqual([
+      { name: 'jupyter', label: 'JupyterHub', source: 'api' },
+      { name: 'grafana', label: 'grafana', source: 'api' },
+      { name: 'auth_api', label: 'Auth API', source: 'service' }
+    ]);
+  });
+});
+
+describe('resolveApp', () => {
+  test('uses the target URL returned by the API', async () => {
+    mockEndpoints({
+      [`GET ${API_URL}/redirect/jupyter`]: () => [200, { url: 'https://jupyter.example.org' }]
+    });
+
+    await expect(resolveApp('jupyter', true)).resolves.toMatchObject({
+      available: true,
+      verified: true,
+      url: 'https://jupyter.example.org'
+    });
+  });
+
+  test('marks unknown redirect targets as unavailable', async () => {
+    mockEndpoints({});
+
+    await expect(resolveApp('missing', true)).resolves.toMatchObject({
+      available: false,
+      error: 'No redirect target with this name'
+    });
+  });
+
+  test('falls back to the API redirect URL when the redirect cannot be followed', async () => {
+    mockEndpoints({ [`GET ${API_URL}/redirect/grafana`]: () => null });
+
+    await expect(resolveApp('grafana', true)).resolves.toMatchObject({
+      available: true,
+      verified: false,
+      url: `${API_URL}/redirect/grafana`
+    });
+  });
+
+  test('reuses a recent result', async () => {
+    const handler = jest.fn(() => [200, { url: 'https://grafana.example.org' }]);
+    mockEndpoints({ [`GET ${API_URL}/redirect/cached`]: handler });
+
+    await resolveApp('cached', true);
+    await resolveApp('cached');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
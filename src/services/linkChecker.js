@@ -0,0 +1,233 @@
+import { getConfig } from '../config';
+import { linkCheckAPI } from './api';
+import { fetchAllPackages } from './catalogExport';
+import { getErrorMessage } from './errors';
+import { runWithConcurrency } from '../utils/concurrency';
+import { RESOURCE_TYPES } from '../utils/classifyResource';
+import { LINK_STATUS, toLinkCheckResult } from '../utils/linkCheck';
+
+/**
+ * Link checker for URL resources
+ *
+ * Links are fetched by the NDP-EP API (the browser would be blocked by CORS).
+ * Results are kept at module level and in localStorage, so the badges and the
+ * broken links report survive navigation and reloads. While a component is
+ * subscribed, the whole catalog is checked again once its last run is older
+ * than the configured interval. There is no server-side schedule: checks only
+ * run in a browser that has the URL Resources page open, and a catalog that
+ * was never checked waits for a first run started by the user.
+ */
+
+const STORAGE_KEY = 'linkChecks';
+// Links checked at the same time
+const CHECK_CONCURRENCY = 4;
+// How often the schedule is looked at while subscribed
+const SCHEDULE_TICK = 60000;
+
+const listeners = new Set();
+// Checks in progress by result key, so a row recheck and a catalog run share one request
+const checking = new Map();
+let watchedServer = null;
+let run = null; // { server, done, total, stopping }
+let timer = null;
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Read the stored results
+ * @returns {Object} { results: { [server]: { [id]: result } }, lastRuns: { [server]: timestamp } }
+ */
+const loadStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { results: stored?.results || {}, lastRuns: stored?.lastRuns || {} };
+  } catch {
+    return { results: {}, lastRuns: {} };
+  }
+};
+
+const store = loadStore();
+
+const saveStore = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.error('Failed to save link check results:', err);
+  }
+};
+
+/**
+ * URL checked for a resource: the URL of its first resource
+ */
+export const getResourceUrl = (pkg) => pkg.resources?.[0]?.url || null;
+
+/**
+ * Check one URL through the link check proxy
+ * @returns {Promise<Object>} Result (see utils/linkCheck toLinkCheckResult) with checkedAt;
+ *   when the proxy itself fails the status is unknown, not broken
+ */
+export const checkLink = async (url) => {
+  const started = Date.now();
+  try {
+    const response = await linkCheckAPI.check(getConfig().linkCheck.proxyPath, url);
+    return { ...toLinkCheckResult(response.data, { latency: Date.now() - started }), checkedAt: Date.now() };
+  } catch (err) {
+    return {
+      ...toLinkCheckResult({}),
+      status: LINK_STATUS.UNKNOWN,
+      error: getErrorMessage(err, 'Link check failed'),
+      checkedAt: Date.now()
+    };
+  }
+};
+
+/**
+ * Check the link of one resource and store the result
+ * @param {Object} pkg - CKAN package of the URL resource
+ * @param {string} server - Catalog the package belongs to
+ */
+export const checkResource = (pkg, server) => {
+  const url = getResourceUrl(pkg);
+  const key = `${server}|${pkg.id}`;
+  if (!url) return Promise.resolve(null);
+  if (checking.has(key)) return checking.get(key);
+
+  const check = checkLink(url).then(result => {
+    checking.delete(key);
+    const entry = { ...result, id: pkg.id, name: pkg.name, title: pkg.title || pkg.name, url };
+    store.results[server] = { ...store.results[server], [pkg.id]: entry };
+    saveStore();
+    notifyListeners();
+    return entry;
+  });
+
+  checking.set(key, check);
+  notifyListeners();
+  return check;
+};
+
+/**
+ * Check every URL resource of a catalog
+ * Results of resources no longer in the catalog are dropped. Only one run goes at a time.
+ */
+export const checkCatalog = async (server) => {
+  if (run) return;
+  run = { server, done: 0, total: 0, stopping: false };
+  notifyListeners();
+
+  try {
+    const packages = (await fetchAllPackages({ resourceTypes: [RESOURCE_TYPES.URL], server })).filter(getResourceUrl);
+    const ids = new Set(packages.map(pkg => pkg.id));
+    store.results[server] = Object.fromEntries(Object.entries(store.results[server] || {}).filter(([id]) => ids.has(id)));
+    run.total = packages.length;
+    notifyListeners();
+
+    await runWithConcurrency(packages, pkg => checkResource(pkg, server), {
+      limit: CHECK_CONCURRENCY,
+      shouldStop: () => run.stopping,
+      onSettled: () => {
+        run.done += 1;
+        notifyListeners();
+      }
+    });
+
+    if (!run.stopping) {
+      store.lastRuns[server] = Date.now();
+    }
+  } catch (err) {
+    console.error('Link check run failed:', err);
+  } finally {
+    run = null;
+    saveStore();
+    notifyListeners();
+  }
+};
+
+/**
+ * Stop the running catalog check after the links already being fetched
+ */
+export const stopCatalogCheck = () => {
+  if (run) {
+    run.stopping = true;
+    notifyListeners();
+  }
+};
+
+/**
+ * Progress of the running catalog check
+ * @returns {Object|null} { server, done, total, stopping }
+ */
+export const getRunProgress = () => (run ? { ...run } : null);
+
+/**
+ * Get the stored link check of a resource
+ */
+export const getLinkCheck = (server, id) => store.results[server]?.[id];
+
+/**
+ * Check whether a resource's link is being checked right now
+ */
+export const isChecking = (server, id) => checking.has(`${server}|${id}`);
+
+/**
+ * Every stored result of a catalog, for the broken links report
+ * @returns {Array} Results sorted by resource name
+ */
+export const getLinkReport = (server) => Object.values(store.results[server] || {})
+  .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+/**
+ * When the whole catalog was last checked
+ * @returns {number|null} Timestamp
+ */
+export const getLastRun = (server) => store.lastRuns[server] || null;
+
+/**
+ * Get the schedule interval in milliseconds (0 means scheduled checks are off)
+ */
+export const getCheckInterval = () => getConfig().linkCheck.interval;
+
+/**
+ * Check the watched catalog again when its last run is older than the interval
+ * A catalog without a run is not due, so opening the page never starts a crawl by itself.
+ */
+const runScheduled = () => {
+  const interval = getCheckInterval();
+  const lastRun = watchedServer && getLastRun(watchedServer);
+  if (!lastRun || !interval || run) return;
+  if (Date.now() - lastRun >= interval) {
+    checkCatalog(watchedServer);
+  }
+};
+
+/**
+ * Set the catalog checked on schedule
+ */
+export const watchCatalog = (server) => {
+  watchedServer = server;
+  if (listeners.size > 0) {
+    runScheduled();
+  }
+};
+
+/**
+ * Subscribe to link check updates; scheduled checks run while there are subscribers
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    runScheduled();
+    timer = setInterval(runScheduled, SCHEDULE_TICK);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
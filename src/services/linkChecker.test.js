@@ -0,0 +1,83 @@
+import { LINK_STATUS } from '../utils/linkCheck';
+import { linkCheckAPI } from './api';
+import { fetchAllPackages } from './catalogExport';
+import { checkLink, checkCatalog, getLinkCheck, getLinkReport, getLastRun, subscribe, watchCatalog } from './linkChecker';
+
+jest.mock('./api', () => ({
+  linkCheckAPI: { check: jest.fn() }
+}));
+
+jest.mock('./catalogExport', () => ({
+  fetchAllPackages: jest.fn()
+}));
+
+const makePackage = (id, url) => ({ id, name: `resource-${id}`, title: `Resource ${id}`, resources: url ? [{ url }] : [] });
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('checkLink', () => {
+  test('asks the proxy for the URL', async () => {
+    linkCheckAPI.check.mockResolvedValue({ data: { status_code: 200, content_type: 'text/csv' } });
+
+    const result = await checkLink('https://example.org/data.csv');
+
+    expect(linkCheckAPI.check).toHaveBeenCalledWith('/link-check', 'https://example.org/data.csv');
+    expect(result).toMatchObject({ status: LINK_STATUS.OK, httpStatus: 200, contentType: 'text/csv' });
+    expect(typeof result.responseTime).toBe('number');
+  });
+
+  test('does not mark the link broken when the proxy fails', async () => {
+    linkCheckAPI.check.mockRejectedValue(new Error('Proxy path not found'));
+
+    expect(await checkLink('https://example.org/data.csv')).toMatchObject({
+      status: LINK_STATUS.UNKNOWN,
+      httpStatus: null,
+      error: 'Link check failed: Proxy path not found'
+    });
+  });
+});
+
+describe('scheduled checks', () => {
+  test('do not start on a catalog that was never checked', () => {
+    watchCatalog('never-checked');
+    const unsubscribe = subscribe(() => {});
+
+    expect(getLastRun('never-checked')).toBeNull();
+    expect(fetchAllPackages).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+});
+
+describe('checkCatalog', () => {
+  test('checks every URL resource and keeps the results per catalog', async () => {
+    fetchAllPackages.mockResolvedValue([
+      makePackage('a', 'https://example.org/a'),
+      makePackage('b', 'https://example.org/b'),
+      makePackage('c')
+    ]);
+    linkCheckAPI.check.mockImplementation(async (path, url) => ({
+      data: url.endsWith('/b') ? { status_code: 404 } : { status_code: 200 }
+    }));
+
+    await checkCatalog('local');
+
+    expect(linkCheckAPI.check).toHaveBeenCalledTimes(2);
+    expect(getLinkCheck('local', 'b')).toMatchObject({ status: LINK_STATUS.BROKEN, name: 'resource-b', url: 'https://example.org/b' });
+    expect(getLinkReport('local').map(entry => entry.id)).toEqual(['a', 'b']);
+    expect(getLinkReport('global')).toEqual([]);
+    expect(getLastRun('local')).not.toBeNull();
+    expect(JSON.parse(localStorage.getItem('linkChecks')).results.local.a.status).toBe(LINK_STATUS.OK);
+  });
+
+  test('drops results of resources no longer in the catalog', async () => {
+    fetchAllPackages.mockResolvedValue([makePackage('b', 'https://example.org/b')]);
+    linkCheckAPI.check.mockResolvedValue({ data: { status_code: 200 } });
+
+    await checkCatalog('local');
+
+    expect(getLinkReport('local').map(entry => entry.id)).toEqual(['b']);
+    expect(getLinkCheck('local', 'b').status).toBe(LINK_STATUS.OK);
+  });
+});
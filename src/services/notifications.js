@@ -0,0 +1,145 @@
+import { normalizeApiError } from './errors';
+
+/**
+ * Notification store shared by pages, the API client and the NotificationCenter
+ *
+ * Toasts are short-lived messages; the error log keeps the most recent API
+ * failures (with request details) in localStorage so they can be copied
+ * into a bug report after a reload.
+ */
+
+const ERROR_LOG_STORAGE_KEY = 'errorLog';
+const ERROR_LOG_LIMIT = 50;
+// Success and info toasts close by themselves, errors stay a little longer
+const TOAST_DURATION = { success: 4000, info: 5000, warning: 8000, error: 10000 };
+// Request and response fields that must never end up in a copied report
+const SECRET_KEY_PATTERN = /password|secret|token|authorization/i;
+
+let toasts = [];
+let nextToastId = 1;
+const listeners = new Set();
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Replace secret values in request/response bodies before they are stored
+ */
+const redactSecrets = (value) => {
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(redactSecrets(JSON.parse(value)));
+    } catch {
+      return value;
+    }
+  }
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redactSecrets(item)
+    ]));
+  }
+  return value;
+};
+
+const readErrorLog = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ERROR_LOG_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Show a toast
+ * @param {string} type - success, info, warning or error
+ * @param {string} message - Text shown to the user
+ * @returns {number} Toast id
+ */
+export const notify = (type, message) => {
+  const id = nextToastId++;
+  toasts = [...toasts, { id, type, message }];
+  notifyListeners();
+
+  setTimeout(() => dismissToast(id), TOAST_DURATION[type] || TOAST_DURATION.info);
+  return id;
+};
+
+export const notifySuccess = (message) => notify('success', message);
+
+/**
+ * Show an error toast for a failed action
+ * @param {Error} err - Axios error or plain error
+ * @param {string} [context] - What failed, e.g. "Failed to create dataset"
+ * @returns {Object} The normalized error, including fieldErrors for forms
+ */
+export const notifyError = (err, context) => {
+  const apiError = normalizeApiError(err);
+  notify('error', context ? `${context}: ${apiError.message}` : apiError.message);
+  return apiError;
+};
+
+/**
+ * Remove a toast
+ */
+export const dismissToast = (id) => {
+  if (!toasts.some(toast => toast.id === id)) return;
+  toasts = toasts.filter(toast => toast.id !== id);
+  notifyListeners();
+};
+
+export const getToasts = () => toasts;
+
+/**
+ * Record a failed API request in the persistent error log
+ * @param {Error} err - Axios error
+ */
+export const logApiError = (err) => {
+  const { fieldErrors, ...entry } = normalizeApiError(err);
+  const logged = {
+    ...entry,
+    fieldErrors,
+    params: redactSecrets(entry.params),
+    requestBody: redactSecrets(entry.requestBody),
+    responseBody: redactSecrets(entry.responseBody),
+    page: window.location.pathname
+  };
+
+  try {
+    localStorage.setItem(
+      ERROR_LOG_STORAGE_KEY,
+      JSON.stringify([logged, ...readErrorLog()].slice(0, ERROR_LOG_LIMIT))
+    );
+  } catch (storageError) {
+    console.warn('Could not store error log entry:', storageError);
+  }
+  notifyListeners();
+};
+
+export const getErrorLog = () => readErrorLog();
+
+export const clearErrorLog = () => {
+  localStorage.removeItem(ERROR_LOG_STORAGE_KEY);
+  notifyListeners();
+};
+
+/**
+ * Format error log entries as plain text for a bug report
+ */
+export const formatErrorReport = (entries) => [
+  `NDP EndPoint error report (${new Date().toISOString()})`,
+  `Browser: ${navigator.userAgent}`,
+  '',
+  ...entries.map(entry => JSON.stringify(entry, null, 2))
+].join('\n');
+
+/**
+ * Subscribe to toast and error log changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,85 @@
+import { datasetAPI, kafkaAPI, urlAPI, s3API, servicesAPI, organizationsAPI, searchAPI } from './api';
+import { RESOURCE_TYPES } from '../utils/classifyResource';
+import { buildPromotionRequest, diffPackages, getMissingTargetFields, withSuppliedExtras } from '../utils/promote';
+
+/**
+ * Promote packages between catalogs
+ *
+ * checkPromotion reads what the target catalog already has (the owner
+ * organization and a package with the same name) so the user can review the
+ * copy; promotePackage then creates it, or replaces the existing package.
+ */
+
+// Create and update endpoints of each resource type
+const REQUESTS = {
+  [RESOURCE_TYPES.KAFKA]: kafkaAPI,
+  [RESOURCE_TYPES.URL]: urlAPI,
+  [RESOURCE_TYPES.S3]: s3API,
+  [RESOURCE_TYPES.SERVICE]: servicesAPI,
+  [RESOURCE_TYPES.DATASET]: datasetAPI,
+  [RESOURCE_TYPES.UNCLASSIFIED]: datasetAPI
+};
+
+/**
+ * Find a package by its exact name on a catalog
+ * Filters on the name field (POST /search with dataset_name) instead of a
+ * full-text search, which splits hyphenated names into words and can rank the
+ * package itself below many others.
+ * @returns {Promise<Object|null>} The package, or null when the catalog has none
+ */
+export const findPackageByName = async (name, server) => {
+  const response = await searchAPI.searchAdvanced({ dataset_name: name, server });
+  const packages = Array.isArray(response.data) ? response.data : response.data?.results || [];
+  return packages.find(pkg => pkg.name === name) || null;
+};
+
+/**
+ * Check what promoting a package to another catalog would do
+ *
+ * @param {Object} pkg - Package on the source catalog
+ * @param {Object} options - { source, target }
+ * @returns {Promise<Object>} { request: { type, data }, organization, organizationExists, existing, diff, missing }
+ *   existing is the package with the same name on the target (or null), diff lists how it differs
+ *   and missing has the fields the target requires (see utils/promote getMissingTargetFields)
+ */
+export const checkPromotion = async (pkg, { source, target }) => {
+  const request = buildPromotionRequest(pkg, { source, target });
+  const organization = request.data.owner_org;
+
+  const [organizationsResponse, existing] = await Promise.all([
+    organizationsAPI.list({ server: target }),
+    findPackageByName(pkg.name, target)
+  ]);
+  const organizations = Array.isArray(organizationsResponse.data) ? organizationsResponse.data : [];
+
+  return {
+    request,
+    organization,
+    organizationExists: !organization || organizations.includes(organization),
+    existing,
+    diff: existing ? diffPackages(pkg, existing) : [],
+    missing: getMissingTargetFields(request, target)
+  };
+};
+
+/**
+ * Create the organization a promoted package belongs to on the target catalog
+ * @param {Object} pkg - Package on the source catalog, used for the organization title
+ */
+export const createTargetOrganization = (pkg, name, target) => organizationsAPI.create({
+  name,
+  title: pkg.organization?.title || name,
+  description: pkg.organization?.description || ''
+}, target);
+
+/**
+ * Create the package on the target catalog, or replace the package with the same name
+ * @param {Object} check - Result of checkPromotion
+ * @param {string} target - Target catalog
+ * @param {Object} [suppliedExtras] - Values entered for the missing extras
+ */
+export const promotePackage = (check, target, suppliedExtras) => {
+  const { type, data } = withSuppliedExtras(check.request, suppliedExtras);
+  const api = REQUESTS[type];
+  return check.existing ? api.update(check.existing.id, data, target) : api.create(data, target);
+};
@@ -0,0 +1,33 @@
+import { searchAPI } from './api';
+import { findPackageByName } from './promote';
+
+jest.mock('./api', () => ({
+  searchAPI: { searchAdvanced: jest.fn() }
+}));
+
+const makePackages = (count) => Array.from({ length: count }, (_, index) => ({ name: `river-levels-${index}` }));
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('findPackageByName', () => {
+  test('filters the target catalog on the exact name', async () => {
+    searchAPI.searchAdvanced.mockResolvedValue({ data: [{ name: 'river-levels', title: 'River Levels' }] });
+
+    expect(await findPackageByName('river-levels', 'pre_ckan')).toEqual({ name: 'river-levels', title: 'River Levels' });
+    expect(searchAPI.searchAdvanced).toHaveBeenCalledWith({ dataset_name: 'river-levels', server: 'pre_ckan' });
+  });
+
+  test('finds the package past the first page of similar names', async () => {
+    searchAPI.searchAdvanced.mockResolvedValue({ data: [...makePackages(75), { name: 'river-levels' }] });
+
+    expect(await findPackageByName('river-levels', 'pre_ckan')).toEqual({ name: 'river-levels' });
+  });
+
+  test('returns null when only similar names exist', async () => {
+    searchAPI.searchAdvanced.mockResolvedValue({ data: { count: 2, results: makePackages(2) } });
+
+    expect(await findPackageByName('river-levels', 'pre_ckan')).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+import { s3StorageAPI } from './api';
+import { toBuckets, toListing, toS3Object, parseS3Uri, getListingPage } from '../utils/s3Browser';
+import { toPresignedLink, getObjectFileName } from '../utils/presign';
+import { runWithConcurrency } from '../utils/concurrency';
+import { downloadFile } from '../utils/download';
+
+/**
+ * S3 browsing and downloads through the NDP-EP API
+ *
+ * The API reaches the object store (AWS S3 or a MinIO stand-in), so the
+ * browser never needs S3 credentials.
+ */
+
+// Metadata requests sent at the same time when a listing lacks content types
+const METADATA_CONCURRENCY = 4;
+// Listing pages followed for one prefix (S3 pages hold up to 1000 keys)
+const MAX_LISTING_PAGES = 50;
+
+/**
+ * List the buckets the API can reach
+ * @returns {Promise<Array>} [{ name, createdAt }]
+ */
+export const listBuckets = async () => {
+  const response = await s3StorageAPI.listBuckets();
+  return toBuckets(response.data);
+};
+
+/**
+ * List the folders and objects directly below a prefix
+ * Follows truncated listings for up to MAX_LISTING_PAGES pages.
+ * @returns {Promise<Object>} { folders, objects, truncated } (see utils/s3Browser toListing);
+ *   truncated is true when keys were left out because the API gave no way to the next page
+ *   or the page limit was reached
+ */
+export const listPrefix = async (bucket, prefix = '') => {
+  const objects = [];
+  const prefixes = [];
+  let continuationToken;
+
+  for (let page = 1; ; page++) {
+    const response = await s3StorageAPI.listObjects(bucket, { prefix, continuationToken });
+    const listing = getListingPage(response.data);
+    objects.push(...listing.objects);
+    prefixes.push(...listing.prefixes);
+
+    if (!listing.truncated) return { ...toListing({ objects, prefixes }, prefix), truncated: false };
+    if (!listing.nextToken || page >= MAX_LISTING_PAGES) return { ...toListing({ objects, prefixes }, prefix), truncated: true };
+    continuationToken = listing.nextToken;
+  }
+};
+
+/**
+ * List every object below a prefix
+ * @param {Object} [options] - { recursive: also list subfolders, onProgress(count) after each folder }
+ * @returns {Promise<Object>} { objects: sorted by key, as in listPrefix, truncated: some folder listing was cut short }
+ */
+export const listObjectsUnder = async (bucket, prefix = '', { recursive = true, onProgress } = {}) => {
+  const objects = [];
+  const pending = [prefix];
+  let truncated = false;
+
+  while (pending.length > 0) {
+    const { folders, objects: found, truncated: cut } = await listPrefix(bucket, pending.shift());
+    objects.push(...found);
+    truncated = truncated || cut;
+    if (recursive) pending.push(...folders.map(folder => folder.prefix));
+    if (onProgress) onProgress(objects.length);
+  }
+
+  return { objects: objects.sort((a, b) => a.key.localeCompare(b.key)), truncated };
+};
+
+/**
+ * Read size, last-modified time and content type of one object
+ */
+export const getObjectDetails = async (bucket, key) => {
+  const response = await s3StorageAPI.getObjectMetadata(bucket, key);
+  return { ...toS3Object(response.data), key };
+};
+
+/**
+ * Fill in the content types a listing did not include
+ * @param {Function} onDetails - Called with (key, details) as each object's metadata arrives,
+ *   and with (key, null) when it cannot be read
+ * @param {Object} [options] - { shouldStop: () => boolean, checked before each request }
+ */
+export const loadMissingDetails = (bucket, objects, onDetails, { shouldStop } = {}) => runWithConcurrency(
+  objects.filter(object => !object.contentType),
+  async (object) => {
+    try {
+      onDetails(object.key, await getObjectDetails(bucket, object.key));
+    } catch (err) {
+      onDetails(object.key, null);
+      throw err;
+    }
+  },
+  { limit: METADATA_CONCURRENCY, shouldStop }
+);
+
+/**
+ * Check that an s3:// URI points at an existing object or a non-empty prefix
+ * @returns {Promise<Object>} { exists, kind: 'object'|'prefix', details } ; URLs that are not s3:// give { exists: null }
+ */
+export const checkS3Path = async (uri) => {
+  const location = parseS3Uri(uri);
+  if (!location) return { exists: null };
+
+  const { bucket, key } = location;
+  const kind = !key || key.endsWith('/') ? 'prefix' : 'object';
+
+  try {
+    if (kind === 'prefix') {
+      const { folders, objects } = await listPrefix(bucket, key);
+      return { exists: folders.length + objects.length > 0, kind };
+    }
+    return { exists: true, kind, details: await getObjectDetails(bucket, key) };
+  } catch (err) {
+    // Missing bucket or object
+    if (err.response?.status === 404) return { exists: false, kind };
+    throw err;
+  }
+};
+
+/**
+ * Ask the API for a presigned download URL
+ * @param {Object} location - { endpoint, region, bucket, key, credentialRef } (see utils/s3Location getS3Location)
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Promise<Object>} { url, expiresAt }
+ * @throws {Error} When the response has no URL
+ */
+export const getDownloadLink = async ({ endpoint, region, bucket, key, credentialRef }, expiresIn) => {
+  const response = await s3StorageAPI.getPresignedUrl(bucket, key, { expiresIn, endpoint, region, credentialRef });
+  const link = toPresignedLink(response.data, expiresIn);
+  if (!link) throw new Error('The API did not return a download URL');
+  return link;
+};
+
+/**
+ * Download an object through the API with the user's token and save it
+ * The whole object is held in memory until it is saved; large objects are
+ * better fetched with a download link.
+ * @param {Object} location - { endpoint, region, bucket, key, credentialRef }
+ */
+export const downloadObject = async ({ endpoint, region, bucket, key, credentialRef }) => {
+  const response = await s3StorageAPI.downloadObject(bucket, key, { endpoint, region, credentialRef });
+  downloadFile(response.data, getObjectFileName(key));
+};
@@ -0,0 +1,101 @@
+import { getExtras } from './classifyResource';
+
+/**
+ * Bulk operations on the selected rows of a listing
+ */
+
+export const BULK_ACTIONS = {
+  delete: 'Delete',
+  organization: 'Change organization',
+  extras: 'Add or merge extras'
+};
+
+// Names listed in the confirmation before "and N more"
+const CONFIRM_LIST_LIMIT = 15;
+
+const getDisplayName = (item) => item.title || item.name || item.id;
+
+/**
+ * Merge extras keys into the extras of a package
+ * The result is sent as the whole extras of the package, so every current key
+ * is kept. Keys the page edits through dedicated fields (e.g. Kafka host and
+ * port) keep their current value and cannot be added or changed.
+ *
+ * @param {Object} item - CKAN package
+ * @param {Object} added - Extras to add
+ * @param {Object} [options] - { overwrite: replace keys that already have a value, reserved: keys not to change }
+ * @returns {Object|null} The new extras, or null when nothing changes
+ */
+export const mergeExtras = (item, added, { overwrite = false, reserved = [] } = {}) => {
+  const extras = { ...getExtras(item) };
+  let changed = false;
+
+  Object.entries(added).forEach(([key, value]) => {
+    if (reserved.includes(key)) return;
+    if (Object.hasOwn(extras, key) && (!overwrite || String(extras[key]) === String(value))) return;
+    extras[key] = value;
+    changed = true;
+  });
+
+  return changed ? extras : null;
+};
+
+/**
+ * Build the partial update of one package for a bulk action
+ * @param {Object} item - CKAN package
+ * @param {string} action - "organization" or "extras"
+ * @param {Object} options - { organization, extras, overwrite, reserved }
+ * @returns {Object|null} Fields to PATCH, or null when the package already matches
+ */
+export const buildBulkUpdate = (item, action, { organization, extras = {}, overwrite, reserved } = {}) => {
+  if (action === 'organization') {
+    const current = item.organization?.name || item.owner_org;
+    return current === organization || item.owner_org === organization ? null : { owner_org: organization };
+  }
+
+  if (action === 'extras') {
+    const merged = mergeExtras(item, extras, { overwrite, reserved });
+    return merged ? { extras: merged } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Confirmation text listing the affected items
+ * @param {string} actionText - e.g. 'Delete 3 Kafka topics'
+ * @param {Array} items - Selected packages
+ */
+export const buildBulkConfirmation = (actionText, items) => {
+  const names = items.slice(0, CONFIRM_LIST_LIMIT).map(item => `  • ${getDisplayName(item)}`);
+  if (items.length > CONFIRM_LIST_LIMIT) names.push(`  … and ${items.length - CONFIRM_LIST_LIMIT} more`);
+  return `${actionText}?\n\n${names.join('\n')}`;
+};
+
+/**
+ * Summarize the results of a bulk run
+ * @param {Array} items - Packages in the order they were processed
+ * @param {Array} results - From runWithConcurrency; a fulfilled value of 'unchanged' counts as unchanged
+ * @returns {Object} { succeeded, unchanged, skipped, failed: [{ id, name, reason }] }
+ */
+export const summarizeBulkResults = (items, results) => {
+  const summary = { succeeded: 0, unchanged: 0, skipped: 0, failed: [] };
+
+  results.forEach((result, index) => {
+    if (!result || result.status === 'skipped') {
+      summary.skipped++;
+    } else if (result.status === 'rejected') {
+      summary.failed.push({
+        id: items[index].id,
+        name: getDisplayName(items[index]),
+        reason: result.reason
+      });
+    } else if (result.value === 'unchanged') {
+      summary.unchanged++;
+    } else {
+      summary.succeeded++;
+    }
+  });
+
+  return summary;
+};
@@ -0,0 +1,95 @@
+import { mergeExtras, buildBulkUpdate, buildBulkConfirmation, summarizeBulkResults } from './bulkActions';
+
+const topic = {
+  id: 't1',
+  name: 'sensor-stream',
+  owner_org: 'org-id-1',
+  organization: { name: 'sensors' },
+  extras: [
+    { key: 'kafka_topic', value: 'readings' },
+    { key: 'project', value: 'air' }
+  ]
+};
+
+describe('mergeExtras', () => {
+  test('adds new keys and keeps existing values', () => {
+    expect(mergeExtras(topic, { project: 'water', owner: 'lab' })).toEqual({
+      kafka_topic: 'readings',
+      project: 'air',
+      owner: 'lab'
+    });
+  });
+
+  test('replaces existing values when overwriting', () => {
+    expect(mergeExtras(topic, { project: 'water' }, { overwrite: true })).toEqual({
+      kafka_topic: 'readings',
+      project: 'water'
+    });
+  });
+
+  test('keeps reserved keys unchanged', () => {
+    expect(mergeExtras(topic, { owner: 'lab', kafka_topic: 'other' }, { overwrite: true, reserved: ['kafka_topic'] }))
+      .toEqual({ kafka_topic: 'readings', project: 'air', owner: 'lab' });
+    expect(mergeExtras(topic, { kafka_host: 'broker' }, { reserved: ['kafka_topic', 'kafka_host'] })).toBeNull();
+  });
+
+  test('adds keys named like object properties', () => {
+    expect(mergeExtras(topic, { toString: 'text' })).toEqual({ kafka_topic: 'readings', project: 'air', toString: 'text' });
+  });
+
+  test('returns null when nothing changes', () => {
+    expect(mergeExtras(topic, { project: 'water' })).toBeNull();
+    expect(mergeExtras(topic, { project: 'air' }, { overwrite: true })).toBeNull();
+  });
+});
+
+describe('buildBulkUpdate', () => {
+  test('moves a package to another organization', () => {
+    expect(buildBulkUpdate(topic, 'organization', { organization: 'labs' })).toEqual({ owner_org: 'labs' });
+  });
+
+  test('skips packages already in the organization', () => {
+    expect(buildBulkUpdate(topic, 'organization', { organization: 'sensors' })).toBeNull();
+    expect(buildBulkUpdate(topic, 'organization', { organization: 'org-id-1' })).toBeNull();
+  });
+
+  test('sends the merged extras', () => {
+    expect(buildBulkUpdate(topic, 'extras', { extras: { owner: 'lab' }, reserved: ['kafka_topic'] }))
+      .toEqual({ extras: { kafka_topic: 'readings', project: 'air', owner: 'lab' } });
+  });
+});
+
+describe('buildBulkConfirmation', () => {
+  test('lists the affected items', () => {
+    expect(buildBulkConfirmation('Delete 2 datasets', [{ title: 'Air' }, { name: 'water' }]))
+      .toBe('Delete 2 datasets?\n\n  • Air\n  • water');
+  });
+
+  test('shortens long lists', () => {
+    const items = Array.from({ length: 20 }, (_, index) => ({ name: `item-${index}` }));
+    const lines = buildBulkConfirmation('Delete', items).split('\n');
+
+    expect(lines).toHaveLength(2 + 15 + 1);
+    expect(lines[lines.length - 1]).toBe('  … and 5 more');
+  });
+});
+
+describe('summarizeBulkResults', () => {
+  test('counts each outcome and lists failures', () => {
+    const items = [{ id: 'a', name: 'a' }, { id: 'b', title: 'B' }, { id: 'c' }, { id: 'd' }];
+    const error = new Error('Not found');
+    const summary = summarizeBulkResults(items, [
+      { status: 'fulfilled', value: {} },
+      { status: 'rejected', reason: error },
+      { status: 'fulfilled', value: 'unchanged' },
+      { status: 'skipped' }
+    ]);
+
+    expect(summary).toEqual({
+      succeeded: 1,
+      unchanged: 1,
+      skipped: 1,
+      failed: [{ id: 'b', name: 'B', reason: error }]
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { parseCsv, toCsv } from './csv';
+import { checkJsonText, parseJsonText } from './jsonText';
+import { validateSchema } from './jsonSchema';
+import { EXTRAS_SCHEMA, MAPPING_SCHEMA, RESOURCES_SCHEMA } from './fieldSchemas';
+import { getProcessingSchema } from './processingConfig';
+
+/**
+ * Bulk import of datasets and resources from CSV or JSON manifests
+ *
+ * A manifest has one record per item to create. Its columns are mapped to the
+ * fields of the chosen resource type, every row is checked (dry run) and only
+ * valid rows are sent to the create endpoints.
+ */
+
+// CKAN package names: lowercase letters, numbers, - and _
+export const NAME_PATTERN = /^[a-z0-9_-]{2,100}$/;
+
+const FILE_TYPES = ['stream', 'CSV', 'TXT', 'JSON', 'NetCDF'];
+
+const nameField = (name) => ({ name, label: 'Name', type: 'name', required: true, aliases: ['name', 'id', 'slug'] });
+const titleField = (name) => ({ name, label: 'Title', type: 'text', required: true, aliases: ['title'] });
+const ORG_FIELD = { name: 'owner_org', label: 'Organization', type: 'organization', required: true, aliases: ['organization', 'org', 'owner'] };
+const descriptionField = (name) => ({ name, label: 'Description', type: 'text', aliases: ['description', 'notes'] });
+const EXTRAS_FIELD = { name: 'extras', label: 'Extras', type: 'json', schema: EXTRAS_SCHEMA };
+const MAPPING_FIELD = { name: 'mapping', label: 'Mapping', type: 'json', schema: MAPPING_SCHEMA };
+
+// Fields of each resource type, named as in the create request
+export const IMPORT_TYPES = {
+  dataset: {
+    label: 'Datasets',
+    fields: [
+      nameField('name'),
+      titleField('title'),
+      ORG_FIELD,
+      descriptionField('notes'),
+      EXTRAS_FIELD,
+      { name: 'resources', label: 'Resources', type: 'json', schema: RESOURCES_SCHEMA, fallback: [] }
+    ]
+  },
+  kafka: {
+    label: 'Kafka topics',
+    fields: [
+      nameField('dataset_name'),
+      titleField('dataset_title'),
+      ORG_FIELD,
+      { name: 'kafka_topic', label: 'Kafka topic', type: 'text', required: true, aliases: ['topic'] },
+      { name: 'kafka_host', label: 'Kafka host', type: 'text', required: true, aliases: ['host'] },
+      { name: 'kafka_port', label: 'Kafka port', type: 'integer', required: true, aliases: ['port'] },
+      descriptionField('dataset_description'),
+      EXTRAS_FIELD,
+      MAPPING_FIELD,
+      { name: 'processing', label: 'Processing', type: 'json', schema: () => getProcessingSchema('stream') }
+    ]
+  },
+  url: {
+    label: 'URL resources',
+    fields: [
+      nameField('resource_name'),
+      titleField('resource_title'),
+      ORG_FIELD,
+      { name: 'resource_url', label: 'URL', type: 'text', required: true, aliases: ['url', 'link'] },
+      { name: 'file_type', label: 'File type', type: 'choice', options: FILE_TYPES, aliases: ['format', 'type'] },
+      descriptionField('notes'),
+      EXTRAS_FIELD,
+      MAPPING_FIELD,
+      { name: 'processing', label: 'Processing', type: 'json', schema: (data) => getProcessingSchema(data.file_type) }
+    ]
+  },
+  s3: {
+    label: 'S3 resources',
+    fields: [
+      nameField('resource_name'),
+      titleField('resource_title'),
+      ORG_FIELD,
+      { name: 'resource_s3', label: 'S3 path', type: 'text', required: true, aliases: ['s3', 's3_path', 'path', 'url'] },
+      descriptionField('notes'),
+      EXTRAS_FIELD
+    ]
+  }
+};
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read a manifest file
+ * JSON manifests are a list of objects (or { "items": [...] }); CSV manifests have a header row.
+ *
+ * @param {string} text - File content
+ * @param {string} [fileName] - File name, used to tell JSON from CSV
+ * @returns {Object} { columns, records }
+ * @throws {Error} When the manifest cannot be read or has no records
+ */
+export const parseManifest = (text, fileName = '') => {
+  const trimmed = text.trim();
+  const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+  let records;
+
+  if (isJson) {
+    const { value, error } = parseJsonText(text);
+    if (error) throw new Error(`Invalid JSON manifest. ${error.message}`);
+    records = Array.isArray(value) ? value : value?.items;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('A JSON manifest must be a list of objects, or an object with an "items" list');
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('The manifest is empty');
+    const names = header.map(name => name.trim());
+    records = rows.map(row => Object.fromEntries(names.map((name, index) => [name, row[index] ?? ''])));
+  }
+
+  if (records.length === 0) throw new Error('The manifest has no rows');
+
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))].filter(Boolean);
+  return { columns, records };
+};
+
+/**
+ * Match manifest columns to the fields of a resource type by name
+ * @returns {Object} { field_name: column } for the fields a column was found for
+ */
+export const guessColumnMapping = (columns, type) => {
+  const mapping = {};
+  IMPORT_TYPES[type].fields.forEach(field => {
+    const candidates = [field.name, field.label, ...(field.aliases || [])].map(normalize);
+    const column = candidates.map(candidate => columns.find(name => normalize(name) === candidate)).find(Boolean);
+    if (column) mapping[field.name] = column;
+  });
+  return mapping;
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Convert one manifest value to a request value
+ * @returns {Object} { value, error }
+ */
+const readField = (field, raw, data) => {
+  if (field.type === 'json') {
+    const schema = typeof field.schema === 'function' ? field.schema(data) : field.schema;
+    if (typeof raw === 'string') {
+      const { value, error } = checkJsonText(raw, { schema, fallback: field.fallback });
+      return { value, error: error && `${field.label}: ${error.message}` };
+    }
+    const [schemaError] = validateSchema(raw, schema);
+    return { value: raw, error: schemaError && `${field.label}: ${schemaError.message}` };
+  }
+
+  const text = typeof raw === 'object' ? JSON.stringify(raw) : String(raw).trim();
+  if (field.type === 'integer') {
+    return /^\d+$/.test(text) ? { value: Number(text) } : { error: `${field.label} must be a whole number` };
+  }
+  if (field.type === 'choice' && !field.options.includes(text)) {
+    return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+  }
+  if (field.type === 'name' && !NAME_PATTERN.test(text)) {
+    return { error: `${field.label} "${text}" must be 2-100 lowercase letters, numbers, - or _` };
+  }
+  return { value: text };
+};
+
+/**
+ * Build the create request of every manifest record and check it (dry run)
+ *
+ * @param {Array} records - Manifest records
+ * @param {string} type - Key of IMPORT_TYPES
+ * @param {Object} columnMapping - { field_name: column }
+ * @param {Object} [options] - { organizations: names that exist, defaultOrg: used when a row has none }
+ * @returns {Array} Rows as { index, name, data, errors }; index counts records from 1
+ */
+export const buildImportRows = (records, type, columnMapping, { organizations = [], defaultOrg = '' } = {}) => {
+  const { fields } = IMPORT_TYPES[type];
+  const nameFieldName = fields[0].name;
+  const firstRowByName = {};
+
+  return records.map((record, recordIndex) => {
+    const data = {};
+    const errors = [];
+
+    // Plain fields first so JSON schemas can depend on them (processing on file_type)
+    const ordered = [...fields.filter(field => field.type !== 'json'), ...fields.filter(field => field.type === 'json')];
+    ordered.forEach(field => {
+      const column = columnMapping[field.name];
+      let raw = column ? record[column] : undefined;
+      if (field.type === 'organization' && isEmpty(raw)) raw = defaultOrg;
+
+      if (isEmpty(raw)) {
+        if (field.required) errors.push(`${field.label} is required`);
+        return;
+      }
+
+      const { value, error } = readField(field, raw, data);
+      if (error) {
+        errors.push(error);
+      } else if (!(typeof value === 'object' && Object.keys(value).length === 0)) {
+        data[field.name] = value;
+      }
+    });
+
+    if (data.owner_org && organizations.length > 0 && !organizations.includes(data.owner_org)) {
+      errors.push(`Organization "${data.owner_org}" does not exist`);
+    }
+
+    const name = data[nameFieldName] || '';
+    if (name) {
+      if (firstRowByName[name]) {
+        errors.push(`Name "${name}" is already used by row ${firstRowByName[name]}`);
+      } else {
+        firstRowByName[name] = recordIndex + 1;
+      }
+    }
+
+    return { index: recordIndex + 1, name, data, errors };
+  });
+};
+
+/**
+ * CSV header for a manifest of a resource type
+ */
+export const buildManifestTemplate = (type) => toCsv([IMPORT_TYPES[type].fields.map(field => field.name)]);
+
+/**
+ * CSV report of an import
+ * @param {Array} rows - Rows from buildImportRows
+ * @param {Object} results - { [index]: { status, message } } for the rows that were sent
+ * @returns {string} CSV with row, name, status and message
+ */
+export const buildImportReport = (rows, results) => toCsv([
+  ['row', 'name', 'status', 'message'],
+  ...rows.map(row => {
+    if (row.errors.length > 0) return [row.index, row.name, 'invalid', row.errors.join('; ')];
+    const result = results[row.index];
+    return [row.index, row.name, result?.status || 'not imported', result?.message || ''];
+  })
+]);
@@ -0,0 +1,124 @@
+import { parseManifest, guessColumnMapping, buildImportRows, buildImportReport, buildManifestTemplate } from './bulkImport';
+
+describe('parseManifest', () => {
+  test('reads CSV with a header row', () => {
+    expect(parseManifest('name,title\nmy_data,My data\n', 'datasets.csv')).toEqual({
+      columns: ['name', 'title'],
+      records: [{ name: 'my_data', title: 'My data' }],
+    });
+  });
+
+  test('reads JSON lists and { items } objects', () => {
+    expect(parseManifest('[{"name": "a"}, {"title": "B"}]').columns).toEqual(['name', 'title']);
+    expect(parseManifest('{"items": [{"name": "a"}]}', 'x.json').records).toEqual([{ name: 'a' }]);
+  });
+
+  test('reports manifests that cannot be used', () => {
+    expect(() => parseManifest('[{"name": }]')).toThrow(/Invalid JSON manifest. Line 1, column 11/);
+    expect(() => parseManifest('{"name": "a"}')).toThrow(/list of objects/);
+    expect(() => parseManifest('name,title\n')).toThrow('The manifest has no rows');
+    expect(() => parseManifest('')).toThrow('The manifest is empty');
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('matches field names, labels and aliases', () => {
+    expect(guessColumnMapping(['Name', 'Title', 'Organization', 'Topic', 'Kafka Host', 'port', 'other'], 'kafka')).toEqual({
+      dataset_name: 'Name',
+      dataset_title: 'Title',
+      owner_org: 'Organization',
+      kafka_topic: 'Topic',
+      kafka_host: 'Kafka Host',
+      kafka_port: 'port',
+    });
+  });
+});
+
+describe('buildImportRows', () => {
+  const mapping = {
+    resource_name: 'name',
+    resource_title: 'title',
+    owner_org: 'org',
+    resource_url: 'url',
+    file_type: 'type',
+    processing: 'processing',
+  };
+  const options = { organizations: ['ucsd', 'sdsc'], defaultOrg: 'ucsd' };
+
+  test('builds create requests for valid rows', () => {
+    const [row] = buildImportRows([{
+      name: 'air_quality', title: 'Air quality', org: '', url: 'https://example.com/aq.csv', type: 'CSV', processing: '{"delimiter": ";"}',
+    }], 'url', mapping, options);
+
+    expect(row).toEqual({
+      index: 1,
+      name: 'air_quality',
+      data: {
+        resource_name: 'air_quality',
+        resource_title: 'Air quality',
+        owner_org: 'ucsd',
+        resource_url: 'https://example.com/aq.csv',
+        file_type: 'CSV',
+        processing: { delimiter: ';' },
+      },
+      errors: [],
+    });
+  });
+
+  test('reports every problem of a row', () => {
+    const [row] = buildImportRows([{
+      name: 'Bad Name', title: '', org: 'nowhere', url: 'https://example.com', type: 'XML', processing: '{"header_line": "x"}',
+    }], 'url', mapping, options);
+
+    expect(row.errors).toEqual([
+      'Name "Bad Name" must be 2-100 lowercase letters, numbers, - or _',
+      'Title is required',
+      'File type must be one of: stream, CSV, TXT, JSON, NetCDF',
+      'Organization "nowhere" does not exist',
+    ]);
+  });
+
+  test('checks processing against the schema of the file type', () => {
+    const [row] = buildImportRows([{
+      name: 'csv_data', title: 'CSV data', org: 'sdsc', url: 'https://example.com/a.csv', type: 'CSV', processing: '{"header_line": "x"}',
+    }], 'url', mapping, options);
+
+    expect(row.errors).toEqual(['Processing: Header line must be a whole number']);
+  });
+
+  test('checks JSON values from JSON manifests and whole numbers', () => {
+    const [row] = buildImportRows([{
+      dataset_name: 'topic_a', dataset_title: 'A', owner_org: 'sdsc', kafka_topic: 't', kafka_host: 'h', kafka_port: 'abc', extras: { nested: { a: 1 } },
+    }], 'kafka', guessColumnMapping(['dataset_name', 'dataset_title', 'owner_org', 'kafka_topic', 'kafka_host', 'kafka_port', 'extras'], 'kafka'), options);
+
+    expect(row.errors).toEqual([
+      'Kafka port must be a whole number',
+      'Extras: nested must be text or a number or true or false',
+    ]);
+  });
+
+  test('flags names used twice in the manifest', () => {
+    const rows = buildImportRows([{ name: 'same' }, { name: 'same' }], 's3', { resource_name: 'name' });
+
+    expect(rows[0].errors).not.toContain(expect.stringMatching(/already used/));
+    expect(rows[1].errors).toContain('Name "same" is already used by row 1');
+  });
+});
+
+describe('reports', () => {
+  test('lists the outcome of every row', () => {
+    const rows = [
+      { index: 1, name: 'a', errors: [] },
+      { index: 2, name: 'b', errors: ['Title is required'] },
+      { index: 3, name: 'c', errors: [] },
+    ];
+
+    expect(buildImportReport(rows, { 1: { status: 'created' } })).toBe(
+      'row,name,status,message\r\n1,a,created,\r\n2,b,invalid,Title is required\r\n3,c,not imported,'
+    );
+  });
+
+  test('templates list the field names', () => {
+    expect(buildManifestTemplate('s3')).toBe('resource_name,resource_title,owner_org,resource_s3,notes,extras');
+  });
+});
@@ -0,0 +1,168 @@
+import { toCsv } from './csv';
+import { classifyResource, getExtras } from './classifyResource';
+
+/**
+ * Catalog export: serialize CKAN packages to JSON, flat CSV or DCAT-AP (JSON-LD)
+ *
+ * JSON and CSV use the field names of the dataset create request, so an export
+ * can be loaded again with Bulk Import (Datasets) on another catalog. To pass
+ * its checks, object-valued extras are written as JSON text and resources
+ * without a name are named after their file.
+ */
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  dcat: { label: 'DCAT-AP (JSON-LD)', extension: 'jsonld', mimeType: 'application/ld+json' }
+};
+
+const DCAT_CONTEXT = {
+  dcat: 'http://www.w3.org/ns/dcat#',
+  dct: 'http://purl.org/dc/terms/',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  schema: 'http://schema.org/',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+// CKAN sets owner_org to the organization id; the name is what another catalog can match
+const getOrganization = (pkg) => pkg.organization?.name || pkg.owner_org || '';
+
+const getTags = (pkg) => (pkg.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean);
+
+// Bulk Import only accepts strings, numbers and booleans as extra values
+const toScalarExtras = (extras) => Object.fromEntries(Object.entries(extras).map(([key, value]) => [
+  key,
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? ''
+]));
+
+/**
+ * Name for a resource without one: the last part of its URL path, e.g. "a.csv"
+ */
+const getResourceName = (resource, index) => {
+  if (resource.name) return resource.name;
+  try {
+    const file = decodeURIComponent(new URL(resource.url).pathname.split('/').filter(Boolean).pop() || '');
+    if (file) return file;
+  } catch {
+    // Not an absolute URL
+  }
+  return `Resource ${index + 1}`;
+};
+
+/**
+ * Keep the fields of a package that describe it, with extras as an object
+ */
+export const normalizePackage = (pkg) => ({
+  id: pkg.id || '',
+  name: pkg.name || '',
+  title: pkg.title || '',
+  owner_org: getOrganization(pkg),
+  notes: pkg.notes || '',
+  type: classifyResource(pkg),
+  tags: getTags(pkg),
+  extras: toScalarExtras(getExtras(pkg)),
+  resources: (pkg.resources || []).map((resource, index) => ({
+    id: resource.id || '',
+    name: getResourceName(resource, index),
+    url: resource.url || '',
+    format: resource.format || '',
+    description: resource.description || ''
+  })),
+  metadata_created: pkg.metadata_created || '',
+  metadata_modified: pkg.metadata_modified || ''
+});
+
+/**
+ * Packages as indented JSON
+ */
+export const toExportJson = (packages) => JSON.stringify(packages.map(normalizePackage), null, 2);
+
+/**
+ * Packages as CSV with one row per package
+ * Extras and resources are JSON text so nothing is lost, and resource URLs are
+ * also listed one per line for reading in a spreadsheet.
+ */
+export const toExportCsv = (packages) => toCsv([
+  ['id', 'name', 'title', 'owner_org', 'notes', 'type', 'tags', 'extras', 'resources', 'resource_urls', 'metadata_created', 'metadata_modified'],
+  ...packages.map(normalizePackage).map(pkg => [
+    pkg.id,
+    pkg.name,
+    pkg.title,
+    pkg.owner_org,
+    pkg.notes,
+    pkg.type,
+    pkg.tags.join(', '),
+    Object.keys(pkg.extras).length > 0 ? JSON.stringify(pkg.extras) : '',
+    pkg.resources.length > 0 ? JSON.stringify(pkg.resources.map(({ id, ...resource }) => resource)) : '',
+    pkg.resources.map(resource => resource.url).filter(Boolean).join('\n'),
+    pkg.metadata_created,
+    pkg.metadata_modified
+  ])
+]);
+
+const dateTime = (value) => (value ? { '@value': value, '@type': 'xsd:dateTime' } : undefined);
+
+// Drop undefined and empty values so the JSON-LD only has what the catalog knows
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => (
+  value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+)));
+
+/**
+ * A package as a dcat:Dataset
+ * The "version" extra becomes owl:versionInfo; other extras are kept as schema:PropertyValue.
+ */
+const toDcatDataset = (pkg) => {
+  const { version, ...extras } = pkg.extras;
+
+  return compact({
+    '@type': 'dcat:Dataset',
+    'dct:identifier': pkg.id || pkg.name,
+    'dct:title': pkg.title || pkg.name,
+    'dct:description': pkg.notes,
+    'dct:publisher': pkg.owner_org ? { '@type': 'foaf:Organization', 'foaf:name': pkg.owner_org } : undefined,
+    'dct:issued': dateTime(pkg.metadata_created),
+    'dct:modified': dateTime(pkg.metadata_modified),
+    'dcat:keyword': pkg.tags,
+    'owl:versionInfo': version !== undefined ? String(version) : undefined,
+    'schema:additionalProperty': Object.entries(extras).map(([key, value]) => ({
+      '@type': 'schema:PropertyValue',
+      'schema:name': key,
+      'schema:value': value
+    })),
+    'dcat:distribution': pkg.resources.map(resource => compact({
+      '@type': 'dcat:Distribution',
+      'dct:identifier': resource.id,
+      'dct:title': resource.name,
+      'dct:description': resource.description,
+      'dct:format': resource.format,
+      'dcat:accessURL': resource.url ? { '@id': resource.url } : undefined
+    }))
+  });
+};
+
+/**
+ * Packages as a DCAT-AP catalog in JSON-LD
+ * @param {Array} packages - CKAN packages
+ * @param {Object} [options] - { title, exportedAt }
+ */
+export const toExportDcat = (packages, { title = 'NDP-EP catalog export', exportedAt = new Date().toISOString() } = {}) => JSON.stringify({
+  '@context': DCAT_CONTEXT,
+  '@type': 'dcat:Catalog',
+  'dct:title': title,
+  'dct:modified': dateTime(exportedAt),
+  'dcat:dataset': packages.map(normalizePackage).map(toDcatDataset)
+}, null, 2);
+
+/**
+ * Serialize packages in an export format
+ * @param {Array} packages - CKAN packages
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [options] - Passed to the DCAT serializer
+ * @returns {string} File content
+ */
+export const serializeCatalog = (packages, format, options) => {
+  if (format === 'csv') return toExportCsv(packages);
+  if (format === 'dcat') return toExportDcat(packages, options);
+  return toExportJson(packages);
+};
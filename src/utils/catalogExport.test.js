@@ -0,0 +1,133 @@
+import { normalizePackage, toExportJson, toExportCsv, toExportDcat, serializeCatalog } from './catalogExport';
+import { parseCsv } from './csv';
+import { RESOURCE_TYPES } from './classifyResource';
+
+const dataset = {
+  id: 'abc-123',
+  name: 'air-quality',
+  title: 'Air Quality',
+  notes: 'Hourly readings',
+  owner_org: '7f3c-org-id',
+  organization: { name: 'sensors' },
+  tags: [{ name: 'air' }, { name: 'city' }],
+  extras: [{ key: 'version', value: '2' }, { key: 'station', value: 'north' }],
+  resources: [
+    { id: 'r1', name: 'Readings', url: 'https://example.com/a.csv', format: 'CSV', description: '', size: 10 },
+    { id: 'r2', name: 'Stations', url: 'https://example.com/b.json', format: 'JSON' }
+  ],
+  metadata_created: '2024-01-01T00:00:00',
+  metadata_modified: '2024-02-01T00:00:00'
+};
+
+describe('normalizePackage', () => {
+  test('keeps organization, tags, extras and resources', () => {
+    const pkg = normalizePackage(dataset);
+
+    expect(pkg.owner_org).toBe('sensors');
+    expect(pkg.type).toBe(RESOURCE_TYPES.DATASET);
+    expect(pkg.tags).toEqual(['air', 'city']);
+    expect(pkg.extras).toEqual({ version: '2', station: 'north' });
+    expect(pkg.resources[0]).toEqual({
+      id: 'r1', name: 'Readings', url: 'https://example.com/a.csv', format: 'CSV', description: ''
+    });
+  });
+
+  test('uses owner_org without an organization and fills missing fields', () => {
+    const pkg = normalizePackage({ name: 'bare', owner_org: 'sensors' });
+
+    expect(pkg.owner_org).toBe('sensors');
+    expect(pkg.resources).toEqual([]);
+    expect(pkg.extras).toEqual({});
+    expect(pkg.title).toBe('');
+  });
+
+  test('writes values Bulk Import accepts', () => {
+    const pkg = normalizePackage({
+      name: 'weather',
+      extras: [{ key: 'mapping', value: { temp: 'temperature' } }, { key: 'rows', value: 12 }],
+      resources: [
+        { url: 'https://example.com/data/hourly%20readings.csv' },
+        { url: 'not a url' }
+      ]
+    });
+
+    expect(pkg.extras).toEqual({ mapping: '{"temp":"temperature"}', rows: 12 });
+    expect(pkg.resources.map(resource => resource.name)).toEqual(['hourly readings.csv', 'Resource 2']);
+  });
+});
+
+describe('toExportJson', () => {
+  test('writes a list of normalized packages', () => {
+    expect(JSON.parse(toExportJson([dataset]))).toEqual([normalizePackage(dataset)]);
+  });
+});
+
+describe('toExportCsv', () => {
+  test('writes one row per package with JSON cells', () => {
+    const [header, row] = parseCsv(toExportCsv([dataset]));
+    const cell = (name) => row[header.indexOf(name)];
+
+    expect(header[0]).toBe('id');
+    expect(cell('name')).toBe('air-quality');
+    expect(cell('owner_org')).toBe('sensors');
+    expect(cell('tags')).toBe('air, city');
+    expect(JSON.parse(cell('extras'))).toEqual({ version: '2', station: 'north' });
+    expect(JSON.parse(cell('resources'))).toEqual([
+      { name: 'Readings', url: 'https://example.com/a.csv', format: 'CSV', description: '' },
+      { name: 'Stations', url: 'https://example.com/b.json', format: 'JSON', description: '' }
+    ]);
+    expect(cell('resource_urls')).toBe('https://example.com/a.csv\nhttps://example.com/b.json');
+  });
+
+  test('leaves extras and resources empty when a package has none', () => {
+    const [header, row] = parseCsv(toExportCsv([{ name: 'bare' }]));
+
+    expect(row[header.indexOf('extras')]).toBe('');
+    expect(row[header.indexOf('resources')]).toBe('');
+  });
+});
+
+describe('toExportDcat', () => {
+  const catalog = JSON.parse(toExportDcat([dataset], { title: 'Export', exportedAt: '2024-03-01T00:00:00Z' }));
+
+  test('writes a dcat:Catalog with a context', () => {
+    expect(catalog['@type']).toBe('dcat:Catalog');
+    expect(catalog['@context'].dcat).toBe('http://www.w3.org/ns/dcat#');
+    expect(catalog['dct:title']).toBe('Export');
+    expect(catalog['dct:modified']).toEqual({ '@value': '2024-03-01T00:00:00Z', '@type': 'xsd:dateTime' });
+  });
+
+  test('maps packages to datasets with publisher, keywords and distributions', () => {
+    const [entry] = catalog['dcat:dataset'];
+
+    expect(entry['dct:identifier']).toBe('abc-123');
+    expect(entry['dct:title']).toBe('Air Quality');
+    expect(entry['dct:publisher']).toEqual({ '@type': 'foaf:Organization', 'foaf:name': 'sensors' });
+    expect(entry['dcat:keyword']).toEqual(['air', 'city']);
+    expect(entry['owl:versionInfo']).toBe('2');
+    expect(entry['schema:additionalProperty']).toEqual([
+      { '@type': 'schema:PropertyValue', 'schema:name': 'station', 'schema:value': 'north' }
+    ]);
+    expect(entry['dcat:distribution'][0]).toEqual({
+      '@type': 'dcat:Distribution',
+      'dct:identifier': 'r1',
+      'dct:title': 'Readings',
+      'dct:format': 'CSV',
+      'dcat:accessURL': { '@id': 'https://example.com/a.csv' }
+    });
+  });
+
+  test('leaves out values the package does not have', () => {
+    const [entry] = JSON.parse(toExportDcat([{ name: 'bare' }]))['dcat:dataset'];
+
+    expect(entry).toEqual({ '@type': 'dcat:Dataset', 'dct:identifier': 'bare', 'dct:title': 'bare' });
+  });
+});
+
+describe('serializeCatalog', () => {
+  test('uses the serializer of the format', () => {
+    expect(serializeCatalog([dataset], 'csv')).toBe(toExportCsv([dataset]));
+    expect(serializeCatalog([dataset], 'json')).toBe(toExportJson([dataset]));
+    expect(JSON.parse(serializeCatalog([dataset], 'dcat'))['@type']).toBe('dcat:Catalog');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Helpers for partial (PATCH) updates
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Collect the fields that differ between the values a form was opened with
+ * and the values being submitted
+ * Fields removed from the form are sent as an empty value of the same kind
+ * ('' or {}) so the API clears them instead of keeping the old value.
+ *
+ * @param {Object} original - Values the edit form was pre-filled with
+ * @param {Object} updated - Values about to be submitted
+ * @returns {Object} Only the changed fields
+ */
+export const getChangedFields = (original = {}, updated = {}) => {
+  const changes = {};
+
+  Object.keys(updated).forEach(key => {
+    if (!isEqual(original[key], updated[key])) {
+      changes[key] = updated[key];
+    }
+  });
+
+  Object.keys(original).forEach(key => {
+    if (key in updated || original[key] === undefined) return;
+    changes[key] = isPlainObject(original[key]) ? {} : '';
+  });
+
+  return changes;
+};
@@ -0,0 +1,31 @@
+import { getChangedFields } from './changedFields';
+
+describe('getChangedFields', () => {
+  test('returns only the fields that changed', () => {
+    const original = { service_title: 'Auth API', service_url: 'https://a.example.com', service_type: 'API' };
+    const updated = { service_title: 'Auth API', service_url: 'https://b.example.com', service_type: 'API' };
+
+    expect(getChangedFields(original, updated)).toEqual({ service_url: 'https://b.example.com' });
+  });
+
+  test('compares nested objects by value', () => {
+    const original = { extras: { version: '1.0', env: 'prod' } };
+
+    expect(getChangedFields(original, { extras: { version: '1.0', env: 'prod' } })).toEqual({});
+    expect(getChangedFields(original, { extras: { version: '2.0', env: 'prod' } })).toEqual({
+      extras: { version: '2.0', env: 'prod' },
+    });
+  });
+
+  test('clears fields that were removed from the form', () => {
+    const original = { health_check_url: 'https://a.example.com/health', extras: { version: '1.0' } };
+
+    expect(getChangedFields(original, {})).toEqual({ health_check_url: '', extras: {} });
+  });
+
+  test('includes fields that were added', () => {
+    expect(getChangedFields({}, { documentation_url: 'https://docs.example.com' })).toEqual({
+      documentation_url: 'https://docs.example.com',
+    });
+  });
+});
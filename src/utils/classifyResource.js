@@ -0,0 +1,126 @@
+/**
+ * Resource classification for CKAN packages
+ *
+ * Every package gets exactly one type, so each one is listed on exactly one
+ * management page. Rules are checked in order and the first match wins:
+ *
+ *   1. service      - owned by the "services" organization
+ *   2. kafka        - Kafka extras (kafka_topic/kafka_host/kafka_port, or topic
+ *                     together with host or port) or a resource with format "kafka"
+ *   3. s3           - S3 location extras (s3_bucket, see S3_EXTRAS), or for older
+ *                     packages at least one resource URL that points at S3
+ *   4. url          - exactly one resource with an http(s) or ftp URL
+ *   5. dataset      - no resources, or several resources that all have a web URL
+ *   6. unclassified - anything else (e.g. resources without a URL)
+ */
+
+export const RESOURCE_TYPES = {
+  SERVICE: 'service',
+  KAFKA: 'kafka',
+  S3: 's3',
+  URL: 'url',
+  DATASET: 'dataset',
+  UNCLASSIFIED: 'unclassified'
+};
+
+// Badge label and status color for each type
+export const RESOURCE_TYPE_BADGES = {
+  [RESOURCE_TYPES.SERVICE]: { label: 'Service', color: 'status-info' },
+  [RESOURCE_TYPES.KAFKA]: { label: 'Kafka', color: 'status-info' },
+  [RESOURCE_TYPES.S3]: { label: 'S3', color: 'status-warning' },
+  [RESOURCE_TYPES.URL]: { label: 'URL', color: 'status-success' },
+  [RESOURCE_TYPES.DATASET]: { label: 'General', color: 'status-info' },
+  [RESOURCE_TYPES.UNCLASSIFIED]: { label: 'Unclassified', color: 'status-error' }
+};
+
+// Extras describing where an S3 object or prefix is stored; the credential is a
+// name the API resolves, never the secret itself
+export const S3_EXTRAS = {
+  endpoint: 's3_endpoint',
+  region: 's3_region',
+  bucket: 's3_bucket',
+  key: 's3_key',
+  credentialRef: 's3_credential_ref'
+};
+
+const SERVICES_ORGANIZATION = 'services';
+const OLD_KAFKA_KEYS = ['kafka_topic', 'kafka_host', 'kafka_port'];
+const WEB_URL_PATTERN = /^(https?|ftp):\/\//i;
+
+/**
+ * Get extras as a plain object
+ * CKAN returns extras as [{key, value}], the NDP-EP API as an object
+ */
+export const getExtras = (dataset) => {
+  const extras = dataset?.extras;
+  if (Array.isArray(extras)) {
+    return Object.fromEntries(extras.map(extra => [extra.key, extra.value]));
+  }
+  return extras && typeof extras === 'object' ? extras : {};
+};
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Check whether a URL points at S3
+ * Matches s3:// and s3a:// URIs, AWS virtual-hosted and path-style URLs
+ * (bucket.s3.amazonaws.com, s3.us-west-2.amazonaws.com, s3-us-west-2.amazonaws.com)
+ * and S3-compatible hosts with ".s3." in their name
+ */
+export const isS3Url = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return false;
+  const value = url.trim();
+
+  if (/^s3a?:\/\//i.test(value)) return true;
+
+  let hostname;
+  try {
+    hostname = new URL(value).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (hostname.endsWith('.amazonaws.com') && /(^|\.)s3[.-]/.test(hostname)) return true;
+  return hostname.includes('.s3.');
+};
+
+/**
+ * Check whether a package describes a Kafka topic
+ */
+const isKafka = (extras, resources) => {
+  if (OLD_KAFKA_KEYS.some(key => hasValue(extras[key]))) return true;
+  if (hasValue(extras.topic) && (hasValue(extras.host) || hasValue(extras.port))) return true;
+  return resources.some(resource => String(resource.format || '').toLowerCase() === 'kafka');
+};
+
+/**
+ * Assign a CKAN package exactly one resource type
+ * @param {Object} dataset - CKAN package as returned by the search endpoint
+ * @returns {string} One of RESOURCE_TYPES
+ */
+export const classifyResource = (dataset) => {
+  if (!dataset || typeof dataset !== 'object') return RESOURCE_TYPES.UNCLASSIFIED;
+
+  const extras = getExtras(dataset);
+  const resources = Array.isArray(dataset.resources) ? dataset.resources : [];
+  const organization = dataset.owner_org || dataset.organization?.name;
+
+  if (organization === SERVICES_ORGANIZATION) return RESOURCE_TYPES.SERVICE;
+  if (isKafka(extras, resources)) return RESOURCE_TYPES.KAFKA;
+  if (hasValue(extras[S3_EXTRAS.bucket]) || resources.some(resource => isS3Url(resource.url))) return RESOURCE_TYPES.S3;
+
+  const webResources = resources.filter(resource => WEB_URL_PATTERN.test(String(resource.url || '').trim()));
+  if (resources.length === 1 && webResources.length === 1) return RESOURCE_TYPES.URL;
+  if (resources.length === 0 || (resources.length > 1 && webResources.length === resources.length)) {
+    return RESOURCE_TYPES.DATASET;
+  }
+
+  return RESOURCE_TYPES.UNCLASSIFIED;
+};
+
+/**
+ * Build a filter predicate for one or more resource types
+ * @param {...string} types - Resource types to keep
+ * @returns {Function} (dataset) => boolean
+ */
+export const isResourceType = (...types) => (dataset) => types.includes(classifyResource(dataset));
@@ -0,0 +1,165 @@
+import { RESOURCE_TYPES, classifyResource, isResourceType, isS3Url, getExtras } from './classifyResource';
+
+const pkg = (overrides = {}) => ({
+  id: 'pkg-1',
+  name: 'example',
+  owner_org: 'example_org',
+  extras: {},
+  resources: [],
+  ...overrides
+});
+
+describe('classifyResource', () => {
+  describe('Kafka topics', () => {
+    test('detects the old kafka_* extras format', () => {
+      expect(classifyResource(pkg({ extras: { kafka_topic: 'events', kafka_host: 'broker', kafka_port: '9092' } })))
+        .toBe(RESOURCE_TYPES.KAFKA);
+      expect(classifyResource(pkg({ extras: { kafka_host: 'broker' } }))).toBe(RESOURCE_TYPES.KAFKA);
+    });
+
+    test('detects the new topic/host/port extras format', () => {
+      expect(classifyResource(pkg({ extras: { topic: 'events', host: 'broker', port: '9092' } })))
+        .toBe(RESOURCE_TYPES.KAFKA);
+      expect(classifyResource(pkg({ extras: { topic: 'events', port: 9092 } }))).toBe(RESOURCE_TYPES.KAFKA);
+    });
+
+    test('detects CKAN list-style extras', () => {
+      expect(classifyResource(pkg({ extras: [{ key: 'kafka_topic', value: 'events' }] })))
+        .toBe(RESOURCE_TYPES.KAFKA);
+    });
+
+    test('detects a resource with format kafka', () => {
+      expect(classifyResource(pkg({ resources: [{ url: 'kafka://broker:9092/events', format: 'Kafka' }] })))
+        .toBe(RESOURCE_TYPES.KAFKA);
+    });
+
+    test('does not treat a lone host extra or empty kafka values as Kafka', () => {
+      const withHost = pkg({ extras: { host: 'example.org' }, resources: [{ url: 'https://example.org/data.csv' }] });
+      expect(classifyResource(withHost)).toBe(RESOURCE_TYPES.URL);
+      expect(classifyResource(pkg({ extras: { kafka_topic: '' } }))).toBe(RESOURCE_TYPES.DATASET);
+    });
+
+    test('wins over S3 resources', () => {
+      expect(classifyResource(pkg({
+        extras: { kafka_topic: 'events' },
+        resources: [{ url: 's3://bucket/archive.json' }]
+      }))).toBe(RESOURCE_TYPES.KAFKA);
+    });
+  });
+
+  describe('S3 resources', () => {
+    test.each([
+      's3://bucket/path/file.csv',
+      'S3A://bucket/path',
+      'https://bucket.s3.amazonaws.com/file.csv',
+      'https://bucket.s3.us-west-2.amazonaws.com/file.csv',
+      'https://s3.amazonaws.com/bucket/file.csv',
+      'https://s3.eu-central-1.amazonaws.com/bucket/file.csv',
+      'https://s3-us-west-2.amazonaws.com/bucket/file.csv',
+      'https://data.s3.example.org/bucket/file.csv',
+    ])('classifies %s as S3', (url) => {
+      expect(classifyResource(pkg({ resources: [{ url }] }))).toBe(RESOURCE_TYPES.S3);
+    });
+
+    test('classifies a package with any S3 resource as S3', () => {
+      expect(classifyResource(pkg({
+        resources: [{ url: 'https://example.org/readme.html' }, { url: 's3://bucket/data.parquet' }]
+      }))).toBe(RESOURCE_TYPES.S3);
+    });
+
+    test('classifies packages with S3 location extras as S3 whatever their URL', () => {
+      expect(classifyResource(pkg({
+        extras: [{ key: 's3_bucket', value: 'runs' }, { key: 's3_endpoint', value: 'https://minio.example.org' }],
+        resources: [{ url: 'https://minio.example.org/runs/42/readings.csv' }]
+      }))).toBe(RESOURCE_TYPES.S3);
+      expect(classifyResource(pkg({
+        extras: { s3_bucket: ' ' },
+        resources: [{ url: 'https://minio.example.org/runs/42/readings.csv' }]
+      }))).toBe(RESOURCE_TYPES.URL);
+    });
+  });
+
+  describe('isS3Url', () => {
+    test.each([
+      'https://example.org/s3/file.csv',
+      'https://mys3site.com/file.csv',
+      'https://s3-docs.example.com/guide',
+      'https://example.org/?next=s3.amazonaws.com',
+      'not a url',
+      '',
+      null,
+    ])('does not match %s', (url) => {
+      expect(isS3Url(url)).toBe(false);
+    });
+  });
+
+  test('classifies services by organization first', () => {
+    expect(classifyResource(pkg({
+      owner_org: 'services',
+      extras: { kafka_topic: 'events' },
+      resources: [{ url: 'https://service.example.org' }]
+    }))).toBe(RESOURCE_TYPES.SERVICE);
+    expect(classifyResource(pkg({ owner_org: undefined, organization: { name: 'services' } })))
+      .toBe(RESOURCE_TYPES.SERVICE);
+  });
+
+  test('classifies a single web resource as a URL resource, with or without notes and extras', () => {
+    expect(classifyResource(pkg({ resources: [{ url: 'https://example.org/data.csv' }] }))).toBe(RESOURCE_TYPES.URL);
+    expect(classifyResource(pkg({
+      notes: 'Daily export',
+      extras: { license: 'CC-BY' },
+      resources: [{ url: 'ftp://ftp.example.org/data.nc' }]
+    }))).toBe(RESOURCE_TYPES.URL);
+  });
+
+  test('classifies packages without resources or with several web resources as general datasets', () => {
+    expect(classifyResource(pkg())).toBe(RESOURCE_TYPES.DATASET);
+    expect(classifyResource(pkg({ resources: undefined }))).toBe(RESOURCE_TYPES.DATASET);
+    expect(classifyResource(pkg({
+      resources: [{ url: 'https://example.org/a.csv' }, { url: 'http://example.org/b.csv' }]
+    }))).toBe(RESOURCE_TYPES.DATASET);
+  });
+
+  test('puts everything else in the unclassified bucket', () => {
+    expect(classifyResource(pkg({ resources: [{ name: 'no url' }] }))).toBe(RESOURCE_TYPES.UNCLASSIFIED);
+    expect(classifyResource(pkg({ resources: [{ url: 'file:///tmp/data.csv' }] }))).toBe(RESOURCE_TYPES.UNCLASSIFIED);
+    expect(classifyResource(pkg({
+      resources: [{ url: 'https://example.org/a.csv' }, { url: '' }]
+    }))).toBe(RESOURCE_TYPES.UNCLASSIFIED);
+    expect(classifyResource(null)).toBe(RESOURCE_TYPES.UNCLASSIFIED);
+  });
+
+  test('assigns every package exactly one type', () => {
+    const packages = [
+      pkg({ owner_org: 'services' }),
+      pkg({ extras: { topic: 't', host: 'h' } }),
+      pkg({ resources: [{ url: 's3://b/k' }] }),
+      pkg({ resources: [{ url: 'https://example.org' }] }),
+      pkg(),
+      pkg({ resources: [{ url: 'mailto:someone@example.org' }] }),
+    ];
+    const predicates = Object.values(RESOURCE_TYPES).map(type => isResourceType(type));
+
+    packages.forEach(dataset => {
+      expect(predicates.filter(matches => matches(dataset))).toHaveLength(1);
+    });
+  });
+});
+
+describe('isResourceType', () => {
+  test('matches any of the given types', () => {
+    const isGeneralOrUnclassified = isResourceType(RESOURCE_TYPES.DATASET, RESOURCE_TYPES.UNCLASSIFIED);
+
+    expect(isGeneralOrUnclassified(pkg())).toBe(true);
+    expect(isGeneralOrUnclassified(pkg({ resources: [{ name: 'no url' }] }))).toBe(true);
+    expect(isGeneralOrUnclassified(pkg({ resources: [{ url: 's3://b/k' }] }))).toBe(false);
+  });
+});
+
+describe('getExtras', () => {
+  test('accepts object and list extras', () => {
+    expect(getExtras({ extras: { a: '1' } })).toEqual({ a: '1' });
+    expect(getExtras({ extras: [{ key: 'a', value: '1' }] })).toEqual({ a: '1' });
+    expect(getExtras({})).toEqual({});
+  });
+});
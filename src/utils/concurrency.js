@@ -0,0 +1,38 @@
+/**
+ * Run an async task for each item with at most `limit` tasks in flight
+ * Results keep the order of the items and failures do not stop the other tasks.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} task - async (item, index) => value
+ * @param {Object} [options] - { limit, onSettled(index, result), shouldStop() }
+ *   shouldStop is checked before each task starts; items not started are reported as skipped.
+ * @returns {Promise<Array>} Results as { status: 'fulfilled', value }, { status: 'rejected', reason } or { status: 'skipped' }
+ */
+export const runWithConcurrency = async (items, task, { limit = 4, onSettled, shouldStop } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const settle = (index, result) => {
+    results[index] = result;
+    if (onSettled) onSettled(index, result);
+  };
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      if (shouldStop && shouldStop()) {
+        settle(index, { status: 'skipped' });
+        continue;
+      }
+      try {
+        settle(index, { status: 'fulfilled', value: await task(items[index], index) });
+      } catch (reason) {
+        settle(index, { status: 'rejected', reason });
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
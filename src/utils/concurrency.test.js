@@ -0,0 +1,55 @@
+import { runWithConcurrency } from './concurrency';
+
+const defer = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('runWithConcurrency', () => {
+  test('keeps at most limit tasks in flight', async () => {
+    let running = 0;
+    let peak = 0;
+    const task = async (item) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return item * 2;
+    };
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], task, { limit: 2 });
+
+    expect(peak).toBe(2);
+    expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10]);
+  });
+
+  test('records failures without stopping other tasks', async () => {
+    const settled = [];
+    const results = await runWithConcurrency(['a', 'b', 'c'], async (item) => {
+      if (item === 'b') throw new Error('boom');
+      return item;
+    }, { limit: 1, onSettled: (index, result) => settled.push([index, result.status]) });
+
+    expect(results[1]).toEqual({ status: 'rejected', reason: new Error('boom') });
+    expect(settled).toEqual([[0, 'fulfilled'], [1, 'rejected'], [2, 'fulfilled']]);
+  });
+
+  test('skips tasks that have not started when asked to stop', async () => {
+    const first = defer();
+    let stop = false;
+    const run = runWithConcurrency([1, 2, 3], (item) => (item === 1 ? first.promise : Promise.resolve(item)), {
+      limit: 1,
+      shouldStop: () => stop,
+    });
+
+    stop = true;
+    first.resolve('done');
+
+    expect((await run).map(result => result.status)).toEqual(['fulfilled', 'skipped', 'skipped']);
+  });
+
+  test('resolves right away for no items', async () => {
+    expect(await runWithConcurrency([], async () => 1)).toEqual([]);
+  });
+});
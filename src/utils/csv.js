@@ -0,0 +1,92 @@
+/**
+ * CSV reading and writing (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ *
+ * Written cells that a spreadsheet would run as a formula get an apostrophe in
+ * front, which parseCsv removes again, so values survive a round trip.
+ */
+
+// Text cells starting like a formula (after any apostrophes added before)
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Remove the apostrophe toCsv puts in front of formula-like cells
+ */
+const fromCsvCell = (cell) => (/^'+[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+/**
+ * Parse CSV text into rows of cells
+ * A byte order mark and a trailing line break are ignored; fully empty lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter
+ * @returns {Array<Array<string>>} Rows
+ * @throws {Error} When a quoted field is not closed
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let quoteStart = 0;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(fromCsvCell(cell));
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+      quoteStart = i;
+    } else if (ch === delimiter) {
+      row.push(fromCsvCell(cell));
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    const line = source.slice(0, quoteStart).split(/\r\n|\r|\n/).length;
+    throw new Error(`Unclosed quote starting on line ${line}`);
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Quote a cell when it contains a delimiter, quote or line break
+ * Text starting with =, +, -, @, a tab or a carriage return is kept from being
+ * read as a formula by an apostrophe in front; numbers are written as they are.
+ */
+const toCsvCell = (value) => {
+  if (typeof value === 'number') return String(value);
+  const cell = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_START.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows of cells as CSV text
+ * @param {Array<Array>} rows - Rows; null and undefined cells are written empty
+ * @returns {string} CSV text with CRLF line breaks
+ */
+export const toCsv = (rows) => rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
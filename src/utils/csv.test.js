@@ -0,0 +1,52 @@
+import { parseCsv, toCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('splits rows and cells', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('reads quoted cells with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('name,extras\n"x, y","{""a"": ""b""}"\n"multi\nline",')).toEqual([
+      ['name', 'extras'],
+      ['x, y', '{"a": "b"}'],
+      ['multi\nline', ''],
+    ]);
+  });
+
+  test('ignores a byte order mark and empty lines', () => {
+    expect(parseCsv('\uFEFFa\n\n1\n')).toEqual([['a'], ['1']]);
+  });
+
+  test('supports other delimiters', () => {
+    expect(parseCsv('a;b\n1;2', ';')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('reports unclosed quotes', () => {
+    expect(() => parseCsv('a\n"open\nstill open')).toThrow('Unclosed quote starting on line 2');
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes cells only when needed', () => {
+    expect(toCsv([['a', 'b,c'], ['say "hi"', null], [1, 'x\ny']])).toBe('a,"b,c"\r\n"say ""hi""",\r\n1,"x\ny"');
+  });
+
+  test('round-trips through parseCsv', () => {
+    const rows = [['name', 'notes'], ['a', 'line 1\nline "2", end']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  test('keeps cells that start like a formula as text', () => {
+    expect(toCsv([['=HYPERLINK("http://evil.example")', '+1', '-x', '@SUM(A1)', 'a=b', -5]])).toBe(
+      '"\'=HYPERLINK(""http://evil.example"")",\'+1,\'-x,\'@SUM(A1),a=b,-5'
+    );
+  });
+
+  test('round-trips formula-like cells and leading apostrophes', () => {
+    const rows = [['=1+1', "'=quoted", "'plain", '-']];
+
+    expect(toCsv(rows)).toBe("'=1+1,''=quoted,'plain,'-");
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Save generated content as a file in the browser's download folder
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [type] - MIME type of string content
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
@@ -0,0 +1,31 @@
+/**
+ * JSON Schemas of the JSON form fields, checked by the JSON editor and before submit
+ * Messages name the failing property, so the schemas have no title; forms add the field label.
+ */
+
+// Free-form metadata; CKAN stores extras as key/value pairs, so values must be scalars
+export const EXTRAS_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+// Resources attached to a dataset
+export const RESOURCES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['url', 'name'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      name: { type: 'string', minLength: 1 },
+      format: { type: 'string' },
+      description: { type: 'string' }
+    }
+  }
+};
+
+// { source_field: target_field }; targets may be objects for nested mappings
+export const MAPPING_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'object'] }
+};
@@ -0,0 +1,100 @@
+/**
+ * Minimal JSON Schema validation for the JSON fields of the forms
+ *
+ * Supports the keywords the field schemas use: type (including "integer" and
+ * lists of types), properties, required, additionalProperties, items, enum,
+ * minimum, minLength, pattern and format "uri". Schemas may set a title, which
+ * is used in messages instead of the property path.
+ */
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null
+};
+
+const TYPE_LABELS = {
+  object: 'a JSON object',
+  array: 'a list',
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  null: 'null'
+};
+
+const URI_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Path of the value, used in messages
+ * @returns {Array} Errors as { path, message }, empty when valid
+ */
+export const validateSchema = (value, schema, path = '') => {
+  if (!schema) return [];
+
+  const label = schema.title || path || 'Value';
+  const fail = (message) => [{ path, message: `${label} ${message}` }];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      return fail(`must be ${types.map(type => TYPE_LABELS[type]).join(' or ')}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    return fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail('does not match the expected format');
+    }
+    if (schema.format === 'uri' && !URI_PATTERN.test(value)) {
+      return fail('must be a URL such as https://example.com/data.csv');
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, joinPath(path, index)));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const errors = [];
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: `${joinPath(path, key)} is required` });
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: `${joinPath(path, key)} is not an allowed property` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, joinPath(path, key)));
+      }
+    });
+    return errors;
+  }
+
+  return [];
+};
@@ -0,0 +1,61 @@
+import { validateSchema } from './jsonSchema';
+import { EXTRAS_SCHEMA, RESOURCES_SCHEMA, MAPPING_SCHEMA } from './fieldSchemas';
+
+describe('validateSchema', () => {
+  test('checks types, including integers and lists of types', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual([{ path: '', message: 'Value must be a whole number' }]);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+    expect(validateSchema([], { type: 'object', title: 'Processing' })[0].message).toBe('Processing must be a JSON object');
+  });
+
+  test('reports required and unknown properties by path', () => {
+    const schema = {
+      type: 'object',
+      required: ['url'],
+      additionalProperties: false,
+      properties: { url: { type: 'string' } },
+    };
+
+    expect(validateSchema({ link: 'x' }, schema).map(error => error.message)).toEqual([
+      'url is required',
+      'link is not an allowed property',
+    ]);
+  });
+
+  test('checks enum, minimum, minLength, pattern and uri', () => {
+    expect(validateSchema('XML', { enum: ['CSV', 'JSON'] })[0].message).toBe('Value must be one of: CSV, JSON');
+    expect(validateSchema(-1, { type: 'integer', minimum: 0 })[0].message).toBe('Value must be at least 0');
+    expect(validateSchema(' ', { type: 'string', minLength: 1 })[0].message).toBe('Value must not be empty');
+    expect(validateSchema('abc', { pattern: '^\\d+$' })).toHaveLength(1);
+    expect(validateSchema('example.com/data.csv', { format: 'uri' })).toHaveLength(1);
+    expect(validateSchema('s3://bucket/key', { format: 'uri' })).toEqual([]);
+  });
+
+  test('uses titles in messages', () => {
+    expect(validateSchema({ start_line: 'x' }, {
+      properties: { start_line: { type: 'integer', title: 'Start line' } },
+    })[0].message).toBe('Start line must be a whole number');
+  });
+});
+
+describe('field schemas', () => {
+  test('extras values must be scalars', () => {
+    expect(validateSchema({ version: '1.0', public: true, size: 3 }, EXTRAS_SCHEMA)).toEqual([]);
+    expect(validateSchema({ nested: { a: 1 } }, EXTRAS_SCHEMA)[0].message).toBe(
+      'nested must be text or a number or true or false'
+    );
+  });
+
+  test('resources need a URL and a name', () => {
+    expect(validateSchema([{ url: 'https://example.com/a.csv', name: 'a', format: 'CSV' }], RESOURCES_SCHEMA)).toEqual([]);
+    expect(validateSchema([{ url: 'not a url' }], RESOURCES_SCHEMA).map(error => error.message)).toEqual([
+      '[0].name is required',
+      '[0].url must be a URL such as https://example.com/data.csv',
+    ]);
+  });
+
+  test('mapping targets are field names or objects', () => {
+    expect(validateSchema({ a: 'b', c: { d: 'e' } }, MAPPING_SCHEMA)).toEqual([]);
+    expect(validateSchema({ a: 1 }, MAPPING_SCHEMA)).toHaveLength(1);
+  });
+});
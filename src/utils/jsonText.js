@@ -0,0 +1,179 @@
+import { validateSchema } from './jsonSchema';
+
+/**
+ * JSON text handling for the JSON editor: parse errors with line and column,
+ * schema checks and tokens for syntax highlighting
+ *
+ * Browsers word JSON.parse errors differently and not all of them give a
+ * position, so invalid text is scanned here to find where it goes wrong.
+ */
+
+const WHITESPACE = ' \t\n\r';
+const ESCAPES = '"\\/bfnrtu';
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Find the first syntax error in JSON text
+ * @returns {Object|null} { message, position } or null when the text is valid
+ */
+const scanJson = (text) => {
+  let pos = 0;
+
+  const found = () => (pos >= text.length ? 'end of input' : `'${text[pos]}'`);
+  const error = (message, at = pos) => ({ message, position: at });
+  const expected = (what) => error(`Expected ${what} but found ${found()}`);
+  const skip = () => {
+    while (pos < text.length && WHITESPACE.includes(text[pos])) pos++;
+  };
+
+  const scanString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '"') {
+        pos++;
+        return null;
+      }
+      if (ch === '\n') break;
+      if (ch < ' ') return error('Control characters must be escaped in strings');
+      if (ch === '\\') {
+        const escape = text[pos + 1];
+        if (escape === undefined || !ESCAPES.includes(escape)) return error('Invalid escape sequence in string');
+        if (escape === 'u' && !/^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          return error('\\u must be followed by four hex digits');
+        }
+        pos += escape === 'u' ? 6 : 2;
+      } else {
+        pos++;
+      }
+    }
+    return error('Unterminated string', start);
+  };
+
+  const scanValue = () => {
+    skip();
+    const ch = text[pos];
+    if (ch === '{') return scanContainer('}', true);
+    if (ch === '[') return scanContainer(']', false);
+    if (ch === '"') return scanString();
+    if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      NUMBER_PATTERN.lastIndex = pos;
+      if (!NUMBER_PATTERN.test(text)) return expected('a number');
+      pos = NUMBER_PATTERN.lastIndex;
+      return null;
+    }
+    const literal = ['true', 'false', 'null'].find(word => text.startsWith(word, pos));
+    if (literal) {
+      pos += literal.length;
+      return null;
+    }
+    return expected('a value');
+  };
+
+  const scanContainer = (close, isObject) => {
+    pos++;
+    skip();
+    if (text[pos] === close) {
+      pos++;
+      return null;
+    }
+    for (;;) {
+      if (isObject) {
+        skip();
+        if (text[pos] !== '"') return expected('a property name in double quotes');
+        const keyError = scanString();
+        if (keyError) return keyError;
+        skip();
+        if (text[pos] !== ':') return expected("':'");
+        pos++;
+      }
+      const valueError = scanValue();
+      if (valueError) return valueError;
+      skip();
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] === close) {
+        pos++;
+        return null;
+      }
+      return expected(`',' or '${close}'`);
+    }
+  };
+
+  const valueError = scanValue();
+  if (valueError) return valueError;
+  skip();
+  return pos < text.length ? error(`Unexpected ${found()} after the end of the JSON`) : null;
+};
+
+/**
+ * Line and column (both from 1) of a position in text
+ */
+export const getLineColumn = (text, position) => {
+  const lines = text.slice(0, position).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+/**
+ * Parse JSON text
+ * @returns {Object} { value, error } where error is { message, line, column, position } or null
+ */
+export const parseJsonText = (text) => {
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (err) {
+    const scanned = scanJson(text) || { message: err.message, position: 0 };
+    const { line, column } = getLineColumn(text, scanned.position);
+    return {
+      value: undefined,
+      error: { ...scanned, line, column, message: `Line ${line}, column ${column}: ${scanned.message}` }
+    };
+  }
+};
+
+/**
+ * Check the text of a JSON form field
+ * Empty text stands for the fallback value; anything else must parse and match the schema.
+ *
+ * @param {string} text - Field text
+ * @param {Object} [options] - { schema, fallback }
+ * @returns {Object} { value, error } where error is { message, line?, column?, position? } or null
+ */
+export const checkJsonText = (text, { schema, fallback = {} } = {}) => {
+  if (!text || text.trim() === '') return { value: fallback, error: null };
+
+  const { value, error } = parseJsonText(text);
+  if (error) return { value: undefined, error };
+
+  const [schemaError] = validateSchema(value, schema);
+  return schemaError ? { value: undefined, error: { message: schemaError.message } } : { value, error: null };
+};
+
+const TOKEN_PATTERN = /("(?:\\.|[^"\\\n])*"?)(\s*:)?|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|\b(true|false|null)\b|([{}[\],:])|(\s+)|([^\s"{}[\],:]+)/g;
+
+/**
+ * Split JSON text into tokens for highlighting; invalid text is still split
+ * @returns {Array} Tokens as { type, text } with type key, string, number, literal, punctuation or text
+ */
+export const tokenizeJson = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const [, string, colon, number, literal, punctuation] = match;
+    if (string !== undefined) {
+      tokens.push({ type: colon ? 'key' : 'string', text: string });
+      if (colon) tokens.push({ type: 'punctuation', text: colon });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'number', text: number });
+    } else if (literal !== undefined) {
+      tokens.push({ type: 'literal', text: literal });
+    } else if (punctuation !== undefined) {
+      tokens.push({ type: 'punctuation', text: punctuation });
+    } else {
+      tokens.push({ type: 'text', text: match[0] });
+    }
+  }
+  return tokens;
+};
@@ -0,0 +1,87 @@
+import { parseJsonText, checkJsonText, tokenizeJson, getLineColumn } from './jsonText';
+
+describe('parseJsonText', () => {
+  test('parses valid JSON', () => {
+    expect(parseJsonText('{"a": [1, true, null]}')).toEqual({ value: { a: [1, true, null] }, error: null });
+  });
+
+  test('reports a missing comma with its line and column', () => {
+    const { error } = parseJsonText('{\n  "a": 1\n  "b": 2\n}');
+
+    expect(error).toMatchObject({ line: 3, column: 3, position: 13 });
+    expect(error.message).toBe("Line 3, column 3: Expected ',' or '}' but found '\"'");
+  });
+
+  test('reports trailing commas and unquoted keys', () => {
+    expect(parseJsonText('{"a": 1,}').error.message).toBe(
+      "Line 1, column 9: Expected a property name in double quotes but found '}'"
+    );
+    expect(parseJsonText('{a: 1}').error.message).toMatch(/column 2: Expected a property name/);
+  });
+
+  test('reports unterminated strings where they start', () => {
+    expect(parseJsonText('{"a": "text\n}').error).toMatchObject({ line: 1, column: 7 });
+  });
+
+  test('reports truncated input and extra text', () => {
+    expect(parseJsonText('[1, 2').error.message).toMatch(/found end of input/);
+    expect(parseJsonText('{} {}').error.message).toBe("Line 1, column 4: Unexpected '{' after the end of the JSON");
+  });
+
+  test('reports invalid escapes and numbers', () => {
+    expect(parseJsonText('"\\x"').error.message).toMatch(/Invalid escape/);
+    expect(parseJsonText('[01]').error.message).toMatch(/Expected ',' or ']'/);
+  });
+});
+
+describe('checkJsonText', () => {
+  const schema = { type: 'object', additionalProperties: { type: 'string' } };
+
+  test('uses the fallback for empty text', () => {
+    expect(checkJsonText('  ', { schema, fallback: [] })).toEqual({ value: [], error: null });
+  });
+
+  test('checks the value against the schema', () => {
+    expect(checkJsonText('{"a": "b"}', { schema })).toEqual({ value: { a: 'b' }, error: null });
+    expect(checkJsonText('{"a": 1}', { schema }).error).toEqual({ message: 'a must be text' });
+  });
+
+  test('reports syntax errors before schema errors', () => {
+    expect(checkJsonText('{"a": }', { schema }).error.line).toBe(1);
+  });
+});
+
+describe('tokenizeJson', () => {
+  test('tells keys from string values', () => {
+    expect(tokenizeJson('{"a": "b", "n": -1.5e3, "t": true}')).toEqual([
+      { type: 'punctuation', text: '{' },
+      { type: 'key', text: '"a"' },
+      { type: 'punctuation', text: ':' },
+      { type: 'text', text: ' ' },
+      { type: 'string', text: '"b"' },
+      { type: 'punctuation', text: ',' },
+      { type: 'text', text: ' ' },
+      { type: 'key', text: '"n"' },
+      { type: 'punctuation', text: ':' },
+      { type: 'text', text: ' ' },
+      { type: 'number', text: '-1.5e3' },
+      { type: 'punctuation', text: ',' },
+      { type: 'text', text: ' ' },
+      { type: 'key', text: '"t"' },
+      { type: 'punctuation', text: ':' },
+      { type: 'text', text: ' ' },
+      { type: 'literal', text: 'true' },
+      { type: 'punctuation', text: '}' },
+    ]);
+  });
+
+  test('keeps every character of invalid text', () => {
+    const text = '{\n  "a": "open\n  b: nope, \'x\' 12abc\n';
+
+    expect(tokenizeJson(text).map(token => token.text).join('')).toBe(text);
+  });
+});
+
+test('getLineColumn counts from 1', () => {
+  expect(getLineColumn('ab\ncd', 4)).toEqual({ line: 2, column: 2 });
+});
@@ -0,0 +1,107 @@
+import { toCsv } from './csv';
+
+/**
+ * Link check results of URL resources
+ *
+ * The NDP-EP API fetches each URL and reports what it found; this module turns
+ * those reports into one result shape, and filters and exports the broken
+ * links report.
+ */
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  BROKEN: 'broken',
+  UNREACHABLE: 'unreachable',
+  UNKNOWN: 'unknown'
+};
+
+// Badge label and status color for each link status
+export const LINK_STATUS_BADGES = {
+  [LINK_STATUS.OK]: { label: 'OK', color: 'status-success' },
+  [LINK_STATUS.REDIRECTED]: { label: 'Redirected', color: 'status-warning' },
+  [LINK_STATUS.BROKEN]: { label: 'Broken', color: 'status-error' },
+  [LINK_STATUS.UNREACHABLE]: { label: 'Unreachable', color: 'status-error' },
+  [LINK_STATUS.UNKNOWN]: { label: 'Not checked', color: 'status-info' }
+};
+
+// Statuses listed in the broken links report by default
+export const BROKEN_LINK_STATUSES = [LINK_STATUS.BROKEN, LINK_STATUS.UNREACHABLE];
+
+const pick = (object, ...keys) => keys.map(key => object?.[key]).find(value => value !== undefined && value !== null);
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === '' || value === null || value === undefined || !Number.isFinite(number) ? null : number;
+};
+
+/**
+ * Decide the link status from the final HTTP status
+ * @param {Object} check - { httpStatus, redirects, error }
+ * @returns {string} One of LINK_STATUS
+ */
+export const toLinkStatus = ({ httpStatus, redirects = 0, error }) => {
+  if (!httpStatus) return error ? LINK_STATUS.UNREACHABLE : LINK_STATUS.UNKNOWN;
+  if (httpStatus >= 400) return LINK_STATUS.BROKEN;
+  if (httpStatus >= 300 || redirects > 0) return LINK_STATUS.REDIRECTED;
+  return LINK_STATUS.OK;
+};
+
+/**
+ * Turn a link check response into a result
+ * Accepts snake_case or camelCase fields; redirects may be a count or the list of hops.
+ *
+ * @param {Object} data - Response body of the link check proxy
+ * @param {Object} [measured] - { latency } round trip in milliseconds, used when the API does not time the request
+ * @returns {Object} { status, httpStatus, redirects, finalUrl, contentType, contentLength, responseTime, error }
+ */
+export const toLinkCheckResult = (data, { latency = null } = {}) => {
+  const redirectList = pick(data, 'redirects', 'history');
+  const redirects = Array.isArray(redirectList) ? redirectList.length : toNumber(redirectList) || 0;
+  const headers = data?.headers || {};
+
+  const result = {
+    httpStatus: toNumber(pick(data, 'status_code', 'statusCode', 'status')),
+    redirects,
+    finalUrl: pick(data, 'final_url', 'finalUrl', 'url') || null,
+    contentType: pick(data, 'content_type', 'contentType') || headers['content-type'] || null,
+    contentLength: toNumber(pick(data, 'content_length', 'contentLength') ?? headers['content-length']),
+    responseTime: toNumber(pick(data, 'elapsed_ms', 'response_time', 'responseTime')) ?? latency,
+    error: pick(data, 'error', 'detail') || null
+  };
+  return { status: toLinkStatus(result), ...result };
+};
+
+/**
+ * Filter report entries by status and by a text found in the name, title or URL
+ * @param {Array} entries - [{ name, title, url, status, ... }]
+ * @param {Object} [filters] - { statuses: LINK_STATUS values to keep (all when empty), query }
+ */
+export const filterLinkReport = (entries, { statuses = [], query = '' } = {}) => {
+  const text = query.trim().toLowerCase();
+  return entries.filter(entry => (
+    (statuses.length === 0 || statuses.includes(entry.status)) &&
+    (!text || [entry.name, entry.title, entry.url].some(value => String(value || '').toLowerCase().includes(text)))
+  ));
+};
+
+/**
+ * CSV of a link report
+ */
+export const buildLinkReportCsv = (entries) => toCsv([
+  ['name', 'title', 'url', 'status', 'http_status', 'redirects', 'final_url', 'content_type', 'content_length', 'response_time_ms', 'error', 'checked_at'],
+  ...entries.map(entry => [
+    entry.name,
+    entry.title,
+    entry.url,
+    entry.status,
+    entry.httpStatus,
+    entry.redirects,
+    entry.finalUrl,
+    entry.contentType,
+    entry.contentLength,
+    entry.responseTime,
+    entry.error,
+    entry.checkedAt ? new Date(entry.checkedAt).toISOString() : ''
+  ])
+]);
@@ -0,0 +1,71 @@
+import { toLinkStatus, toLinkCheckResult, filterLinkReport, buildLinkReportCsv, LINK_STATUS } from './linkCheck';
+
+describe('toLinkStatus', () => {
+  test('classifies by the final HTTP status', () => {
+    expect(toLinkStatus({ httpStatus: 200 })).toBe(LINK_STATUS.OK);
+    expect(toLinkStatus({ httpStatus: 200, redirects: 2 })).toBe(LINK_STATUS.REDIRECTED);
+    expect(toLinkStatus({ httpStatus: 301 })).toBe(LINK_STATUS.REDIRECTED);
+    expect(toLinkStatus({ httpStatus: 404 })).toBe(LINK_STATUS.BROKEN);
+    expect(toLinkStatus({ httpStatus: 503 })).toBe(LINK_STATUS.BROKEN);
+  });
+
+  test('tells failed requests from missing results', () => {
+    expect(toLinkStatus({ httpStatus: null, error: 'Name or service not known' })).toBe(LINK_STATUS.UNREACHABLE);
+    expect(toLinkStatus({ httpStatus: null })).toBe(LINK_STATUS.UNKNOWN);
+  });
+});
+
+describe('toLinkCheckResult', () => {
+  test('reads a snake_case proxy response', () => {
+    expect(toLinkCheckResult({
+      status_code: 200,
+      final_url: 'https://example.org/data.csv',
+      redirects: ['http://example.org/data.csv'],
+      content_type: 'text/csv',
+      content_length: '2048',
+      elapsed_ms: 120
+    }, { latency: 300 })).toEqual({
+      status: LINK_STATUS.REDIRECTED,
+      httpStatus: 200,
+      redirects: 1,
+      finalUrl: 'https://example.org/data.csv',
+      contentType: 'text/csv',
+      contentLength: 2048,
+      responseTime: 120,
+      error: null
+    });
+  });
+
+  test('falls back to headers and the measured latency', () => {
+    const result = toLinkCheckResult({ statusCode: 404, headers: { 'content-type': 'text/html' } }, { latency: 85 });
+    expect(result).toMatchObject({ status: LINK_STATUS.BROKEN, contentType: 'text/html', contentLength: null, responseTime: 85, redirects: 0 });
+  });
+
+  test('reports unreachable hosts', () => {
+    expect(toLinkCheckResult({ error: 'Connection timed out' })).toMatchObject({
+      status: LINK_STATUS.UNREACHABLE,
+      httpStatus: null,
+      error: 'Connection timed out'
+    });
+  });
+});
+
+const entries = [
+  { name: 'river-levels', title: 'River Levels', url: 'https://a.org/x', status: LINK_STATUS.BROKEN, httpStatus: 404, redirects: 0, checkedAt: Date.UTC(2024, 4, 1) },
+  { name: 'rainfall', title: 'Rainfall', url: 'https://b.org/y', status: LINK_STATUS.OK, httpStatus: 200, redirects: 0 },
+  { name: 'soil', title: 'Soil Moisture', url: 'https://dead.host/z', status: LINK_STATUS.UNREACHABLE, error: 'DNS failure' }
+];
+
+test('filters the report by status and text', () => {
+  expect(filterLinkReport(entries).length).toBe(3);
+  expect(filterLinkReport(entries, { statuses: [LINK_STATUS.BROKEN, LINK_STATUS.UNREACHABLE] }).map(entry => entry.name))
+    .toEqual(['river-levels', 'soil']);
+  expect(filterLinkReport(entries, { query: 'DEAD.host' }).map(entry => entry.name)).toEqual(['soil']);
+  expect(filterLinkReport(entries, { statuses: [LINK_STATUS.OK], query: 'river' })).toEqual([]);
+});
+
+test('exports the report as CSV', () => {
+  const lines = buildLinkReportCsv(entries.slice(0, 1)).split('\r\n');
+  expect(lines[0]).toBe('name,title,url,status,http_status,redirects,final_url,content_type,content_length,response_time_ms,error,checked_at');
+  expect(lines[1]).toBe('river-levels,River Levels,https://a.org/x,broken,404,0,,,,,,2024-05-01T00:00:00.000Z');
+});
@@ -0,0 +1,52 @@
+/**
+ * Helpers for the Dashboard system metrics
+ */
+
+// Usage bands shared by the metric cards and the chart threshold lines
+export const METRIC_THRESHOLDS = { warning: 50, critical: 80 };
+
+export const METRIC_COLORS = {
+  normal: '#059669', // Green
+  warning: '#ca8a04', // Yellow
+  critical: '#dc2626', // Red
+  unknown: '#94a3b8'
+};
+
+/**
+ * Parse a metric such as 42.5 or "42.5%" into a number
+ * @returns {number|null} Null for missing or invalid values
+ */
+export const parsePercentage = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numValue = parseFloat(value.toString().replace('%', ''));
+  return Number.isNaN(numValue) ? null : numValue;
+};
+
+/**
+ * Get the band color for a usage percentage
+ */
+export const getMetricColor = (value) => {
+  const numValue = parsePercentage(value);
+  if (numValue === null) return METRIC_COLORS.unknown;
+  if (numValue < METRIC_THRESHOLDS.warning) return METRIC_COLORS.normal;
+  if (numValue < METRIC_THRESHOLDS.critical) return METRIC_COLORS.warning;
+  return METRIC_COLORS.critical;
+};
+
+/**
+ * Add a metrics response to a rolling history, dropping the oldest samples
+ * @param {Array<Object>} history - Previous samples ({ time, cpu, memory, disk })
+ * @param {Object} metrics - Response of statusAPI.getMetrics
+ * @param {number} time - When the response was received (ms since epoch)
+ * @param {number} limit - Maximum number of samples kept
+ * @returns {Array<Object>} New history
+ */
+export const appendMetricsSample = (history, metrics, time, limit) => {
+  const sample = {
+    time,
+    cpu: parsePercentage(metrics?.cpu),
+    memory: parsePercentage(metrics?.memory),
+    disk: parsePercentage(metrics?.disk)
+  };
+  return [...history, sample].slice(-limit);
+};
@@ -0,0 +1,40 @@
+import { parsePercentage, getMetricColor, appendMetricsSample, METRIC_COLORS } from './metrics';
+
+describe('parsePercentage', () => {
+  test('accepts numbers and strings with a percent sign', () => {
+    expect(parsePercentage(42.5)).toBe(42.5);
+    expect(parsePercentage('73%')).toBe(73);
+    expect(parsePercentage(0)).toBe(0);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parsePercentage(undefined)).toBeNull();
+    expect(parsePercentage('')).toBeNull();
+    expect(parsePercentage('N/A')).toBeNull();
+  });
+});
+
+describe('getMetricColor', () => {
+  test('uses the 50% and 80% bands', () => {
+    expect(getMetricColor(49.9)).toBe(METRIC_COLORS.normal);
+    expect(getMetricColor('50%')).toBe(METRIC_COLORS.warning);
+    expect(getMetricColor(79)).toBe(METRIC_COLORS.warning);
+    expect(getMetricColor(80)).toBe(METRIC_COLORS.critical);
+    expect(getMetricColor('N/A')).toBe(METRIC_COLORS.unknown);
+  });
+});
+
+describe('appendMetricsSample', () => {
+  test('keeps the most recent samples up to the limit', () => {
+    let history = [];
+    for (let time = 1; time <= 5; time++) {
+      history = appendMetricsSample(history, { cpu: time * 10, memory: '20%', disk: null }, time, 3);
+    }
+
+    expect(history).toEqual([
+      { time: 3, cpu: 30, memory: 20, disk: null },
+      { time: 4, cpu: 40, memory: 20, disk: null },
+      { time: 5, cpu: 50, memory: 20, disk: null }
+    ]);
+  });
+});
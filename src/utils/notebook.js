@@ -0,0 +1,204 @@
+import { RESOURCE_TYPES, classifyResource, isS3Url } from './classifyResource';
+import { getS3Location, parseS3Url } from './s3Location';
+import { toS3Uri } from './s3Browser';
+
+/**
+ * Jupyter notebook generation for catalog resources
+ *
+ * Builds an nbformat 4 notebook whose code cell loads the resources of a
+ * dataset: pandas for tabular formats, fsspec for S3 objects and requests
+ * for anything else on the web. Objects of S3 resources are read by s3:// URL
+ * with the endpoint and region of their storage location.
+ */
+
+// Formats pandas can read directly, mapped to the reader function
+const PANDAS_READERS = {
+  csv: 'read_csv',
+  tsv: 'read_csv',
+  json: 'read_json',
+  parquet: 'read_parquet',
+  xlsx: 'read_excel',
+  xls: 'read_excel'
+};
+
+// JSON string literals are valid Python string literals
+const toPython = (value) => JSON.stringify(String(value ?? ''));
+
+// Catalog text in a Python comment must stay on one line, or the rest would run as code
+const toComment = (value) => String(value ?? '').replace(/[\r\n\v\f\u0085\u2028\u2029]+/g, ' ');
+
+const toSource = (lines) => lines.map((line, index) => (index < lines.length - 1 ? `${line}\n` : line));
+
+const markdownCell = (lines) => ({ cell_type: 'markdown', metadata: {}, source: toSource(lines) });
+
+const codeCell = (lines) => ({
+  cell_type: 'code',
+  metadata: {},
+  execution_count: null,
+  outputs: [],
+  source: toSource(lines)
+});
+
+/**
+ * Get the format of a resource, from its format field or the URL extension
+ */
+const getFormat = (resource) => {
+  const format = String(resource.format || '').trim().toLowerCase();
+  if (format) return format;
+  const match = String(resource.url || '').split('?')[0].match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * fsspec storage options for the S3 location of a dataset
+ * @returns {Object|null} { client_kwargs: { endpoint_url, region_name } }, null for the default AWS setup
+ */
+const toStorageOptions = ({ endpoint, region }) => {
+  const clientKwargs = {};
+  if (endpoint) clientKwargs.endpoint_url = endpoint;
+  if (region) clientKwargs.region_name = region;
+  return Object.keys(clientKwargs).length > 0 ? { client_kwargs: clientKwargs } : null;
+};
+
+/**
+ * URL to read each resource from
+ * Resources of S3 resources are read by s3:// URL (path-style URLs below the
+ * endpoint included), so s3fs uses the endpoint and region of the location.
+ *
+ * @returns {Array} [{ resource, url, s3 }] where s3 marks reads through s3fs with the storage options
+ */
+const getReadTargets = (dataset, resources) => {
+  if (classifyResource(dataset) !== RESOURCE_TYPES.S3) {
+    return resources.map(resource => ({ resource, url: resource.url, s3: false }));
+  }
+
+  const location = getS3Location(dataset);
+  return resources.map(resource => {
+    const parsed = parseS3Url(resource.url, location.endpoint);
+    if (parsed) return { resource, url: toS3Uri(parsed.bucket, parsed.key), s3: true };
+    // A single resource whose URL is not an S3 URL is the object of the location extras
+    if (resources.length === 1 && location.source === 'extras' && location.key) {
+      return { resource, url: toS3Uri(location.bucket, location.key), s3: true };
+    }
+    return { resource, url: resource.url, s3: false };
+  });
+};
+
+/**
+ * Python lines that load one resource into `variable`
+ * @param {Object} target - From getReadTargets
+ * @param {boolean} withOptions - Pass storage_options to s3fs reads
+ */
+const loadResourceLines = ({ resource, url, s3 }, variable, withOptions) => {
+  const format = getFormat(resource);
+  const reader = PANDAS_READERS[format];
+  const options = s3 && withOptions;
+  const readerArgs = (format === 'tsv' ? ', sep="\\t"' : '') + (options ? ', storage_options=storage_options' : '');
+
+  if (reader) {
+    // pandas reads s3:// URLs through s3fs
+    return [`${variable} = pd.${reader}(${toPython(url)}${readerArgs})`, `${variable}.head()`];
+  }
+
+  if (s3 || isS3Url(url)) {
+    return [
+      `with fsspec.open(${toPython(url)}, "rb"${options ? ', **storage_options' : ''}) as f:`,
+      `    ${variable} = f.read()`,
+      `print(len(${variable}), "bytes")`
+    ];
+  }
+
+  return [
+    `response = requests.get(${toPython(url)}, timeout=60)`,
+    'response.raise_for_status()',
+    `${variable} = response.json() if "json" in response.headers.get("content-type", "") else response.content`
+  ];
+};
+
+/**
+ * Build a notebook that loads a dataset's resources
+ * @param {Object} dataset - CKAN package as returned by the search endpoint
+ * @param {Object} [options] - { server } catalog the dataset was listed from
+ * @returns {Object} nbformat 4 notebook
+ */
+export const buildResourceNotebook = (dataset, { server } = {}) => {
+  const resources = (Array.isArray(dataset.resources) ? dataset.resources : []).filter(resource => resource.url);
+
+  const title = dataset.title || dataset.name || 'Untitled dataset';
+  const header = [
+    `# ${title}`,
+    '',
+    `- **Name:** \`${dataset.name || ''}\``,
+    `- **ID:** \`${dataset.id || ''}\``,
+    `- **Type:** ${classifyResource(dataset)}`
+  ];
+  if (server) header.push(`- **Catalog:** ${server}`);
+  if (dataset.notes) header.push('', dataset.notes);
+
+  const cells = [markdownCell(header)];
+
+  if (resources.length === 0) {
+    cells.push(codeCell(['# This dataset has no resources with a URL to load yet']));
+  } else {
+    const targets = getReadTargets(dataset, resources);
+    const needs = new Set();
+    targets.forEach(({ resource, url, s3 }) => {
+      if (PANDAS_READERS[getFormat(resource)]) needs.add('pandas');
+      else if (s3 || isS3Url(url)) needs.add('fsspec');
+      else needs.add('requests');
+    });
+
+    const imports = [];
+    if (needs.has('pandas')) imports.push('import pandas as pd');
+    if (needs.has('fsspec')) imports.push('import fsspec');
+    if (needs.has('requests')) imports.push('import requests');
+
+    const lines = [...imports];
+
+    const usesS3 = targets.some(target => target.s3);
+    const location = usesS3 ? getS3Location(dataset) : null;
+    // With a credential reference the options are written even when empty, so the user has a
+    // place to add the key and secret of that credential
+    const storageOptions = location && (toStorageOptions(location) || (location.credentialRef ? {} : null));
+    if (storageOptions) {
+      lines.push('', `storage_options = ${JSON.stringify(storageOptions)}`);
+    }
+    if (location?.credentialRef) {
+      lines.push(
+        '',
+        `# Credentials: ${toPython(location.credentialRef)} (credential reference of this resource).`,
+        '# Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY for it, or add "key" and "secret" to storage_options.'
+      );
+    }
+
+    if (targets.length === 1) {
+      lines.push('', ...loadResourceLines(targets[0], 'data', !!storageOptions));
+    } else {
+      lines.push('', 'data = {}');
+      targets.forEach((target, index) => {
+        const key = target.resource.name || `resource_${index + 1}`;
+        lines.push('', `# ${toComment(key)}`, ...loadResourceLines(target, `data[${toPython(key)}]`, !!storageOptions));
+      });
+    }
+    cells.push(codeCell(lines));
+  }
+
+  return {
+    cells,
+    metadata: {
+      kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+      language_info: { name: 'python' },
+      ndp_ep: { dataset_id: dataset.id || null, dataset_name: dataset.name || null, server: server || null }
+    },
+    nbformat: 4,
+    nbformat_minor: 4
+  };
+};
+
+/**
+ * File name for a dataset's notebook
+ */
+export const getNotebookFilename = (dataset) => {
+  const base = String(dataset.name || dataset.id || 'dataset').replace(/[^a-z0-9_-]+/gi, '_');
+  return `${base}.ipynb`;
+};
@@ -0,0 +1,113 @@
+import { buildResourceNotebook, getNotebookFilename } from './notebook';
+
+const codeOf = (notebook) => notebook.cells.find(cell => cell.cell_type === 'code').source.join('');
+
+describe('buildResourceNotebook', () => {
+  test('loads a single CSV URL with pandas', () => {
+    const notebook = buildResourceNotebook({
+      id: 'abc',
+      name: 'air_quality',
+      title: 'Air Quality',
+      resources: [{ url: 'https://data.example.org/air.csv', format: 'CSV' }]
+    }, { server: 'local' });
+
+    expect(notebook.nbformat).toBe(4);
+    expect(notebook.cells[0].source.join('')).toContain('# Air Quality');
+    expect(notebook.cells[0].source.join('')).toContain('**Catalog:** local');
+    expect(codeOf(notebook)).toBe([
+      'import pandas as pd',
+      '',
+      'data = pd.read_csv("https://data.example.org/air.csv")',
+      'data.head()'
+    ].join('\n'));
+  });
+
+  test('reads S3 objects of unknown format with fsspec', () => {
+    const notebook = buildResourceNotebook({
+      name: 'raw_images',
+      resources: [{ url: 's3://ndp-bucket/images/archive.zip' }]
+    });
+
+    expect(codeOf(notebook)).toContain('import fsspec');
+    expect(codeOf(notebook)).toContain('with fsspec.open("s3://ndp-bucket/images/archive.zip", "rb") as f:');
+  });
+
+  test('reads S3 resources on other endpoints with their storage options', () => {
+    const notebook = buildResourceNotebook({
+      name: 'minio_readings',
+      extras: [
+        { key: 's3_endpoint', value: 'https://minio.example.org' },
+        { key: 's3_region', value: 'us-east-1' },
+        { key: 's3_bucket', value: 'ndp' },
+        { key: 's3_key', value: 'runs/42/readings.csv' },
+        { key: 's3_credential_ref', value: 'vault:minio-readers' }
+      ],
+      resources: [{ url: 'https://minio.example.org/ndp/runs/42/readings.csv', format: 'CSV' }]
+    });
+
+    const code = codeOf(notebook);
+    expect(code).toContain('storage_options = {"client_kwargs":{"endpoint_url":"https://minio.example.org","region_name":"us-east-1"}}');
+    expect(code).toContain('# Credentials: "vault:minio-readers"');
+    expect(code).toContain('data = pd.read_csv("s3://ndp/runs/42/readings.csv", storage_options=storage_options)');
+  });
+
+  test('passes the storage options to fsspec for other S3 objects', () => {
+    const notebook = buildResourceNotebook({
+      name: 'osn_archive',
+      extras: { s3_endpoint: 'https://sdsc.osn.xsede.org', s3_bucket: 'ndp', s3_key: 'archive.zip' },
+      resources: [{ url: 's3://ndp/archive.zip' }]
+    });
+
+    expect(codeOf(notebook)).toContain('with fsspec.open("s3://ndp/archive.zip", "rb", **storage_options) as f:');
+  });
+
+  test('loads every resource of a dataset into a dict', () => {
+    const notebook = buildResourceNotebook({
+      name: 'weather',
+      resources: [
+        { name: 'stations', url: 'https://data.example.org/stations.json' },
+        { name: 'readme', url: 'https://data.example.org/README' }
+      ]
+    });
+    const code = codeOf(notebook);
+
+    expect(code).toContain('import pandas as pd\nimport requests');
+    expect(code).toContain('data["stations"] = pd.read_json("https://data.example.org/stations.json")');
+    expect(code).toContain('response = requests.get("https://data.example.org/README", timeout=60)');
+  });
+
+  test('keeps multi-line resource names inside their comment', () => {
+    const notebook = buildResourceNotebook({
+      name: 'tricky',
+      resources: [
+        { name: 'a\nimport os; os.system("echo pwned")', url: 'https://data.example.org/a.csv' },
+        { name: 'b\r\nprint(1)', url: 'https://data.example.org/b.csv' }
+      ]
+    });
+    const lines = codeOf(notebook).split('\n');
+
+    expect(lines).toContain('# a import os; os.system("echo pwned")');
+    expect(lines).toContain('# b print(1)');
+    expect(lines.some(line => line.startsWith('import os') || line.startsWith('print('))).toBe(false);
+    expect(lines).toContain('data["a\\nimport os; os.system(\\"echo pwned\\")"] = pd.read_csv("https://data.example.org/a.csv")');
+  });
+
+  test('escapes quotes in URLs', () => {
+    const notebook = buildResourceNotebook({ name: 'odd', resources: [{ url: 'https://x.example.org/a"b' }] });
+
+    expect(codeOf(notebook)).toContain('requests.get("https://x.example.org/a\\"b", timeout=60)');
+  });
+
+  test('adds a placeholder cell for datasets without resources', () => {
+    const notebook = buildResourceNotebook({ name: 'empty', resources: [] });
+
+    expect(codeOf(notebook)).toContain('no resources');
+  });
+});
+
+describe('getNotebookFilename', () => {
+  test('uses a file-system safe dataset name', () => {
+    expect(getNotebookFilename({ name: 'air quality/2024' })).toBe('air_quality_2024.ipynb');
+    expect(getNotebookFilename({ id: 'abc-123' })).toBe('abc-123.ipynb');
+  });
+});
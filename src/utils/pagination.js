@@ -0,0 +1,25 @@
+/**
+ * Helpers for paged resource listings
+ */
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+/**
+ * Normalize a paged search response into { items, total }
+ * APIs with paging return { count, results } already filtered and paged.
+ * Older APIs ignore the paging parameters and return every dataset as an array,
+ * which is filtered with `matches` and paged here instead.
+ *
+ * @param {Object|Array} data - Response body of searchAPI.searchPaged
+ * @param {Object} options - { matches, limit, offset }
+ */
+export const toPage = (data, { matches, limit, offset }) => {
+  if (Array.isArray(data)) {
+    const filtered = matches ? data.filter(matches) : data;
+    return { items: filtered.slice(offset, offset + limit), total: filtered.length };
+  }
+
+  const items = Array.isArray(data?.results) ? data.results : [];
+  return { items, total: Number.isFinite(data?.count) ? data.count : items.length };
+};
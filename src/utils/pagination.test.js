@@ -0,0 +1,25 @@
+import { toPage } from './pagination';
+
+describe('toPage', () => {
+  test('uses count and results from APIs that page on the server', () => {
+    const data = { count: 120, results: [{ id: 'a' }, { id: 'b' }] };
+
+    expect(toPage(data, { matches: () => false, limit: 2, offset: 50 })).toEqual({
+      items: [{ id: 'a' }, { id: 'b' }],
+      total: 120,
+    });
+  });
+
+  test('filters and pages a full list returned by older APIs', () => {
+    const data = Array.from({ length: 30 }, (_, index) => ({ id: index, kafka: index % 2 === 0 }));
+    const page = toPage(data, { matches: dataset => dataset.kafka, limit: 5, offset: 10 });
+
+    expect(page.total).toBe(15);
+    expect(page.items.map(item => item.id)).toEqual([20, 22, 24, 26, 28]);
+  });
+
+  test('handles empty and malformed responses', () => {
+    expect(toPage(null, { limit: 10, offset: 0 })).toEqual({ items: [], total: 0 });
+    expect(toPage({ results: [{ id: 1 }] }, { limit: 10, offset: 0 })).toEqual({ items: [{ id: 1 }], total: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Presigned download links for S3 objects
+ *
+ * The NDP-EP API signs the URL with the storage credentials, so anyone holding
+ * the link can download the object until it expires.
+ */
+
+// Link lifetimes offered to the user; S3 signatures are valid for at most 7 days
+export const PRESIGN_EXPIRY_OPTIONS = [
+  { label: '15 minutes', seconds: 15 * 60 },
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+  { label: '7 days', seconds: 7 * 24 * 60 * 60 }
+];
+
+export const DEFAULT_PRESIGN_EXPIRY = PRESIGN_EXPIRY_OPTIONS[1].seconds;
+
+/**
+ * Link and expiry time from a presign response
+ * Accepts a plain URL or { url|presigned_url, expires_at|expires_in }.
+ *
+ * @param {string|Object} data - Response body
+ * @param {number} expiresIn - Requested lifetime in seconds, used when the API does not say
+ * @param {Date} [requestedAt] - When the link was requested
+ * @returns {Object|null} { url, expiresAt: Date }, or null when the response has no URL
+ */
+export const toPresignedLink = (data, expiresIn, requestedAt = new Date()) => {
+  const url = typeof data === 'string' ? data : data?.url || data?.presigned_url;
+  if (!url) return null;
+
+  const expiresAtValue = data?.expires_at ? new Date(data.expires_at) : null;
+  const seconds = Number(data?.expires_in) || expiresIn;
+  const expiresAt = expiresAtValue && !Number.isNaN(expiresAtValue.getTime())
+    ? expiresAtValue
+    : new Date(requestedAt.getTime() + seconds * 1000);
+  return { url, expiresAt };
+};
+
+/**
+ * Whether a key names an object, not a folder or the whole bucket
+ */
+export const isObjectKey = (key) => !!key && !key.endsWith('/');
+
+/**
+ * File name to save an object as, e.g. "runs/42/readings.csv" -> "readings.csv"
+ */
+export const getObjectFileName = (key) => key.slice(key.lastIndexOf('/') + 1) || 'download';
@@ -0,0 +1,40 @@
+import { toPresignedLink, isObjectKey, getObjectFileName, PRESIGN_EXPIRY_OPTIONS } from './presign';
+
+describe('toPresignedLink', () => {
+  const requestedAt = new Date('2024-05-01T12:00:00Z');
+
+  test('reads the URL and expiry the API returns', () => {
+    expect(toPresignedLink({ url: 'https://s3/x?sig', expires_at: '2024-05-01T13:30:00Z' }, 3600, requestedAt)).toEqual({
+      url: 'https://s3/x?sig',
+      expiresAt: new Date('2024-05-01T13:30:00Z')
+    });
+    expect(toPresignedLink({ presigned_url: 'https://s3/x', expires_in: 60 }, 3600, requestedAt).expiresAt)
+      .toEqual(new Date('2024-05-01T12:01:00Z'));
+  });
+
+  test('uses the requested lifetime when the API does not say', () => {
+    expect(toPresignedLink('https://s3/x', 900, requestedAt)).toEqual({
+      url: 'https://s3/x',
+      expiresAt: new Date('2024-05-01T12:15:00Z')
+    });
+    expect(toPresignedLink({ url: 'https://s3/x', expires_at: 'soon' }, 900, requestedAt).expiresAt)
+      .toEqual(new Date('2024-05-01T12:15:00Z'));
+  });
+
+  test('returns null without a URL', () => {
+    expect(toPresignedLink({ detail: 'ok' }, 900)).toBeNull();
+    expect(toPresignedLink(null, 900)).toBeNull();
+  });
+});
+
+test('offers lifetimes up to the 7-day S3 limit', () => {
+  expect(Math.max(...PRESIGN_EXPIRY_OPTIONS.map(option => option.seconds))).toBe(604800);
+});
+
+test('tells objects from folders and names the downloaded file', () => {
+  expect(isObjectKey('runs/42/a.csv')).toBe(true);
+  expect(isObjectKey('runs/42/')).toBe(false);
+  expect(isObjectKey('')).toBe(false);
+  expect(getObjectFileName('runs/42/a.csv')).toBe('a.csv');
+  expect(getObjectFileName('a.csv')).toBe('a.csv');
+});
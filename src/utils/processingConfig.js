@@ -0,0 +1,149 @@
+import { validateSchema } from './jsonSchema';
+
+/**
+ * Structured editing of the "mapping" and "processing" settings of Kafka and URL resources
+ *
+ * mapping is a plain { source_field: target_field } object. processing depends on
+ * the file type; the fields below are the ones the NDP-EP API reads, any other
+ * keys are kept untouched so nothing is lost when a form is saved.
+ */
+
+// Delimiters offered in the CSV/TXT forms
+export const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+  { value: ' ', label: 'Space' }
+];
+
+const DELIMITER_FIELD = { name: 'delimiter', label: 'Delimiter', type: 'delimiter' };
+const HEADER_LINE_FIELD = { name: 'header_line', label: 'Header line', type: 'integer', placeholder: '1', help: 'Line number with the column names' };
+const START_LINE_FIELD = { name: 'start_line', label: 'Start line', type: 'integer', placeholder: '2', help: 'First line with data' };
+const DATA_KEY_FIELD = { name: 'data_key', label: 'Data path', type: 'text', placeholder: 'results.items', help: 'Dot-separated path to the records' };
+const INFO_KEY_FIELD = { name: 'info_key', label: 'Metadata path', type: 'text', placeholder: 'meta', help: 'Path to metadata kept with each record' };
+
+// Processing fields per file type; Kafka topics use the stream settings
+export const PROCESSING_FIELDS = {
+  CSV: [DELIMITER_FIELD, HEADER_LINE_FIELD, START_LINE_FIELD, { name: 'comment_char', label: 'Comment character', type: 'text', placeholder: '#' }],
+  TXT: [DELIMITER_FIELD, HEADER_LINE_FIELD, START_LINE_FIELD],
+  JSON: [DATA_KEY_FIELD, INFO_KEY_FIELD],
+  NetCDF: [
+    { name: 'variables', label: 'Variables', type: 'list', placeholder: 'temperature, salinity', help: 'Comma-separated variable names, empty for all' },
+    { name: 'group', label: 'Group', type: 'text', placeholder: '/', help: 'NetCDF group to read' }
+  ],
+  stream: [
+    DATA_KEY_FIELD,
+    INFO_KEY_FIELD,
+    { name: 'refresh_interval', label: 'Refresh interval (seconds)', type: 'integer', placeholder: '60', help: 'How often the source is polled' }
+  ]
+};
+
+/**
+ * Read a mapping or processing setting from dataset extras
+ * CKAN stores extras as strings, so JSON text is parsed; anything else becomes {}
+ */
+export const toSettingsObject = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+};
+
+/**
+ * Turn a mapping object into editable rows
+ * Values that are not strings are kept as JSON and can only be changed in the JSON view
+ */
+export const mappingToRows = (mapping) => Object.entries(mapping || {}).map(([field, target]) => ({
+  field,
+  target: typeof target === 'string' ? target : JSON.stringify(target),
+  raw: typeof target === 'string' ? undefined : target
+}));
+
+/**
+ * Turn mapping rows back into an object
+ * Blank rows are ignored; rows without a field name or with a repeated one are reported
+ * @returns {Object} { mapping, error }
+ */
+export const rowsToMapping = (rows) => {
+  const mapping = {};
+  for (const row of rows) {
+    const field = row.field.trim();
+    const target = row.target.trim();
+    if (!field && !target) continue;
+    if (!field) return { mapping, error: `Mapping target "${target}" has no source field` };
+    if (Object.hasOwn(mapping, field)) return { mapping, error: `Source field "${field}" is mapped twice` };
+    mapping[field] = row.raw !== undefined ? row.raw : target;
+  }
+  return { mapping, error: null };
+};
+
+/**
+ * Value shown in a processing form input
+ */
+export const getProcessingInputValue = (processing, field) => {
+  const value = processing?.[field.name];
+  if (value === undefined || value === null) return '';
+  if (field.type === 'list' && Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Store a processing form input, converting numbers and lists; empty inputs remove the key
+ * Integers that do not parse are stored as typed so validation can report them.
+ */
+export const setProcessingField = (processing, field, input) => {
+  const next = { ...processing };
+  const text = field.type === 'delimiter' ? input : input.trim();
+
+  if (text === '') {
+    delete next[field.name];
+  } else if (field.type === 'integer') {
+    next[field.name] = /^\d+$/.test(text) ? Number(text) : text;
+  } else if (field.type === 'list') {
+    next[field.name] = text.split(',').map(item => item.trim()).filter(Boolean);
+  } else {
+    next[field.name] = text;
+  }
+  return next;
+};
+
+const FIELD_SCHEMAS = {
+  delimiter: { type: 'string' },
+  integer: { type: 'integer', minimum: 0 },
+  text: { type: 'string' },
+  list: { type: 'array', items: { type: 'string' } }
+};
+
+/**
+ * JSON Schema of the processing settings of a file type
+ * Keys without a form field are allowed and not checked.
+ */
+export const getProcessingSchema = (fileType) => ({
+  title: 'Processing',
+  type: 'object',
+  properties: Object.fromEntries((PROCESSING_FIELDS[fileType] || []).map(field => [
+    field.name,
+    { ...FIELD_SCHEMAS[field.type], title: field.label }
+  ]))
+});
+
+/**
+ * Check processing settings against the fields of a file type
+ * @returns {string|null} First problem found
+ */
+export const validateProcessing = (processing, fileType) => {
+  const [schemaError] = validateSchema(processing, getProcessingSchema(fileType));
+  if (schemaError) return schemaError.message;
+
+  const { header_line: headerLine, start_line: startLine } = processing;
+  if (Number.isInteger(headerLine) && Number.isInteger(startLine) && startLine <= headerLine) {
+    return 'Start line must come after the header line';
+  }
+  return null;
+};
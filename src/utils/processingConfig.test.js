@@ -0,0 +1,100 @@
+import {
+  PROCESSING_FIELDS,
+  toSettingsObject,
+  mappingToRows,
+  rowsToMapping,
+  getProcessingInputValue,
+  setProcessingField,
+  validateProcessing,
+} from './processingConfig';
+
+const field = (fileType, name) => PROCESSING_FIELDS[fileType].find(item => item.name === name);
+
+describe('toSettingsObject', () => {
+  test('parses JSON text stored in extras', () => {
+    expect(toSettingsObject('{"delimiter": ";"}')).toEqual({ delimiter: ';' });
+    expect(toSettingsObject({ data_key: 'items' })).toEqual({ data_key: 'items' });
+  });
+
+  test('falls back to an empty object for anything else', () => {
+    expect(toSettingsObject(undefined)).toEqual({});
+    expect(toSettingsObject('not json')).toEqual({});
+    expect(toSettingsObject('[1, 2]')).toEqual({});
+  });
+});
+
+describe('mapping rows', () => {
+  test('round-trips a mapping', () => {
+    const mapping = { temp_c: 'temperature', ts: 'timestamp' };
+
+    expect(rowsToMapping(mappingToRows(mapping))).toEqual({ mapping, error: null });
+  });
+
+  test('keeps values that are not field names', () => {
+    const rows = mappingToRows({ location: { lat: 'latitude' } });
+
+    expect(rows[0].target).toBe('{"lat":"latitude"}');
+    expect(rowsToMapping(rows).mapping).toEqual({ location: { lat: 'latitude' } });
+  });
+
+  test('ignores blank rows and trims names', () => {
+    expect(rowsToMapping([{ field: ' a ', target: ' b ' }, { field: '', target: '' }])).toEqual({
+      mapping: { a: 'b' },
+      error: null,
+    });
+  });
+
+  test('reports rows without a source field and repeated fields', () => {
+    expect(rowsToMapping([{ field: '', target: 'b' }]).error).toMatch(/no source field/);
+    expect(rowsToMapping([{ field: 'a', target: 'b' }, { field: 'a', target: 'c' }]).error).toMatch(/mapped twice/);
+  });
+
+  test('accepts field names of object properties', () => {
+    expect(rowsToMapping([{ field: 'constructor', target: 'a' }, { field: 'toString', target: 'b' }])).toEqual({
+      mapping: { constructor: 'a', toString: 'b' },
+      error: null
+    });
+  });
+});
+
+describe('processing fields', () => {
+  test('converts whole numbers and lists', () => {
+    expect(setProcessingField({}, field('CSV', 'header_line'), '3')).toEqual({ header_line: 3 });
+    expect(setProcessingField({}, field('NetCDF', 'variables'), 'temp, , salt')).toEqual({ variables: ['temp', 'salt'] });
+  });
+
+  test('keeps invalid numbers as typed so they can be reported', () => {
+    const processing = setProcessingField({}, field('CSV', 'start_line'), '2a');
+
+    expect(processing).toEqual({ start_line: '2a' });
+    expect(validateProcessing(processing, 'CSV')).toBe('Start line must be a whole number');
+  });
+
+  test('removes empty inputs and keeps other keys', () => {
+    expect(setProcessingField({ delimiter: ',', custom: true }, field('CSV', 'delimiter'), '')).toEqual({ custom: true });
+  });
+
+  test('does not trim delimiters', () => {
+    expect(setProcessingField({}, field('CSV', 'delimiter'), '\t')).toEqual({ delimiter: '\t' });
+  });
+
+  test('shows lists as comma-separated text', () => {
+    expect(getProcessingInputValue({ variables: ['temp', 'salt'] }, field('NetCDF', 'variables'))).toBe('temp, salt');
+    expect(getProcessingInputValue({}, field('NetCDF', 'variables'))).toBe('');
+  });
+});
+
+describe('validateProcessing', () => {
+  test('accepts valid settings', () => {
+    expect(validateProcessing({ delimiter: ',', header_line: 1, start_line: 2 }, 'CSV')).toBeNull();
+    expect(validateProcessing({ anything: 'goes' }, '')).toBeNull();
+  });
+
+  test('requires the data to start after the header', () => {
+    expect(validateProcessing({ header_line: 2, start_line: 2 }, 'CSV')).toMatch(/after the header/);
+  });
+
+  test('rejects values that are not objects', () => {
+    expect(validateProcessing([], 'CSV')).toMatch(/JSON object/);
+  });
+});
@@ -0,0 +1,291 @@
+import { RESOURCE_TYPES, classifyResource, getExtras } from './classifyResource';
+import { toSettingsObject } from './processingConfig';
+import { normalizePackage } from './catalogExport';
+
+/**
+ * Promotion of packages between catalogs (local → pre_ckan → global)
+ *
+ * A package read from one catalog is turned back into the create request of
+ * its type, so the copy on the target goes through the same endpoint and
+ * validation as a package created there by hand.
+ */
+
+// Order packages move through the catalogs
+export const PROMOTION_ORDER = ['local', 'pre_ckan', 'global'];
+
+// Extras that record where a promoted copy came from
+export const PROVENANCE_KEYS = ['promoted_from', 'promoted_from_id', 'promoted_at'];
+
+// Extras each type sends as request fields instead of extras
+const REQUEST_FIELD_EXTRAS = {
+  [RESOURCE_TYPES.KAFKA]: ['kafka_topic', 'topic', 'kafka_host', 'host', 'kafka_port', 'port', 'mapping', 'processing'],
+  [RESOURCE_TYPES.URL]: ['mapping', 'processing'],
+  [RESOURCE_TYPES.SERVICE]: ['service_url', 'service_type', 'health_check_url', 'documentation_url']
+};
+
+const FILE_TYPES = ['stream', 'CSV', 'TXT', 'JSON', 'NetCDF'];
+
+// Catalog whose dataset endpoint needs the extras below
+export const PRE_CKAN = 'pre_ckan';
+
+// Pre-CKAN dataset extras about people and licensing; they cannot be derived
+// from the package, so the user fills in the ones it does not have
+export const PRE_CKAN_REQUIRED_EXTRAS = [
+  { key: 'publisherName', label: 'Publisher name' },
+  { key: 'publisherEmail', label: 'Publisher email', type: 'email' },
+  { key: 'creatorName', label: 'Creator name' },
+  { key: 'creatorEmail', label: 'Creator email', type: 'email' },
+  { key: 'pocName', label: 'Point of contact name' },
+  { key: 'pocEmail', label: 'Point of contact email', type: 'email' },
+  { key: 'otherLicense', label: 'License' }
+];
+
+// Resource mimetypes for common formats; Pre-CKAN requires one on every resource
+const MIME_TYPES = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  txt: 'text/plain',
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  xml: 'application/xml',
+  html: 'text/html',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  netcdf: 'application/x-netcdf',
+  parquet: 'application/vnd.apache.parquet',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Extras added when a dataset is promoted to Pre-CKAN
+const PRE_CKAN_DERIVED_EXTRAS = ['uploadType', 'dataType', 'purpose', 'issueDate', 'lastUpdateDate'];
+
+const toDate = (value) => (value ? String(value).slice(0, 10) : '');
+
+/**
+ * Add the metadata Pre-CKAN requires to a dataset create request
+ * Upload type, data type, purpose, dates and resource descriptions and
+ * mimetypes are derived; PRE_CKAN_REQUIRED_EXTRAS are only taken from the
+ * package (see getMissingTargetFields).
+ */
+const withPreCkanMetadata = (data, pkg, promotedAt) => {
+  const today = toDate(promotedAt);
+  const sourceResources = pkg.resources || [];
+
+  return {
+    ...data,
+    extras: {
+      uploadType: 'manual',
+      dataType: 'dataset',
+      purpose: 'Data sharing and analysis',
+      issueDate: toDate(pkg.metadata_created) || today,
+      lastUpdateDate: toDate(pkg.metadata_modified) || today,
+      ...data.extras
+    },
+    resources: (data.resources || []).map((resource, index) => ({
+      ...resource,
+      description: resource.description || `${resource.name} of ${pkg.title || pkg.name}`,
+      mimetype: sourceResources[index]?.mimetype ||
+        MIME_TYPES[String(resource.format || '').toLowerCase()] ||
+        'application/octet-stream'
+    }))
+  };
+};
+
+/**
+ * Catalog a package is usually promoted to: the next one in PROMOTION_ORDER,
+ * or the first other catalog when the source is the last one
+ */
+export const getDefaultTarget = (source) => {
+  const next = PROMOTION_ORDER[PROMOTION_ORDER.indexOf(source) + 1];
+  return next && PROMOTION_ORDER.includes(source) ? next : PROMOTION_ORDER.find(server => server !== source);
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '' ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// Drop empty fields, like the page forms do before sending
+const withoutEmpty = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => !isEmptyValue(value)));
+
+const toPort = (value) => (/^\d+$/.test(String(value ?? '')) ? Number(value) : value);
+
+/**
+ * Build the create request that recreates a package on another catalog
+ *
+ * @param {Object} pkg - CKAN package read from the source catalog
+ * @param {Object} options - { source: catalog the package is read from, target: catalog it goes to,
+ *   promotedAt: ISO timestamp }; datasets promoted to Pre-CKAN get the metadata it requires
+ * @returns {Object} { type, data } where type is a RESOURCE_TYPES value
+ */
+export const buildPromotionRequest = (pkg, { source, target, promotedAt = new Date().toISOString() }) => {
+  const type = classifyResource(pkg);
+  const allExtras = getExtras(pkg);
+  const reserved = [...(REQUEST_FIELD_EXTRAS[type] || []), ...PROVENANCE_KEYS];
+  const extras = {
+    ...Object.fromEntries(Object.entries(allExtras).filter(([key]) => !reserved.includes(key))),
+    promoted_from: source,
+    promoted_from_id: pkg.id,
+    promoted_at: promotedAt
+  };
+  const { owner_org: ownerOrg, resources } = normalizePackage(pkg);
+  const firstResource = resources[0];
+
+  if (type === RESOURCE_TYPES.KAFKA) {
+    return {
+      type,
+      data: withoutEmpty({
+        dataset_name: pkg.name,
+        dataset_title: pkg.title,
+        owner_org: ownerOrg,
+        kafka_topic: allExtras.kafka_topic || allExtras.topic,
+        kafka_host: allExtras.kafka_host || allExtras.host,
+        kafka_port: toPort(allExtras.kafka_port || allExtras.port),
+        dataset_description: pkg.notes,
+        extras,
+        mapping: toSettingsObject(allExtras.mapping),
+        processing: toSettingsObject(allExtras.processing)
+      })
+    };
+  }
+
+  if (type === RESOURCE_TYPES.URL) {
+    return {
+      type,
+      data: withoutEmpty({
+        resource_name: pkg.name,
+        resource_title: pkg.title,
+        owner_org: ownerOrg,
+        resource_url: firstResource?.url,
+        file_type: FILE_TYPES.includes(firstResource?.format) ? firstResource.format : undefined,
+        notes: pkg.notes,
+        extras,
+        mapping: toSettingsObject(allExtras.mapping),
+        processing: toSettingsObject(allExtras.processing)
+      })
+    };
+  }
+
+  if (type === RESOURCE_TYPES.S3) {
+    return {
+      type,
+      data: withoutEmpty({
+        resource_name: pkg.name,
+        resource_title: pkg.title,
+        owner_org: ownerOrg,
+        resource_s3: firstResource?.url,
+        notes: pkg.notes,
+        extras
+      })
+    };
+  }
+
+  if (type === RESOURCE_TYPES.SERVICE) {
+    return {
+      type,
+      data: withoutEmpty({
+        service_name: pkg.name,
+        service_title: pkg.title,
+        owner_org: 'services',
+        service_url: allExtras.service_url || firstResource?.url,
+        service_type: allExtras.service_type,
+        notes: pkg.notes,
+        extras,
+        health_check_url: allExtras.health_check_url,
+        documentation_url: allExtras.documentation_url
+      })
+    };
+  }
+
+  const data = withoutEmpty({
+    name: pkg.name,
+    title: pkg.title,
+    owner_org: ownerOrg,
+    notes: pkg.notes,
+    extras,
+    resources: resources.map(({ id, ...resource }) => withoutEmpty(resource))
+  });
+  return { type, data: target === PRE_CKAN ? withPreCkanMetadata(data, pkg, promotedAt) : data };
+};
+
+const isDatasetType = (type) => type === RESOURCE_TYPES.DATASET || type === RESOURCE_TYPES.UNCLASSIFIED;
+
+/**
+ * Fields the target catalog requires that a promotion request does not have
+ * @param {Object} request - { type, data } from buildPromotionRequest
+ * @param {string} target - Target catalog
+ * @returns {Object} { extras: PRE_CKAN_REQUIRED_EXTRAS entries to fill in, problems: messages the user must fix on the source }
+ */
+export const getMissingTargetFields = ({ type, data }, target) => {
+  if (target !== PRE_CKAN || !isDatasetType(type)) return { extras: [], problems: [] };
+
+  const problems = [];
+  if (!data.notes) problems.push('Pre-CKAN requires a description. Add one to the dataset first.');
+  if (!data.resources?.length) problems.push('Pre-CKAN requires at least one resource. Add one to the dataset first.');
+
+  return {
+    extras: PRE_CKAN_REQUIRED_EXTRAS.filter(({ key }) => isEmptyValue(data.extras?.[key])),
+    problems
+  };
+};
+
+/**
+ * Check the values entered for missing extras
+ * @returns {Object} { key: message } for every field that is empty or not a valid email
+ */
+export const validateSuppliedExtras = (fields, values) => Object.fromEntries(fields.map(({ key, label, type }) => {
+  const value = String(values[key] ?? '').trim();
+  if (!value) return [key, `${label} is required`];
+  if (type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return [key, `${label} must be an email address`];
+  return [key, null];
+}).filter(([, message]) => message));
+
+/**
+ * Add the values entered for missing extras to a promotion request
+ */
+export const withSuppliedExtras = ({ type, data }, values = {}) => {
+  const supplied = withoutEmpty(Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value).trim()])));
+  return { type, data: { ...data, extras: { ...data.extras, ...supplied } } };
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Compare a package with the copy already on the target catalog
+ * Ids, timestamps and provenance extras are expected to differ and are left out.
+ * Tags are left out too: the create requests have no tags field, so they are not copied.
+ * So are Pre-CKAN metadata extras the source does not have, which promotion added.
+ *
+ * @param {Object} source - Package on the source catalog
+ * @param {Object} target - Package with the same name on the target catalog
+ * @returns {Array} [{ field, source, target }] for every field that differs, as text
+ */
+export const diffPackages = (source, target) => {
+  const a = normalizePackage(source);
+  const b = normalizePackage(target);
+  const rows = [];
+
+  const compare = (field, left, right) => {
+    const sourceValue = formatValue(left);
+    const targetValue = formatValue(right);
+    if (sourceValue !== targetValue) rows.push({ field, source: sourceValue, target: targetValue });
+  };
+
+  compare('title', a.title, b.title);
+  compare('organization', a.owner_org, b.owner_org);
+  compare('description', a.notes, b.notes);
+
+  const addedByPromotion = [...PRE_CKAN_DERIVED_EXTRAS, ...PRE_CKAN_REQUIRED_EXTRAS.map(field => field.key)];
+  const keys = [...new Set([...Object.keys(a.extras), ...Object.keys(b.extras)])]
+    .filter(key => !PROVENANCE_KEYS.includes(key))
+    .filter(key => !(addedByPromotion.includes(key) && !(key in a.extras)))
+    .sort();
+  keys.forEach(key => compare(`extras.${key}`, a.extras[key], b.extras[key]));
+
+  const describeResources = (pkg) => pkg.resources.map(resource => `${resource.name || 'Unnamed'} <${resource.url}>`).join('\n');
+  compare('resources', describeResources(a), describeResources(b));
+
+  return rows;
+};
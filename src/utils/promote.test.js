@@ -0,0 +1,207 @@
+import {
+  buildPromotionRequest,
+  diffPackages,
+  getDefaultTarget,
+  getMissingTargetFields,
+  validateSuppliedExtras,
+  withSuppliedExtras,
+  PRE_CKAN_REQUIRED_EXTRAS
+} from './promote';
+import { RESOURCE_TYPES } from './classifyResource';
+
+const promotedAt = '2024-05-01T12:00:00.000Z';
+
+const kafkaTopic = {
+  id: 'k1',
+  name: 'sensor-stream',
+  title: 'Sensor stream',
+  owner_org: 'org-id',
+  organization: { name: 'sensors' },
+  notes: '',
+  extras: {
+    kafka_topic: 'readings',
+    kafka_host: 'broker',
+    kafka_port: '9092',
+    mapping: '{"temp": "temperature"}',
+    project: 'air'
+  },
+  resources: []
+};
+
+const dataset = {
+  id: 'd1',
+  name: 'air-quality',
+  title: 'Air Quality',
+  owner_org: 'sensors',
+  notes: 'Hourly readings',
+  extras: [{ key: 'version', value: '1' }, { key: 'promoted_from', value: 'local' }],
+  resources: [
+    { id: 'r1', name: 'Readings', url: 'https://example.com/a.csv', format: 'CSV' },
+    { id: 'r2', name: 'Stations', url: 'https://example.com/b.csv', format: 'CSV' }
+  ]
+};
+
+describe('getDefaultTarget', () => {
+  test('moves one catalog up the chain', () => {
+    expect(getDefaultTarget('local')).toBe('pre_ckan');
+    expect(getDefaultTarget('pre_ckan')).toBe('global');
+  });
+
+  test('picks another catalog from the last one', () => {
+    expect(getDefaultTarget('global')).toBe('local');
+  });
+});
+
+describe('buildPromotionRequest', () => {
+  test('rebuilds the Kafka create request', () => {
+    expect(buildPromotionRequest(kafkaTopic, { source: 'local', promotedAt })).toEqual({
+      type: RESOURCE_TYPES.KAFKA,
+      data: {
+        dataset_name: 'sensor-stream',
+        dataset_title: 'Sensor stream',
+        owner_org: 'sensors',
+        kafka_topic: 'readings',
+        kafka_host: 'broker',
+        kafka_port: 9092,
+        extras: {
+          project: 'air',
+          promoted_from: 'local',
+          promoted_from_id: 'k1',
+          promoted_at: promotedAt
+        },
+        mapping: { temp: 'temperature' }
+      }
+    });
+  });
+
+  test('rebuilds the dataset create request and replaces old provenance', () => {
+    const { type, data } = buildPromotionRequest(dataset, { source: 'pre_ckan', promotedAt });
+
+    expect(type).toBe(RESOURCE_TYPES.DATASET);
+    expect(data.extras).toEqual({
+      version: '1',
+      promoted_from: 'pre_ckan',
+      promoted_from_id: 'd1',
+      promoted_at: promotedAt
+    });
+    expect(data.resources).toEqual([
+      { name: 'Readings', url: 'https://example.com/a.csv', format: 'CSV' },
+      { name: 'Stations', url: 'https://example.com/b.csv', format: 'CSV' }
+    ]);
+  });
+
+  test('rebuilds the URL, S3 and service create requests', () => {
+    const url = { id: 'u1', name: 'feed', owner_org: 'sensors', resources: [{ url: 'https://example.com/feed.json', format: 'JSON' }] };
+    const s3 = { id: 's1', name: 'bucket-data', owner_org: 'sensors', resources: [{ url: 's3://bucket/data.csv' }] };
+    const service = {
+      id: 'v1',
+      name: 'tiles',
+      owner_org: 'services',
+      extras: { service_url: 'https://tiles.example.com', service_type: 'API' }
+    };
+
+    expect(buildPromotionRequest(url, { source: 'local', promotedAt }).data).toMatchObject({
+      resource_name: 'feed', resource_url: 'https://example.com/feed.json', file_type: 'JSON'
+    });
+    expect(buildPromotionRequest(s3, { source: 'local', promotedAt }).data).toMatchObject({
+      resource_name: 'bucket-data', resource_s3: 's3://bucket/data.csv'
+    });
+    expect(buildPromotionRequest(service, { source: 'local', promotedAt }).data).toEqual({
+      service_name: 'tiles',
+      owner_org: 'services',
+      service_url: 'https://tiles.example.com',
+      service_type: 'API',
+      extras: { promoted_from: 'local', promoted_from_id: 'v1', promoted_at: promotedAt }
+    });
+  });
+});
+
+describe('diffPackages', () => {
+  test('lists the fields that differ, ignoring ids and provenance', () => {
+    const copy = {
+      ...dataset,
+      id: 'other-id',
+      title: 'Air quality (old)',
+      extras: { version: '0', promoted_from: 'pre_ckan', owner: 'lab' },
+      resources: [dataset.resources[0]]
+    };
+
+    expect(diffPackages(dataset, copy)).toEqual([
+      { field: 'title', source: 'Air Quality', target: 'Air quality (old)' },
+      { field: 'extras.owner', source: '', target: 'lab' },
+      { field: 'extras.version', source: '1', target: '0' },
+      {
+        field: 'resources',
+        source: 'Readings <https://example.com/a.csv>\nStations <https://example.com/b.csv>',
+        target: 'Readings <https://example.com/a.csv>'
+      }
+    ]);
+  });
+
+  test('returns nothing for identical packages', () => {
+    expect(diffPackages(dataset, { ...dataset, id: 'copy' })).toEqual([]);
+  });
+
+  test('ignores tags, which promotion does not copy', () => {
+    expect(diffPackages({ ...dataset, tags: [{ name: 'air' }] }, { ...dataset, id: 'copy', tags: [] })).toEqual([]);
+  });
+});
+
+describe('promotion to Pre-CKAN', () => {
+  const request = buildPromotionRequest({ ...dataset, metadata_created: '2024-01-02T10:00:00' }, {
+    source: 'local',
+    target: 'pre_ckan',
+    promotedAt
+  });
+
+  test('adds the metadata that can be derived', () => {
+    expect(request.data.extras).toMatchObject({
+      uploadType: 'manual',
+      dataType: 'dataset',
+      issueDate: '2024-01-02',
+      lastUpdateDate: '2024-05-01',
+      version: '1'
+    });
+    expect(request.data.resources[0]).toEqual({
+      name: 'Readings',
+      url: 'https://example.com/a.csv',
+      format: 'CSV',
+      description: 'Readings of Air Quality',
+      mimetype: 'text/csv'
+    });
+  });
+
+  test('leaves other targets and types alone', () => {
+    expect(buildPromotionRequest(dataset, { source: 'local', target: 'global', promotedAt }).data.extras).not.toHaveProperty('uploadType');
+    expect(getMissingTargetFields(buildPromotionRequest(kafkaTopic, { source: 'local', target: 'pre_ckan' }), 'pre_ckan'))
+      .toEqual({ extras: [], problems: [] });
+  });
+
+  test('asks for the contacts and license the package lacks', () => {
+    const missing = getMissingTargetFields(withSuppliedExtras(request, { pocName: 'Ana' }), 'pre_ckan');
+
+    expect(missing.problems).toEqual([]);
+    expect(missing.extras.map(field => field.key)).toEqual(
+      PRE_CKAN_REQUIRED_EXTRAS.map(field => field.key).filter(key => key !== 'pocName')
+    );
+    expect(getMissingTargetFields(buildPromotionRequest({ ...dataset, notes: '', resources: [] }, {
+      source: 'local', target: 'pre_ckan'
+    }), 'pre_ckan').problems).toHaveLength(2);
+  });
+
+  test('checks and adds the entered values', () => {
+    const fields = PRE_CKAN_REQUIRED_EXTRAS.slice(0, 2);
+
+    expect(validateSuppliedExtras(fields, { publisherName: ' ', publisherEmail: 'nobody' })).toEqual({
+      publisherName: 'Publisher name is required',
+      publisherEmail: 'Publisher email must be an email address'
+    });
+    expect(validateSuppliedExtras(fields, { publisherName: 'NDP', publisherEmail: 'data@ndp.org' })).toEqual({});
+    expect(withSuppliedExtras(request, { publisherName: ' NDP ', creatorName: '' }).data.extras).toMatchObject({ publisherName: 'NDP' });
+  });
+
+  test('does not report the added metadata as a difference', () => {
+    const copy = { ...dataset, id: 'copy', extras: { ...request.data.extras, publisherName: 'NDP' } };
+    expect(diffPackages(dataset, copy)).toEqual([]);
+  });
+});
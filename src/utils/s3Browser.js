@@ -0,0 +1,144 @@
+/**
+ * Helpers for browsing S3 storage through the NDP-EP API
+ *
+ * Listing responses are normalized here so the browser works with APIs that
+ * group keys into folders (common prefixes) and with APIs that return every
+ * key below the prefix.
+ */
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Human-readable size, e.g. 1536 -> "1.5 KB"
+ */
+export const formatBytes = (size) => {
+  const bytes = Number(size);
+  if (!Number.isFinite(bytes) || bytes < 0) return '';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+};
+
+/**
+ * s3:// URI of an object or prefix
+ */
+export const toS3Uri = (bucket, key = '') => `s3://${bucket}/${key}`;
+
+/**
+ * Split an s3:// URI into bucket and key
+ * @returns {Object|null} { bucket, key }, or null for other URLs
+ */
+export const parseS3Uri = (uri) => {
+  const match = /^s3a?:\/\/([^/]+)\/?(.*)$/i.exec(String(uri || '').trim());
+  return match ? { bucket: match[1], key: match[2] } : null;
+};
+
+/**
+ * Folder that contains a key, e.g. "a/b/c.csv" -> "a/b/"
+ */
+export const getParentPrefix = (key) => {
+  const trimmed = key.endsWith('/') ? key.slice(0, -1) : key;
+  const index = trimmed.lastIndexOf('/');
+  return index === -1 ? '' : trimmed.slice(0, index + 1);
+};
+
+/**
+ * Breadcrumbs for a prefix, e.g. "a/b/" -> [{ name: 'a', prefix: 'a/' }, { name: 'b', prefix: 'a/b/' }]
+ */
+export const getBreadcrumbs = (prefix) => {
+  const parts = prefix.split('/').filter(Boolean);
+  return parts.map((name, index) => ({ name, prefix: `${parts.slice(0, index + 1).join('/')}/` }));
+};
+
+const pick = (object, ...keys) => keys.map(key => object?.[key]).find(value => value !== undefined && value !== null);
+
+/**
+ * Bucket names from a list-buckets response
+ * Accepts a list of names or of { name }, or { buckets: [...] }
+ */
+export const toBuckets = (data) => {
+  const list = Array.isArray(data) ? data : pick(data, 'buckets', 'results') || [];
+  return list
+    .map(bucket => (typeof bucket === 'string' ? { name: bucket } : {
+      name: pick(bucket, 'name', 'Name', 'bucket_name'),
+      createdAt: pick(bucket, 'creation_date', 'CreationDate', 'created_at')
+    }))
+    .filter(bucket => bucket.name);
+};
+
+/**
+ * Object fields (from a listing or an object metadata response) under the names used by the browser
+ */
+export const toS3Object = (object) => {
+  const key = pick(object, 'key', 'Key', 'object_name', 'name');
+  return {
+    key,
+    size: pick(object, 'size', 'Size'),
+    lastModified: pick(object, 'last_modified', 'LastModified', 'lastModified'),
+    contentType: pick(object, 'content_type', 'ContentType', 'contentType') || ''
+  };
+};
+
+/**
+ * Raw entries and continuation of one list-objects response
+ * S3 returns at most 1000 keys per request; a truncated page carries the
+ * token that asks for the next one.
+ *
+ * @param {Object|Array} data - Response body
+ * @returns {Object} { objects, prefixes, truncated, nextToken }
+ */
+export const getListingPage = (data) => {
+  if (Array.isArray(data)) return { objects: data, prefixes: [], truncated: false, nextToken: null };
+
+  const nextToken = pick(data, 'next_continuation_token', 'NextContinuationToken', 'next_token', 'continuation_token') || null;
+  return {
+    objects: pick(data, 'objects', 'contents', 'Contents', 'results') || [],
+    prefixes: pick(data, 'prefixes', 'common_prefixes', 'CommonPrefixes') || [],
+    truncated: Boolean(pick(data, 'is_truncated', 'IsTruncated', 'truncated')) || !!nextToken,
+    nextToken
+  };
+};
+
+/**
+ * Folders and objects directly below a prefix from a list-objects response
+ * Accepts a list of objects, or { objects|contents, prefixes|common_prefixes }.
+ * Keys deeper than one level are folded into folders when the API does not group them.
+ *
+ * @param {Object|Array} data - Response body
+ * @param {string} prefix - Listed prefix, ending with "/" or empty for the bucket root
+ * @returns {Object} { folders: [{ name, prefix }], objects: [{ name, key, size, lastModified, contentType }] }
+ */
+export const toListing = (data, prefix = '') => {
+  const { objects: rawObjects, prefixes: rawPrefixes } = getListingPage(data);
+
+  const folders = new Map();
+  const addFolder = (folderPrefix) => {
+    if (folderPrefix !== prefix && !folders.has(folderPrefix)) {
+      folders.set(folderPrefix, { name: folderPrefix.slice(prefix.length, -1), prefix: folderPrefix });
+    }
+  };
+
+  rawPrefixes.forEach(entry => {
+    const folderPrefix = typeof entry === 'string' ? entry : pick(entry, 'prefix', 'Prefix');
+    if (folderPrefix) addFolder(folderPrefix.endsWith('/') ? folderPrefix : `${folderPrefix}/`);
+  });
+
+  const objects = [];
+  rawObjects.map(toS3Object).forEach(object => {
+    if (!object.key || !object.key.startsWith(prefix)) return;
+    const rest = object.key.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    if (slash !== -1) {
+      addFolder(prefix + rest.slice(0, slash + 1));
+    } else if (rest) {
+      objects.push({ ...object, name: rest });
+    }
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return { folders: [...folders.values()].sort(byName), objects: objects.sort(byName) };
+};
@@ -0,0 +1,123 @@
+import {
+  formatBytes,
+  toS3Uri,
+  parseS3Uri,
+  getParentPrefix,
+  getBreadcrumbs,
+  toBuckets,
+  toS3Object,
+  toListing,
+  getListingPage
+} from './s3Browser';
+
+describe('formatBytes', () => {
+  test('uses the largest unit below 1024', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(5 * 1024 * 1024 * 1024)).toBe('5.0 GB');
+  });
+
+  test('returns nothing for unknown sizes', () => {
+    expect(formatBytes(undefined)).toBe('');
+    expect(formatBytes('abc')).toBe('');
+  });
+});
+
+describe('S3 URIs', () => {
+  test('builds and splits s3:// URIs', () => {
+    expect(toS3Uri('data', 'a/b.csv')).toBe('s3://data/a/b.csv');
+    expect(parseS3Uri('s3://data/a/b.csv')).toEqual({ bucket: 'data', key: 'a/b.csv' });
+    expect(parseS3Uri('s3a://data')).toEqual({ bucket: 'data', key: '' });
+  });
+
+  test('does not split other URLs', () => {
+    expect(parseS3Uri('https://data.s3.amazonaws.com/a.csv')).toBeNull();
+    expect(parseS3Uri('')).toBeNull();
+  });
+});
+
+describe('prefixes', () => {
+  test('finds the folder of a key', () => {
+    expect(getParentPrefix('a/b/c.csv')).toBe('a/b/');
+    expect(getParentPrefix('a/b/')).toBe('a/');
+    expect(getParentPrefix('c.csv')).toBe('');
+  });
+
+  test('builds breadcrumbs', () => {
+    expect(getBreadcrumbs('a/b/')).toEqual([
+      { name: 'a', prefix: 'a/' },
+      { name: 'b', prefix: 'a/b/' }
+    ]);
+    expect(getBreadcrumbs('')).toEqual([]);
+  });
+});
+
+describe('toBuckets', () => {
+  test('accepts names, objects and wrapped lists', () => {
+    expect(toBuckets(['a', 'b'])).toEqual([{ name: 'a' }, { name: 'b' }]);
+    expect(toBuckets({ buckets: [{ name: 'a', creation_date: '2024-01-01' }] }))
+      .toEqual([{ name: 'a', createdAt: '2024-01-01' }]);
+    expect(toBuckets(null)).toEqual([]);
+  });
+});
+
+describe('toS3Object', () => {
+  test('reads API and S3 field names', () => {
+    expect(toS3Object({ Key: 'a.csv', Size: 10, LastModified: '2024-01-01', ContentType: 'text/csv' })).toEqual({
+      key: 'a.csv', size: 10, lastModified: '2024-01-01', contentType: 'text/csv'
+    });
+    expect(toS3Object({ object_name: 'a.csv', size: 10 }).contentType).toBe('');
+  });
+});
+
+describe('toListing', () => {
+  test('uses folders the API grouped', () => {
+    const listing = toListing({
+      objects: [{ key: 'data/b.csv', size: 1 }, { key: 'data/a.csv', size: 2 }],
+      prefixes: ['data/2024/', { prefix: 'data/2023' }]
+    }, 'data/');
+
+    expect(listing.folders).toEqual([
+      { name: '2023', prefix: 'data/2023/' },
+      { name: '2024', prefix: 'data/2024/' }
+    ]);
+    expect(listing.objects.map(object => object.name)).toEqual(['a.csv', 'b.csv']);
+  });
+
+  test('folds deeper keys into folders when the API lists everything', () => {
+    const listing = toListing([
+      { key: 'README.txt' },
+      { key: 'sensors/stations.json' },
+      { key: 'sensors/2024/readings.csv' },
+      { key: 'empty/' }
+    ]);
+
+    expect(listing.folders).toEqual([
+      { name: 'empty', prefix: 'empty/' },
+      { name: 'sensors', prefix: 'sensors/' }
+    ]);
+    expect(listing.objects.map(object => object.key)).toEqual(['README.txt']);
+  });
+
+  test('skips the folder marker of the listed prefix', () => {
+    expect(toListing([{ key: 'sensors/' }, { key: 'sensors/a.csv' }], 'sensors/').objects)
+      .toEqual([{ key: 'sensors/a.csv', name: 'a.csv', size: undefined, lastModified: undefined, contentType: '' }]);
+  });
+});
+
+describe('getListingPage', () => {
+  test('reads the continuation of a truncated page', () => {
+    expect(getListingPage({ contents: [{ Key: 'a' }], IsTruncated: true, NextContinuationToken: 't2' })).toEqual({
+      objects: [{ Key: 'a' }],
+      prefixes: [],
+      truncated: true,
+      nextToken: 't2'
+    });
+    expect(getListingPage({ objects: [], is_truncated: true })).toMatchObject({ truncated: true, nextToken: null });
+  });
+
+  test('treats plain lists as complete', () => {
+    expect(getListingPage([{ key: 'a' }])).toMatchObject({ truncated: false, nextToken: null });
+    expect(getListingPage({ objects: [] })).toMatchObject({ truncated: false });
+  });
+});
@@ -0,0 +1,183 @@
+import { S3_EXTRAS, getExtras, isS3Url } from './classifyResource';
+import { parseS3Uri, toS3Uri } from './s3Browser';
+
+/**
+ * Structured S3 locations of S3 resources
+ *
+ * New S3 resources store their endpoint, region, bucket, key and credential
+ * reference in the extras named by S3_EXTRAS, so objects on MinIO, Ceph or OSN
+ * endpoints are described as well as those on AWS. Older packages only have a
+ * resource URL, which is parsed as a fallback.
+ */
+
+// Bucket naming rules shared by AWS and S3-compatible stores
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+const REGION_PATTERN = /^[a-z0-9-]+$/i;
+const CREDENTIAL_REF_PATTERN = /^[A-Za-z0-9._:/-]{1,128}$/;
+
+// AWS access key ids, and 40-character secret access keys
+const ACCESS_KEY_PATTERN = /^(AKIA|ASIA)[A-Z0-9]{16}$/;
+const SECRET_KEY_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[A-Za-z0-9/+=]{40}$/;
+
+export const EMPTY_S3_LOCATION = { endpoint: '', region: '', bucket: '', key: '', credentialRef: '' };
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const stripSlash = (value) => value.replace(/\/+$/, '');
+
+/**
+ * Bucket, key and region of an S3 URL
+ * Reads s3:// URIs, AWS virtual-hosted and path-style URLs, and path-style URLs
+ * below a known endpoint (e.g. https://minio.example.org/bucket/key).
+ *
+ * @param {string} url - Resource URL
+ * @param {string} [endpoint] - Endpoint of an S3-compatible store
+ * @returns {Object|null} { bucket, key, region }
+ */
+export const parseS3Url = (url, endpoint = '') => {
+  const value = text(url);
+  if (!value) return null;
+
+  const uri = parseS3Uri(value);
+  if (uri) return { ...uri, region: '' };
+
+  const base = stripSlash(text(endpoint));
+  if (base && value.startsWith(`${base}/`)) {
+    const [bucket, ...key] = value.slice(base.length + 1).split('/');
+    return bucket ? { bucket, key: key.join('/'), region: '' } : null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return null;
+  }
+  const hostname = parsed.hostname.toLowerCase();
+  if (!hostname.endsWith('.amazonaws.com')) return null;
+
+  const path = decodeURIComponent(parsed.pathname.slice(1));
+  const regionMatch = /(?:^|\.)s3[.-]([a-z0-9-]+)\.amazonaws\.com$/.exec(hostname);
+  const region = regionMatch ? regionMatch[1] : '';
+
+  // bucket.s3.region.amazonaws.com/key
+  const virtualHosted = /^(.+)\.s3[.-]/.exec(hostname);
+  if (virtualHosted) return { bucket: virtualHosted[1], key: path, region };
+
+  // s3.region.amazonaws.com/bucket/key
+  if (/^s3[.-]/.test(hostname)) {
+    const [bucket, ...key] = path.split('/');
+    return bucket ? { bucket, key: key.join('/'), region } : null;
+  }
+  return null;
+};
+
+/**
+ * Where an S3 resource is stored
+ * The S3 location extras win; without them the first S3 resource URL is parsed.
+ *
+ * @param {Object} dataset - CKAN package
+ * @returns {Object} { endpoint, region, bucket, key, credentialRef, url, source: 'extras'|'url'|null }
+ */
+export const getS3Location = (dataset) => {
+  const extras = getExtras(dataset);
+  const resources = Array.isArray(dataset?.resources) ? dataset.resources : [];
+  const resource = resources.find(item => isS3Url(item.url)) || resources.find(item => item.url);
+  const url = resource?.url || '';
+  const endpoint = text(extras[S3_EXTRAS.endpoint]);
+  const region = text(extras[S3_EXTRAS.region]) || text(extras.region);
+
+  if (text(extras[S3_EXTRAS.bucket])) {
+    return {
+      endpoint,
+      region,
+      bucket: text(extras[S3_EXTRAS.bucket]),
+      key: text(extras[S3_EXTRAS.key]),
+      credentialRef: text(extras[S3_EXTRAS.credentialRef]),
+      url,
+      source: 'extras'
+    };
+  }
+
+  const parsed = parseS3Url(url, endpoint);
+  return {
+    ...EMPTY_S3_LOCATION,
+    endpoint,
+    region: region || parsed?.region || '',
+    bucket: parsed?.bucket || '',
+    key: parsed?.key || '',
+    credentialRef: text(extras[S3_EXTRAS.credentialRef]),
+    url,
+    source: parsed ? 'url' : null
+  };
+};
+
+/**
+ * Split extras into the S3 location fields and the other extras
+ * @returns {Object} { location, rest }
+ */
+export const splitS3Extras = (extras = {}) => {
+  const location = { ...EMPTY_S3_LOCATION };
+  const rest = {};
+  const fieldByKey = Object.fromEntries(Object.entries(S3_EXTRAS).map(([field, key]) => [key, field]));
+
+  Object.entries(extras).forEach(([key, value]) => {
+    if (fieldByKey[key]) {
+      location[fieldByKey[key]] = text(value);
+    } else {
+      rest[key] = value;
+    }
+  });
+  return { location, rest };
+};
+
+/**
+ * S3 location extras of the filled-in fields
+ */
+export const toS3LocationExtras = (location) => Object.fromEntries(
+  Object.entries(S3_EXTRAS)
+    .map(([field, key]) => [key, field === 'endpoint' ? stripSlash(text(location[field])) : text(location[field])])
+    .filter(([, value]) => value)
+);
+
+/**
+ * Resource URL of a location: path-style below a custom endpoint, s3:// otherwise
+ */
+export const toS3LocationUrl = (location) => {
+  const bucket = text(location.bucket);
+  if (!bucket) return '';
+  const key = text(location.key).replace(/^\/+/, '');
+  const endpoint = stripSlash(text(location.endpoint));
+  return endpoint ? `${endpoint}/${bucket}/${key}` : toS3Uri(bucket, key);
+};
+
+/**
+ * Check the S3 location fields
+ * @returns {Object} { s3_bucket: message, ... } for the fields that are invalid
+ */
+export const validateS3Location = (location) => {
+  const errors = {};
+  const endpoint = text(location.endpoint);
+  const region = text(location.region);
+  const bucket = text(location.bucket);
+  const credentialRef = text(location.credentialRef);
+
+  if (endpoint && !/^https?:\/\/[^/\s]+/i.test(endpoint)) {
+    errors[S3_EXTRAS.endpoint] = 'Endpoint must be an http:// or https:// URL';
+  }
+  if (region && !REGION_PATTERN.test(region)) {
+    errors[S3_EXTRAS.region] = 'Region may only contain letters, numbers and hyphens';
+  }
+  if (bucket && !BUCKET_PATTERN.test(bucket)) {
+    errors[S3_EXTRAS.bucket] = 'Bucket names are 3-63 lowercase letters, numbers, dots and hyphens';
+  }
+  if (!bucket && (text(location.key) || endpoint)) {
+    errors[S3_EXTRAS.bucket] = 'Enter the bucket';
+  }
+  if (ACCESS_KEY_PATTERN.test(credentialRef) || SECRET_KEY_PATTERN.test(credentialRef)) {
+    errors[S3_EXTRAS.credentialRef] = 'Enter the name of a stored credential, not an access key or secret';
+  } else if (credentialRef && !CREDENTIAL_REF_PATTERN.test(credentialRef)) {
+    errors[S3_EXTRAS.credentialRef] = 'Credential references may only contain letters, numbers and . _ : / -';
+  }
+  return errors;
+};
@@ -0,0 +1,188 @@
+import { NAME_PATTERN } from './bulkImport';
+import { toS3Uri } from './s3Browser';
+import { toS3LocationExtras } from './s3Location';
+
+/**
+ * Registration of every object under an S3 prefix
+ *
+ * Objects are filtered by a glob or regular expression on their path below the
+ * prefix, and names and titles come from templates such as "{folder}-{name}".
+ * The result is either one S3 resource per object or one dataset with a
+ * resource per object.
+ */
+
+export const REGISTRATION_MODES = {
+  datasets: 'One dataset per object',
+  resources: 'One dataset with a resource per object'
+};
+
+// Placeholders available in name and title templates
+export const TEMPLATE_PLACEHOLDERS = {
+  name: 'File name without extension',
+  file: 'File name',
+  ext: 'Extension',
+  path: 'Path below the prefix',
+  folder: 'Folder below the prefix',
+  bucket: 'Bucket',
+  index: 'Position in the list, from 1'
+};
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regular expression for a glob
+ * "*" and "?" stay within one folder, "**" crosses folders.
+ */
+export const globToRegExp = (glob) => {
+  const source = glob.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+    // "a/**/b" also matches "a/b"
+    if (part === '**/') return '(?:.*/)?';
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return escapeRegExp(part);
+  }).join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Predicate matching object paths (relative to the prefix)
+ * Globs without "/" match the file name in any folder; regular expressions are
+ * searched in the whole path.
+ *
+ * @param {string} pattern - Glob or regular expression; empty matches everything
+ * @param {string} syntax - 'glob' or 'regex'
+ * @returns {Function} (path) => boolean
+ * @throws {Error} When the regular expression is invalid
+ */
+export const buildPathFilter = (pattern, syntax = 'glob') => {
+  const text = (pattern || '').trim();
+  if (!text) return () => true;
+
+  if (syntax === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(text);
+    } catch (err) {
+      throw new Error(`Invalid regular expression: ${err.message}`);
+    }
+    return (path) => regex.test(path);
+  }
+
+  const regex = globToRegExp(text);
+  const byFileName = !text.includes('/');
+  return (path) => regex.test(byFileName ? path.slice(path.lastIndexOf('/') + 1) : path);
+};
+
+/**
+ * Template values of an object
+ * @param {Object} object - { key } from the S3 listing
+ * @param {Object} context - { bucket, prefix, index }
+ */
+export const getTemplateValues = (object, { bucket, prefix = '', index = 1 }) => {
+  const path = object.key.slice(prefix.length);
+  const slash = path.lastIndexOf('/');
+  const file = path.slice(slash + 1);
+  const dot = file.lastIndexOf('.');
+  return {
+    name: dot > 0 ? file.slice(0, dot) : file,
+    file,
+    ext: dot > 0 ? file.slice(dot + 1) : '',
+    path,
+    folder: slash === -1 ? '' : path.slice(0, slash),
+    bucket,
+    index: String(index)
+  };
+};
+
+/**
+ * Fill the {placeholders} of a template; unknown placeholders are kept as written
+ */
+export const renderTemplate = (template, values) => (
+  template.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match))
+);
+
+/**
+ * CKAN package name from free text, e.g. "2024/Readings.csv" -> "2024-readings-csv"
+ */
+export const toPackageName = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, 100);
+
+const checkName = (name, errors) => {
+  if (!NAME_PATTERN.test(name)) errors.push(`Name "${name}" must be 2-100 lowercase letters, numbers, - or _`);
+};
+
+/**
+ * Create request of an S3 resource for every object
+ *
+ * @param {Array} objects - Objects from the S3 listing, in registration order
+ * @param {Object} options - { bucket, prefix, nameTemplate, titleTemplate, owner_org, notes }
+ * @returns {Array} Rows as { key, name, title, data, errors }
+ */
+export const buildObjectDatasets = (objects, { bucket, prefix = '', nameTemplate, titleTemplate, owner_org, notes }) => {
+  const firstKeyByName = {};
+
+  return objects.map((object, index) => {
+    const values = getTemplateValues(object, { bucket, prefix, index: index + 1 });
+    const name = toPackageName(renderTemplate(nameTemplate, values));
+    const title = renderTemplate(titleTemplate, values).trim();
+    const errors = [];
+
+    checkName(name, errors);
+    if (!title) errors.push('Title is empty');
+    if (!owner_org) errors.push('Organization is required');
+    if (firstKeyByName[name]) {
+      errors.push(`Name "${name}" is also generated for ${firstKeyByName[name]}`);
+    } else {
+      firstKeyByName[name] = object.key;
+    }
+
+    const data = {
+      resource_name: name,
+      resource_title: title,
+      owner_org,
+      resource_s3: toS3Uri(bucket, object.key),
+      ...(notes ? { notes } : {}),
+      extras: toS3LocationExtras({ bucket, key: object.key })
+    };
+    return { key: object.key, name, title, data, errors };
+  });
+};
+
+/**
+ * Create request of one dataset with a resource for every object
+ *
+ * @param {Array} objects - Objects from the S3 listing, in registration order
+ * @param {Object} options - { bucket, prefix, name, title, titleTemplate (resource names), owner_org, notes }
+ * @returns {Object} { data, errors }
+ */
+export const buildPrefixDataset = (objects, { bucket, prefix = '', name, title, titleTemplate, owner_org, notes }) => {
+  const errors = [];
+  checkName(name, errors);
+  if (!title?.trim()) errors.push('Title is required');
+  if (!owner_org) errors.push('Organization is required');
+  if (objects.length === 0) errors.push('No objects match the filter');
+
+  const resources = objects.map((object, index) => {
+    const values = getTemplateValues(object, { bucket, prefix, index: index + 1 });
+    return {
+      url: toS3Uri(bucket, object.key),
+      name: renderTemplate(titleTemplate, values).trim() || values.file,
+      ...(values.ext ? { format: values.ext.toUpperCase() } : {})
+    };
+  });
+
+  const data = {
+    name,
+    title: title?.trim(),
+    owner_org,
+    resources,
+    ...(notes ? { notes } : {}),
+    extras: toS3LocationExtras({ bucket, key: prefix })
+  };
+  return { data, errors };
+};
@@ -0,0 +1,143 @@
+import {
+  globToRegExp,
+  buildPathFilter,
+  getTemplateValues,
+  renderTemplate,
+  toPackageName,
+  buildObjectDatasets,
+  buildPrefixDataset
+} from './s3Prefix';
+
+const objects = [
+  { key: 'runs/42/readings.csv', size: 10 },
+  { key: 'runs/42/2024/Summary.JSON', size: 20 },
+  { key: 'runs/42/notes', size: 30 }
+];
+
+describe('globToRegExp', () => {
+  test('keeps * and ? within one folder and lets ** cross folders', () => {
+    expect(globToRegExp('*.csv').test('a.csv')).toBe(true);
+    expect(globToRegExp('*.csv').test('x/a.csv')).toBe(false);
+    expect(globToRegExp('2024/**/*.json').test('2024/a.json')).toBe(true);
+    expect(globToRegExp('2024/**/*.json').test('2024/01/02/a.json')).toBe(true);
+    expect(globToRegExp('file?.txt').test('file1.txt')).toBe(true);
+    expect(globToRegExp('a+b(1).txt').test('a+b(1).txt')).toBe(true);
+  });
+});
+
+describe('buildPathFilter', () => {
+  test('matches globs without a folder against the file name', () => {
+    const matches = buildPathFilter('*.csv');
+    expect(matches('readings.csv')).toBe(true);
+    expect(matches('2024/readings.csv')).toBe(true);
+    expect(matches('2024/readings.json')).toBe(false);
+  });
+
+  test('matches globs with a folder against the whole path', () => {
+    expect(buildPathFilter('2024/*')('2024/a.csv')).toBe(true);
+    expect(buildPathFilter('2024/*')('old/2024/a.csv')).toBe(false);
+  });
+
+  test('searches regular expressions in the path', () => {
+    expect(buildPathFilter('\\.json$', 'regex')('2024/a.json')).toBe(true);
+    expect(() => buildPathFilter('(', 'regex')).toThrow(/Invalid regular expression/);
+  });
+
+  test('matches everything without a pattern', () => {
+    expect(buildPathFilter('  ')('anything')).toBe(true);
+  });
+});
+
+describe('templates', () => {
+  test('splits the object path into placeholders', () => {
+    expect(getTemplateValues(objects[1], { bucket: 'lab', prefix: 'runs/42/', index: 2 })).toEqual({
+      name: 'Summary',
+      file: 'Summary.JSON',
+      ext: 'JSON',
+      path: '2024/Summary.JSON',
+      folder: '2024',
+      bucket: 'lab',
+      index: '2'
+    });
+    expect(getTemplateValues({ key: '.env' }, { bucket: 'lab' })).toMatchObject({ name: '.env', ext: '' });
+  });
+
+  test('fills known placeholders and keeps unknown ones', () => {
+    expect(renderTemplate('{bucket}-{name}-{other}', { bucket: 'lab', name: 'a' })).toBe('lab-a-{other}');
+    expect(renderTemplate('{constructor}-{name}', { name: 'a' })).toBe('{constructor}-a');
+  });
+
+  test('turns text into package names', () => {
+    expect(toPackageName('-2024/Readings  File.csv')).toBe('2024-readings-file-csv');
+    expect(toPackageName('x'.repeat(120))).toHaveLength(100);
+  });
+});
+
+describe('buildObjectDatasets', () => {
+  const options = { bucket: 'lab', prefix: 'runs/42/', nameTemplate: 'run-{folder}-{name}', titleTemplate: '{file}', owner_org: 'physics' };
+
+  test('builds one S3 resource request per object', () => {
+    const rows = buildObjectDatasets(objects, { ...options, notes: 'Run 42' });
+
+    expect(rows.map(row => row.name)).toEqual(['run-readings', 'run-2024-summary', 'run-notes']);
+    expect(rows[1]).toEqual({
+      key: 'runs/42/2024/Summary.JSON',
+      name: 'run-2024-summary',
+      title: 'Summary.JSON',
+      data: {
+        resource_name: 'run-2024-summary',
+        resource_title: 'Summary.JSON',
+        owner_org: 'physics',
+        resource_s3: 's3://lab/runs/42/2024/Summary.JSON',
+        notes: 'Run 42',
+        extras: { s3_bucket: 'lab', s3_key: 'runs/42/2024/Summary.JSON' }
+      },
+      errors: []
+    });
+  });
+
+  test('reports duplicate and invalid names and a missing organization', () => {
+    const rows = buildObjectDatasets(objects, { ...options, nameTemplate: 'x', owner_org: '' });
+
+    expect(rows[0].errors).toEqual([
+      'Name "x" must be 2-100 lowercase letters, numbers, - or _',
+      'Organization is required'
+    ]);
+    expect(rows[1].errors).toContain('Name "x" is also generated for runs/42/readings.csv');
+  });
+});
+
+describe('buildPrefixDataset', () => {
+  test('builds one dataset with a resource per object', () => {
+    const { data, errors } = buildPrefixDataset(objects, {
+      bucket: 'lab',
+      prefix: 'runs/42/',
+      name: 'run-42',
+      title: ' Run 42 ',
+      titleTemplate: '{path}',
+      owner_org: 'physics'
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      name: 'run-42',
+      title: 'Run 42',
+      owner_org: 'physics',
+      resources: [
+        { url: 's3://lab/runs/42/readings.csv', name: 'readings.csv', format: 'CSV' },
+        { url: 's3://lab/runs/42/2024/Summary.JSON', name: '2024/Summary.JSON', format: 'JSON' },
+        { url: 's3://lab/runs/42/notes', name: 'notes' }
+      ],
+      extras: { s3_bucket: 'lab', s3_key: 'runs/42/' }
+    });
+  });
+
+  test('reports a missing name, title, organization and objects', () => {
+    expect(buildPrefixDataset([], { bucket: 'lab', name: '', title: '', titleTemplate: '{file}', owner_org: '' }).errors).toEqual([
+      'Name "" must be 2-100 lowercase letters, numbers, - or _',
+      'Title is required',
+      'Organization is required',
+      'No objects match the filter'
+    ]);
+  });
+});
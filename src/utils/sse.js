@@ -0,0 +1,82 @@
+/**
+ * Server-sent events (text/event-stream) parsing
+ *
+ * EventSource cannot send an Authorization header, so streams from the NDP-EP
+ * API are read with fetch and parsed here instead.
+ */
+
+/**
+ * Create an incremental parser for an event stream
+ * Chunks may split lines or events anywhere; complete events are passed to onEvent.
+ *
+ * @param {Function} onEvent - Called with { event, data, id } for each event
+ * @returns {Object} { push(text), flush() }
+ */
+export const createSseParser = (onEvent) => {
+  let buffer = '';
+  let dataLines = [];
+  let eventType = '';
+  let lastId = '';
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventType || 'message', data: dataLines.join('\n'), id: lastId });
+    }
+    dataLines = [];
+    eventType = '';
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // Comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventType = value;
+    else if (field === 'id') lastId = value;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      // A trailing \r may be the first half of \r\n, so keep it for the next chunk
+      const pending = buffer.endsWith('\r') ? '\r' : '';
+      const lines = buffer.slice(0, buffer.length - pending.length).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + pending;
+      lines.forEach(processLine);
+    },
+    // Dispatch what is left at the end of the stream, even without a final blank line
+    flush() {
+      const line = buffer.replace(/\r$/, '');
+      if (line) processLine(line);
+      buffer = '';
+      dispatch();
+    }
+  };
+};
+
+/**
+ * Read a fetch response body as an event stream until it ends or is aborted
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - Called with { event, data, id } for each event
+ */
+export const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createSseParser(onEvent);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.flush();
+};
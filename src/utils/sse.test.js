@@ -0,0 +1,40 @@
+import { createSseParser } from './sse';
+
+/**
+ * Feed chunks into a parser and collect the events
+ */
+const parse = (chunks, { flush = false } = {}) => {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  chunks.forEach(chunk => parser.push(chunk));
+  if (flush) parser.flush();
+  return events;
+};
+
+describe('createSseParser', () => {
+  test('parses events with types, ids and multi-line data', () => {
+    const events = parse(['event: update\nid: 7\ndata: {"a":\ndata: 1}\n\ndata: plain\n\n']);
+
+    expect(events).toEqual([
+      { event: 'update', data: '{"a":\n1}', id: '7' },
+      { event: 'message', data: 'plain', id: '7' }
+    ]);
+  });
+
+  test('handles events split across chunks, including a split CRLF', () => {
+    const events = parse(['da', 'ta: {"offset": 1}\r', '\n\r\n', 'data: second\r\n', '\r\n']);
+
+    expect(events.map(event => event.data)).toEqual(['{"offset": 1}', 'second']);
+  });
+
+  test('ignores comments and events without data', () => {
+    const events = parse([': keep-alive\n\nevent: ping\n\ndata:no-space\n\n']);
+
+    expect(events).toEqual([{ event: 'message', data: 'no-space', id: '' }]);
+  });
+
+  test('dispatches an unterminated last event on flush', () => {
+    expect(parse(['data: last'])).toEqual([]);
+    expect(parse(['data: last'], { flush: true })).toEqual([{ event: 'message', data: 'last', id: '' }]);
+  });
+});